@@ -0,0 +1,129 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { StructuredLogger } from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+import { isConditionFailure, TransactItem } from '../shared/coordinate-claims';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('BackfillCoordinateClaimsHandler');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+const COORDINATE_CLAIMS_TABLE = process.env.COORDINATE_CLAIMS_TABLE ?? '';
+
+type ClaimedBase = Pick<PlayerBase, 'playerId' | 'baseId' | 'coordinateHash' | 'status' | 'createdAt' | 'lastMovedAt'>;
+
+type ClaimOutcome = 'claimed' | 'skipped' | 'conflict';
+
+export interface CoordinateClaimBackfill {
+  bases: number;
+  claimed: number;
+  skipped: number;
+  conflicts: number;
+  failed: number;
+}
+
+/**
+ * Backfill Coordinate Claims Handler
+ *
+ * One-off migration for bases created before CoordinateClaims existed; invoke
+ * it once after deploying the claims table (it is safe to re-run):
+ * - Scans PlayerBases and claims the tile of every base that is not destroyed
+ * - Each claim is written together with a check that the base still holds
+ *   that tile, so a base moved during the scan never leaves a stale claim
+ * - A tile already claimed by another base is reported as a conflict for
+ *   manual resolution; the base that claimed it first keeps it
+ */
+export const handler = async (): Promise<CoordinateClaimBackfill> => {
+  logger.info('Backfilling coordinate claims');
+
+  const summary: CoordinateClaimBackfill = { bases: 0, claimed: 0, skipped: 0, conflicts: 0, failed: 0 };
+  let exclusiveStartKey: Record<string, unknown> | undefined;
+
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: PLAYER_BASES_TABLE,
+      ProjectionExpression: 'playerId, baseId, coordinateHash, #status, createdAt, lastMovedAt',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    for (const base of (response.Items ?? []) as ClaimedBase[]) {
+      if (base.status === 'destroyed') continue;
+      summary.bases++;
+      await backfillClaim(base, summary);
+    }
+
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  logger.info('Coordinate claims backfilled', { ...summary });
+
+  return summary;
+};
+
+async function backfillClaim(base: ClaimedBase, summary: CoordinateClaimBackfill): Promise<void> {
+  try {
+    const outcome = await claimBaseTile(base);
+
+    if (outcome === 'claimed') {
+      summary.claimed++;
+    } else if (outcome === 'skipped') {
+      summary.skipped++;
+    } else {
+      summary.conflicts++;
+      logger.warn('Tile is already claimed by another base', {
+        playerId: base.playerId,
+        baseId: base.baseId,
+        coordinateHash: base.coordinateHash
+      });
+    }
+  } catch (error) {
+    summary.failed++;
+    logger.error('Failed to backfill coordinate claim', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      error: (error as Error).message
+    });
+  }
+}
+
+/**
+ * Claim the tile a base holds; an existing claim of the same base is kept
+ */
+async function claimBaseTile(base: ClaimedBase): Promise<ClaimOutcome> {
+  const transactItems: TransactItem[] = [
+    {
+      ConditionCheck: {
+        TableName: PLAYER_BASES_TABLE,
+        Key: { playerId: base.playerId, baseId: base.baseId },
+        ConditionExpression: 'coordinateHash = :coordinateHash AND #status <> :destroyed',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':coordinateHash': base.coordinateHash, ':destroyed': 'destroyed' }
+      }
+    },
+    {
+      Put: {
+        TableName: COORDINATE_CLAIMS_TABLE,
+        Item: {
+          coordinateHash: base.coordinateHash,
+          playerId: base.playerId,
+          baseId: base.baseId,
+          claimedAt: base.lastMovedAt ?? base.createdAt
+        },
+        ConditionExpression: 'attribute_not_exists(coordinateHash) OR baseId = :baseId',
+        ExpressionAttributeValues: { ':baseId': base.baseId }
+      }
+    }
+  ];
+
+  try {
+    await docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    return 'claimed';
+  } catch (error) {
+    // Transaction items: 0 = base moved or destroyed since the scan, 1 = tile held by another base
+    if (isConditionFailure(error, 0)) return 'skipped';
+    if (isConditionFailure(error, 1)) return 'conflict';
+    throw error;
+  }
+}
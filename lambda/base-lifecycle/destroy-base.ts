@@ -0,0 +1,75 @@
+import { z } from 'zod';
+import { StructuredLogger, GameEngineError } from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+import { getPlayerBase, destroyBase } from '../shared/base-removal';
+
+const logger = new StructuredLogger('DestroyBaseHandler');
+
+const DestroyBaseRequestSchema = z.object({
+  playerId: z.string().min(1).max(50),
+  baseId: z.string().min(1).max(50),
+  reason: z.enum(['battle', 'admin']).optional().default('battle')
+});
+
+export type DestroyBaseRequest = z.input<typeof DestroyBaseRequestSchema>;
+
+export interface DestroyBaseResult {
+  destroyed: boolean; // false when the base was already destroyed
+  base: PlayerBase;
+  cancelledUpgradeIds: string[];
+}
+
+/**
+ * Destroy Base Handler
+ *
+ * Internal operation invoked directly by the battle service (not exposed
+ * through API Gateway):
+ * - Marks the base `destroyed` and schedules its purge through the TTL
+ * - Releases its map tile and cancels its running and queued upgrades
+ * - Also ends the undo window of a base that is being abandoned
+ * - Idempotent: destroying a destroyed base reports `destroyed: false`
+ */
+export const handler = async (event: DestroyBaseRequest): Promise<DestroyBaseResult> => {
+  const request = parseRequest(event);
+
+  logger.info('Processing base destruction', { ...request });
+
+  const base = await getPlayerBase(request.playerId, request.baseId);
+  const result = await destroyBase(base, request.reason);
+
+  if (!result) {
+    // Destroyed before or changed concurrently; report the stored state
+    const current = await getPlayerBase(request.playerId, request.baseId);
+    if (current.status !== 'destroyed') {
+      throw new GameEngineError(
+        'Base changed while it was being destroyed',
+        'INVALID_BASE_STATUS',
+        { playerId: request.playerId, baseId: request.baseId, status: current.status }
+      );
+    }
+    return { destroyed: false, base: current, cancelledUpgradeIds: [] };
+  }
+
+  logger.info('Base destroyed', {
+    playerId: request.playerId,
+    baseId: request.baseId,
+    reason: request.reason,
+    cancelledUpgrades: result.cancelledUpgradeIds.length
+  });
+
+  return { destroyed: true, ...result };
+};
+
+function parseRequest(event: DestroyBaseRequest): z.infer<typeof DestroyBaseRequestSchema> {
+  const parsed = DestroyBaseRequestSchema.safeParse(event);
+
+  if (!parsed.success) {
+    throw new GameEngineError(
+      'Invalid destroy base request',
+      'VALIDATION_ERROR',
+      { issues: parsed.error.issues.map(issue => issue.message) }
+    );
+  }
+
+  return parsed.data;
+}
@@ -0,0 +1,108 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand, BatchGetCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+const MAX_BATCH_GET_ATTEMPTS = 3;
+
+export interface DueBaseQuery {
+  status: PlayerBase['status'];
+  dueAttribute: 'buildCompletionTime' | 'arrivalTime' | 'abandonAt';
+  now: number;
+  maxBases: number;
+}
+
+type BaseKey = Pick<PlayerBase, 'playerId' | 'baseId'>;
+
+/**
+ * Find bases in a timed status whose due timestamp has passed
+ *
+ * The DueIndex keeps every building, moving and abandoning base sorted by
+ * dueAt, so the query returns only due bases, earliest first. It projects
+ * keys only and is eventually consistent, so the loaded records are
+ * checked against the due attribute again.
+ */
+export async function findDueBases(query: DueBaseQuery): Promise<PlayerBase[]> {
+  try {
+    const keys = await queryDueBaseKeys(query);
+    const bases = await batchGetBases(keys);
+
+    return bases.filter(base => {
+      const dueAt = base[query.dueAttribute];
+      return base.status === query.status && dueAt !== undefined && dueAt <= query.now;
+    });
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to find due bases',
+      'DUE_BASE_QUERY_ERROR',
+      { status: query.status, error: (error as Error).message }
+    );
+  }
+}
+
+async function queryDueBaseKeys({ status, now, maxBases }: DueBaseQuery): Promise<BaseKey[]> {
+  const keys: BaseKey[] = [];
+  let exclusiveStartKey: Record<string, unknown> | undefined;
+
+  do {
+    const command = new QueryCommand({
+      TableName: PLAYER_BASES_TABLE,
+      IndexName: 'DueIndex',
+      KeyConditionExpression: '#status = :status AND dueAt <= :now',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':status': status,
+        ':now': now
+      },
+      ExclusiveStartKey: exclusiveStartKey,
+      Limit: maxBases - keys.length
+    });
+
+    const response = await docClient.send(command);
+
+    (response.Items ?? []).forEach(item => {
+      keys.push({ playerId: item.playerId as string, baseId: item.baseId as string });
+    });
+
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey && keys.length < maxBases);
+
+  return keys;
+}
+
+/**
+ * Load full base records; keys still unprocessed after the retry budget
+ * are left for the next scheduled run
+ */
+async function batchGetBases(keys: BaseKey[]): Promise<PlayerBase[]> {
+  const bases: PlayerBase[] = [];
+
+  for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+    let pendingKeys: Record<string, unknown>[] = keys.slice(i, i + BATCH_GET_LIMIT);
+
+    for (let attempt = 0; attempt < MAX_BATCH_GET_ATTEMPTS && pendingKeys.length > 0; attempt++) {
+      const command = new BatchGetCommand({
+        RequestItems: {
+          [PLAYER_BASES_TABLE]: { Keys: pendingKeys }
+        }
+      });
+
+      const response = await docClient.send(command);
+
+      bases.push(...((response.Responses?.[PLAYER_BASES_TABLE] ?? []) as PlayerBase[]));
+      pendingKeys = response.UnprocessedKeys?.[PLAYER_BASES_TABLE]?.Keys ?? [];
+    }
+  }
+
+  return bases;
+}
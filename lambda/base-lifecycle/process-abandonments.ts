@@ -0,0 +1,76 @@
+import { ScheduledEvent } from 'aws-lambda';
+import { StructuredLogger } from '../../lib/shared-mocks';
+import { findDueBases } from './due-bases';
+import { destroyBase } from '../shared/base-removal';
+
+const logger = new StructuredLogger('ProcessAbandonmentsHandler');
+
+// Upper bound of bases handled per invocation; the rest waits for the next run
+const MAX_BASES_PER_RUN = 500;
+
+export interface AbandonmentSummary {
+  dueBases: number;
+  destroyed: number;
+  skipped: number;
+  failed: number;
+}
+
+/**
+ * Process Abandonments Handler
+ *
+ * Scheduled processor that finishes base abandonments:
+ * - Finds `abandoning` bases whose undo window (abandonAt) has closed through the DueIndex
+ * - Destroys every due base
+ * - Releases its tile and cancels its running and queued upgrades
+ * - Publishes a BaseDestroyed event per destroyed base
+ *
+ * Destruction is conditional on the status that was read, so a base
+ * restored in the meantime or destroyed by an earlier run is skipped.
+ */
+export const handler = async (
+  event: ScheduledEvent
+): Promise<AbandonmentSummary> => {
+  const now = Date.now();
+
+  logger.info('Processing base abandonments', {
+    eventId: event.id,
+    scheduledTime: event.time
+  });
+
+  const dueBases = await findDueBases({
+    status: 'abandoning',
+    dueAttribute: 'abandonAt',
+    now,
+    maxBases: MAX_BASES_PER_RUN
+  });
+
+  const summary: AbandonmentSummary = {
+    dueBases: dueBases.length,
+    destroyed: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  for (const base of dueBases) {
+    try {
+      const destroyed = await destroyBase(base, 'abandoned', now);
+
+      if (destroyed) {
+        summary.destroyed++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to destroy abandoned base', {
+        playerId: base.playerId,
+        baseId: base.baseId,
+        error: (error as Error).message
+      });
+    }
+  }
+
+  logger.info('Base abandonments processed', { ...summary });
+
+  return summary;
+};
@@ -0,0 +1,146 @@
+import { ScheduledEvent } from 'aws-lambda';
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  StructuredLogger,
+  GameEngineError
+} from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+import { findDueBases } from './due-bases';
+import { publishGameEvent } from '../shared/game-events';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('ProcessBuildCompletionsHandler');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+
+// Upper bound of bases handled per invocation; the rest waits for the next run
+const MAX_BASES_PER_RUN = 500;
+
+export interface BuildCompletionSummary {
+  dueBases: number;
+  completed: number;
+  skipped: number;
+  failed: number;
+}
+
+/**
+ * Process Build Completions Handler
+ *
+ * Scheduled processor that finishes base construction:
+ * - Finds `building` bases whose buildCompletionTime has passed through the DueIndex
+ * - Activates every due base
+ * - Publishes a BaseBuildCompleted event per activated base
+ *
+ * The status transition is a conditional write, so overlapping or repeated
+ * runs never activate a base twice or emit duplicate events.
+ */
+export const handler = async (
+  event: ScheduledEvent
+): Promise<BuildCompletionSummary> => {
+  const now = Date.now();
+
+  logger.info('Processing base build completions', {
+    eventId: event.id,
+    scheduledTime: event.time
+  });
+
+  const dueBases = await findDueBases({
+    status: 'building',
+    dueAttribute: 'buildCompletionTime',
+    now,
+    maxBases: MAX_BASES_PER_RUN
+  });
+
+  const summary: BuildCompletionSummary = {
+    dueBases: dueBases.length,
+    completed: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  for (const base of dueBases) {
+    try {
+      const activated = await completeBaseBuild(base, now);
+
+      if (activated) {
+        summary.completed++;
+        await publishBuildCompleted(base, now);
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to complete base build', {
+        playerId: base.playerId,
+        baseId: base.baseId,
+        error: (error as Error).message
+      });
+    }
+  }
+
+  logger.info('Base build completions processed', { ...summary });
+
+  return summary;
+};
+
+/**
+ * Flip a building base to active
+ *
+ * Returns false when another run already completed the base.
+ */
+export async function completeBaseBuild(base: PlayerBase, now: number): Promise<boolean> {
+  try {
+    const command = new UpdateCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: {
+        playerId: base.playerId,
+        baseId: base.baseId
+      },
+      UpdateExpression: 'SET #status = :active, lastActiveAt = :now REMOVE dueAt',
+      ConditionExpression: '#status = :building AND buildCompletionTime <= :now',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':active': 'active',
+        ':building': 'building',
+        ':now': now
+      }
+    });
+
+    await docClient.send(command);
+    return true;
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      return false;
+    }
+    throw new GameEngineError(
+      'Failed to complete base build',
+      'BUILD_COMPLETION_ERROR',
+      { playerId: base.playerId, baseId: base.baseId, error: (error as Error).message }
+    );
+  }
+}
+
+async function publishBuildCompleted(base: PlayerBase, completedAt: number): Promise<void> {
+  try {
+    await publishGameEvent('BaseBuildCompleted', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      baseType: base.baseType,
+      level: base.level,
+      coordinates: base.coordinates,
+      buildCompletionTime: base.buildCompletionTime,
+      completedAt
+    });
+  } catch (error) {
+    // The base is already active; a lost event must not fail the run
+    logger.warn('Failed to publish build completed event', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      error: (error as Error).message
+    });
+  }
+}
@@ -0,0 +1,153 @@
+import { ScheduledEvent } from 'aws-lambda';
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  StructuredLogger,
+  GameEngineError
+} from '../../lib/shared-mocks';
+import { PlayerBase, MovementRecord } from '../types/game-base-types';
+import { findDueBases } from './due-bases';
+import { publishGameEvent } from '../shared/game-events';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('ProcessMovementArrivalsHandler');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+
+// Upper bound of bases handled per invocation; the rest waits for the next run
+const MAX_BASES_PER_RUN = 500;
+
+export interface MovementArrivalSummary {
+  dueBases: number;
+  arrived: number;
+  skipped: number;
+  failed: number;
+}
+
+/**
+ * Process Movement Arrivals Handler
+ *
+ * Scheduled processor that completes timed base movements:
+ * - Finds `moving` bases whose arrivalTime has passed through the DueIndex
+ * - Returns every due base to `active`
+ * - Clears arrivalTime and records the completed move as lastMove
+ * - Publishes a BaseMovementCompleted event per arrival
+ *
+ * The arrival is conditional on the exact arrivalTime that was read, so late
+ * or duplicate runs (and runs racing a newer move) never apply it twice.
+ */
+export const handler = async (
+  event: ScheduledEvent
+): Promise<MovementArrivalSummary> => {
+  const now = Date.now();
+
+  logger.info('Processing base movement arrivals', {
+    eventId: event.id,
+    scheduledTime: event.time
+  });
+
+  const dueBases = await findDueBases({
+    status: 'moving',
+    dueAttribute: 'arrivalTime',
+    now,
+    maxBases: MAX_BASES_PER_RUN
+  });
+
+  const summary: MovementArrivalSummary = {
+    dueBases: dueBases.length,
+    arrived: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  for (const base of dueBases) {
+    try {
+      const movement = await completeBaseMovement(base, now);
+
+      if (movement) {
+        summary.arrived++;
+        await publishMovementCompleted(base, movement);
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to complete base movement', {
+        playerId: base.playerId,
+        baseId: base.baseId,
+        error: (error as Error).message
+      });
+    }
+  }
+
+  logger.info('Base movement arrivals processed', { ...summary });
+
+  return summary;
+};
+
+/**
+ * Complete the movement of a base that has reached its destination
+ *
+ * Returns the recorded movement, or null when the arrival was already applied.
+ */
+export async function completeBaseMovement(base: PlayerBase, now: number): Promise<MovementRecord | null> {
+  const movement: MovementRecord = {
+    from: base.movementOrigin ?? base.coordinates,
+    to: base.coordinates,
+    departedAt: base.lastMovedAt ?? now,
+    arrivedAt: base.arrivalTime ?? now,
+    teleport: false
+  };
+
+  try {
+    const command = new UpdateCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: {
+        playerId: base.playerId,
+        baseId: base.baseId
+      },
+      UpdateExpression: 'SET #status = :active, lastActiveAt = :now, lastMove = :lastMove REMOVE arrivalTime, movementOrigin, dueAt',
+      ConditionExpression: '#status = :moving AND arrivalTime = :arrivalTime AND arrivalTime <= :now',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':active': 'active',
+        ':moving': 'moving',
+        ':arrivalTime': base.arrivalTime,
+        ':lastMove': movement,
+        ':now': now
+      }
+    });
+
+    await docClient.send(command);
+    return movement;
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      return null;
+    }
+    throw new GameEngineError(
+      'Failed to complete base movement',
+      'MOVEMENT_COMPLETION_ERROR',
+      { playerId: base.playerId, baseId: base.baseId, error: (error as Error).message }
+    );
+  }
+}
+
+async function publishMovementCompleted(base: PlayerBase, movement: MovementRecord): Promise<void> {
+  try {
+    await publishGameEvent('BaseMovementCompleted', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      ...movement
+    });
+  } catch (error) {
+    // The base has already arrived; a lost event must not fail the run
+    logger.warn('Failed to publish movement completed event', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      error: (error as Error).message
+    });
+  }
+}
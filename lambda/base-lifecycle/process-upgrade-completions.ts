@@ -0,0 +1,104 @@
+import { ScheduledEvent } from 'aws-lambda';
+import { StructuredLogger } from '../../lib/shared-mocks';
+import { BaseUpgrade } from '../types/game-base-types';
+import { findDueUpgrades, completeUpgrade, CompletedUpgrade } from '../shared/upgrade-completion-engine';
+import { publishGameEvent } from '../shared/game-events';
+import { startQueuedUpgrades } from '../shared/builder-queue';
+
+const logger = new StructuredLogger('ProcessUpgradeCompletionsHandler');
+
+// Upper bound of upgrades handled per invocation; the rest waits for the next run
+const MAX_UPGRADES_PER_RUN = 200;
+
+export interface UpgradeCompletionSummary {
+  dueUpgrades: number;
+  completed: number;
+  skipped: number;
+  failed: number;
+  started: number; // Queued upgrades started in the slots freed by this run
+}
+
+/**
+ * Process Upgrade Completions Handler
+ *
+ * Scheduled processor that finishes timed base upgrades:
+ * - Finds due `in_progress` upgrades through the BaseUpgrades StatusIndex
+ * - Applies each one with the upgrade completion engine
+ * - Publishes a BaseUpgradeCompleted event per applied upgrade
+ * - Starts each player's queued upgrades in the builder slots that freed up
+ */
+export const handler = async (
+  event: ScheduledEvent
+): Promise<UpgradeCompletionSummary> => {
+  const now = Date.now();
+
+  logger.info('Processing base upgrade completions', {
+    eventId: event.id,
+    scheduledTime: event.time
+  });
+
+  const dueUpgrades = await findDueUpgrades(now, MAX_UPGRADES_PER_RUN);
+
+  const summary: UpgradeCompletionSummary = {
+    dueUpgrades: dueUpgrades.length,
+    completed: 0,
+    skipped: 0,
+    failed: 0,
+    started: 0
+  };
+  const playersWithFreedSlots = new Set<string>();
+
+  for (const upgrade of dueUpgrades) {
+    try {
+      const result = await completeUpgrade(upgrade, now);
+
+      if (result) {
+        summary.completed++;
+        playersWithFreedSlots.add(upgrade.playerId);
+        await publishUpgradeCompleted(result);
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logFailedUpgrade(upgrade, error as Error);
+    }
+  }
+
+  for (const playerId of playersWithFreedSlots) {
+    summary.started += (await startQueuedUpgrades(playerId, now)).length;
+  }
+
+  logger.info('Base upgrade completions processed', { ...summary });
+
+  return summary;
+};
+
+async function publishUpgradeCompleted(result: CompletedUpgrade): Promise<void> {
+  try {
+    await publishGameEvent('BaseUpgradeCompleted', {
+      playerId: result.upgrade.playerId,
+      baseId: result.upgrade.baseId,
+      upgradeId: result.upgrade.upgradeId,
+      upgradeType: result.upgrade.upgradeType,
+      level: result.level,
+      stats: result.stats,
+      completedAt: result.upgrade.completedAt
+    });
+  } catch (error) {
+    // The upgrade is already applied; a lost event must not fail the run
+    logger.warn('Failed to publish upgrade completed event', {
+      upgradeId: result.upgrade.upgradeId,
+      error: (error as Error).message
+    });
+  }
+}
+
+function logFailedUpgrade(upgrade: BaseUpgrade, error: Error): void {
+  logger.error('Failed to complete base upgrade', {
+    playerId: upgrade.playerId,
+    baseId: upgrade.baseId,
+    upgradeId: upgrade.upgradeId,
+    error: error.message
+  });
+}
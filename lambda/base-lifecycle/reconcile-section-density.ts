@@ -0,0 +1,175 @@
+import { ScheduledEvent } from 'aws-lambda';
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { StructuredLogger } from '../../lib/shared-mocks';
+import { SectionDensity } from '../types/game-base-types';
+import { countsTowardsDensity, DensityImage } from '../shared/section-density';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('ReconcileSectionDensityHandler');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+const SECTION_DENSITY_TABLE = process.env.SECTION_DENSITY_TABLE ?? '';
+
+export interface SectionDensityReconciliation {
+  bases: number;
+  sections: number;
+  corrected: number;
+  unchanged: number;
+  skipped: number;
+  failed: number;
+}
+
+/**
+ * Reconcile Section Density Handler
+ *
+ * Recounts the bases per map section from a full PlayerBases scan and
+ * writes the counts that differ from SectionDensity:
+ * - Seeds the counts of bases created before the stream consumer existed
+ *   (the stream only keeps 24 hours of history); invoke it once after
+ *   deploying the consumer
+ * - Runs daily afterwards to correct any drift
+ *
+ * A section the stream consumer updated while the scan ran is skipped, as
+ * the scan may have missed that change; the next run reconciles it.
+ */
+export const handler = async (
+  event: ScheduledEvent
+): Promise<SectionDensityReconciliation> => {
+  const startedAt = Date.now();
+
+  logger.info('Reconciling section density', {
+    eventId: event.id,
+    scheduledTime: event.time
+  });
+
+  const stored = await scanStoredDensities();
+  const { bases, counts } = await countBasesPerSection();
+
+  // Sections whose bases all left still need their count brought to zero
+  stored.forEach((_, mapSectionId) => {
+    if (!counts.has(mapSectionId)) {
+      counts.set(mapSectionId, 0);
+    }
+  });
+
+  const summary: SectionDensityReconciliation = {
+    bases,
+    sections: counts.size,
+    corrected: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  await applySectionCounts(counts, stored, startedAt, summary);
+
+  logger.info('Section density reconciled', { ...summary });
+
+  return summary;
+};
+
+/**
+ * Write every recounted section whose stored count differs
+ */
+async function applySectionCounts(
+  counts: Map<string, number>,
+  stored: Map<string, number>,
+  startedAt: number,
+  summary: SectionDensityReconciliation
+): Promise<void> {
+  for (const [mapSectionId, baseCount] of counts) {
+    if (stored.get(mapSectionId) === baseCount) {
+      summary.unchanged++;
+      continue;
+    }
+
+    try {
+      if (await writeSectionCount(mapSectionId, baseCount, startedAt)) {
+        summary.corrected++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Failed to reconcile section density', {
+        mapSectionId,
+        baseCount,
+        error: (error as Error).message
+      });
+    }
+  }
+}
+
+async function scanStoredDensities(): Promise<Map<string, number>> {
+  const densities = new Map<string, number>();
+  let exclusiveStartKey: Record<string, unknown> | undefined;
+
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: SECTION_DENSITY_TABLE,
+      ProjectionExpression: 'mapSectionId, baseCount',
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    ((response.Items ?? []) as SectionDensity[]).forEach(item => densities.set(item.mapSectionId, item.baseCount));
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return densities;
+}
+
+async function countBasesPerSection(): Promise<{ bases: number; counts: Map<string, number> }> {
+  const counts = new Map<string, number>();
+  let bases = 0;
+  let exclusiveStartKey: Record<string, unknown> | undefined;
+
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: PLAYER_BASES_TABLE,
+      ProjectionExpression: 'mapSectionId, #status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+
+    ((response.Items ?? []) as DensityImage[]).forEach(image => {
+      if (countsTowardsDensity(image)) {
+        bases++;
+        counts.set(image.mapSectionId, (counts.get(image.mapSectionId) ?? 0) + 1);
+      }
+    });
+    exclusiveStartKey = response.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return { bases, counts };
+}
+
+/**
+ * Overwrite a section's count unless the stream consumer changed it since the scan began
+ *
+ * Returns false when the section was skipped.
+ */
+async function writeSectionCount(mapSectionId: string, baseCount: number, startedAt: number): Promise<boolean> {
+  const now = Date.now();
+
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: SECTION_DENSITY_TABLE,
+      Key: { mapSectionId },
+      UpdateExpression: 'SET baseCount = :baseCount, updatedAt = :now, reconciledAt = :now',
+      ConditionExpression: 'attribute_not_exists(updatedAt) OR updatedAt < :startedAt',
+      ExpressionAttributeValues: {
+        ':baseCount': baseCount,
+        ':now': now,
+        ':startedAt': startedAt
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      return false;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,94 @@
+import { DynamoDBStreamEvent, DynamoDBBatchResponse, DynamoDBRecord } from 'aws-lambda';
+import { DynamoDBClient, AttributeValue } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { StructuredLogger } from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+import { getSectionDensityDeltas } from '../shared/section-density';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('UpdateSectionDensityHandler');
+
+const SECTION_DENSITY_TABLE = process.env.SECTION_DENSITY_TABLE ?? '';
+
+/**
+ * Update Section Density Handler
+ *
+ * PlayerBases stream consumer that keeps the SectionDensity table current:
+ * - Creates count +1 in the base's section
+ * - Moves between sections count -1 in the old and +1 in the new section
+ * - Destroying (or deleting) a base counts -1 in its section
+ *
+ * Records are applied in stream order. Each record's updates are one
+ * transaction whose client token is the stream event id, so a record
+ * retried within DynamoDB's idempotency window is not counted twice. The
+ * first failing record is reported so the batch resumes from it.
+ */
+export const handler = async (
+  event: DynamoDBStreamEvent
+): Promise<DynamoDBBatchResponse> => {
+  let applied = 0;
+
+  for (const record of event.Records) {
+    try {
+      if (await applyDensityChange(record)) {
+        applied++;
+      }
+    } catch (error) {
+      logger.error('Failed to update section density', {
+        eventId: record.eventID,
+        sequenceNumber: record.dynamodb?.SequenceNumber,
+        error: (error as Error).message
+      });
+
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb?.SequenceNumber ?? '' }]
+      };
+    }
+  }
+
+  logger.info('Section density updated', {
+    records: event.Records.length,
+    applied
+  });
+
+  return { batchItemFailures: [] };
+};
+
+/**
+ * Apply one stream record's count changes; false when it changes no section
+ */
+async function applyDensityChange(record: DynamoDBRecord): Promise<boolean> {
+  const deltas = getSectionDensityDeltas(
+    toBaseImage(record.dynamodb?.OldImage),
+    toBaseImage(record.dynamodb?.NewImage)
+  );
+
+  if (deltas.size === 0) {
+    return false;
+  }
+
+  const now = Date.now();
+
+  await docClient.send(new TransactWriteCommand({
+    ClientRequestToken: record.eventID,
+    TransactItems: [...deltas].map(([mapSectionId, delta]) => ({
+      Update: {
+        TableName: SECTION_DENSITY_TABLE,
+        Key: { mapSectionId },
+        UpdateExpression: 'ADD baseCount :delta SET updatedAt = :now',
+        ExpressionAttributeValues: {
+          ':delta': delta,
+          ':now': now
+        }
+      }
+    }))
+  }));
+
+  return true;
+}
+
+function toBaseImage(image: Record<string, unknown> | undefined): PlayerBase | undefined {
+  return image ? unmarshall(image as Record<string, AttributeValue>) as PlayerBase : undefined;
+}
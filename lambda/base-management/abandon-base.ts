@@ -0,0 +1,78 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { PlayerBase } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { getPlayerBase, abandonBase, restoreBase } from '../shared/base-removal';
+
+const logger = new StructuredLogger('AbandonBaseHandler');
+
+/**
+ * Abandon Base Handler
+ *
+ * Lets players give up a base without losing it by accident:
+ * - DELETE /bases/{baseId} starts the undo window (removal.abandonUndoMinutes)
+ * - POST /bases/{baseId}/restore returns the base to its previous status
+ * - The base keeps its tile until the abandonment processor destroys it
+ * - `?playerId=` lets admin and service callers act for another player
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    const restoring = event.httpMethod === 'POST';
+
+    logger.info('Processing base abandon request', {
+      requestId: event.requestContext?.requestId,
+      restoring
+    });
+
+    const identity = resolvePlayerIdentity(event);
+    const base = await getRequestedBase(event, identity.playerId);
+    authorizeBaseAction({ identity, action: 'abandon', base });
+
+    const updatedBase = restoring ? await restoreBase(base) : await abandonBase(base);
+
+    logger.info(restoring ? 'Base restored' : 'Base abandoned', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      status: updatedBase.status,
+      abandonAt: updatedBase.abandonAt
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          base: updatedBase,
+          message: restoring
+            ? 'Base restored'
+            : `Base will be destroyed at ${new Date(updatedBase.abandonAt ?? 0).toISOString()} unless restored`
+        }
+      })
+    };
+  }, logger);
+};
+
+async function getRequestedBase(event: APIGatewayProxyEvent, callerId: string): Promise<PlayerBase> {
+  const baseId = event.pathParameters?.baseId;
+
+  if (!baseId) {
+    throw new GameEngineError(
+      'Missing required parameter: baseId',
+      'INVALID_PARAMETERS',
+      { pathParameters: event.pathParameters }
+    );
+  }
+
+  return getPlayerBase(event.queryStringParameters?.playerId ?? callerId, baseId);
+}
@@ -0,0 +1,214 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { BaseUpgrade, ResourceAmounts } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { calculateCancelRefund } from '../shared/game-rules';
+import { refundResources } from '../shared/resource-ledger';
+import { removeQueuedUpgrade, startQueuedUpgrades } from '../shared/builder-queue';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('CancelUpgradeHandler');
+
+const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+
+/**
+ * Cancel Upgrade Handler
+ *
+ * Stops a running or queued upgrade and pays its cost back:
+ * - Running upgrades can be cancelled before their completion time
+ * - Refunds upgrades.cancelRefundPercent of requirements.resources through the resource ledger
+ * - Queued upgrades never started, so their resources are refunded in full
+ * - Skip-time gold is never refunded; instant upgrades complete immediately
+ * - The freed builder slot starts the next queued upgrade
+ * - `?playerId=` lets admin and service callers act for another player
+ *
+ * The cancellation is conditional on the upgrade still running, so it can
+ * never race the upgrade processor into both completing and refunding.
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing upgrade cancellation', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const identity = resolvePlayerIdentity(event);
+    const upgrade = await getRequestedUpgrade(event, identity.playerId);
+    authorizeBaseAction({ identity, action: 'upgrade', base: { playerId: upgrade.playerId, baseId: upgrade.baseId } });
+
+    const now = Date.now();
+    assertCancellable(upgrade, now);
+
+    const refund = upgrade.status === 'queued'
+      ? upgrade.requirements.resources
+      : calculateCancelRefund(upgrade.requirements.resources);
+    const cancelledUpgrade = await markUpgradeCancelled(upgrade, refund, now);
+    const refunded = await payRefund(cancelledUpgrade, refund);
+    const startedUpgrades = await startQueuedUpgrades(upgrade.playerId);
+
+    logger.info('Upgrade cancelled', {
+      playerId: upgrade.playerId,
+      baseId: upgrade.baseId,
+      upgradeId: upgrade.upgradeId,
+      refund,
+      refunded
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          upgrade: cancelledUpgrade,
+          refund,
+          refunded,
+          startedUpgradeIds: startedUpgrades.map(started => started.upgradeId),
+          message: 'Upgrade cancelled'
+        }
+      })
+    };
+  }, logger);
+};
+
+async function getRequestedUpgrade(event: APIGatewayProxyEvent, callerId: string): Promise<BaseUpgrade> {
+  const { baseId, upgradeId } = event.pathParameters ?? {};
+
+  if (!baseId || !upgradeId) {
+    throw new GameEngineError(
+      'Missing required parameters: baseId and upgradeId',
+      'INVALID_PARAMETERS',
+      { pathParameters: event.pathParameters }
+    );
+  }
+
+  const playerId = event.queryStringParameters?.playerId ?? callerId;
+
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: BASE_UPGRADES_TABLE,
+      Key: { playerId, upgradeId },
+      ConsistentRead: true
+    }));
+
+    const upgrade = response.Item as BaseUpgrade | undefined;
+
+    if (upgrade?.baseId !== baseId) {
+      throw new GameEngineError('Upgrade not found', 'UPGRADE_NOT_FOUND', { playerId, baseId, upgradeId });
+    }
+
+    return upgrade;
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to retrieve upgrade',
+      'UPGRADE_RETRIEVAL_ERROR',
+      { playerId, upgradeId, error: (error as Error).message }
+    );
+  }
+}
+
+function assertCancellable(upgrade: BaseUpgrade, now: number): void {
+  if (upgrade.status === 'completed') {
+    throw new GameEngineError(
+      'Upgrade has already completed',
+      'UPGRADE_ALREADY_COMPLETED',
+      { upgradeId: upgrade.upgradeId }
+    );
+  }
+  if (upgrade.status === 'queued') {
+    return;
+  }
+  if (upgrade.status !== 'in_progress' || (upgrade.completionTime ?? 0) <= now) {
+    throw notCancellableError(upgrade);
+  }
+}
+
+/**
+ * Mark the upgrade cancelled and record the refund it is owed
+ *
+ * A queued upgrade also leaves the builder queue in the same transaction,
+ * so the queue order and its version never list a cancelled upgrade.
+ */
+async function markUpgradeCancelled(
+  upgrade: BaseUpgrade,
+  refund: ResourceAmounts,
+  now: number
+): Promise<BaseUpgrade> {
+  const queued = upgrade.status === 'queued';
+  const cancellation = {
+    TableName: BASE_UPGRADES_TABLE,
+    Key: { playerId: upgrade.playerId, upgradeId: upgrade.upgradeId },
+    UpdateExpression: 'SET #status = :cancelled, cancelledAt = :now, refund = :refund',
+    ConditionExpression: queued ? '#status = :queued' : '#status = :inProgress AND completionTime > :now',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: {
+      ':cancelled': 'cancelled',
+      ...(queued ? { ':queued': 'queued' } : { ':inProgress': 'in_progress' }),
+      ':refund': refund,
+      ':now': now
+    }
+  };
+
+  try {
+    if (queued) {
+      if (!(await removeQueuedUpgrade(upgrade, { Update: cancellation }, now))) {
+        throw notCancellableError(upgrade);
+      }
+    } else {
+      await docClient.send(new UpdateCommand(cancellation));
+    }
+
+    return { ...upgrade, status: 'cancelled', cancelledAt: now, refund };
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    // Started, completed or cancelled by a concurrent request since it was read
+    if (error instanceof ConditionalCheckFailedException) {
+      throw notCancellableError(upgrade);
+    }
+    throw new GameEngineError(
+      'Failed to cancel upgrade',
+      'UPGRADE_CANCELLATION_ERROR',
+      { upgradeId: upgrade.upgradeId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Credit the refund; keyed by the upgrade so a retried refund is paid once
+ */
+async function payRefund(upgrade: BaseUpgrade, refund: ResourceAmounts): Promise<boolean> {
+  try {
+    await refundResources(upgrade.playerId, refund, 'upgrade-cancel', `upgrade-cancel:${upgrade.upgradeId}`);
+    return true;
+  } catch (error) {
+    // The upgrade is already cancelled; the refund stays on the record for reconciliation
+    logger.error('Failed to refund cancelled upgrade', {
+      playerId: upgrade.playerId,
+      upgradeId: upgrade.upgradeId,
+      refund,
+      error: (error as Error).message
+    });
+    return false;
+  }
+}
+
+function notCancellableError(upgrade: BaseUpgrade): GameEngineError {
+  return new GameEngineError(
+    'Upgrade is no longer running and cannot be cancelled',
+    'UPGRADE_NOT_CANCELLABLE',
+    { upgradeId: upgrade.upgradeId, status: upgrade.status, completionTime: upgrade.completionTime }
+  );
+}
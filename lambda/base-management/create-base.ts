@@ -1,6 +1,6 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand, QueryCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, TransactWriteCommand, QueryCommand, GetCommand } from '@aws-sdk/lib-dynamodb';
 import { 
   StructuredLogger, 
   GameEngineError,
@@ -12,9 +12,29 @@ import { v4 as uuidv4 } from 'uuid';
 import { 
   BaseTemplate, 
   PlayerBase, 
-  Coordinates, 
-  SpawnLocation 
+  Coordinates,
+  SpawnLocation
 } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { getGameRules } from '../shared/game-rules';
+import { createSeededRandom, generateSeed, RandomSource } from '../shared/seeded-random';
+import { getBaseAllowance } from '../shared/player-entitlements';
+import { chargeResources } from '../shared/resource-ledger';
+import {
+  claimCoordinates,
+  coordinatesOccupiedError,
+  isConditionFailure,
+  toCoordinateHash,
+  TransactItem
+} from '../shared/coordinate-claims';
+import { assertBaseSpacing } from '../shared/base-spacing';
+import { toMapSectionId } from '../shared/map-geometry';
+import {
+  getSpawnReservation,
+  consumeSpawnReservation,
+  spawnReservationConsumedError
+} from '../shared/spawn-reservations';
 
 // Initialize AWS clients following shared patterns
 const dynamoClient = new DynamoDBClient({});
@@ -24,9 +44,11 @@ const logger = new StructuredLogger('CreateBaseHandler');
 // Environment variables
 const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
 const BASE_TEMPLATES_TABLE = process.env.BASE_TEMPLATES_TABLE ?? '';
-const SPAWN_LOCATIONS_TABLE = process.env.SPAWN_LOCATIONS_TABLE ?? '';
 const ENVIRONMENT = process.env.ENVIRONMENT ?? 'test';
 
+// Generated spawn tiles are re-rolled this many times when already claimed
+const MAX_SPAWN_ATTEMPTS = 3;
+
 // Request validation schema following shared-js-utils patterns
 const CreateBaseRequestSchema = z.object({
   playerId: z.string().min(1).max(50),
@@ -55,6 +77,7 @@ type CreateBaseRequestInput = z.infer<typeof CreateBaseRequestSchema>;
  * Game Logic:
  * - Validates player can create new base (subscription limits)
  * - Finds optimal spawn location if not provided
+ * - Consumes the player's spawn reservation atomically with the base
  * - Creates base from template with proper stats
  * - Handles coordinate validation and map sectioning
  * - Implements building time mechanics
@@ -70,6 +93,7 @@ export const handler = async (
 
     // Validate request using shared validation patterns
     const request = await validateRequest<CreateBaseRequestInput>(CreateBaseRequestSchema, event.body);
+    authorizeBaseAction({ identity: resolvePlayerIdentity(event), action: 'create', base: request });
     
     // Check if player can create more bases (subscription limits)
     await validatePlayerBaseLimit(request.playerId);
@@ -77,17 +101,15 @@ export const handler = async (
     // Get base template for stats and requirements
     const template = await getBaseTemplate(request.baseType);
     
-    // Determine coordinates (use provided or calculate spawn location)
-    const coordinates = request.coordinates ?? await calculateSpawnCoordinates(request.spawnLocationId);
-    
-    // Create the new base
-    const newBase = await createPlayerBase(request, template, coordinates);
+    // Create the new base on a free tile, paid for with the template's resource requirements
+    const newBase = await chargeResources(request.playerId, template.requirements.resources, 'base-create',
+      () => createBaseOnFreeTile(request, template));
     
     logger.info('Base created successfully', {
       playerId: request.playerId,
       baseId: newBase.baseId,
       baseType: request.baseType,
-      coordinates
+      coordinates: newBase.coordinates
     });
 
     return {
@@ -131,14 +153,13 @@ async function validatePlayerBaseLimit(playerId: string): Promise<void> {
     const response = await docClient.send(command);
     const currentBaseCount = response.Count ?? 0;
 
-    // TODO: Get player subscription status from player service
-    const maxBases = 5; // Default for free players, 10 for subscribers
+    const { tier, maxBases } = await getBaseAllowance(playerId);
     
     if (currentBaseCount >= maxBases) {
       throw new GameEngineError(
         `Player has reached maximum base limit (${maxBases})`,
         'BASE_LIMIT_EXCEEDED',
-        { playerId, currentCount: currentBaseCount, maxBases }
+        { playerId, currentCount: currentBaseCount, maxBases, tier }
       );
     }
   } catch (error) {
@@ -189,74 +210,84 @@ async function getBaseTemplate(baseType: string): Promise<BaseTemplate> {
 }
 
 /**
- * Calculate spawn coordinates for new base
+ * Generate random spawn coordinates in the starter region
  */
-async function calculateSpawnCoordinates(spawnLocationId?: string): Promise<Coordinates> {
-  try {
-    if (spawnLocationId) {
-      // Use specific spawn location
-      const command = new GetCommand({
-        TableName: SPAWN_LOCATIONS_TABLE,
-        Key: {
-          spawnRegionId: 'default',
-          spawnLocationId: spawnLocationId
-        }
-      });
+function generateSpawnCoordinates(random: RandomSource): Coordinates {
+  const spawnRadius = getGameRules().spawning.spawnRadius;
+  const angle = random() * 2 * Math.PI;
+  const distance = random() * spawnRadius;
+  
+  return {
+    x: Math.floor(Math.cos(angle) * distance),
+    y: Math.floor(Math.sin(angle) * distance)
+  };
+}
 
-      const response = await docClient.send(command);
-      const item = response.Item as SpawnLocation | undefined;
-      
-      if (!item?.isAvailable) {
-        throw new GameEngineError(
-          'Spawn location not available',
-          'SPAWN_LOCATION_UNAVAILABLE',
-          { spawnLocationId }
-        );
-      }
+/**
+ * Create the base, claiming its tile atomically
+ *
+ * Requested coordinates fail fast with COORDINATES_OCCUPIED or
+ * BASE_SPACING_VIOLATION; randomly generated spawn coordinates are
+ * re-rolled a few times first. All rolls come from one seed, which is
+ * stored on the base.
+ */
+async function createBaseOnFreeTile(
+  request: CreateBaseRequestInput,
+  template: BaseTemplate
+): Promise<PlayerBase> {
+  const reservation = await findPlayerReservation(request);
+  // A reserved spawn location wins over requested coordinates
+  const fixedCoordinates = reservation ? reservation.coordinates : request.coordinates;
+  const canReroll = !fixedCoordinates;
+  const spawnSeed = canReroll ? generateSeed() : undefined;
+  const random = createSeededRandom(spawnSeed ?? 0);
 
-      return {
-        x: item.coordinates.x,
-        y: item.coordinates.y
-      };
-    }
+  for (let attempt = 1; ; attempt++) {
+    const coordinates = fixedCoordinates ?? generateSpawnCoordinates(random);
 
-    // Generate random coordinates in starter region
-    // TODO: Implement proper spawn location algorithm based on population density
-    const spawnRadius = 1000; // 1000 unit radius for new players
-    const angle = Math.random() * 2 * Math.PI;
-    const distance = Math.random() * spawnRadius;
-    
-    return {
-      x: Math.floor(Math.cos(angle) * distance),
-      y: Math.floor(Math.sin(angle) * distance)
-    };
-  } catch (error) {
-    if (error instanceof GameEngineError) {
-      throw error;
+    try {
+      await assertBaseSpacing(coordinates, request.baseType);
+      return await createPlayerBase(request, template, coordinates, { reservation, spawnSeed });
+    } catch (error) {
+      if (!isTileUnavailable(error) || !canReroll || attempt >= MAX_SPAWN_ATTEMPTS) {
+        throw error;
+      }
+      logger.info('Spawn tile unavailable, choosing another', { playerId: request.playerId, coordinates, spawnSeed });
     }
-    throw new GameEngineError(
-      'Failed to calculate spawn coordinates',
-      'SPAWN_CALCULATION_ERROR',
-      { spawnLocationId, error: (error as Error).message }
-    );
   }
 }
 
+/**
+ * Spawn reservation named by the request, checked to be usable by its player
+ */
+async function findPlayerReservation(request: CreateBaseRequestInput): Promise<SpawnLocation | undefined> {
+  return request.spawnLocationId
+    ? getSpawnReservation(request.spawnLocationId, request.playerId)
+    : undefined;
+}
+
+function isTileUnavailable(error: unknown): boolean {
+  return error instanceof GameEngineError &&
+    (error.code === 'COORDINATES_OCCUPIED' || error.code === 'BASE_SPACING_VIOLATION');
+}
+
 /**
  * Create the player base record
  */
 async function createPlayerBase(
   request: CreateBaseRequestInput, 
   template: BaseTemplate, 
-  coordinates: Coordinates
+  coordinates: Coordinates,
+  { reservation, spawnSeed }: { reservation?: SpawnLocation; spawnSeed?: number }
 ): Promise<PlayerBase> {
   try {
     const now = Date.now();
     const baseId = uuidv4();
     
-    // Calculate map section for indexing (divide coordinates into 100x100 sections)
-    const mapSectionId = `${Math.floor(coordinates.x / 100)},${Math.floor(coordinates.y / 100)}`;
-    const coordinateHash = `${coordinates.x},${coordinates.y}`;
+    // Calculate map section for indexing
+    const mapSectionId = toMapSectionId(coordinates);
+    const coordinateHash = toCoordinateHash(coordinates);
+    const buildCompletionTime = template.buildTime > 0 ? now + (template.buildTime * 1000) : undefined;
 
     const newBase: PlayerBase = {
       playerId: request.playerId,
@@ -276,28 +307,55 @@ async function createPlayerBase(
       },
       createdAt: now,
       lastActiveAt: now,
-      buildCompletionTime: template.buildTime > 0 ? now + (template.buildTime * 1000) : undefined
+      buildCompletionTime,
+      dueAt: buildCompletionTime,
+      ...(spawnSeed !== undefined && { spawnSeed })
     };
 
-    // Store base in DynamoDB
-    const command = new PutCommand({
-      TableName: PLAYER_BASES_TABLE,
-      Item: newBase,
-      ConditionExpression: 'attribute_not_exists(playerId) AND attribute_not_exists(baseId)'
-    });
+    // Store base, its tile claim and the consumed spawn reservation together
+    const transactItems: TransactItem[] = [
+      {
+        Put: {
+          TableName: PLAYER_BASES_TABLE,
+          Item: newBase,
+          ConditionExpression: 'attribute_not_exists(playerId) AND attribute_not_exists(baseId)'
+        }
+      },
+      claimCoordinates({ coordinateHash, playerId: request.playerId, baseId, claimedAt: now })
+    ];
+
+    if (reservation) {
+      transactItems.push(...consumeSpawnReservation(reservation, baseId, now));
+    }
 
-    await docClient.send(command);
+    await docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
 
     return newBase;
   } catch (error) {
-    throw new GameEngineError(
-      'Failed to create player base',
-      'BASE_CREATION_ERROR',
-      { 
-        playerId: request.playerId, 
-        baseType: request.baseType,
-        error: (error as Error).message 
-      }
-    );
+    throw toCreationError(error, request, coordinates);
+  }
+}
+
+function toCreationError(
+  error: unknown,
+  request: CreateBaseRequestInput,
+  coordinates: Coordinates
+): GameEngineError {
+  // Transaction items: 0 = base, 1 = tile claim, 2 = spawn reservation, 3 = region count
+  if (isConditionFailure(error, 1)) {
+    return coordinatesOccupiedError(coordinates);
+  }
+  // Expired or used by a concurrent request since it was read
+  if (request.spawnLocationId && isConditionFailure(error, 2)) {
+    return spawnReservationConsumedError(request.spawnLocationId);
   }
+  return new GameEngineError(
+    'Failed to create player base',
+    'BASE_CREATION_ERROR',
+    { 
+      playerId: request.playerId, 
+      baseType: request.baseType,
+      error: (error as Error).message 
+    }
+  );
 }
\ No newline at end of file
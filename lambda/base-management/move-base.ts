@@ -1,6 +1,6 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, UpdateCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
 import { 
   StructuredLogger, 
   GameEngineError,
@@ -10,8 +10,22 @@ import {
 import { z } from 'zod';
 import { 
   PlayerBase, 
-  Coordinates 
+  Coordinates,
+  MovementRecord
 } from '../types/game-base-types';
+import { resolvePlayerIdentity, PlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { chargeResources } from '../shared/resource-ledger';
+import {
+  claimCoordinates,
+  releaseCoordinates,
+  coordinatesOccupiedError,
+  isConditionFailure,
+  toCoordinateHash
+} from '../shared/coordinate-claims';
+import { getGameRules, getMovementCooldownRemaining, calculateTeleportCost } from '../shared/game-rules';
+import { assertBaseSpacing } from '../shared/base-spacing';
+import { calculateDistance, toMapSectionId } from '../shared/map-geometry';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -42,11 +56,13 @@ type MoveBaseRequestInput = z.infer<typeof MoveBaseRequestSchema>;
  * - Dependency Inversion: Depends on shared game utilities
  * 
  * Game Mechanics:
- * - Validates movement cooldown (60 minutes default)
- * - Supports instant teleportation for gold cost
- * - Prevents movement to occupied coordinates
+ * - Validates movement cooldown (per-environment game rules)
+ * - Supports instant teleportation for gold cost (free when a GM or admin moves another player's base)
+ * - Claims the destination tile atomically (no two bases per tile)
+ * - Keeps the base type's exclusion radius clear of other bases
  * - Calculates travel time based on distance
  * - Updates map sectioning for efficient queries
+ * - Hands timed moves to the arrival processor via arrivalTime
  * - Implements movement restrictions near enemy bases
  */
 export const handler = async (
@@ -61,18 +77,19 @@ export const handler = async (
     
     // Get current base state
     const currentBase = await getPlayerBase(request.playerId, request.baseId);
+    const identity = resolvePlayerIdentity(event);
+    authorizeBaseAction({ identity, action: 'move', base: currentBase });
     
     // Validate movement is allowed
     validateMovement(currentBase, request.newCoordinates, request.useTeleport);
+    await assertBaseSpacing(request.newCoordinates, currentBase.baseType, request.baseId);
     
-    // Check destination is available
-    await validateDestination(request.newCoordinates, request.baseId);
+    // Calculate movement cost and time; only owners pay for their teleports
+    const movementDetails = calculateMovementDetails(currentBase, request.newCoordinates, request.useTeleport, identity);
     
-    // Calculate movement cost and time
-    const movementDetails = calculateMovementDetails(currentBase, request.newCoordinates, request.useTeleport);
-    
-    // Execute the movement
-    const result = await executeBaseMovement(request, currentBase, movementDetails);
+    // Execute the movement (teleports are charged their gold cost)
+    const result = await chargeResources(request.playerId, { gold: movementDetails.goldCost ?? 0 }, 'teleport',
+      () => executeBaseMovement(request, currentBase, movementDetails));
 
     logger.info('Base movement processed', {
       playerId: request.playerId,
@@ -93,6 +110,7 @@ export const handler = async (
         success: true,
         data: {
           movement: result,
+          goldCharged: movementDetails.goldCost ?? 0,
           message: request.useTeleport 
             ? 'Base teleported instantly' 
             : `Base movement initiated, arrival in ${Math.ceil(movementDetails.travelTime / 60)} minutes`
@@ -146,12 +164,10 @@ function validateMovement(
   useTeleport: boolean
 ): void {
   try {
-    const now = Date.now();
-    const cooldownPeriod = 60 * 60 * 1000; // 60 minutes in milliseconds
+    const remainingCooldown = getMovementCooldownRemaining(base.lastMovedAt);
     
     // Check movement cooldown (unless using teleport)
-    if (!useTeleport && base.lastMovedAt && (now - base.lastMovedAt) < cooldownPeriod) {
-      const remainingCooldown = cooldownPeriod - (now - base.lastMovedAt);
+    if (!useTeleport && remainingCooldown > 0) {
       throw new GameEngineError(
         'Base movement on cooldown',
         'MOVEMENT_COOLDOWN',
@@ -171,10 +187,10 @@ function validateMovement(
       );
     }
 
-    // Validate movement distance (max 1000 units for normal movement)
+    // Validate movement distance for normal movement
     if (!useTeleport) {
       const distance = calculateDistance(base.coordinates, newCoordinates);
-      const maxDistance = 1000;
+      const maxDistance = getGameRules().movement.maxDistance;
       
       if (distance > maxDistance) {
         throw new GameEngineError(
@@ -195,62 +211,21 @@ function validateMovement(
   }
 }
 
-async function validateDestination(
-  coordinates: Coordinates, 
-  excludeBaseId: string
-): Promise<void> {
-  try {
-    const coordinateHash = `${coordinates.x},${coordinates.y}`;
-    
-    // Check if coordinates are occupied by another base
-    const command = new QueryCommand({
-      TableName: PLAYER_BASES_TABLE,
-      IndexName: 'LocationIndex',
-      KeyConditionExpression: 'mapSectionId = :sectionId AND coordinateHash = :coordHash',
-      ExpressionAttributeValues: {
-        ':sectionId': `${Math.floor(coordinates.x / 100)},${Math.floor(coordinates.y / 100)}`,
-        ':coordHash': coordinateHash,
-        ':excludeBaseId': excludeBaseId,
-        ':destroyed': 'destroyed'
-      },
-      FilterExpression: 'baseId <> :excludeBaseId AND #status <> :destroyed',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      }
-    });
-
-    const response = await docClient.send(command);
-    
-    if (response.Items && response.Items.length > 0) {
-      throw new GameEngineError(
-        'Destination coordinates are occupied',
-        'COORDINATES_OCCUPIED',
-        { coordinates, occupiedBy: response.Items[0].baseId }
-      );
-    }
-
-    // TODO: Add validation for restricted zones, enemy alliance territories, etc.
-    
-  } catch (error) {
-    if (error instanceof GameEngineError) throw error;
-    throw new GameEngineError(
-      'Destination validation failed',
-      'DESTINATION_VALIDATION_ERROR',
-      { coordinates, error: (error as Error).message }
-    );
-  }
-}
-
+/**
+ * Teleports of another player's base by a GM or admin are free rather than
+ * spending the owner's gold
+ */
 function calculateMovementDetails(
   base: PlayerBase, 
   newCoordinates: Coordinates, 
-  useTeleport: boolean
+  useTeleport: boolean,
+  identity: PlayerIdentity
 ): { travelTime: number; goldCost?: number; distance: number } {
   const distance = calculateDistance(base.coordinates, newCoordinates);
   
   if (useTeleport) {
     // Instant teleportation with gold cost
-    const goldCost = Math.max(50, Math.ceil(distance / 10)); // 1 gold per 10 units, minimum 50
+    const goldCost = identity.playerId === base.playerId ? calculateTeleportCost(distance) : 0;
     return {
       travelTime: 0,
       goldCost: goldCost,
@@ -266,15 +241,6 @@ function calculateMovementDetails(
   }
 }
 
-function calculateDistance(
-  from: Coordinates, 
-  to: Coordinates
-): number {
-  const dx = to.x - from.x;
-  const dy = to.y - from.y;
-  return Math.sqrt(dx * dx + dy * dy);
-}
-
 async function executeBaseMovement(
   request: MoveBaseRequestInput,
   base: PlayerBase,
@@ -283,55 +249,106 @@ async function executeBaseMovement(
   try {
     const now = Date.now();
     const arrivalTime = now + (movementDetails.travelTime * 1000);
-    
+
     // Calculate new map section
-    const newMapSectionId = `${Math.floor(request.newCoordinates.x / 100)},${Math.floor(request.newCoordinates.y / 100)}`;
-    const newCoordinateHash = `${request.newCoordinates.x},${request.newCoordinates.y}`;
-    
+    const newMapSectionId = toMapSectionId(request.newCoordinates);
+    const newCoordinateHash = toCoordinateHash(request.newCoordinates);
+
+    // Teleports arrive immediately and are recorded as completed moves;
+    // regular moves keep their origin until the arrival processor completes them
     const updateExpression = request.useTeleport
-      ? 'SET coordinates = :newCoords, mapSectionId = :newSection, coordinateHash = :newHash, lastMovedAt = :now, lastActiveAt = :now'
-      : 'SET coordinates = :newCoords, mapSectionId = :newSection, coordinateHash = :newHash, #status = :moving, lastMovedAt = :now, lastActiveAt = :now, arrivalTime = :arrivalTime';
-    
-    const expressionAttributeNames: Record<string, string> = request.useTeleport ? {} : { '#status': 'status' };
+      ? 'SET coordinates = :newCoords, mapSectionId = :newSection, coordinateHash = :newHash, lastMovedAt = :now, lastActiveAt = :now, lastMove = :lastMove'
+      : 'SET coordinates = :newCoords, mapSectionId = :newSection, coordinateHash = :newHash, #status = :moving, lastMovedAt = :now, lastActiveAt = :now, arrivalTime = :arrivalTime, dueAt = :arrivalTime, movementOrigin = :origin';
+
     const expressionAttributeValues: Record<string, unknown> = {
       ':newCoords': request.newCoordinates,
       ':newSection': newMapSectionId,
       ':newHash': newCoordinateHash,
-      ':now': now
+      ':now': now,
+      ':oldHash': base.coordinateHash,
+      ':active': 'active'
     };
 
-    if (!request.useTeleport) {
+    const movedBase: PlayerBase = {
+      ...base,
+      coordinates: request.newCoordinates,
+      mapSectionId: newMapSectionId,
+      coordinateHash: newCoordinateHash,
+      lastMovedAt: now,
+      lastActiveAt: now
+    };
+
+    if (request.useTeleport) {
+      const lastMove: MovementRecord = {
+        from: base.coordinates,
+        to: request.newCoordinates,
+        departedAt: now,
+        arrivedAt: now,
+        teleport: true
+      };
+      expressionAttributeValues[':lastMove'] = lastMove;
+      movedBase.lastMove = lastMove;
+    } else {
       expressionAttributeValues[':moving'] = 'moving';
       expressionAttributeValues[':arrivalTime'] = arrivalTime;
+      expressionAttributeValues[':origin'] = base.coordinates;
+      Object.assign(movedBase, { status: 'moving', arrivalTime, dueAt: arrivalTime, movementOrigin: base.coordinates });
     }
 
-    const command = new UpdateCommand({
-      TableName: PLAYER_BASES_TABLE,
-      Key: {
-        playerId: request.playerId,
-        baseId: request.baseId
-      },
-      UpdateExpression: updateExpression,
-      ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
+    // Move the base, claim the destination tile and release the old one atomically
+    const command = new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: PLAYER_BASES_TABLE,
+            Key: {
+              playerId: request.playerId,
+              baseId: request.baseId
+            },
+            UpdateExpression: updateExpression,
+            ConditionExpression: 'coordinateHash = :oldHash AND #status = :active',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: expressionAttributeValues
+          }
+        },
+        claimCoordinates({
+          coordinateHash: newCoordinateHash,
+          playerId: request.playerId,
+          baseId: request.baseId,
+          claimedAt: now
+        }),
+        releaseCoordinates(base.coordinateHash, request.baseId)
+      ]
     });
 
-    const response = await docClient.send(command);
-
-    // TODO: If teleport, deduct gold cost from player resources (integrate with resource service)
+    await docClient.send(command);
 
-    return response.Attributes as PlayerBase;
+    return movedBase;
 
   } catch (error) {
-    throw new GameEngineError(
-      'Failed to execute base movement',
-      'MOVEMENT_EXECUTION_ERROR',
-      { 
-        playerId: request.playerId, 
-        baseId: request.baseId,
-        error: (error as Error).message 
-      }
+    throw toMovementError(error, request);
+  }
+}
+
+function toMovementError(error: unknown, request: MoveBaseRequestInput): GameEngineError {
+  // Transaction items: 0 = base update, 1 = destination claim
+  if (isConditionFailure(error, 1)) {
+    return coordinatesOccupiedError(request.newCoordinates);
+  }
+  if (isConditionFailure(error, 0)) {
+    return new GameEngineError(
+      'Base changed while the movement was being processed',
+      'INVALID_BASE_STATUS',
+      { playerId: request.playerId, baseId: request.baseId }
     );
   }
+  return new GameEngineError(
+    'Failed to execute base movement',
+    'MOVEMENT_EXECUTION_ERROR',
+    {
+      playerId: request.playerId,
+      baseId: request.baseId,
+      error: (error as Error).message
+    }
+  );
 }
\ No newline at end of file
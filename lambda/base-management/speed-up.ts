@@ -0,0 +1,345 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling,
+  validateRequest
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { BaseUpgrade, PlayerBase, ResourceAmounts, SpeedUpRecord } from '../types/game-base-types';
+import { resolvePlayerIdentity, PlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { getPlayerBase } from '../shared/base-removal';
+import { completeUpgrade, findInProgressUpgrades } from '../shared/upgrade-completion-engine';
+import { chargeResources } from '../shared/resource-ledger';
+import { startQueuedUpgrades } from '../shared/builder-queue';
+import { calculateSpeedUpCost, getGameRules } from '../shared/game-rules';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('SpeedUpHandler');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+
+const SpeedUpRequestSchema = z.object({
+  playerId: z.string().min(1).max(50),
+  baseId: z.string().min(1).max(50),
+  target: z.enum(['upgrade', 'build', 'move']),
+  upgradeId: z.string().min(1).max(100).optional(), // Defaults to the base's running upgrade
+  finishWithGold: z.boolean().optional().default(false),
+  boosts: z.record(z.string(), z.number().int().positive().max(1000)).optional()
+}).refine(
+  request => request.finishWithGold !== (request.boosts !== undefined && Object.keys(request.boosts).length > 0),
+  { message: 'Provide either finishWithGold or boosts' }
+);
+
+type SpeedUpRequestInput = z.infer<typeof SpeedUpRequestSchema>;
+
+// The running timer a speed-up applies to, and the record that holds it
+interface SpeedUpTimer {
+  tableName: string;
+  key: Record<string, string>;
+  status: string;
+  dueAttribute: 'completionTime' | 'buildCompletionTime' | 'arrivalTime';
+  dueAt: number;
+  inDueIndex: boolean; // Base timers mirror their due time into dueAt for the scheduled processors
+  upgrade?: BaseUpgrade;
+}
+
+/**
+ * Speed Up Handler
+ *
+ * Shortens an upgrade, construction or move that is already running:
+ * - finishWithGold finishes it now for gold priced on the remaining time
+ * - boosts spend time-reduction items (speedUps.boostSeconds) through the resource ledger;
+ *   boosts that overshoot the remaining time by a whole smallest boost are rejected
+ * - Free when a GM, admin or service speeds up another player's timer
+ * - Every application is appended to the record's speedUps list for auditing
+ * - A finished upgrade is applied immediately and frees its builder slot;
+ *   finished builds and moves are completed by their scheduled processors
+ *   within a minute
+ *
+ * The new due time is conditional on the due time that was read, so two
+ * concurrent speed-ups never both charge for the same remaining time.
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing speed-up request', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const request = await validateRequest<SpeedUpRequestInput>(SpeedUpRequestSchema, event.body);
+    const identity = resolvePlayerIdentity(event);
+
+    const base = await getPlayerBase(request.playerId, request.baseId);
+    authorizeBaseAction({ identity, action: request.target === 'move' ? 'move' : 'upgrade', base });
+
+    const timer = await getRunningTimer(request, base);
+    const now = Date.now();
+    const speedUp = priceSpeedUp(request, timer, identity, now);
+
+    await chargeResources(request.playerId, speedUpCost(speedUp), `speed-up-${request.target}`, () => applySpeedUp(timer, speedUp));
+    const upgrade = timer.upgrade && await finishUpgrade(timer.upgrade, speedUp);
+
+    logger.info('Speed-up applied', {
+      playerId: request.playerId,
+      baseId: request.baseId,
+      target: request.target,
+      method: speedUp.method,
+      secondsReduced: speedUp.secondsReduced
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          speedUp,
+          finished: speedUp.newDueAt <= now,
+          ...(upgrade && { upgrade }),
+          message: speedUp.newDueAt <= now
+            ? `The ${request.target} is finished`
+            : `The ${request.target} now completes at ${new Date(speedUp.newDueAt).toISOString()}`
+        }
+      })
+    };
+  }, logger);
+};
+
+async function getRunningTimer(request: SpeedUpRequestInput, base: PlayerBase): Promise<SpeedUpTimer> {
+  const baseKey = { playerId: base.playerId, baseId: base.baseId };
+
+  if (request.target === 'build') {
+    return requireRunning(request, {
+      tableName: PLAYER_BASES_TABLE,
+      key: baseKey,
+      status: 'building',
+      dueAttribute: 'buildCompletionTime',
+      dueAt: base.status === 'building' ? base.buildCompletionTime ?? 0 : 0,
+      inDueIndex: true
+    });
+  }
+
+  if (request.target === 'move') {
+    return requireRunning(request, {
+      tableName: PLAYER_BASES_TABLE,
+      key: baseKey,
+      status: 'moving',
+      dueAttribute: 'arrivalTime',
+      dueAt: base.status === 'moving' ? base.arrivalTime ?? 0 : 0,
+      inDueIndex: true
+    });
+  }
+
+  const upgrade = await getRunningUpgrade(request, base);
+  return requireRunning(request, {
+    tableName: BASE_UPGRADES_TABLE,
+    key: { playerId: upgrade.playerId, upgradeId: upgrade.upgradeId },
+    status: 'in_progress',
+    dueAttribute: 'completionTime',
+    dueAt: upgrade.status === 'in_progress' ? upgrade.completionTime ?? 0 : 0,
+    inDueIndex: false,
+    upgrade
+  });
+}
+
+async function getRunningUpgrade(request: SpeedUpRequestInput, base: PlayerBase): Promise<BaseUpgrade> {
+  try {
+    let upgrade: BaseUpgrade | undefined;
+
+    if (request.upgradeId) {
+      const response = await docClient.send(new GetCommand({
+        TableName: BASE_UPGRADES_TABLE,
+        Key: { playerId: base.playerId, upgradeId: request.upgradeId },
+        ConsistentRead: true
+      }));
+      upgrade = response.Item as BaseUpgrade | undefined;
+    } else {
+      [upgrade] = await findInProgressUpgrades(base.baseId);
+    }
+
+    if (upgrade?.baseId !== base.baseId) {
+      throw new GameEngineError(
+        'Upgrade not found',
+        'UPGRADE_NOT_FOUND',
+        { playerId: base.playerId, baseId: base.baseId, upgradeId: request.upgradeId }
+      );
+    }
+
+    return upgrade;
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to retrieve upgrade',
+      'UPGRADE_RETRIEVAL_ERROR',
+      { playerId: base.playerId, upgradeId: request.upgradeId, error: (error as Error).message }
+    );
+  }
+}
+
+function requireRunning(request: SpeedUpRequestInput, timer: SpeedUpTimer): SpeedUpTimer {
+  if (timer.dueAt <= Date.now()) {
+    throw notApplicableError(request, timer);
+  }
+  return timer;
+}
+
+/**
+ * Work out what the speed-up removes and what it costs
+ *
+ * Only owners pay: a GM, admin or service acting on another player's base
+ * must not spend that player's gold or boosts.
+ */
+function priceSpeedUp(
+  request: SpeedUpRequestInput,
+  timer: SpeedUpTimer,
+  identity: PlayerIdentity,
+  now: number
+): SpeedUpRecord {
+  const remainingSeconds = Math.ceil((timer.dueAt - now) / 1000);
+  const record = {
+    appliedAt: now,
+    appliedBy: identity.playerId,
+    charged: identity.playerId === timer.key.playerId, // Timer records are keyed by the base owner
+    previousDueAt: timer.dueAt
+  };
+
+  if (request.finishWithGold) {
+    return {
+      ...record,
+      method: 'gold',
+      goldCost: calculateSpeedUpCost(remainingSeconds),
+      secondsReduced: remainingSeconds,
+      newDueAt: now
+    };
+  }
+
+  const boosts = request.boosts ?? {};
+  const { boostSeconds } = getGameRules().speedUps;
+  const unknownBoosts = Object.keys(boosts).filter(boostId => !(boostId in boostSeconds));
+
+  if (unknownBoosts.length > 0) {
+    throw new GameEngineError('Unknown speed-up boosts', 'VALIDATION_ERROR', { unknownBoosts });
+  }
+
+  const boostTotal = Object.entries(boosts).reduce((total, [boostId, count]) => total + boostSeconds[boostId] * count, 0);
+  assertBoostsNeeded(boostTotal, remainingSeconds, boostSeconds);
+  const secondsReduced = Math.min(boostTotal, remainingSeconds);
+
+  return {
+    ...record,
+    method: 'boost',
+    boosts,
+    secondsReduced,
+    newDueAt: Math.max(now, timer.dueAt - boostTotal * 1000)
+  };
+}
+
+/**
+ * Boosts are consumed whole, so only the overshoot no smaller boost could
+ * avoid is accepted; anything more would waste the player's items
+ */
+function assertBoostsNeeded(boostTotal: number, remainingSeconds: number, boostSeconds: Record<string, number>): void {
+  const smallestBoost = Math.min(...Object.values(boostSeconds));
+
+  if (boostTotal - remainingSeconds >= smallestBoost) {
+    throw new GameEngineError(
+      'Boosts exceed the remaining time; use fewer or smaller boosts',
+      'SPEED_UP_BOOSTS_EXCEED_REMAINING',
+      { remainingSeconds, boostSeconds: boostTotal, smallestBoostSeconds: smallestBoost }
+    );
+  }
+}
+
+function speedUpCost(speedUp: SpeedUpRecord): ResourceAmounts {
+  if (!speedUp.charged) {
+    return {};
+  }
+  return speedUp.method === 'gold' ? { gold: speedUp.goldCost ?? 0 } : speedUp.boosts ?? {};
+}
+
+/**
+ * Move the due time forward and record the speed-up on the timer's record
+ */
+async function applySpeedUp(timer: SpeedUpTimer, speedUp: SpeedUpRecord): Promise<void> {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: timer.tableName,
+      Key: timer.key,
+      UpdateExpression: timer.inDueIndex
+        ? 'SET #due = :newDueAt, dueAt = :newDueAt, speedUps = list_append(if_not_exists(speedUps, :none), :speedUp)'
+        : 'SET #due = :newDueAt, speedUps = list_append(if_not_exists(speedUps, :none), :speedUp)',
+      ConditionExpression: '#status = :status AND #due = :dueAt',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#due': timer.dueAttribute
+      },
+      ExpressionAttributeValues: {
+        ':status': timer.status,
+        ':dueAt': timer.dueAt,
+        ':newDueAt': speedUp.newDueAt,
+        ':none': [],
+        ':speedUp': [speedUp]
+      }
+    }));
+  } catch (error) {
+    // Finished, cancelled or sped up by a concurrent request since it was read
+    if (error instanceof ConditionalCheckFailedException) {
+      throw new GameEngineError(
+        'Timer changed since it was read; nothing was charged',
+        'SPEED_UP_NOT_APPLICABLE',
+        { ...timer.key, dueAttribute: timer.dueAttribute }
+      );
+    }
+    throw new GameEngineError(
+      'Failed to apply speed-up',
+      'SPEED_UP_ERROR',
+      { ...timer.key, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Apply a finished upgrade now, the way skip-time upgrades are applied
+ */
+async function finishUpgrade(upgrade: BaseUpgrade, speedUp: SpeedUpRecord): Promise<BaseUpgrade> {
+  const spedUp: BaseUpgrade = {
+    ...upgrade,
+    completionTime: speedUp.newDueAt,
+    speedUps: [...(upgrade.speedUps ?? []), speedUp]
+  };
+
+  if (speedUp.newDueAt > speedUp.appliedAt) {
+    return spedUp;
+  }
+
+  try {
+    const result = await completeUpgrade(spedUp, speedUp.appliedAt);
+    await startQueuedUpgrades(upgrade.playerId);
+    return result?.upgrade ?? spedUp;
+  } catch (error) {
+    // The speed-up is paid for and recorded; the upgrade processor completes it
+    logger.warn('Failed to complete sped-up upgrade', {
+      upgradeId: upgrade.upgradeId,
+      error: (error as Error).message
+    });
+    return spedUp;
+  }
+}
+
+function notApplicableError(request: SpeedUpRequestInput, timer: SpeedUpTimer): GameEngineError {
+  return new GameEngineError(
+    `No running ${request.target} to speed up`,
+    'SPEED_UP_NOT_APPLICABLE',
+    { ...timer.key, target: request.target }
+  );
+}
@@ -1,6 +1,6 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, UpdateCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, GetCommand } from '@aws-sdk/lib-dynamodb';
 import { 
   StructuredLogger, 
   GameEngineError,
@@ -11,8 +11,15 @@ import { z } from 'zod';
 import { v4 as uuidv4 } from 'uuid';
 import { 
   PlayerBase, 
-  BaseTemplate
+  BaseTemplate,
+  BaseUpgrade
 } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { completeUpgrade } from '../shared/upgrade-completion-engine';
+import { placeUpgrade, startQueuedUpgrades } from '../shared/builder-queue';
+import { chargeResources } from '../shared/resource-ledger';
+import { calculateSpeedUpCost } from '../shared/game-rules';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -20,7 +27,6 @@ const logger = new StructuredLogger('UpgradeBaseHandler');
 
 const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
 const BASE_TEMPLATES_TABLE = process.env.BASE_TEMPLATES_TABLE ?? '';
-const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
 // Environment available if needed
 
 const UpgradeBaseRequestSchema = z.object({
@@ -32,22 +38,9 @@ const UpgradeBaseRequestSchema = z.object({
 
 type UpgradeBaseRequestInput = z.infer<typeof UpgradeBaseRequestSchema>;
 
-interface BaseUpgrade {
-  playerId: string;
-  upgradeId: string;
-  baseId: string;
-  upgradeType: string;
-  fromLevel: number;
-  toLevel: number;
-  requirements: {
-    resources: Record<string, number>;
-    time: number;
-    goldCost?: number;
-  };
-  status: 'in_progress' | 'completed' | 'cancelled';
-  startedAt: number;
-  completionTime: number;
-  ttl?: number;
+interface StartedUpgrade {
+  upgrade: BaseUpgrade;
+  instantFinishFailed: boolean; // Skip-time completion failed; the upgrade runs on its timer and no gold was kept
 }
 
 /**
@@ -64,8 +57,8 @@ interface BaseUpgrade {
  * - Validates upgrade requirements (resources, level, time)
  * - Supports instant upgrades for premium players (gold cost)
  * - Tracks upgrade progress with completion times
- * - Updates base stats upon completion
- * - Implements upgrade queue system
+ * - Updates base stats upon completion via the upgrade completion engine
+ * - Queues the upgrade when all of the player's builder slots are busy
  */
 export const handler = async (
   event: APIGatewayProxyEvent
@@ -79,26 +72,21 @@ export const handler = async (
     
     // Get current base state
     const currentBase = await getPlayerBase(request.playerId, request.baseId);
+    authorizeBaseAction({ identity: resolvePlayerIdentity(event), action: 'upgrade', base: currentBase });
     
     // Validate upgrade is possible
     const upgradeTemplate = await validateUpgradeRequirements(currentBase, request.upgradeType);
     
-    // Check for existing active upgrades
-    await checkActiveUpgrades(request.playerId, request.baseId);
-    
-    // Create upgrade record
-    const upgrade = await createUpgradeRecord(request, currentBase, upgradeTemplate);
-    
-    // If instant upgrade (skipTime), complete immediately
-    if (request.skipTime) {
-      await completeInstantUpgrade(upgrade, currentBase);
-    }
+    // Charge the upgrade, start or queue it, then optionally complete it immediately for gold
+    const { upgrade, instantFinishFailed } = await startUpgrade(request, currentBase, upgradeTemplate);
 
     logger.info('Base upgrade initiated', {
       playerId: request.playerId,
       baseId: request.baseId,
       upgradeType: request.upgradeType,
-      instant: request.skipTime
+      instant: request.skipTime,
+      instantFinishFailed,
+      status: upgrade.status
     });
 
     return {
@@ -111,9 +99,8 @@ export const handler = async (
         success: true,
         data: {
           upgrade: upgrade,
-          message: request.skipTime 
-            ? 'Base upgrade completed instantly' 
-            : 'Base upgrade started successfully'
+          instantFinishFailed,
+          message: getUpgradeMessage(upgrade, instantFinishFailed)
         }
       })
     };
@@ -139,9 +126,9 @@ async function getPlayerBase(playerId: string, baseId: string): Promise<PlayerBa
 
     const base = response.Item as PlayerBase;
     
-    if (base.status === 'destroyed') {
+    if (base.status === 'destroyed' || base.status === 'abandoning') {
       throw new GameEngineError(
-        'Cannot upgrade destroyed base',
+        `Cannot upgrade ${base.status} base`,
         'INVALID_BASE_STATUS',
         { playerId, baseId, status: base.status }
       );
@@ -178,12 +165,8 @@ async function validateUpgradeRequirements(base: PlayerBase, upgradeType: string
       );
     }
 
-    const template = response.Item as BaseTemplate;
-    
-    // TODO: Validate player has required resources
-    // This would integrate with resource service
-    
-    return template;
+    // Resource requirements are checked when the upgrade is charged
+    return response.Item as BaseTemplate;
   } catch (error) {
     if (error instanceof GameEngineError) throw error;
     throw new GameEngineError(
@@ -194,47 +177,16 @@ async function validateUpgradeRequirements(base: PlayerBase, upgradeType: string
   }
 }
 
-async function checkActiveUpgrades(playerId: string, baseId: string): Promise<void> {
-  try {
-    // Check if base already has active upgrade
-    const command = new GetCommand({
-      TableName: BASE_UPGRADES_TABLE,
-      Key: { 
-        playerId,
-        upgradeId: `${baseId}-active`
-      }
-    });
-
-    const response = await docClient.send(command);
-    
-    if (response.Item && response.Item.status === 'in_progress') {
-      throw new GameEngineError(
-        'Base already has an active upgrade',
-        'UPGRADE_IN_PROGRESS',
-        { playerId, baseId, activeUpgrade: response.Item.upgradeId }
-      );
-    }
-  } catch (error) {
-    if (error instanceof GameEngineError) throw error;
-    throw new GameEngineError(
-      'Failed to check active upgrades',
-      'ACTIVE_UPGRADE_CHECK_ERROR',
-      { playerId, baseId, error: (error as Error).message }
-    );
-  }
-}
-
 async function createUpgradeRecord(
   request: UpgradeBaseRequestInput,
   base: PlayerBase,
   template: BaseTemplate
 ): Promise<BaseUpgrade> {
   try {
-    const now = Date.now();
     const upgradeTime = template.buildTime ?? 3600; // Default 1 hour
-    const completionTime = now + (upgradeTime * 1000);
-    
-    const upgrade: BaseUpgrade = {
+
+    // Starts in a free builder slot, or waits in the player's queue
+    return await placeUpgrade({
       playerId: request.playerId,
       upgradeId: `${request.baseId}-${uuidv4()}`,
       baseId: request.baseId,
@@ -244,22 +196,11 @@ async function createUpgradeRecord(
       requirements: {
         resources: template.requirements?.resources ?? {},
         time: upgradeTime,
-        goldCost: request.skipTime ? calculateInstantUpgradeCost(upgradeTime) : undefined
-      },
-      status: 'in_progress',
-      startedAt: now,
-      completionTime: completionTime,
-      ttl: completionTime + (7 * 24 * 60 * 60 * 1000) // Cleanup after 7 days
-    };
-
-    const command = new PutCommand({
-      TableName: BASE_UPGRADES_TABLE,
-      Item: upgrade
-    });
-
-    await docClient.send(command);
-    return upgrade;
+        ...(request.skipTime && { goldCost: calculateSpeedUpCost(upgradeTime) })
+      }
+    }, { instant: request.skipTime });
   } catch (error) {
+    if (error instanceof GameEngineError) throw error;
     throw new GameEngineError(
       'Failed to create upgrade record',
       'UPGRADE_RECORD_ERROR',
@@ -272,56 +213,67 @@ async function createUpgradeRecord(
   }
 }
 
-async function completeInstantUpgrade(upgrade: BaseUpgrade, base: PlayerBase): Promise<void> {
+/**
+ * Start an upgrade paid for through the resource ledger
+ *
+ * The skip-time gold is reserved first so a player without enough gold is
+ * rejected before anything changes. Resources are committed once the upgrade
+ * record exists; if instant completion then fails only the gold is released
+ * and the running upgrade is returned, flagged, instead of failing a request
+ * that has already started and paid for the upgrade.
+ */
+async function startUpgrade(
+  request: UpgradeBaseRequestInput,
+  base: PlayerBase,
+  template: BaseTemplate
+): Promise<StartedUpgrade> {
+  const goldCost = request.skipTime ? calculateSpeedUpCost(template.buildTime ?? 3600) : 0;
+  let startedUpgrade: BaseUpgrade | undefined;
+
   try {
-    const now = Date.now();
-    
-    // Update upgrade record to completed
-    const updateUpgradeCommand = new UpdateCommand({
-      TableName: BASE_UPGRADES_TABLE,
-      Key: {
-        playerId: upgrade.playerId,
-        upgradeId: upgrade.upgradeId
-      },
-      UpdateExpression: 'SET #status = :status, completionTime = :now',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
-      ExpressionAttributeValues: {
-        ':status': 'completed',
-        ':now': now
-      }
+    const upgrade = await chargeResources(request.playerId, { gold: goldCost }, 'instant-upgrade', async () => {
+      startedUpgrade = await chargeResources(request.playerId, template.requirements?.resources ?? {}, 'base-upgrade',
+        () => createUpgradeRecord(request, base, template));
+
+      return request.skipTime ? completeInstantUpgrade(startedUpgrade) : startedUpgrade;
     });
 
-    // Update base level and stats
-    const updateBaseCommand = new UpdateCommand({
-      TableName: PLAYER_BASES_TABLE,
-      Key: {
-        playerId: base.playerId,
-        baseId: base.baseId
-      },
-      UpdateExpression: 'SET #level = #level + :inc, lastActiveAt = :now, stats.defense = stats.defense + :defenseInc, stats.storage = stats.storage + :storageInc, stats.production = stats.production + :prodInc',
-      ExpressionAttributeNames: {
-        '#level': 'level'
-      },
-      ExpressionAttributeValues: {
-        ':inc': 1,
-        ':now': now,
-        ':defenseInc': 10, // TODO: Get from template
-        ':storageInc': 100,
-        ':prodInc': 5
-      }
+    return { upgrade, instantFinishFailed: false };
+  } catch (error) {
+    // Nothing was started, so the whole request failed
+    if (!startedUpgrade) throw error;
+
+    // The failed gold callback released the gold; the resources stay committed to the running upgrade
+    logger.warn('Instant upgrade completion failed; the upgrade continues on its timer', {
+      playerId: startedUpgrade.playerId,
+      upgradeId: startedUpgrade.upgradeId,
+      error: (error as Error).message
     });
+    return { upgrade: startedUpgrade, instantFinishFailed: true };
+  }
+}
 
-    // Execute both updates
-    await Promise.all([
-      docClient.send(updateUpgradeCommand),
-      docClient.send(updateBaseCommand)
-    ]);
+/**
+ * Complete a skip-time upgrade through the shared completion engine,
+ * so instant upgrades apply exactly the same template stats as timed ones
+ */
+async function completeInstantUpgrade(upgrade: BaseUpgrade): Promise<BaseUpgrade> {
+  try {
+    const result = await completeUpgrade(upgrade, Date.now());
 
-    // TODO: Deduct gold cost from player resources (integrate with resource service)
-    
+    if (!result) {
+      throw new GameEngineError(
+        'Upgrade is no longer in progress',
+        'UPGRADE_ALREADY_COMPLETED',
+        { upgradeId: upgrade.upgradeId }
+      );
+    }
+
+    // Upgrades queued while this one held a slot can start now
+    await startQueuedUpgrades(upgrade.playerId);
+    return result.upgrade;
   } catch (error) {
+    if (error instanceof GameEngineError) throw error;
     throw new GameEngineError(
       'Failed to complete instant upgrade',
       'INSTANT_UPGRADE_ERROR',
@@ -330,7 +282,14 @@ async function completeInstantUpgrade(upgrade: BaseUpgrade, base: PlayerBase): P
   }
 }
 
-function calculateInstantUpgradeCost(upgradeTimeSeconds: number): number {
-  // Formula: 1 gold per minute of upgrade time (minimum 10 gold)
-  return Math.max(10, Math.ceil(upgradeTimeSeconds / 60));
-}
\ No newline at end of file
+function getUpgradeMessage(upgrade: BaseUpgrade, instantFinishFailed: boolean): string {
+  if (instantFinishFailed) {
+    return 'Base upgrade started, but could not be completed instantly; no gold was charged';
+  }
+  if (upgrade.status === 'completed') {
+    return 'Base upgrade completed instantly';
+  }
+  return upgrade.status === 'queued'
+    ? 'Base upgrade queued until a builder slot is free'
+    : 'Base upgrade started successfully';
+}
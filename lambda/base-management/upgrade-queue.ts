@@ -0,0 +1,96 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling,
+  validateRequest
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { assertPlayerAccess } from '../shared/player-identity';
+import { getBuilderQueue, reorderBuilderQueue, BuilderQueueState } from '../shared/builder-queue';
+import { getGameRules } from '../shared/game-rules';
+
+const logger = new StructuredLogger('UpgradeQueueHandler');
+
+const ReorderQueueRequestSchema = z.object({
+  upgradeIds: z.array(z.string().min(1).max(100)).max(100),
+  version: z.number().int().min(0).optional() // Version the caller viewed; rejects stale reorders
+});
+
+type ReorderQueueRequestInput = z.infer<typeof ReorderQueueRequestSchema>;
+
+/**
+ * Upgrade Queue Handler
+ *
+ * Lets players see and arrange their builder queue:
+ * - GET /players/{playerId}/upgrade-queue lists running and queued upgrades
+ *   with the player's builder slots (upgrades.builderSlots, more for subscribers)
+ * - PUT /players/{playerId}/upgrade-queue sets the order queued upgrades start in
+ * - Admin and service callers may act for any player
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    const reordering = event.httpMethod === 'PUT';
+
+    logger.info('Processing upgrade queue request', {
+      requestId: event.requestContext?.requestId,
+      reordering
+    });
+
+    const playerId = event.pathParameters?.playerId;
+
+    if (!playerId) {
+      throw new GameEngineError(
+        'Missing required parameter: playerId',
+        'INVALID_PARAMETERS',
+        { pathParameters: event.pathParameters }
+      );
+    }
+
+    assertPlayerAccess(event, playerId);
+
+    let state: BuilderQueueState;
+    if (reordering) {
+      const request = await validateRequest<ReorderQueueRequestInput>(ReorderQueueRequestSchema, event.body);
+      state = await reorderBuilderQueue(playerId, request.upgradeIds, request.version);
+      logger.info('Upgrade queue reordered', { playerId, upgradeIds: request.upgradeIds });
+    } else {
+      state = await getBuilderQueue(playerId);
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: formatQueue(state)
+      })
+    };
+  }, logger);
+};
+
+function formatQueue(state: BuilderQueueState): Record<string, unknown> {
+  const now = Date.now();
+
+  return {
+    playerId: state.playerId,
+    tier: state.tier,
+    slots: state.slots,
+    freeSlots: Math.max(0, state.slots - state.running.length),
+    maxQueuedUpgrades: getGameRules().upgrades.maxQueuedUpgrades,
+    version: state.version,
+    running: state.running.map(upgrade => ({
+      ...upgrade,
+      completesIn: Math.max(0, (upgrade.completionTime ?? now) - now)
+    })),
+    queued: state.queued.map((upgrade, index) => ({
+      ...upgrade,
+      position: index + 1
+    }))
+  };
+}
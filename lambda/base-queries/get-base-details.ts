@@ -1,22 +1,29 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
 import { DynamoDBDocumentClient, GetCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
-import { 
-  SimpleLambdaLogger,
-  withLambdaErrorHandling,
-  createGameEngineError
-} from '@loupeen/shared-js-utils';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
 import { 
   PlayerBase, 
   EnrichedPlayerBase
 } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { authorizeBaseAction } from '../shared/base-authorization';
+import { getMovementCooldownRemaining } from '../shared/game-rules';
+import { findNeighbors } from '../shared/base-neighbors';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
-const logger = new SimpleLambdaLogger('GetBaseDetailsHandler');
+const logger = new StructuredLogger('GetBaseDetailsHandler');
 
 const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
 const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+const NEIGHBOR_DEFAULT_RADIUS = Number(process.env.NEIGHBOR_DEFAULT_RADIUS ?? '100');
+const NEIGHBOR_MAX_RADIUS = Number(process.env.NEIGHBOR_MAX_RADIUS ?? '300');
+const NEIGHBOR_MAX_RESULTS = Number(process.env.NEIGHBOR_MAX_RESULTS ?? '25');
 
 /**
  * Get Base Details Handler
@@ -34,12 +41,13 @@ const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
  * - Movement status and timing
  * - Historical upgrade information
  * - Territory and alliance context
+ * - Nearby bases with ally/enemy flags (?includeNeighbors=true&radius=)
  * - Resource production calculations
  */
 export const handler = async (
   event: APIGatewayProxyEvent
 ): Promise<APIGatewayProxyResult> => {
-  return withLambdaErrorHandling(async () => {
+  return withErrorHandling(async () => {
     logger.info('Processing get base details request', { 
       requestId: event.requestContext?.requestId 
     });
@@ -49,7 +57,7 @@ export const handler = async (
     const baseId = event.pathParameters?.baseId;
 
     if (!playerId || !baseId) {
-      throw createGameEngineError(
+      throw new GameEngineError(
         'Missing required parameters: playerId and baseId',
         'INVALID_PARAMETERS',
         { playerId, baseId }
@@ -58,6 +66,15 @@ export const handler = async (
 
     // Get base details
     const baseDetails = await getBaseDetails(playerId, baseId);
+
+    // Owners, alliance members and GMs may view details (see policies/)
+    const identity = resolvePlayerIdentity(event);
+    authorizeBaseAction({ identity, action: 'view-details', base: baseDetails });
+
+    const neighborRadius = getNeighborRadius(event);
+    if (neighborRadius !== undefined) {
+      baseDetails.neighbors = await findNeighbors(baseDetails, neighborRadius, NEIGHBOR_MAX_RESULTS, identity);
+    }
     
     // Get active upgrades
     const activeUpgrades = await getActiveUpgrades(playerId, baseId);
@@ -90,6 +107,29 @@ export const handler = async (
   }, logger);
 };
 
+/**
+ * Neighbor search radius requested via ?includeNeighbors=true&radius=, if any
+ */
+function getNeighborRadius(event: APIGatewayProxyEvent): number | undefined {
+  const queryParams = event.queryStringParameters ?? {};
+
+  if (queryParams.includeNeighbors !== 'true') {
+    return undefined;
+  }
+
+  const radius = queryParams.radius ? Number(queryParams.radius) : NEIGHBOR_DEFAULT_RADIUS;
+
+  if (!Number.isFinite(radius) || radius <= 0 || radius > NEIGHBOR_MAX_RADIUS) {
+    throw new GameEngineError(
+      `Neighbor radius must be between 0 and ${NEIGHBOR_MAX_RADIUS}`,
+      'INVALID_PARAMETERS',
+      { radius: queryParams.radius, maxRadius: NEIGHBOR_MAX_RADIUS }
+    );
+  }
+
+  return radius;
+}
+
 async function getBaseDetails(playerId: string, baseId: string): Promise<EnrichedPlayerBase> {
   try {
     const command = new GetCommand({
@@ -100,7 +140,7 @@ async function getBaseDetails(playerId: string, baseId: string): Promise<Enriche
     const response = await docClient.send(command);
     
     if (!response.Item) {
-      throw createGameEngineError(
+      throw new GameEngineError(
         'Base not found',
         'BASE_NOT_FOUND',
         { playerId, baseId }
@@ -117,6 +157,7 @@ async function getBaseDetails(playerId: string, baseId: string): Promise<Enriche
       isActive: base.status === 'active',
       isBuilding: base.status === 'building',
       isMoving: base.status === 'moving',
+      isAbandoning: base.status === 'abandoning',
       isDestroyed: base.status === 'destroyed',
       
       // Timing information
@@ -128,10 +169,8 @@ async function getBaseDetails(playerId: string, baseId: string): Promise<Enriche
       mapSection: base.mapSectionId,
       
       // Movement information
-      canMove: base.status === 'active' && (!base.lastMovedAt || 
-        (Date.now() - base.lastMovedAt) >= (60 * 60 * 1000)),
-      movementCooldownRemaining: base.lastMovedAt ? 
-        Math.max(0, (60 * 60 * 1000) - (Date.now() - base.lastMovedAt)) : 0,
+      canMove: base.status === 'active' && getMovementCooldownRemaining(base.lastMovedAt) === 0,
+      movementCooldownRemaining: getMovementCooldownRemaining(base.lastMovedAt),
       
       // Building/Movement completion times
       ...(base.status === 'building' && base.buildCompletionTime && {
@@ -143,6 +182,11 @@ async function getBaseDetails(playerId: string, baseId: string): Promise<Enriche
         arrivalIn: Math.max(0, base.arrivalTime - Date.now()),
         arrivalAt: new Date(base.arrivalTime).toISOString()
       }),
+
+      ...(base.status === 'abandoning' && base.abandonAt && {
+        abandonCompletesIn: Math.max(0, base.abandonAt - Date.now()),
+        abandonCompletesAt: new Date(base.abandonAt).toISOString()
+      }),
       
       // Resource production (calculated based on base stats)
       resourceProduction: {
@@ -168,8 +212,8 @@ async function getBaseDetails(playerId: string, baseId: string): Promise<Enriche
     return enrichedBase as unknown as EnrichedPlayerBase;
 
   } catch (error) {
-    if (error instanceof Error && error.name === 'GameEngineError') throw error;
-    throw createGameEngineError(
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
       'Failed to retrieve base details',
       'BASE_RETRIEVAL_ERROR',
       { playerId, baseId, error: (error as Error).message }
@@ -11,6 +11,9 @@ import {
   BaseSummary, 
   EnrichedPlayerBase
 } from '../types/game-base-types';
+import { assertPlayerAccess } from '../shared/player-identity';
+import { getMovementCooldownRemaining } from '../shared/game-rules';
+import { getBaseAllowance } from '../shared/player-entitlements';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
@@ -20,7 +23,7 @@ const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
 
 const ListBasesRequestSchema = z.object({
   playerId: z.string().min(1).max(50),
-  status: z.enum(['active', 'building', 'moving', 'destroyed', 'all']).optional().default('all'),
+  status: z.enum(['active', 'building', 'moving', 'abandoning', 'destroyed', 'all']).optional().default('all'),
   limit: z.number().min(1).max(100).optional().default(20),
   lastEvaluatedKey: z.string().optional(),
   includeStats: z.boolean().optional().default(true)
@@ -58,6 +61,8 @@ export const handler = async (
     
     // Validate the extracted request
     const validatedRequest = ListBasesRequestSchema.parse(request);
+
+    assertPlayerAccess(event, validatedRequest.playerId);
     
     // Get player bases with pagination
     const result = await getPlayerBases(validatedRequest);
@@ -99,7 +104,7 @@ function extractListBasesRequest(event: APIGatewayProxyEvent): ListBasesRequestI
   
   return {
     playerId: (pathParams.playerId ?? queryParams.playerId) ?? '',
-    status: (queryParams.status as 'active' | 'building' | 'moving' | 'destroyed' | 'all') ?? 'all',
+    status: (queryParams.status as ListBasesRequestInput['status']) ?? 'all',
     limit: queryParams.limit ? parseInt(queryParams.limit) : 20,
     lastEvaluatedKey: queryParams.lastEvaluatedKey,
     includeStats: queryParams.includeStats !== 'false'
@@ -168,8 +173,7 @@ async function getPlayerBases(request: ListBasesRequestInput): Promise<{
         // Add computed fields
         isActive: base.status === 'active',
         isUpgrading: Boolean(base.buildCompletionTime && base.buildCompletionTime > Date.now()),
-        canMove: base.status === 'active' && (!base.lastMovedAt || 
-          (Date.now() - base.lastMovedAt) >= (60 * 60 * 1000)), // 60 minute cooldown
+        canMove: base.status === 'active' && getMovementCooldownRemaining(base.lastMovedAt) === 0,
         
         // Format coordinates for display
         location: `${base.coordinates.x}, ${base.coordinates.y}`,
@@ -207,6 +211,9 @@ async function getPlayerBases(request: ListBasesRequestInput): Promise<{
 }
 
 async function calculateBaseSummary(playerId: string): Promise<BaseSummary> {
+  // Resolved outside the try block: it never throws and the fallback summary needs it too
+  const allowance = await getBaseAllowance(playerId);
+
   try {
     // Get all bases for summary statistics
     const command = new QueryCommand({
@@ -249,9 +256,11 @@ async function calculateBaseSummary(playerId: string): Promise<BaseSummary> {
         Math.round(bases.reduce((sum, base) => sum + (base.level ?? 1), 0) / bases.length * 10) / 10 : 0,
       maxLevel: bases.length > 0 ? Math.max(...bases.map(base => base.level ?? 1)) : 0,
       
-      // TODO: Add subscription info (max bases allowed)
-      maxBasesAllowed: 5, // Default for free players
-      canCreateMore: bases.filter(b => b.status !== 'destroyed').length < 5,
+      // Subscription info (max bases allowed)
+      subscriptionTier: allowance.tier,
+      ...(allowance.subscriptionExpiresAt && { subscriptionExpiresAt: allowance.subscriptionExpiresAt }),
+      maxBasesAllowed: allowance.maxBases,
+      canCreateMore: bases.filter(b => b.status !== 'destroyed').length < allowance.maxBases,
       
       // Oldest and newest base
       oldestBase: bases.length > 0 ? Math.min(...bases.map(base => base.createdAt)) : null,
@@ -276,7 +285,8 @@ async function calculateBaseSummary(playerId: string): Promise<BaseSummary> {
       baseTypes: {},
       averageLevel: 0,
       maxLevel: 0,
-      maxBasesAllowed: 5,
+      subscriptionTier: allowance.tier,
+      maxBasesAllowed: allowance.maxBases,
       canCreateMore: true,
       oldestBase: null,
       newestBase: null
@@ -0,0 +1,109 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { resolvePlayerIdentity, PlayerIdentity } from '../shared/player-identity';
+import { evaluateBaseAction } from '../shared/base-authorization';
+import { MapBaseFilters } from '../shared/map-index';
+import { findNearestBases } from '../shared/nearest-bases';
+
+const logger = new StructuredLogger('FindNearestBasesHandler');
+
+const NEAREST_MAX_RADIUS = Number(process.env.NEAREST_MAX_RADIUS ?? '2000');
+const NEAREST_MAX_RESULTS = Number(process.env.NEAREST_MAX_RESULTS ?? '50');
+const INACTIVE_AFTER_DAYS = Number(process.env.INACTIVE_AFTER_DAYS ?? '7');
+
+const FindNearestBasesRequestSchema = z.object({
+  x: z.number().int(),
+  y: z.number().int(),
+  count: z.number().int().min(1).max(NEAREST_MAX_RESULTS).optional().default(10),
+  maxRadius: z.number().positive().max(NEAREST_MAX_RADIUS).optional().default(NEAREST_MAX_RADIUS),
+  excludeOwnAlliance: z.boolean().optional().default(false),
+  minLevel: z.number().int().min(1).optional(),
+  maxLevel: z.number().int().min(1).optional(),
+  inactiveOnly: z.boolean().optional().default(false)
+}).refine(request => request.minLevel === undefined || request.maxLevel === undefined || request.minLevel <= request.maxLevel, {
+  message: 'minLevel must not exceed maxLevel'
+});
+
+type FindNearestBasesRequestInput = z.infer<typeof FindNearestBasesRequestSchema>;
+
+/**
+ * Find Nearest Bases Handler
+ *
+ * k-nearest search for scouting and matchmaking:
+ * - Expands outward ring by ring over the LocationIndex map sections
+ * - Stops at N results or the maximum search radius
+ * - Optional filters: exclude the caller's alliance, level range, inactive bases
+ * - Only returns bases the caller may see (view-neighbors policy)
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing nearest bases request', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const request = FindNearestBasesRequestSchema.parse(extractFindNearestBasesRequest(event));
+    const identity = resolvePlayerIdentity(event);
+
+    const bases = await findNearestBases({
+      center: { x: request.x, y: request.y },
+      count: request.count,
+      maxRadius: request.maxRadius,
+      filters: buildFilters(request, identity),
+      isVisible: base => evaluateBaseAction({ identity, action: 'view-neighbors', base }).allowed
+    });
+
+    logger.info('Nearest bases found', {
+      playerId: identity.playerId,
+      center: { x: request.x, y: request.y },
+      requested: request.count,
+      found: bases.length
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          bases: bases,
+          center: { x: request.x, y: request.y },
+          maxRadius: request.maxRadius
+        }
+      })
+    };
+  }, logger);
+};
+
+function extractFindNearestBasesRequest(event: APIGatewayProxyEvent): Record<string, unknown> {
+  const queryParams = event.queryStringParameters ?? {};
+  const optionalNumber = (value: string | undefined): number | undefined => value ? Number(value) : undefined;
+
+  return {
+    x: Number(queryParams.x),
+    y: Number(queryParams.y),
+    count: optionalNumber(queryParams.count),
+    maxRadius: optionalNumber(queryParams.maxRadius),
+    excludeOwnAlliance: queryParams.excludeOwnAlliance === 'true',
+    minLevel: optionalNumber(queryParams.minLevel),
+    maxLevel: optionalNumber(queryParams.maxLevel),
+    inactiveOnly: queryParams.inactiveOnly === 'true'
+  };
+}
+
+function buildFilters(request: FindNearestBasesRequestInput, identity: PlayerIdentity): MapBaseFilters {
+  return {
+    excludeAllianceId: request.excludeOwnAlliance ? identity.allianceId : undefined,
+    minLevel: request.minLevel,
+    maxLevel: request.maxLevel,
+    inactiveSince: request.inactiveOnly ? Date.now() - INACTIVE_AFTER_DAYS * 24 * 60 * 60 * 1000 : undefined
+  };
+}
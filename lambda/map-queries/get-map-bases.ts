@@ -0,0 +1,207 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { MapBase, MapBounds } from '../types/game-base-types';
+import { resolvePlayerIdentity, PlayerIdentity } from '../shared/player-identity';
+import { evaluateBaseAction } from '../shared/base-authorization';
+import { getMapSectionsInBounds } from '../shared/map-geometry';
+import { queryMapSection, toLocationIndexKey } from '../shared/map-index';
+
+const logger = new StructuredLogger('GetMapBasesHandler');
+
+const MAP_MAX_VIEWPORT_SIZE = Number(process.env.MAP_MAX_VIEWPORT_SIZE ?? '500');
+
+const GetMapBasesRequestSchema = z.object({
+  minX: z.number().int(),
+  minY: z.number().int(),
+  maxX: z.number().int(),
+  maxY: z.number().int(),
+  allianceId: z.string().optional(),
+  baseType: z.enum(['command_center', 'outpost', 'fortress', 'mining_station', 'research_lab']).optional(),
+  limit: z.number().min(1).max(200).optional().default(100),
+  lastEvaluatedKey: z.string().optional()
+}).refine(request => request.minX <= request.maxX && request.minY <= request.maxY, {
+  message: 'Viewport minimum must not exceed its maximum'
+});
+
+type GetMapBasesRequestInput = z.infer<typeof GetMapBasesRequestSchema>;
+
+// Position in the viewport's section list to resume from
+interface ViewportCursor {
+  sectionIndex: number;
+  exclusiveStartKey?: Record<string, unknown>;
+}
+
+/**
+ * Get Map Bases Handler
+ *
+ * Returns the bases inside a map viewport for the game client:
+ * - Expands the bounding box into 100x100 LocationIndex sections
+ * - Queries the sections in parallel with a compact projection
+ * - Caps oversized viewports around their center
+ * - Paginates across sections with an opaque lastEvaluatedKey
+ * - Optional filters by alliance or base type
+ * - Only returns bases the caller may see (view-neighbors policy)
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing map bases request', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const request = GetMapBasesRequestSchema.parse(extractGetMapBasesRequest(event));
+    const identity = resolvePlayerIdentity(event);
+
+    const viewport = capViewport(request);
+    const result = await queryViewport(request, viewport, identity);
+
+    logger.info('Map bases retrieved', {
+      playerId: identity.playerId,
+      viewport,
+      baseCount: result.bases.length,
+      hasMore: !!result.lastEvaluatedKey
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          bases: result.bases,
+          viewport: viewport,
+          capped: viewport.maxX - viewport.minX < request.maxX - request.minX ||
+            viewport.maxY - viewport.minY < request.maxY - request.minY,
+          pagination: {
+            limit: request.limit,
+            lastEvaluatedKey: result.lastEvaluatedKey,
+            hasMore: !!result.lastEvaluatedKey
+          }
+        }
+      })
+    };
+  }, logger);
+};
+
+function extractGetMapBasesRequest(event: APIGatewayProxyEvent): Record<string, unknown> {
+  const queryParams = event.queryStringParameters ?? {};
+
+  return {
+    minX: Number(queryParams.minX),
+    minY: Number(queryParams.minY),
+    maxX: Number(queryParams.maxX),
+    maxY: Number(queryParams.maxY),
+    allianceId: queryParams.allianceId,
+    baseType: queryParams.baseType,
+    limit: queryParams.limit ? parseInt(queryParams.limit) : 100,
+    lastEvaluatedKey: queryParams.lastEvaluatedKey
+  };
+}
+
+/**
+ * Shrink each side of the viewport to MAP_MAX_VIEWPORT_SIZE, keeping its center
+ */
+function capViewport(request: GetMapBasesRequestInput): MapBounds {
+  const capAxis = (min: number, max: number): [number, number] => {
+    if (max - min <= MAP_MAX_VIEWPORT_SIZE) {
+      return [min, max];
+    }
+    const cappedMin = Math.floor((min + max - MAP_MAX_VIEWPORT_SIZE) / 2);
+    return [cappedMin, cappedMin + MAP_MAX_VIEWPORT_SIZE];
+  };
+
+  const [minX, maxX] = capAxis(request.minX, request.maxX);
+  const [minY, maxY] = capAxis(request.minY, request.maxY);
+
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Collect one page of bases across the viewport's sections
+ *
+ * The remaining sections are queried in parallel and consumed in order;
+ * the cursor records the section and LocationIndex key to resume from.
+ */
+async function queryViewport(
+  request: GetMapBasesRequestInput,
+  viewport: MapBounds,
+  identity: PlayerIdentity
+): Promise<{ bases: MapBase[]; lastEvaluatedKey?: string }> {
+  const sectionIds = getMapSectionsInBounds(viewport);
+  const cursor = decodeCursor(request.lastEvaluatedKey);
+
+  const pages = await Promise.all(sectionIds.slice(cursor.sectionIndex).map((sectionId, index) =>
+    queryMapSection(sectionId, {
+      bounds: viewport,
+      allianceId: request.allianceId,
+      baseType: request.baseType,
+      limit: request.limit,
+      exclusiveStartKey: index === 0 ? cursor.exclusiveStartKey : undefined
+    })
+  ));
+
+  const bases: MapBase[] = [];
+
+  for (const [index, page] of pages.entries()) {
+    const sectionIndex = cursor.sectionIndex + index;
+
+    for (const [position, base] of page.bases.entries()) {
+      if (isVisible(identity, base)) {
+        bases.push(base);
+      }
+
+      const isLastInSection = position === page.bases.length - 1 && !page.lastEvaluatedKey;
+      if (bases.length === request.limit && !isLastInSection) {
+        return { bases, lastEvaluatedKey: encodeCursor({ sectionIndex, exclusiveStartKey: toLocationIndexKey(base) }) };
+      }
+    }
+
+    // The section holds more bases than this page fetched
+    if (page.lastEvaluatedKey) {
+      return { bases, lastEvaluatedKey: encodeCursor({ sectionIndex, exclusiveStartKey: page.lastEvaluatedKey }) };
+    }
+
+    if (bases.length === request.limit && sectionIndex + 1 < sectionIds.length) {
+      return { bases, lastEvaluatedKey: encodeCursor({ sectionIndex: sectionIndex + 1 }) };
+    }
+  }
+
+  return { bases };
+}
+
+function isVisible(identity: PlayerIdentity, base: MapBase): boolean {
+  return evaluateBaseAction({ identity, action: 'view-neighbors', base }).allowed;
+}
+
+function encodeCursor(cursor: ViewportCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64');
+}
+
+function decodeCursor(lastEvaluatedKey: string | undefined): ViewportCursor {
+  if (!lastEvaluatedKey) {
+    return { sectionIndex: 0 };
+  }
+
+  try {
+    const cursor = JSON.parse(Buffer.from(lastEvaluatedKey, 'base64').toString()) as ViewportCursor;
+    if (!Number.isInteger(cursor.sectionIndex) || cursor.sectionIndex < 0) {
+      throw new Error('Invalid section index');
+    }
+    return cursor;
+  } catch (error) {
+    throw new GameEngineError(
+      'Invalid pagination key',
+      'INVALID_PARAMETERS',
+      { error: (error as Error).message }
+    );
+  }
+}
@@ -0,0 +1,99 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { MapBounds } from '../types/game-base-types';
+import { resolvePlayerIdentity } from '../shared/player-identity';
+import { getMapSectionsInBounds, MAP_SECTION_SIZE } from '../shared/map-geometry';
+import { getSectionDensities } from '../shared/section-density';
+
+const logger = new StructuredLogger('GetSectionDensityHandler');
+
+const MAP_DENSITY_MAX_VIEWPORT_SIZE = Number(process.env.MAP_DENSITY_MAX_VIEWPORT_SIZE ?? '2000');
+
+const GetSectionDensityRequestSchema = z.object({
+  minX: z.number().int(),
+  minY: z.number().int(),
+  maxX: z.number().int(),
+  maxY: z.number().int()
+}).refine(request => request.minX <= request.maxX && request.minY <= request.maxY, {
+  message: 'Viewport minimum must not exceed its maximum'
+});
+
+/**
+ * Get Section Density Handler
+ *
+ * Returns base counts per map section for heatmaps and admin tooling:
+ * - Expands the bounding box into 100x100 map sections
+ * - Reads the counts maintained from the PlayerBases stream (no base scan)
+ * - Omits empty sections to keep sparse areas cheap
+ * - Rejects viewports larger than MAP_DENSITY_MAX_VIEWPORT_SIZE per side
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing section density request', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const viewport = GetSectionDensityRequestSchema.parse(extractGetSectionDensityRequest(event));
+    const identity = resolvePlayerIdentity(event);
+
+    validateViewportSize(viewport);
+
+    const densities = await getSectionDensities(getMapSectionsInBounds(viewport));
+    const sections = [...densities]
+      .filter(([, baseCount]) => baseCount > 0)
+      .map(([mapSectionId, baseCount]) => ({ mapSectionId, baseCount }));
+
+    logger.info('Section density retrieved', {
+      playerId: identity.playerId,
+      viewport,
+      sectionCount: sections.length
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          sections,
+          sectionSize: MAP_SECTION_SIZE,
+          viewport
+        }
+      })
+    };
+  }, logger);
+};
+
+function extractGetSectionDensityRequest(event: APIGatewayProxyEvent): Record<string, unknown> {
+  const queryParams = event.queryStringParameters ?? {};
+
+  return {
+    minX: Number(queryParams.minX),
+    minY: Number(queryParams.minY),
+    maxX: Number(queryParams.maxX),
+    maxY: Number(queryParams.maxY)
+  };
+}
+
+function validateViewportSize(viewport: MapBounds): void {
+  const width = viewport.maxX - viewport.minX;
+  const height = viewport.maxY - viewport.minY;
+
+  if (width > MAP_DENSITY_MAX_VIEWPORT_SIZE || height > MAP_DENSITY_MAX_VIEWPORT_SIZE) {
+    throw new GameEngineError(
+      `Density viewport exceeds maximum (${MAP_DENSITY_MAX_VIEWPORT_SIZE} units per side)`,
+      'INVALID_PARAMETERS',
+      { width, height, maxViewportSize: MAP_DENSITY_MAX_VIEWPORT_SIZE }
+    );
+  }
+}
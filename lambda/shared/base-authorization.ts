@@ -0,0 +1,191 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { isAuthorized, policySetTextToParts, CedarValueJson, EntityJson } from '@cedar-policy/cedar-wasm/nodejs';
+import { GameEngineError, StructuredLogger } from '../../lib/shared-mocks';
+import { PlayerIdentity } from './player-identity';
+
+const logger = new StructuredLogger('BaseAuthorization');
+
+const POLICY_VERSION = process.env.POLICY_VERSION ?? 'v1';
+
+const ENTITY_NAMESPACE = 'Loupeen';
+
+export type BaseAction =
+  | 'create'
+  | 'upgrade'
+  | 'move'
+  | 'abandon'
+  | 'view-details'
+  | 'view-neighbors'
+  | 'admin-override';
+
+// Attributes of the base the action targets; baseId is absent for bases not created yet
+export interface BaseResource {
+  playerId: string;
+  baseId?: string;
+  allianceId?: string;
+  status?: string;
+}
+
+export interface BaseAuthorizationRequest {
+  identity: PlayerIdentity;
+  action: BaseAction;
+  base: BaseResource;
+  context?: Record<string, CedarValueJson>;
+}
+
+export interface BaseAuthorizationDecision {
+  allowed: boolean;
+  policyIds: string[];
+}
+
+let cachedPolicies: Record<string, string> | undefined;
+
+/**
+ * Evaluate the versioned Cedar policies for a base action
+ *
+ * Policies are loaded once per container from `policies/<POLICY_VERSION>`
+ * and evaluated in-process; no policy decision point is called remotely.
+ */
+export function evaluateBaseAction(request: BaseAuthorizationRequest): BaseAuthorizationDecision {
+  const { identity, action, base, context = {} } = request;
+  const principal = entityUid('Player', identity.playerId);
+  const resource = entityUid('Base', base.baseId ?? `new:${base.playerId}`);
+
+  const answer = isAuthorized({
+    principal,
+    action: entityUid('Action', action),
+    resource,
+    context,
+    policies: { staticPolicies: loadPolicies() },
+    entities: buildEntities(identity, base, resource.id)
+  });
+
+  if (answer.type === 'failure') {
+    throw new GameEngineError(
+      'Failed to evaluate authorization policies',
+      'AUTHORIZATION_ERROR',
+      { action, errors: answer.errors.map(error => error.message) }
+    );
+  }
+
+  return {
+    allowed: answer.response.decision === 'allow',
+    policyIds: answer.response.diagnostics.reason
+  };
+}
+
+/**
+ * Throw FORBIDDEN unless the policies allow the caller to perform the action
+ */
+export function authorizeBaseAction(request: BaseAuthorizationRequest): void {
+  const decision = evaluateBaseAction(request);
+
+  if (!decision.allowed) {
+    logger.warn('Base action denied by policy', {
+      playerId: request.identity.playerId,
+      action: request.action,
+      ownerId: request.base.playerId,
+      baseId: request.base.baseId
+    });
+
+    throw new GameEngineError(
+      `Caller is not allowed to ${request.action} this base`,
+      'FORBIDDEN',
+      { action: request.action, playerId: request.base.playerId, baseId: request.base.baseId }
+    );
+  }
+}
+
+function buildEntities(identity: PlayerIdentity, base: BaseResource, resourceId: string): EntityJson[] {
+  const owner = entityUid('Player', base.playerId);
+
+  const entities: EntityJson[] = [
+    {
+      uid: entityUid('Player', identity.playerId),
+      attrs: compactAttributes({ allianceId: identity.allianceId }),
+      parents: identity.groups.map(group => entityUid('Group', group))
+    },
+    {
+      uid: entityUid('Base', resourceId),
+      attrs: {
+        owner: { __entity: owner },
+        ...compactAttributes({ allianceId: base.allianceId, status: base.status })
+      },
+      parents: []
+    }
+  ];
+
+  // Group entities must exist for `principal in Group` checks to resolve
+  identity.groups.forEach(group => {
+    entities.push({ uid: entityUid('Group', group), attrs: {}, parents: [] });
+  });
+
+  return entities;
+}
+
+function entityUid(type: string, id: string): { type: string; id: string } {
+  return { type: `${ENTITY_NAMESPACE}::${type}`, id };
+}
+
+function compactAttributes(attributes: Record<string, string | undefined>): Record<string, CedarValueJson> {
+  return Object.fromEntries(
+    Object.entries(attributes).filter((entry): entry is [string, string] => entry[1] !== undefined)
+  );
+}
+
+// Policies are keyed by their @id annotation so decisions report readable reasons
+function loadPolicies(): Record<string, string> {
+  if (cachedPolicies === undefined) {
+    const policyDirectory = resolvePolicyDirectory();
+    const policies: Record<string, string> = {};
+
+    readdirSync(policyDirectory)
+      .filter(file => file.endsWith('.cedar'))
+      .sort()
+      .forEach(file => {
+        splitPolicies(readFileSync(join(policyDirectory, file), 'utf-8'), file).forEach((policy, index) => {
+          const id = /@id\("([^"]+)"\)/.exec(policy)?.[1] ?? `${file}#${index}`;
+          policies[id] = policy;
+        });
+      });
+
+    cachedPolicies = policies;
+  }
+
+  return cachedPolicies;
+}
+
+function splitPolicies(policyText: string, file: string): string[] {
+  const parts = policySetTextToParts(policyText);
+
+  if (parts.type === 'failure') {
+    throw new GameEngineError(
+      `Failed to parse authorization policies in ${file}`,
+      'AUTHORIZATION_ERROR',
+      { policyVersion: POLICY_VERSION, errors: parts.errors.map(error => error.message) }
+    );
+  }
+
+  return parts.policies;
+}
+
+// Bundled functions ship the policies next to index.js; source runs use lambda/policies
+function resolvePolicyDirectory(): string {
+  const candidates = [
+    join(__dirname, 'policies', POLICY_VERSION),
+    join(__dirname, '..', 'policies', POLICY_VERSION)
+  ];
+
+  const policyDirectory = candidates.find(candidate => existsSync(candidate));
+
+  if (!policyDirectory) {
+    throw new GameEngineError(
+      `Authorization policies not found for version ${POLICY_VERSION}`,
+      'AUTHORIZATION_ERROR',
+      { policyVersion: POLICY_VERSION }
+    );
+  }
+
+  return policyDirectory;
+}
@@ -0,0 +1,60 @@
+import { BaseNeighbor, Coordinates, MapBase } from '../types/game-base-types';
+import { PlayerIdentity } from './player-identity';
+import { evaluateBaseAction } from './base-authorization';
+import { calculateDistance, getMapSectionsWithinRadius } from './map-geometry';
+import { queryAllMapSectionBases } from './map-index';
+
+// The base whose surroundings are searched
+export interface NeighborOrigin {
+  playerId: string;
+  baseId: string;
+  coordinates: Coordinates;
+  allianceId?: string;
+}
+
+/**
+ * Bases within `radius` map units of a base, closest first
+ *
+ * Only bases the caller may see under the view-neighbors policy are
+ * returned, at most `limit` of them.
+ */
+export async function findNeighbors(
+  origin: NeighborOrigin,
+  radius: number,
+  limit: number,
+  identity: PlayerIdentity
+): Promise<BaseNeighbor[]> {
+  const sectionIds = getMapSectionsWithinRadius(origin.coordinates, radius);
+  const sections = await Promise.all(sectionIds.map(sectionId => queryAllMapSectionBases(sectionId)));
+
+  return sections.flat()
+    .filter(base => base.baseId !== origin.baseId)
+    .filter(base => evaluateBaseAction({ identity, action: 'view-neighbors', base }).allowed)
+    .map(base => toNeighbor(origin, base))
+    .filter(neighbor => neighbor.distance <= radius)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+/**
+ * Classify a base relative to the origin
+ *
+ * Bases of the same owner or alliance are allies; bases in another
+ * alliance are enemies; bases without an alliance are neither.
+ */
+export function toNeighbor(origin: NeighborOrigin, base: MapBase): BaseNeighbor {
+  const isAlly = base.playerId === origin.playerId ||
+    (!!origin.allianceId && base.allianceId === origin.allianceId);
+
+  return {
+    playerId: base.playerId,
+    baseId: base.baseId,
+    baseName: base.baseName,
+    coordinates: base.coordinates,
+    distance: calculateDistance(origin.coordinates, base.coordinates),
+    level: base.level,
+    allianceId: base.allianceId,
+    isAlly,
+    isEnemy: !isAlly && !!base.allianceId
+  };
+}
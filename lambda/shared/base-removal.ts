@@ -0,0 +1,341 @@
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  UpdateCommand,
+  TransactWriteCommand
+} from '@aws-sdk/lib-dynamodb';
+import { GameEngineError, StructuredLogger } from '../../lib/shared-mocks';
+import { BaseDestroyReason, BaseUpgrade, PlayerBase } from '../types/game-base-types';
+import { releaseCoordinates, isConditionFailure, TransactItem } from './coordinate-claims';
+import { getAbandonUndoMs, getDestroyedBaseTtl } from './game-rules';
+import { publishGameEvent } from './game-events';
+import { findActiveUpgrades, startQueuedUpgrades } from './builder-queue';
+import { refundResources } from './resource-ledger';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('BaseRemoval');
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+
+// An upgrade finishing while the base is destroyed fails the transaction; it is rebuilt this often
+const MAX_DESTROY_ATTEMPTS = 3;
+
+export interface DestroyedBase {
+  base: PlayerBase;
+  cancelledUpgradeIds: string[];
+}
+
+/**
+ * Base removal
+ *
+ * Players abandon a base, which keeps it on the map as `abandoning` until
+ * removal.abandonUndoMinutes have passed; restoring it before then returns
+ * it to its previous status. Once the window is over (or when the battle
+ * service razes a base) the base is destroyed: it is marked `destroyed`,
+ * its tile is released and its running and queued upgrades are cancelled
+ * in one transaction, and the record is purged by the table's TTL later.
+ *
+ * Queued upgrades never started, so their resources are refunded in full,
+ * as when a player cancels them. Running upgrades are lost with the base.
+ */
+export async function getPlayerBase(playerId: string, baseId: string): Promise<PlayerBase> {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: { playerId, baseId },
+      ConsistentRead: true
+    }));
+
+    if (!response.Item) {
+      throw new GameEngineError('Base not found', 'BASE_NOT_FOUND', { playerId, baseId });
+    }
+
+    return response.Item as PlayerBase;
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to retrieve base',
+      'BASE_RETRIEVAL_ERROR',
+      { playerId, baseId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Start the undo window of a base its player gives up
+ */
+export async function abandonBase(base: PlayerBase, now: number = Date.now()): Promise<PlayerBase> {
+  if (base.status === 'abandoning' || base.status === 'destroyed') {
+    throw invalidStatusError(base, 'abandon');
+  }
+
+  const abandonAt = now + getAbandonUndoMs();
+
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: { playerId: base.playerId, baseId: base.baseId },
+      UpdateExpression: 'SET #status = :abandoning, abandonAt = :abandonAt, dueAt = :abandonAt, statusBeforeAbandon = :status, lastActiveAt = :now',
+      ConditionExpression: '#status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':abandoning': 'abandoning',
+        ':abandonAt': abandonAt,
+        ':status': base.status,
+        ':now': now
+      }
+    }));
+
+    return { ...base, status: 'abandoning', abandonAt, dueAt: abandonAt, statusBeforeAbandon: base.status, lastActiveAt: now };
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      throw baseChangedError(base);
+    }
+    throw removalError('Failed to abandon base', base, error);
+  }
+}
+
+/**
+ * Undo an abandon while its window is still open
+ */
+export async function restoreBase(base: PlayerBase, now: number = Date.now()): Promise<PlayerBase> {
+  if (base.status !== 'abandoning' || !base.statusBeforeAbandon) {
+    throw invalidStatusError(base, 'restore');
+  }
+  if ((base.abandonAt ?? 0) <= now) {
+    throw new GameEngineError(
+      'The undo window of this base has closed',
+      'ABANDON_WINDOW_CLOSED',
+      { playerId: base.playerId, baseId: base.baseId, abandonAt: base.abandonAt }
+    );
+  }
+
+  // A restored build or move is due again at its own completion time
+  const dueAt = restoredDueAt(base);
+
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: { playerId: base.playerId, baseId: base.baseId },
+      UpdateExpression: dueAt === undefined
+        ? 'SET #status = :restored, lastActiveAt = :now REMOVE abandonAt, statusBeforeAbandon, dueAt'
+        : 'SET #status = :restored, lastActiveAt = :now, dueAt = :dueAt REMOVE abandonAt, statusBeforeAbandon',
+      ConditionExpression: '#status = :abandoning AND abandonAt > :now',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':restored': base.statusBeforeAbandon,
+        ':abandoning': 'abandoning',
+        ':now': now,
+        ...(dueAt !== undefined && { ':dueAt': dueAt })
+      }
+    }));
+
+    return {
+      ...base,
+      status: base.statusBeforeAbandon,
+      abandonAt: undefined,
+      statusBeforeAbandon: undefined,
+      dueAt,
+      lastActiveAt: now
+    };
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      throw baseChangedError(base);
+    }
+    throw removalError('Failed to restore base', base, error);
+  }
+}
+
+function restoredDueAt(base: PlayerBase): number | undefined {
+  if (base.statusBeforeAbandon === 'building') return base.buildCompletionTime;
+  if (base.statusBeforeAbandon === 'moving') return base.arrivalTime;
+  return undefined;
+}
+
+/**
+ * Destroy a base and publish a BaseDestroyed event
+ *
+ * Returns null when the base was destroyed or changed by a concurrent
+ * request since it was read, so repeated calls never destroy it twice.
+ */
+export async function destroyBase(
+  base: PlayerBase,
+  reason: BaseDestroyReason,
+  now: number = Date.now()
+): Promise<DestroyedBase | null> {
+  if (base.status === 'destroyed') {
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const upgrades = (await findActiveUpgrades(base.playerId)).filter(upgrade => upgrade.baseId === base.baseId);
+
+    try {
+      await docClient.send(new TransactWriteCommand({
+        TransactItems: [
+          markBaseDestroyed(base, reason, now),
+          releaseCoordinates(base.coordinateHash, base.baseId),
+          ...upgrades.map(upgrade => cancelUpgrade(upgrade, now))
+        ]
+      }));
+
+      const destroyed: DestroyedBase = {
+        base: toDestroyedBase(base, reason, now),
+        cancelledUpgradeIds: upgrades.map(upgrade => upgrade.upgradeId)
+      };
+      await publishBaseDestroyed(destroyed);
+      await refundQueuedUpgrades(upgrades);
+
+      // Builder slots held by the cancelled upgrades go to the player's queued upgrades
+      if (upgrades.some(upgrade => upgrade.status === 'in_progress')) {
+        await startQueuedUpgrades(base.playerId, now);
+      }
+      return destroyed;
+    } catch (error) {
+      // Transaction items: 0 = base, 1 = tile release, 2.. = upgrade cancellations
+      if (isConditionFailure(error, 0)) {
+        return null;
+      }
+      if (!upgrades.some((_, index) => isConditionFailure(error, index + 2)) || attempt >= MAX_DESTROY_ATTEMPTS) {
+        throw removalError('Failed to destroy base', base, error);
+      }
+    }
+  }
+}
+
+// Guarded by the status and tile that were read, so the released claim is the one the base holds
+function markBaseDestroyed(base: PlayerBase, reason: BaseDestroyReason, now: number): TransactItem {
+  return {
+    Update: {
+      TableName: PLAYER_BASES_TABLE,
+      Key: { playerId: base.playerId, baseId: base.baseId },
+      UpdateExpression: 'SET #status = :destroyed, destroyedAt = :now, destroyReason = :reason, lastActiveAt = :now, #ttl = :ttl ' +
+        'REMOVE abandonAt, statusBeforeAbandon, buildCompletionTime, arrivalTime, movementOrigin, dueAt',
+      ConditionExpression: '#status = :status AND coordinateHash = :coordinateHash',
+      ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':destroyed': 'destroyed',
+        ':reason': reason,
+        ':now': now,
+        ':ttl': getDestroyedBaseTtl(now),
+        ':status': base.status,
+        ':coordinateHash': base.coordinateHash
+      }
+    }
+  };
+}
+
+// Guarded by the status that was read, so an upgrade that started or completed meanwhile retries the destroy
+function cancelUpgrade(upgrade: BaseUpgrade, now: number): TransactItem {
+  const queued = upgrade.status === 'queued';
+
+  return {
+    Update: {
+      TableName: BASE_UPGRADES_TABLE,
+      Key: { playerId: upgrade.playerId, upgradeId: upgrade.upgradeId },
+      UpdateExpression: queued
+        ? 'SET #status = :cancelled, cancelledAt = :now, refund = :refund'
+        : 'SET #status = :cancelled, cancelledAt = :now',
+      ConditionExpression: queued ? '#status = :queued' : '#status = :inProgress',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':cancelled': 'cancelled',
+        ...(queued
+          ? { ':queued': 'queued', ':refund': upgrade.requirements.resources }
+          : { ':inProgress': 'in_progress' }),
+        ':now': now
+      }
+    }
+  };
+}
+
+/**
+ * Pay back the cancelled queued upgrades; keyed like a player's own
+ * cancellation so a refund is paid once whichever path cancels it
+ */
+async function refundQueuedUpgrades(upgrades: BaseUpgrade[]): Promise<void> {
+  for (const upgrade of upgrades.filter(cancelled => cancelled.status === 'queued')) {
+    try {
+      await refundResources(
+        upgrade.playerId,
+        upgrade.requirements.resources,
+        'upgrade-cancel',
+        `upgrade-cancel:${upgrade.upgradeId}`
+      );
+    } catch (error) {
+      // The base is already destroyed; the refund stays on the record for reconciliation
+      logger.error('Failed to refund cancelled upgrade', {
+        playerId: upgrade.playerId,
+        upgradeId: upgrade.upgradeId,
+        refund: upgrade.requirements.resources,
+        error: (error as Error).message
+      });
+    }
+  }
+}
+
+// Mirrors markBaseDestroyed; removed attributes are left undefined
+function toDestroyedBase(base: PlayerBase, reason: BaseDestroyReason, now: number): PlayerBase {
+  return {
+    ...base,
+    abandonAt: undefined,
+    statusBeforeAbandon: undefined,
+    buildCompletionTime: undefined,
+    arrivalTime: undefined,
+    movementOrigin: undefined,
+    dueAt: undefined,
+    status: 'destroyed',
+    destroyedAt: now,
+    destroyReason: reason,
+    lastActiveAt: now,
+    ttl: getDestroyedBaseTtl(now)
+  };
+}
+
+async function publishBaseDestroyed({ base, cancelledUpgradeIds }: DestroyedBase): Promise<void> {
+  try {
+    await publishGameEvent('BaseDestroyed', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      baseType: base.baseType,
+      coordinates: base.coordinates,
+      reason: base.destroyReason,
+      destroyedAt: base.destroyedAt,
+      cancelledUpgradeIds
+    });
+  } catch (error) {
+    // The base is already destroyed; a lost event must not fail the removal
+    logger.warn('Failed to publish base destroyed event', {
+      playerId: base.playerId,
+      baseId: base.baseId,
+      error: (error as Error).message
+    });
+  }
+}
+
+function invalidStatusError(base: PlayerBase, operation: string): GameEngineError {
+  return new GameEngineError(
+    `Cannot ${operation} base with status: ${base.status}`,
+    'INVALID_BASE_STATUS',
+    { playerId: base.playerId, baseId: base.baseId, status: base.status }
+  );
+}
+
+function baseChangedError(base: PlayerBase): GameEngineError {
+  return new GameEngineError(
+    'Base changed while the request was being processed',
+    'INVALID_BASE_STATUS',
+    { playerId: base.playerId, baseId: base.baseId }
+  );
+}
+
+function removalError(message: string, base: PlayerBase, error: unknown): GameEngineError {
+  return new GameEngineError(
+    message,
+    'BASE_REMOVAL_ERROR',
+    { playerId: base.playerId, baseId: base.baseId, error: (error as Error).message }
+  );
+}
@@ -0,0 +1,114 @@
+import { GameEngineError } from '../../lib/shared-mocks';
+import { Coordinates, GameRules, MapBase } from '../types/game-base-types';
+import { getGameRules } from './game-rules';
+import { calculateDistance, getMapSectionsWithinRadius } from './map-geometry';
+import { queryAllMapSectionBases } from './map-index';
+
+export interface SpacingConflict {
+  baseId: string;
+  baseType: string;
+  coordinates: Coordinates;
+  distance: number;
+  requiredSpacing: number;
+}
+
+/**
+ * Minimum distance (map units) other bases must keep from a base of this type
+ */
+export function getExclusionRadius(baseType: string, rules: GameRules = getGameRules()): number {
+  return rules.spacing.exclusionRadiusByBaseType[baseType] ?? rules.spacing.defaultExclusionRadius;
+}
+
+function getLargestExclusionRadius(rules: GameRules): number {
+  return Math.max(rules.spacing.defaultExclusionRadius, ...Object.values(rules.spacing.exclusionRadiusByBaseType));
+}
+
+/**
+ * Find a base that is too close to `coordinates` for a base of `baseType`
+ *
+ * Two bases must be farther apart than the larger of their exclusion radii,
+ * so every section within the largest configured radius is searched.
+ * `excludeBaseId` skips the base being moved.
+ */
+export async function findSpacingConflict(
+  coordinates: Coordinates,
+  baseType: string,
+  excludeBaseId?: string
+): Promise<SpacingConflict | undefined> {
+  const rules = getGameRules();
+  const sectionIds = getMapSectionsWithinRadius(coordinates, getSpacingSearchRadius(baseType, rules));
+
+  for (const sectionId of sectionIds) {
+    const neighbors = (await queryAllMapSectionBases(sectionId)).filter(neighbor => neighbor.baseId !== excludeBaseId);
+    const conflict = findSpacingConflictAmong(coordinates, baseType, neighbors, rules);
+
+    if (conflict) {
+      return conflict;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Distance around a base of this type in which other bases can conflict with it
+ */
+export function getSpacingSearchRadius(baseType: string, rules: GameRules = getGameRules()): number {
+  return Math.max(getExclusionRadius(baseType, rules), getLargestExclusionRadius(rules));
+}
+
+/**
+ * Spacing check against bases the caller has already loaded
+ */
+export function findSpacingConflictAmong(
+  coordinates: Coordinates,
+  baseType: string,
+  neighbors: Pick<MapBase, 'baseId' | 'baseType' | 'coordinates'>[],
+  rules: GameRules = getGameRules()
+): SpacingConflict | undefined {
+  const ownRadius = getExclusionRadius(baseType, rules);
+
+  for (const neighbor of neighbors) {
+    const distance = calculateDistance(coordinates, neighbor.coordinates);
+    const requiredSpacing = Math.max(ownRadius, getExclusionRadius(neighbor.baseType, rules));
+
+    if (distance <= requiredSpacing) {
+      return {
+        baseId: neighbor.baseId,
+        baseType: neighbor.baseType,
+        coordinates: neighbor.coordinates,
+        distance,
+        requiredSpacing
+      };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Reject coordinates inside another base's exclusion radius
+ *
+ * This is a read-before-write check; the tile claim written with the base
+ * remains the atomic guarantee against two bases on the same tile.
+ */
+export async function assertBaseSpacing(
+  coordinates: Coordinates,
+  baseType: string,
+  excludeBaseId?: string
+): Promise<void> {
+  const conflict = await findSpacingConflict(coordinates, baseType, excludeBaseId);
+
+  if (conflict) {
+    throw new GameEngineError(
+      'Coordinates are too close to another base',
+      'BASE_SPACING_VIOLATION',
+      {
+        coordinates,
+        nearbyBaseId: conflict.baseId,
+        distance: conflict.distance,
+        requiredSpacing: conflict.requiredSpacing
+      }
+    );
+  }
+}
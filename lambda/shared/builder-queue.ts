@@ -0,0 +1,381 @@
+import { DynamoDBClient, TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError, StructuredLogger } from '../../lib/shared-mocks';
+import { BaseUpgrade, BuilderQueue, SubscriptionTier } from '../types/game-base-types';
+import { TransactItem } from './coordinate-claims';
+import { getBuilderAllowance } from './player-entitlements';
+import { getGameRules } from './game-rules';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+const logger = new StructuredLogger('BuilderQueue');
+
+const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+
+// Sort key of the per-player queue record; upgrade ids always start with their baseId
+export const BUILDER_QUEUE_ID = 'builder-queue';
+
+// Concurrent queue changes fail the version check; the change is rebuilt this often
+const MAX_QUEUE_ATTEMPTS = 3;
+
+// Completed upgrade records are cleaned up by the table's TTL a week after completion
+const UPGRADE_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// An upgrade as requested, before it is started or queued
+export type NewUpgrade = Omit<BaseUpgrade, 'status' | 'queuedAt' | 'startedAt' | 'completionTime' | 'ttl'>;
+
+export interface BuilderQueueState {
+  playerId: string;
+  tier: SubscriptionTier;
+  slots: number;
+  running: BaseUpgrade[];
+  queued: BaseUpgrade[]; // In queue order, next to start first
+  version: number;
+}
+
+export interface PlaceUpgradeOptions {
+  now?: number;
+  instant?: boolean; // Completed right away, so it starts even when every slot is busy
+}
+
+/**
+ * Builder queue
+ *
+ * Every player has upgrades.builderSlots concurrent upgrades (more for
+ * subscribers). A new upgrade starts while a slot is free and otherwise
+ * waits in the player's queue; queued upgrades start in queue order as
+ * running ones complete, are cancelled or are finished early. A base has
+ * at most one running or queued upgrade, since each upgrade raises the
+ * level it was requested at.
+ *
+ * The order lives in one record per player in BaseUpgrades. Every start,
+ * enqueue, removal and reorder writes it with a version check in the same
+ * transaction as the upgrade, so concurrent requests never run more
+ * upgrades than the player has slots.
+ */
+export async function getBuilderQueue(playerId: string, now: number = Date.now()): Promise<BuilderQueueState> {
+  const allowance = await getBuilderAllowance(playerId, now);
+  const { upgrades, queueRecord } = await queryPlayerUpgrades(playerId);
+  const order = queueRecord?.queue ?? [];
+  const position = (upgrade: BaseUpgrade): number => {
+    const index = order.indexOf(upgrade.upgradeId);
+    return index === -1 ? order.length : index;
+  };
+
+  return {
+    playerId,
+    tier: allowance.tier,
+    slots: allowance.slots,
+    running: upgrades.filter(upgrade => upgrade.status === 'in_progress'),
+    queued: upgrades
+      .filter(upgrade => upgrade.status === 'queued')
+      .sort((a, b) => position(a) - position(b) || (a.queuedAt ?? 0) - (b.queuedAt ?? 0)),
+    version: queueRecord?.version ?? 0
+  };
+}
+
+/**
+ * Running and queued upgrades of a player
+ */
+export async function findActiveUpgrades(playerId: string): Promise<BaseUpgrade[]> {
+  const { upgrades } = await queryPlayerUpgrades(playerId);
+  return upgrades;
+}
+
+/**
+ * Start a new upgrade in a free slot, or queue it behind the player's other upgrades
+ */
+export async function placeUpgrade(upgrade: NewUpgrade, options: PlaceUpgradeOptions = {}): Promise<BaseUpgrade> {
+  const now = options.now ?? Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    const state = await getBuilderQueue(upgrade.playerId, now);
+    assertBaseIdle(state, upgrade.baseId);
+
+    const placed = options.instant || state.running.length < state.slots
+      ? toStartedUpgrade(upgrade, now)
+      : toQueuedUpgrade(upgrade, state, now);
+    const queue = queuedIds(state).concat(placed.status === 'queued' ? [placed.upgradeId] : []);
+
+    const written = await writeQueueChange(state, queue, now, {
+      Put: {
+        TableName: BASE_UPGRADES_TABLE,
+        Item: placed,
+        ConditionExpression: 'attribute_not_exists(upgradeId)'
+      }
+    });
+
+    if (written) {
+      return placed;
+    }
+    if (attempt >= MAX_QUEUE_ATTEMPTS) {
+      throw queueChangedError(upgrade.playerId);
+    }
+  }
+}
+
+/**
+ * Take a queued upgrade out of the player's queue
+ *
+ * `upgradeItem` changes the upgrade itself (e.g. marks it cancelled) in the
+ * same transaction and must be conditional on it still being queued.
+ * Returns false when the upgrade left the queue since it was read.
+ */
+export async function removeQueuedUpgrade(
+  upgrade: BaseUpgrade,
+  upgradeItem: TransactItem,
+  now: number = Date.now()
+): Promise<boolean> {
+  for (let attempt = 1; ; attempt++) {
+    const state = await getBuilderQueue(upgrade.playerId, now);
+    const queue = queuedIds(state);
+
+    if (!queue.includes(upgrade.upgradeId)) {
+      return false;
+    }
+
+    const written = await writeQueueChange(
+      state,
+      queue.filter(upgradeId => upgradeId !== upgrade.upgradeId),
+      now,
+      upgradeItem
+    );
+
+    if (written) {
+      return true;
+    }
+    if (attempt >= MAX_QUEUE_ATTEMPTS) {
+      throw queueChangedError(upgrade.playerId);
+    }
+  }
+}
+
+/**
+ * Start queued upgrades while the player has free slots
+ *
+ * Called whenever a running upgrade ends; returns the upgrades started.
+ * The upgrade that ended is already settled, so failures are logged rather
+ * than thrown and the queue moves on when the next upgrade ends.
+ */
+export async function startQueuedUpgrades(playerId: string, now: number = Date.now()): Promise<BaseUpgrade[]> {
+  const started: BaseUpgrade[] = [];
+
+  try {
+    await fillFreeSlots(playerId, now, started);
+  } catch (error) {
+    logger.error('Failed to start queued upgrades', {
+      playerId,
+      started: started.length,
+      error: (error as Error).message
+    });
+  }
+
+  return started;
+}
+
+async function fillFreeSlots(playerId: string, now: number, started: BaseUpgrade[]): Promise<void> {
+  let conflicts = 0;
+
+  while (conflicts < MAX_QUEUE_ATTEMPTS) {
+    const state = await getBuilderQueue(playerId, now);
+    const [next, ...rest] = state.queued;
+
+    if (!next || state.running.length >= state.slots) {
+      return;
+    }
+
+    const upgrade = toStartedUpgrade(next, now);
+    const written = await writeQueueChange(state, rest.map(queued => queued.upgradeId), now, {
+      Update: {
+        TableName: BASE_UPGRADES_TABLE,
+        Key: { playerId, upgradeId: next.upgradeId },
+        UpdateExpression: 'SET #status = :inProgress, startedAt = :startedAt, completionTime = :completionTime, #ttl = :ttl',
+        ConditionExpression: '#status = :queued',
+        ExpressionAttributeNames: { '#status': 'status', '#ttl': 'ttl' },
+        ExpressionAttributeValues: {
+          ':inProgress': 'in_progress',
+          ':queued': 'queued',
+          ':startedAt': upgrade.startedAt,
+          ':completionTime': upgrade.completionTime,
+          ':ttl': upgrade.ttl
+        }
+      }
+    });
+
+    if (written) {
+      started.push(upgrade);
+    } else {
+      conflicts++;
+    }
+  }
+}
+
+/**
+ * Replace the order of the player's queued upgrades
+ *
+ * `upgradeIds` must list exactly the queued upgrades; `expectedVersion`
+ * rejects the change when the queue changed since the caller viewed it.
+ */
+export async function reorderBuilderQueue(
+  playerId: string,
+  upgradeIds: string[],
+  expectedVersion?: number
+): Promise<BuilderQueueState> {
+  const now = Date.now();
+  const state = await getBuilderQueue(playerId, now);
+  const current = queuedIds(state);
+
+  const sameUpgrades = upgradeIds.length === current.length &&
+    new Set(upgradeIds).size === upgradeIds.length &&
+    upgradeIds.every(upgradeId => current.includes(upgradeId));
+
+  if (!sameUpgrades || (expectedVersion !== undefined && expectedVersion !== state.version)) {
+    throw queueChangedError(playerId, { queued: current, version: state.version });
+  }
+
+  if (!(await writeQueueChange(state, upgradeIds, now))) {
+    throw queueChangedError(playerId);
+  }
+
+  const byId = new Map(state.queued.map(upgrade => [upgrade.upgradeId, upgrade]));
+  return {
+    ...state,
+    queued: upgradeIds.map(upgradeId => byId.get(upgradeId) as BaseUpgrade),
+    version: state.version + 1
+  };
+}
+
+async function queryPlayerUpgrades(
+  playerId: string
+): Promise<{ upgrades: BaseUpgrade[]; queueRecord?: BuilderQueue }> {
+  try {
+    const items: Record<string, unknown>[] = [];
+    let exclusiveStartKey: Record<string, unknown> | undefined;
+
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: BASE_UPGRADES_TABLE,
+        KeyConditionExpression: 'playerId = :playerId',
+        FilterExpression: '#status IN (:queued, :inProgress) OR upgradeId = :queueId',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':playerId': playerId,
+          ':queued': 'queued',
+          ':inProgress': 'in_progress',
+          ':queueId': BUILDER_QUEUE_ID
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      items.push(...(response.Items ?? []));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return {
+      upgrades: items.filter(item => item.upgradeId !== BUILDER_QUEUE_ID) as unknown as BaseUpgrade[],
+      queueRecord: items.find(item => item.upgradeId === BUILDER_QUEUE_ID) as BuilderQueue | undefined
+    };
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to read builder queue',
+      'UPGRADE_QUERY_ERROR',
+      { playerId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Write the new queue order, together with the upgrade change that caused it
+ *
+ * Returns false when the queue or the upgrade changed since the state was read.
+ */
+async function writeQueueChange(
+  state: BuilderQueueState,
+  queue: string[],
+  now: number,
+  upgradeItem?: TransactItem
+): Promise<boolean> {
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        ...(upgradeItem ? [upgradeItem] : []),
+        {
+          Update: {
+            TableName: BASE_UPGRADES_TABLE,
+            Key: { playerId: state.playerId, upgradeId: BUILDER_QUEUE_ID },
+            UpdateExpression: 'SET #queue = :queue, #version = :nextVersion, updatedAt = :now',
+            ConditionExpression: 'attribute_not_exists(#version) OR #version = :version',
+            ExpressionAttributeNames: { '#queue': 'queue', '#version': 'version' },
+            ExpressionAttributeValues: {
+              ':queue': queue,
+              ':version': state.version,
+              ':nextVersion': state.version + 1,
+              ':now': now
+            }
+          }
+        }
+      ]
+    }));
+    return true;
+  } catch (error) {
+    if (error instanceof TransactionCanceledException) {
+      return false;
+    }
+    throw new GameEngineError(
+      'Failed to update builder queue',
+      'UPGRADE_QUEUE_ERROR',
+      { playerId: state.playerId, error: (error as Error).message }
+    );
+  }
+}
+
+function assertBaseIdle(state: BuilderQueueState, baseId: string): void {
+  // Cancelled and completed upgrades free the base for the next one
+  const activeUpgrade = [...state.running, ...state.queued].find(upgrade => upgrade.baseId === baseId);
+
+  if (activeUpgrade) {
+    throw new GameEngineError(
+      'Base already has an active upgrade',
+      'UPGRADE_IN_PROGRESS',
+      { playerId: state.playerId, baseId, activeUpgrade: activeUpgrade.upgradeId, status: activeUpgrade.status }
+    );
+  }
+}
+
+function toStartedUpgrade(upgrade: NewUpgrade | BaseUpgrade, now: number): BaseUpgrade {
+  const completionTime = now + upgrade.requirements.time * 1000;
+
+  return {
+    ...upgrade,
+    status: 'in_progress',
+    startedAt: now,
+    completionTime,
+    ttl: Math.floor(completionTime / 1000) + UPGRADE_RETENTION_SECONDS // DynamoDB TTL is in epoch seconds
+  };
+}
+
+function toQueuedUpgrade(upgrade: NewUpgrade, state: BuilderQueueState, now: number): BaseUpgrade {
+  const { maxQueuedUpgrades } = getGameRules().upgrades;
+
+  if (state.queued.length >= maxQueuedUpgrades) {
+    throw new GameEngineError(
+      'Upgrade queue is full',
+      'UPGRADE_QUEUE_FULL',
+      { playerId: state.playerId, slots: state.slots, maxQueuedUpgrades }
+    );
+  }
+
+  return { ...upgrade, status: 'queued', queuedAt: now };
+}
+
+function queuedIds(state: BuilderQueueState): string[] {
+  return state.queued.map(upgrade => upgrade.upgradeId);
+}
+
+function queueChangedError(playerId: string, details: Record<string, unknown> = {}): GameEngineError {
+  return new GameEngineError(
+    'Upgrade queue changed; reload it and try again',
+    'UPGRADE_QUEUE_CHANGED',
+    { playerId, ...details }
+  );
+}
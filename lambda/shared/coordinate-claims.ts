@@ -0,0 +1,66 @@
+import { TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { TransactWriteCommandInput } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { Coordinates, CoordinateClaim } from '../types/game-base-types';
+
+const COORDINATE_CLAIMS_TABLE = process.env.COORDINATE_CLAIMS_TABLE ?? '';
+
+export type TransactItem = NonNullable<TransactWriteCommandInput['TransactItems']>[number];
+
+/**
+ * Coordinate claims
+ *
+ * Every occupied tile has exactly one claim record keyed by coordinateHash.
+ * Create and move write the claim in the same transaction as the base, so
+ * two bases can never hold the same tile. Bases created before claims
+ * existed get theirs from the one-off backfill-coordinate-claims Lambda.
+ */
+export function toCoordinateHash(coordinates: Coordinates): string {
+  return `${coordinates.x},${coordinates.y}`;
+}
+
+/**
+ * Transaction item claiming a free tile for a base
+ */
+export function claimCoordinates(claim: CoordinateClaim): TransactItem {
+  return {
+    Put: {
+      TableName: COORDINATE_CLAIMS_TABLE,
+      Item: claim,
+      ConditionExpression: 'attribute_not_exists(coordinateHash)'
+    }
+  };
+}
+
+/**
+ * Transaction item releasing a tile held by a base
+ *
+ * A base the backfill has not claimed yet has no record; releasing its
+ * tile succeeds as a no-op.
+ */
+export function releaseCoordinates(coordinateHash: string, baseId: string): TransactItem {
+  return {
+    Delete: {
+      TableName: COORDINATE_CLAIMS_TABLE,
+      Key: { coordinateHash },
+      ConditionExpression: 'attribute_not_exists(coordinateHash) OR baseId = :baseId',
+      ExpressionAttributeValues: { ':baseId': baseId }
+    }
+  };
+}
+
+/**
+ * Whether a transaction failed because the item at `itemIndex` failed its condition
+ */
+export function isConditionFailure(error: unknown, itemIndex: number): boolean {
+  return error instanceof TransactionCanceledException &&
+    error.CancellationReasons?.[itemIndex]?.Code === 'ConditionalCheckFailed';
+}
+
+export function coordinatesOccupiedError(coordinates: Coordinates): GameEngineError {
+  return new GameEngineError(
+    'Destination coordinates are occupied',
+    'COORDINATES_OCCUPIED',
+    { coordinates, coordinateHash: toCoordinateHash(coordinates) }
+  );
+}
@@ -0,0 +1,50 @@
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+import { GameEngineError } from '../../lib/shared-mocks';
+
+const eventBridgeClient = new EventBridgeClient({});
+
+const EVENT_BUS_NAME = process.env.EVENT_BUS_NAME ?? 'default';
+const EVENT_SOURCE = 'loupeen.game-base-service';
+
+/**
+ * Domain events published by the base service so other services
+ * (notifications, player progression, battle) can react to state changes
+ */
+export type GameBaseEventType =
+  | 'BaseBuildCompleted'
+  | 'BaseMovementCompleted'
+  | 'BaseUpgradeCompleted'
+  | 'BaseDestroyed';
+
+/**
+ * Publish a domain event to EventBridge
+ */
+export async function publishGameEvent(
+  eventType: GameBaseEventType,
+  detail: Record<string, unknown>
+): Promise<void> {
+  try {
+    const command = new PutEventsCommand({
+      Entries: [
+        {
+          EventBusName: EVENT_BUS_NAME,
+          Source: EVENT_SOURCE,
+          DetailType: eventType,
+          Detail: JSON.stringify(detail)
+        }
+      ]
+    });
+
+    const response = await eventBridgeClient.send(command);
+
+    if ((response.FailedEntryCount ?? 0) > 0) {
+      throw new Error(response.Entries?.[0]?.ErrorMessage ?? 'Event rejected by EventBridge');
+    }
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to publish game event',
+      'EVENT_PUBLISH_ERROR',
+      { eventType, error: (error as Error).message }
+    );
+  }
+}
@@ -0,0 +1,164 @@
+import { z } from 'zod';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { GameRules } from '../types/game-base-types';
+
+const positiveInt = z.number().int().positive();
+const weight = z.number().min(0);
+
+const GameRulesSchema = z.object({
+  maxBasesPerPlayer: z.object({
+    free: positiveInt,
+    subscription: positiveInt
+  }),
+  movement: z.object({
+    cooldownMinutes: z.number().min(0),
+    maxDistance: z.number().positive(),
+    teleportCostGold: z.number().min(0)
+  }),
+  spawning: z.object({
+    newPlayerGroupSize: positiveInt,
+    spawnRadius: z.number().positive(),
+    scoring: z.object({
+      weights: z.object({
+        density: weight,
+        safety: weight,
+        resources: weight,
+        friends: weight
+      }),
+      crowdedSectionBaseCount: positiveInt,
+      safetyRadius: z.number().positive(),
+      highLevelBaseLevel: positiveInt,
+      resourceRadius: z.number().positive()
+    })
+  }),
+  spacing: z.object({
+    defaultExclusionRadius: z.number().min(0),
+    exclusionRadiusByBaseType: z.record(z.string(), z.number().min(0))
+  }),
+  removal: z.object({
+    abandonUndoMinutes: z.number().min(0),
+    destroyedRetentionDays: z.number().min(0)
+  }),
+  upgrades: z.object({
+    cancelRefundPercent: z.number().min(0).max(100),
+    builderSlots: z.object({
+      free: positiveInt,
+      subscription: positiveInt
+    }),
+    maxQueuedUpgrades: z.number().int().min(0)
+  }),
+  speedUps: z.object({
+    goldPerMinute: z.number().min(0),
+    minimumGold: z.number().min(0),
+    boostSeconds: z.record(z.string(), positiveInt)
+  })
+});
+
+// Used when GAME_RULES is not provided (local runs and unit tests); mirrors the non-test config
+export const DEFAULT_GAME_RULES: GameRules = {
+  maxBasesPerPlayer: { free: 5, subscription: 10 },
+  movement: { cooldownMinutes: 60, maxDistance: 1000, teleportCostGold: 100 },
+  spawning: {
+    newPlayerGroupSize: 50,
+    spawnRadius: 1000,
+    scoring: {
+      weights: { density: 0.3, safety: 0.3, resources: 0.2, friends: 0.2 },
+      crowdedSectionBaseCount: 10,
+      safetyRadius: 200,
+      highLevelBaseLevel: 10,
+      resourceRadius: 200
+    }
+  },
+  spacing: { defaultExclusionRadius: 3, exclusionRadiusByBaseType: { fortress: 6, outpost: 2 } },
+  removal: { abandonUndoMinutes: 60, destroyedRetentionDays: 30 },
+  upgrades: { cancelRefundPercent: 50, builderSlots: { free: 1, subscription: 2 }, maxQueuedUpgrades: 5 },
+  speedUps: {
+    goldPerMinute: 1,
+    minimumGold: 10,
+    boostSeconds: { 'speedup-5m': 300, 'speedup-1h': 3600, 'speedup-8h': 28800 }
+  }
+};
+
+// Map units covered per gold when teleporting
+const TELEPORT_UNITS_PER_GOLD = 10;
+
+let cachedRules: GameRules | undefined;
+
+/**
+ * Game rules for this deployment
+ *
+ * Parsed once per container from the GAME_RULES variable that the CDK
+ * stack generates from GameBaseServiceConfig.
+ */
+export function getGameRules(): GameRules {
+  cachedRules ??= parseGameRules(process.env.GAME_RULES);
+  return cachedRules;
+}
+
+export function parseGameRules(serializedRules: string | undefined): GameRules {
+  if (!serializedRules) {
+    return DEFAULT_GAME_RULES;
+  }
+
+  try {
+    return GameRulesSchema.parse(JSON.parse(serializedRules));
+  } catch (error) {
+    throw new GameEngineError(
+      'Invalid game rules configuration',
+      'INVALID_GAME_RULES',
+      { error: (error as Error).message }
+    );
+  }
+}
+
+export function getMovementCooldownMs(rules: GameRules = getGameRules()): number {
+  return rules.movement.cooldownMinutes * 60 * 1000;
+}
+
+/**
+ * Milliseconds until a base may move again (0 when it can move now)
+ */
+export function getMovementCooldownRemaining(lastMovedAt: number | undefined, now: number = Date.now()): number {
+  if (!lastMovedAt) {
+    return 0;
+  }
+  return Math.max(0, getMovementCooldownMs() - (now - lastMovedAt));
+}
+
+export function calculateTeleportCost(distance: number, rules: GameRules = getGameRules()): number {
+  return Math.max(rules.movement.teleportCostGold, Math.ceil(distance / TELEPORT_UNITS_PER_GOLD));
+}
+
+export function getAbandonUndoMs(rules: GameRules = getGameRules()): number {
+  return rules.removal.abandonUndoMinutes * 60 * 1000;
+}
+
+/**
+ * TTL (epoch seconds) after which a base destroyed at `destroyedAt` is purged
+ */
+export function getDestroyedBaseTtl(destroyedAt: number, rules: GameRules = getGameRules()): number {
+  return Math.floor(destroyedAt / 1000) + rules.removal.destroyedRetentionDays * 24 * 60 * 60;
+}
+
+/**
+ * Resources paid back for a cancelled upgrade, rounded down per resource
+ */
+export function calculateCancelRefund(
+  resources: Record<string, number>,
+  rules: GameRules = getGameRules()
+): Record<string, number> {
+  return Object.fromEntries(
+    Object.entries(resources).map(([resource, amount]) => [
+      resource,
+      Math.floor(amount * rules.upgrades.cancelRefundPercent / 100)
+    ])
+  );
+}
+
+/**
+ * Gold that finishes a timer with `remainingSeconds` left right away
+ */
+export function calculateSpeedUpCost(remainingSeconds: number, rules: GameRules = getGameRules()): number {
+  const { goldPerMinute, minimumGold } = rules.speedUps;
+  return Math.max(minimumGold, Math.ceil(remainingSeconds / 60 * goldPerMinute));
+}
@@ -0,0 +1,68 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { GameEngineError } from '../../lib/shared-mocks';
+
+/**
+ * Local token issuer and verifier
+ *
+ * Stands in for Cognito when running handlers locally or in tests. Tokens
+ * are HS256-signed JWTs carrying the same claim names the Cognito
+ * authorizer forwards, so handlers resolve identities identically.
+ */
+
+export interface LocalTokenOptions {
+  playerId: string;
+  allianceId?: string;
+  groups?: string[];
+  ttlSeconds?: number;
+}
+
+export type TokenClaims = Record<string, unknown>;
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+export function issueLocalToken(options: LocalTokenOptions, secret: string, now: number = Date.now()): string {
+  const issuedAt = Math.floor(now / 1000);
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const claims: TokenClaims = {
+    sub: options.playerId,
+    'custom:playerId': options.playerId,
+    ...(options.allianceId && { 'custom:allianceId': options.allianceId }),
+    'cognito:groups': (options.groups ?? []).join(','),
+    iat: issuedAt,
+    exp: issuedAt + (options.ttlSeconds ?? DEFAULT_TTL_SECONDS)
+  };
+
+  const unsignedToken = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  return `${unsignedToken}.${sign(unsignedToken, secret)}`;
+}
+
+export function verifyLocalToken(token: string, secret: string, now: number = Date.now()): TokenClaims {
+  const [header, payload, signature] = token.split('.');
+
+  if (!header || !payload || !signature) {
+    throw new GameEngineError('Malformed access token', 'UNAUTHORIZED');
+  }
+
+  const expectedSignature = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actualSignature = Buffer.from(signature);
+
+  if (expectedSignature.length !== actualSignature.length || !timingSafeEqual(expectedSignature, actualSignature)) {
+    throw new GameEngineError('Invalid access token signature', 'UNAUTHORIZED');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString()) as TokenClaims;
+
+  if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+    throw new GameEngineError('Access token has expired', 'UNAUTHORIZED');
+  }
+
+  return claims;
+}
+
+function encodeSegment(value: Record<string, unknown>): string {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function sign(value: string, secret: string): string {
+  return createHmac('sha256', secret).update(value).digest('base64url');
+}
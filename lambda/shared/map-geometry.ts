@@ -0,0 +1,97 @@
+import { Coordinates, MapBounds } from '../types/game-base-types';
+
+// The world map is indexed in square sections of this many units (LocationIndex partition key)
+export const MAP_SECTION_SIZE = 100;
+
+export function toMapSectionId(coordinates: Coordinates): string {
+  return `${Math.floor(coordinates.x / MAP_SECTION_SIZE)},${Math.floor(coordinates.y / MAP_SECTION_SIZE)}`;
+}
+
+export function calculateDistance(from: Coordinates, to: Coordinates): number {
+  return Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+}
+
+export function isWithinBounds(point: Coordinates, bounds: MapBounds): boolean {
+  return point.x >= bounds.minX && point.x <= bounds.maxX &&
+         point.y >= bounds.minY && point.y <= bounds.maxY;
+}
+
+/**
+ * Map sections overlapping the circle of `radius` units around `center`
+ *
+ * Sections whose nearest point is farther than the radius are skipped, so
+ * a small radius near a section corner yields at most four sections.
+ */
+export function getMapSectionsWithinRadius(center: Coordinates, radius: number): string[] {
+  const minSectionX = Math.floor((center.x - radius) / MAP_SECTION_SIZE);
+  const maxSectionX = Math.floor((center.x + radius) / MAP_SECTION_SIZE);
+  const minSectionY = Math.floor((center.y - radius) / MAP_SECTION_SIZE);
+  const maxSectionY = Math.floor((center.y + radius) / MAP_SECTION_SIZE);
+  const sectionIds: string[] = [];
+
+  for (let sectionX = minSectionX; sectionX <= maxSectionX; sectionX++) {
+    for (let sectionY = minSectionY; sectionY <= maxSectionY; sectionY++) {
+      const nearestPoint = {
+        x: clamp(center.x, sectionX * MAP_SECTION_SIZE, (sectionX + 1) * MAP_SECTION_SIZE),
+        y: clamp(center.y, sectionY * MAP_SECTION_SIZE, (sectionY + 1) * MAP_SECTION_SIZE)
+      };
+
+      if (calculateDistance(center, nearestPoint) <= radius) {
+        sectionIds.push(`${sectionX},${sectionY}`);
+      }
+    }
+  }
+
+  return sectionIds;
+}
+
+/**
+ * Map sections overlapping a bounding box, ordered row by row
+ */
+export function getMapSectionsInBounds(bounds: MapBounds): string[] {
+  const sectionIds: string[] = [];
+
+  for (let sectionY = Math.floor(bounds.minY / MAP_SECTION_SIZE); sectionY <= Math.floor(bounds.maxY / MAP_SECTION_SIZE); sectionY++) {
+    for (let sectionX = Math.floor(bounds.minX / MAP_SECTION_SIZE); sectionX <= Math.floor(bounds.maxX / MAP_SECTION_SIZE); sectionX++) {
+      sectionIds.push(`${sectionX},${sectionY}`);
+    }
+  }
+
+  return sectionIds;
+}
+
+/**
+ * Sections forming the square ring `ring` sections away from the center's section
+ *
+ * Ring 0 is the center's own section, ring 1 the eight around it, and so on.
+ */
+export function getMapSectionRing(center: Coordinates, ring: number): string[] {
+  const centerX = Math.floor(center.x / MAP_SECTION_SIZE);
+  const centerY = Math.floor(center.y / MAP_SECTION_SIZE);
+  const sectionIds: string[] = [];
+
+  for (let offsetY = -ring; offsetY <= ring; offsetY++) {
+    for (let offsetX = -ring; offsetX <= ring; offsetX++) {
+      if (Math.max(Math.abs(offsetX), Math.abs(offsetY)) === ring) {
+        sectionIds.push(`${centerX + offsetX},${centerY + offsetY}`);
+      }
+    }
+  }
+
+  return sectionIds;
+}
+
+/**
+ * Radius around `center` fully covered once rings 0..`ring` have been searched
+ */
+export function getRingCoverageRadius(center: Coordinates, ring: number): number {
+  const offsetX = center.x - Math.floor(center.x / MAP_SECTION_SIZE) * MAP_SECTION_SIZE;
+  const offsetY = center.y - Math.floor(center.y / MAP_SECTION_SIZE) * MAP_SECTION_SIZE;
+  const distanceToEdge = Math.min(offsetX, offsetY, MAP_SECTION_SIZE - offsetX, MAP_SECTION_SIZE - offsetY);
+
+  return ring * MAP_SECTION_SIZE + distanceToEdge;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,167 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { MapBase, MapBounds } from '../types/game-base-types';
+import { toCoordinateHash } from './coordinate-claims';
+import { toMapSectionId } from './map-geometry';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+
+export interface MapSectionQuery {
+  bounds?: MapBounds;
+  allianceId?: string;
+  excludeAllianceId?: string;
+  baseType?: string;
+  minLevel?: number;
+  maxLevel?: number;
+  inactiveSince?: number; // Only bases whose lastActiveAt is older than this
+  limit?: number;
+  exclusiveStartKey?: Record<string, unknown>;
+}
+
+// Filters shared by every map query; pagination is handled by the caller
+export type MapBaseFilters = Omit<MapSectionQuery, 'limit' | 'exclusiveStartKey'>;
+
+export interface MapSectionPage {
+  bases: MapBase[];
+  lastEvaluatedKey?: Record<string, unknown>;
+}
+
+/**
+ * Query one LocationIndex section for the bases standing in it
+ *
+ * Destroyed bases are never returned. `bounds`, `allianceId` and
+ * `baseType` are applied as filters, so a page may hold fewer than
+ * `limit` bases while `lastEvaluatedKey` is still set.
+ */
+export async function queryMapSection(sectionId: string, query: MapSectionQuery = {}): Promise<MapSectionPage> {
+  const filter = buildSectionFilter(query);
+
+  try {
+    const response = await docClient.send(new QueryCommand({
+      TableName: PLAYER_BASES_TABLE,
+      IndexName: 'LocationIndex',
+      KeyConditionExpression: 'mapSectionId = :sectionId',
+      FilterExpression: filter.expression,
+      ProjectionExpression: 'baseId, playerId, baseName, baseType, #level, allianceId, #status, coordinates',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#level': 'level'
+      },
+      ExpressionAttributeValues: { ':sectionId': sectionId, ...filter.values },
+      Limit: query.limit,
+      ExclusiveStartKey: query.exclusiveStartKey
+    }));
+
+    return {
+      bases: (response.Items ?? []) as MapBase[],
+      lastEvaluatedKey: response.LastEvaluatedKey
+    };
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to query map section',
+      'MAP_QUERY_ERROR',
+      { sectionId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Every base in a LocationIndex section matching the query, following pagination
+ */
+export async function queryAllMapSectionBases(sectionId: string, query: MapBaseFilters = {}): Promise<MapBase[]> {
+  const bases: MapBase[] = [];
+  let exclusiveStartKey: Record<string, unknown> | undefined;
+
+  do {
+    const page = await queryMapSection(sectionId, { ...query, exclusiveStartKey });
+    bases.push(...page.bases);
+    exclusiveStartKey = page.lastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return bases;
+}
+
+interface FilterClause {
+  expression: string;
+  values: Record<string, unknown>;
+}
+
+function buildSectionFilter(query: MapSectionQuery): FilterClause {
+  const clauses: FilterClause[] = [
+    { expression: '#status <> :destroyed', values: { ':destroyed': 'destroyed' } },
+    ...buildBoundsClauses(query),
+    ...buildAllianceClauses(query),
+    ...buildBaseClauses(query)
+  ];
+
+  return {
+    expression: clauses.map(clause => clause.expression).join(' AND '),
+    values: Object.assign({}, ...clauses.map(clause => clause.values)) as Record<string, unknown>
+  };
+}
+
+function buildBoundsClauses({ bounds }: MapSectionQuery): FilterClause[] {
+  if (!bounds) {
+    return [];
+  }
+
+  return [{
+    expression: 'coordinates.x BETWEEN :minX AND :maxX AND coordinates.y BETWEEN :minY AND :maxY',
+    values: { ':minX': bounds.minX, ':maxX': bounds.maxX, ':minY': bounds.minY, ':maxY': bounds.maxY }
+  }];
+}
+
+function buildAllianceClauses(query: MapSectionQuery): FilterClause[] {
+  const clauses: FilterClause[] = [];
+
+  if (query.allianceId) {
+    clauses.push({ expression: 'allianceId = :allianceId', values: { ':allianceId': query.allianceId } });
+  }
+
+  if (query.excludeAllianceId) {
+    clauses.push({
+      expression: '(attribute_not_exists(allianceId) OR allianceId <> :excludeAllianceId)',
+      values: { ':excludeAllianceId': query.excludeAllianceId }
+    });
+  }
+
+  return clauses;
+}
+
+function buildBaseClauses(query: MapSectionQuery): FilterClause[] {
+  const clauses: FilterClause[] = [];
+
+  if (query.baseType) {
+    clauses.push({ expression: 'baseType = :baseType', values: { ':baseType': query.baseType } });
+  }
+
+  if (query.minLevel !== undefined) {
+    clauses.push({ expression: '#level >= :minLevel', values: { ':minLevel': query.minLevel } });
+  }
+
+  if (query.maxLevel !== undefined) {
+    clauses.push({ expression: '#level <= :maxLevel', values: { ':maxLevel': query.maxLevel } });
+  }
+
+  if (query.inactiveSince !== undefined) {
+    clauses.push({ expression: 'lastActiveAt < :inactiveSince', values: { ':inactiveSince': query.inactiveSince } });
+  }
+
+  return clauses;
+}
+
+/**
+ * LocationIndex key of a base returned by queryMapSection, for resuming after it
+ */
+export function toLocationIndexKey(base: MapBase): Record<string, unknown> {
+  return {
+    mapSectionId: toMapSectionId(base.coordinates),
+    coordinateHash: toCoordinateHash(base.coordinates),
+    playerId: base.playerId,
+    baseId: base.baseId
+  };
+}
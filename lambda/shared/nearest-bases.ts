@@ -0,0 +1,48 @@
+import { Coordinates, MapBase } from '../types/game-base-types';
+import { calculateDistance, getMapSectionRing, getRingCoverageRadius } from './map-geometry';
+import { MapBaseFilters, queryAllMapSectionBases } from './map-index';
+
+export interface NearestBasesQuery {
+  center: Coordinates;
+  count: number;
+  maxRadius: number;
+  filters?: MapBaseFilters;
+  isVisible?: (base: MapBase) => boolean;
+}
+
+export interface NearestBase extends MapBase {
+  distance: number;
+}
+
+/**
+ * The `count` bases closest to a point, nearest first
+ *
+ * Sections are searched ring by ring outward from the point's section.
+ * The search stops once `count` matches lie inside the radius the searched
+ * rings fully cover, or the rings reach `maxRadius`.
+ */
+export async function findNearestBases(query: NearestBasesQuery): Promise<NearestBase[]> {
+  const { center, count, maxRadius, filters = {}, isVisible = (): boolean => true } = query;
+  const candidates: NearestBase[] = [];
+
+  for (let ring = 0; ; ring++) {
+    const sections = await Promise.all(
+      getMapSectionRing(center, ring).map(sectionId => queryAllMapSectionBases(sectionId, filters))
+    );
+
+    sections.flat()
+      .filter(isVisible)
+      .map(base => ({ ...base, distance: calculateDistance(center, base.coordinates) }))
+      .filter(base => base.distance <= maxRadius)
+      .forEach(base => candidates.push(base));
+
+    const coveredRadius = getRingCoverageRadius(center, ring);
+    const settled = candidates.filter(base => base.distance <= coveredRadius).length;
+
+    if (settled >= count || coveredRadius >= maxRadius) {
+      break;
+    }
+  }
+
+  return candidates.sort((a, b) => a.distance - b.distance).slice(0, count);
+}
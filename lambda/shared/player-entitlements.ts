@@ -0,0 +1,176 @@
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+import { z } from 'zod';
+import { GameEngineError, StructuredLogger } from '../../lib/shared-mocks';
+import { PlayerEntitlement, SubscriptionTier } from '../types/game-base-types';
+import { getGameRules } from './game-rules';
+
+const logger = new StructuredLogger('PlayerEntitlements');
+
+const ENTITLEMENT_PROVIDER = process.env.ENTITLEMENT_PROVIDER ?? 'stub';
+const ENTITLEMENT_FUNCTION_NAME = process.env.ENTITLEMENT_FUNCTION_NAME ?? '';
+const ENTITLEMENT_CACHE_TTL_SECONDS = Number(process.env.ENTITLEMENT_CACHE_TTL_SECONDS ?? '300');
+
+const EntitlementSchema = z.object({
+  playerId: z.string(),
+  tier: z.enum(['free', 'subscription']),
+  expiresAt: z.number().optional()
+});
+
+const StubConfigSchema = z.object({
+  defaultTier: z.enum(['free', 'subscription']).default('free'),
+  players: z.record(z.string(), z.enum(['free', 'subscription'])).default({})
+});
+
+/**
+ * Port for looking up a player's subscription entitlement
+ */
+export interface PlayerEntitlementProvider {
+  getEntitlement(playerId: string): Promise<PlayerEntitlement>;
+}
+
+export interface BaseAllowance {
+  tier: SubscriptionTier;
+  maxBases: number;
+  subscriptionExpiresAt?: number;
+}
+
+export interface BuilderAllowance {
+  tier: SubscriptionTier;
+  slots: number;
+}
+
+/**
+ * Local stub configured through ENTITLEMENT_STUB, e.g.
+ * `{"defaultTier":"free","players":{"player-1":"subscription"}}`
+ */
+export class StubEntitlementProvider implements PlayerEntitlementProvider {
+  private readonly config: z.infer<typeof StubConfigSchema>;
+
+  constructor(serializedConfig: string = process.env.ENTITLEMENT_STUB ?? '{}') {
+    this.config = StubConfigSchema.parse(JSON.parse(serializedConfig));
+  }
+
+  getEntitlement(playerId: string): Promise<PlayerEntitlement> {
+    return Promise.resolve({ playerId, tier: this.config.players[playerId] ?? this.config.defaultTier });
+  }
+}
+
+/**
+ * Adapter for the player service's entitlement Lambda
+ *
+ * Entitlements are cached per container until the cache TTL or the
+ * subscription expiry, whichever comes first.
+ */
+export class LambdaEntitlementProvider implements PlayerEntitlementProvider {
+  private readonly cache = new Map<string, { entitlement: PlayerEntitlement; cachedUntil: number }>();
+
+  constructor(
+    private readonly functionName: string,
+    private readonly cacheTtlMs: number,
+    private readonly client: LambdaClient = new LambdaClient({})
+  ) {}
+
+  async getEntitlement(playerId: string): Promise<PlayerEntitlement> {
+    const now = Date.now();
+    const cached = this.cache.get(playerId);
+
+    if (cached && cached.cachedUntil > now) {
+      return cached.entitlement;
+    }
+
+    const entitlement = await this.invokeEntitlementFunction(playerId);
+    const cachedUntil = Math.min(now + this.cacheTtlMs, entitlement.expiresAt ?? Infinity);
+    this.cache.set(playerId, { entitlement, cachedUntil });
+
+    return entitlement;
+  }
+
+  private async invokeEntitlementFunction(playerId: string): Promise<PlayerEntitlement> {
+    try {
+      const response = await this.client.send(new InvokeCommand({
+        FunctionName: this.functionName,
+        Payload: Buffer.from(JSON.stringify({ playerId }))
+      }));
+
+      if (response.FunctionError) {
+        throw new Error(`Entitlement function failed: ${response.FunctionError}`);
+      }
+
+      return EntitlementSchema.parse(JSON.parse(Buffer.from(response.Payload ?? []).toString()));
+    } catch (error) {
+      throw new GameEngineError(
+        'Failed to retrieve player entitlement',
+        'ENTITLEMENT_LOOKUP_ERROR',
+        { playerId, error: (error as Error).message }
+      );
+    }
+  }
+}
+
+let provider: PlayerEntitlementProvider | undefined;
+
+export function getEntitlementProvider(): PlayerEntitlementProvider {
+  provider ??= ENTITLEMENT_PROVIDER === 'lambda'
+    ? new LambdaEntitlementProvider(ENTITLEMENT_FUNCTION_NAME, ENTITLEMENT_CACHE_TTL_SECONDS * 1000)
+    : new StubEntitlementProvider();
+  return provider;
+}
+
+// Allows tests and local tooling to swap the adapter
+export function setEntitlementProvider(entitlementProvider: PlayerEntitlementProvider | undefined): void {
+  provider = entitlementProvider;
+}
+
+/**
+ * Resolve how many bases a player may own
+ *
+ * Expired subscriptions count as free; lookup failures fall back to the
+ * free tier so base creation never depends on the player service being up.
+ */
+export async function getBaseAllowance(playerId: string, now: number = Date.now()): Promise<BaseAllowance> {
+  const limits = getGameRules().maxBasesPerPlayer;
+  const subscription = await getActiveSubscription(playerId, now, 'base allowance');
+
+  if (!subscription) {
+    return { tier: 'free', maxBases: limits.free };
+  }
+
+  return {
+    tier: 'subscription',
+    maxBases: limits.subscription,
+    ...(subscription.expiresAt !== undefined && { subscriptionExpiresAt: subscription.expiresAt })
+  };
+}
+
+/**
+ * Resolve how many upgrades a player may run at once, with the same
+ * free-tier fallback as the base allowance
+ */
+export async function getBuilderAllowance(playerId: string, now: number = Date.now()): Promise<BuilderAllowance> {
+  const slots = getGameRules().upgrades.builderSlots;
+  const subscription = await getActiveSubscription(playerId, now, 'builder slots');
+
+  return subscription
+    ? { tier: 'subscription', slots: slots.subscription }
+    : { tier: 'free', slots: slots.free };
+}
+
+async function getActiveSubscription(
+  playerId: string,
+  now: number,
+  allowance: string
+): Promise<PlayerEntitlement | undefined> {
+  try {
+    const entitlement = await getEntitlementProvider().getEntitlement(playerId);
+    const isActiveSubscription = entitlement.tier === 'subscription' &&
+      (entitlement.expiresAt === undefined || entitlement.expiresAt > now);
+
+    return isActiveSubscription ? entitlement : undefined;
+  } catch (error) {
+    logger.warn(`Falling back to free tier ${allowance}`, {
+      playerId,
+      error: (error as Error).message
+    });
+    return undefined;
+  }
+}
@@ -0,0 +1,117 @@
+import { APIGatewayProxyEvent } from 'aws-lambda';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { verifyLocalToken, TokenClaims } from './local-auth';
+
+const AUTH_MODE = process.env.AUTH_MODE ?? 'cognito';
+const LOCAL_AUTH_SECRET = process.env.LOCAL_AUTH_SECRET ?? '';
+const ENVIRONMENT = process.env.ENVIRONMENT ?? 'test';
+const PRIVILEGED_GROUPS = (process.env.PRIVILEGED_GROUPS ?? 'admin,service')
+  .split(',')
+  .map(group => group.trim())
+  .filter(group => group.length > 0);
+
+export interface PlayerIdentity {
+  playerId: string;
+  allianceId?: string;
+  groups: string[];
+  isPrivileged: boolean;
+}
+
+/**
+ * Resolve the calling player from verified token claims
+ *
+ * Deployed stages trust the claims forwarded by the Cognito authorizer;
+ * AUTH_MODE=local verifies locally issued tokens instead (never in production).
+ */
+export function resolvePlayerIdentity(event: APIGatewayProxyEvent): PlayerIdentity {
+  const claims = AUTH_MODE === 'local'
+    ? getLocalClaims(event)
+    : (event.requestContext?.authorizer?.claims as TokenClaims | undefined);
+
+  const playerId = readClaim(claims, 'custom:playerId') ?? readClaim(claims, 'sub');
+
+  if (!playerId) {
+    throw new GameEngineError('Missing or invalid player identity', 'UNAUTHORIZED');
+  }
+
+  const groups = parseGroups(claims?.['cognito:groups']);
+  const allianceId = readClaim(claims, 'custom:allianceId');
+
+  return {
+    playerId,
+    ...(allianceId && { allianceId }),
+    groups,
+    isPrivileged: groups.some(group => PRIVILEGED_GROUPS.includes(group))
+  };
+}
+
+/**
+ * Ensure the caller may act for the requested player
+ *
+ * Players may only act for themselves; admin and service callers may act
+ * for any player.
+ */
+export function assertPlayerAccess(event: APIGatewayProxyEvent, requestedPlayerId: string): PlayerIdentity {
+  const identity = resolvePlayerIdentity(event);
+
+  if (identity.playerId !== requestedPlayerId && !identity.isPrivileged) {
+    throw new GameEngineError(
+      'Caller is not allowed to act for this player',
+      'FORBIDDEN',
+      { playerId: requestedPlayerId }
+    );
+  }
+
+  return identity;
+}
+
+/**
+ * Ensure the caller is an admin or service caller
+ */
+export function assertPrivilegedAccess(event: APIGatewayProxyEvent): PlayerIdentity {
+  const identity = resolvePlayerIdentity(event);
+
+  if (!identity.isPrivileged) {
+    throw new GameEngineError(
+      'Caller is not allowed to perform administrative actions',
+      'FORBIDDEN',
+      { playerId: identity.playerId }
+    );
+  }
+
+  return identity;
+}
+
+function getLocalClaims(event: APIGatewayProxyEvent): TokenClaims {
+  if (ENVIRONMENT === 'production' || !LOCAL_AUTH_SECRET) {
+    throw new GameEngineError('Local authentication is not available', 'UNAUTHORIZED');
+  }
+
+  const authorization = event.headers?.Authorization ?? event.headers?.authorization ?? '';
+  const token = authorization.replace(/^Bearer\s+/i, '');
+
+  if (!token) {
+    throw new GameEngineError('Missing access token', 'UNAUTHORIZED');
+  }
+
+  return verifyLocalToken(token, LOCAL_AUTH_SECRET);
+}
+
+function readClaim(claims: TokenClaims | undefined, name: string): string | undefined {
+  const value = claims?.[name];
+  return typeof value === 'string' && value.length > 0 ? value : undefined;
+}
+
+// Cognito forwards groups as "a,b" (or "[a b]" depending on the integration)
+function parseGroups(groups: unknown): string[] {
+  if (Array.isArray(groups)) {
+    return groups.map(String);
+  }
+  if (typeof groups !== 'string') {
+    return [];
+  }
+  return groups
+    .replace(/^\[|\]$/g, '')
+    .split(/[,\s]+/)
+    .filter(group => group.length > 0);
+}
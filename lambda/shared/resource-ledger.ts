@@ -0,0 +1,276 @@
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+import { v4 as uuidv4 } from 'uuid';
+import { z } from 'zod';
+import { GameEngineError, StructuredLogger } from '../../lib/shared-mocks';
+import { ResourceAmounts, ResourceReservation } from '../types/game-base-types';
+
+const logger = new StructuredLogger('ResourceLedger');
+
+const RESOURCE_LEDGER_PROVIDER = process.env.RESOURCE_LEDGER_PROVIDER ?? 'memory';
+const RESOURCE_LEDGER_FUNCTION_NAME = process.env.RESOURCE_LEDGER_FUNCTION_NAME ?? '';
+
+const ResourceAmountsSchema = z.record(z.string(), z.number().min(0));
+
+const LedgerResponseSchema = z.object({
+  reservationId: z.string().optional(),
+  error: z.string().optional(),
+  shortfall: ResourceAmountsSchema.optional()
+});
+
+/**
+ * Port for the resource service's reserve → commit/rollback protocol
+ *
+ * `reserve` holds the amounts (failing with INSUFFICIENT_RESOURCES),
+ * `commit` spends them and `rollback` releases them again. `credit` pays
+ * amounts back (refunds); a repeated `reference` is credited only once.
+ */
+export interface ResourceLedger {
+  reserve(playerId: string, amounts: ResourceAmounts, reason: string): Promise<ResourceReservation>;
+  commit(reservationId: string): Promise<void>;
+  rollback(reservationId: string): Promise<void>;
+  credit(playerId: string, amounts: ResourceAmounts, reason: string, reference: string): Promise<void>;
+}
+
+/**
+ * In-process ledger for tests and stages without a resource service
+ *
+ * Players without an explicit balance start from `defaultBalance`.
+ */
+export class InMemoryResourceLedger implements ResourceLedger {
+  private readonly balances = new Map<string, ResourceAmounts>();
+  private readonly reservations = new Map<string, ResourceReservation>();
+  private readonly creditedReferences = new Set<string>();
+
+  constructor(private readonly defaultBalance: ResourceAmounts = {}) {}
+
+  setBalance(playerId: string, balance: ResourceAmounts): void {
+    this.balances.set(playerId, { ...balance });
+  }
+
+  getBalance(playerId: string): ResourceAmounts {
+    return { ...(this.balances.get(playerId) ?? this.defaultBalance) };
+  }
+
+  reserve(playerId: string, amounts: ResourceAmounts, reason: string): Promise<ResourceReservation> {
+    const balance = this.getBalance(playerId);
+    const shortfall = calculateShortfall(balance, amounts);
+
+    if (Object.keys(shortfall).length > 0) {
+      return Promise.reject(insufficientResources(playerId, shortfall, reason));
+    }
+
+    Object.entries(amounts).forEach(([resource, amount]) => {
+      balance[resource] = (balance[resource] ?? 0) - amount;
+    });
+    this.balances.set(playerId, balance);
+
+    const reservation: ResourceReservation = { reservationId: uuidv4(), playerId, amounts: { ...amounts }, reason };
+    this.reservations.set(reservation.reservationId, reservation);
+
+    return Promise.resolve(reservation);
+  }
+
+  commit(reservationId: string): Promise<void> {
+    this.reservations.delete(reservationId);
+    return Promise.resolve();
+  }
+
+  rollback(reservationId: string): Promise<void> {
+    const reservation = this.reservations.get(reservationId);
+
+    if (reservation) {
+      const balance = this.getBalance(reservation.playerId);
+      Object.entries(reservation.amounts).forEach(([resource, amount]) => {
+        balance[resource] = (balance[resource] ?? 0) + amount;
+      });
+      this.balances.set(reservation.playerId, balance);
+      this.reservations.delete(reservationId);
+    }
+
+    return Promise.resolve();
+  }
+
+  credit(playerId: string, amounts: ResourceAmounts, _reason: string, reference: string): Promise<void> {
+    if (!this.creditedReferences.has(reference)) {
+      const balance = this.getBalance(playerId);
+      Object.entries(amounts).forEach(([resource, amount]) => {
+        balance[resource] = (balance[resource] ?? 0) + amount;
+      });
+      this.balances.set(playerId, balance);
+      this.creditedReferences.add(reference);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Adapter for the resource service's ledger Lambda
+ */
+export class LambdaResourceLedger implements ResourceLedger {
+  constructor(
+    private readonly functionName: string,
+    private readonly client: LambdaClient = new LambdaClient({})
+  ) {}
+
+  async reserve(playerId: string, amounts: ResourceAmounts, reason: string): Promise<ResourceReservation> {
+    const response = await this.invoke({ operation: 'reserve', playerId, amounts, reason });
+
+    if (response.error === 'INSUFFICIENT_RESOURCES') {
+      throw insufficientResources(playerId, response.shortfall ?? {}, reason);
+    }
+
+    if (!response.reservationId) {
+      throw new GameEngineError(
+        'Resource service did not return a reservation',
+        'RESOURCE_LEDGER_ERROR',
+        { playerId, reason, error: response.error }
+      );
+    }
+
+    return { reservationId: response.reservationId, playerId, amounts, reason };
+  }
+
+  async commit(reservationId: string): Promise<void> {
+    await this.invoke({ operation: 'commit', reservationId });
+  }
+
+  async rollback(reservationId: string): Promise<void> {
+    await this.invoke({ operation: 'rollback', reservationId });
+  }
+
+  async credit(playerId: string, amounts: ResourceAmounts, reason: string, reference: string): Promise<void> {
+    const response = await this.invoke({ operation: 'credit', playerId, amounts, reason, reference });
+
+    if (response.error) {
+      throw new GameEngineError(
+        'Resource service rejected the credit',
+        'RESOURCE_LEDGER_ERROR',
+        { playerId, reason, reference, error: response.error }
+      );
+    }
+  }
+
+  private async invoke(payload: Record<string, unknown>): Promise<z.infer<typeof LedgerResponseSchema>> {
+    try {
+      const response = await this.client.send(new InvokeCommand({
+        FunctionName: this.functionName,
+        Payload: Buffer.from(JSON.stringify(payload))
+      }));
+
+      if (response.FunctionError) {
+        throw new Error(`Resource ledger function failed: ${response.FunctionError}`);
+      }
+
+      return LedgerResponseSchema.parse(JSON.parse(Buffer.from(response.Payload ?? []).toString()));
+    } catch (error) {
+      throw new GameEngineError(
+        'Failed to call resource service',
+        'RESOURCE_LEDGER_ERROR',
+        { operation: payload.operation, error: (error as Error).message }
+      );
+    }
+  }
+}
+
+let ledger: ResourceLedger | undefined;
+
+export function getResourceLedger(): ResourceLedger {
+  ledger ??= RESOURCE_LEDGER_PROVIDER === 'lambda'
+    ? new LambdaResourceLedger(RESOURCE_LEDGER_FUNCTION_NAME)
+    : new InMemoryResourceLedger(ResourceAmountsSchema.parse(JSON.parse(process.env.RESOURCE_LEDGER_DEFAULT_BALANCE ?? '{}')));
+  return ledger;
+}
+
+// Allows tests and local tooling to swap the adapter
+export function setResourceLedger(resourceLedger: ResourceLedger | undefined): void {
+  ledger = resourceLedger;
+}
+
+/**
+ * Run an operation paid for with player resources
+ *
+ * The amounts are reserved first, committed when the operation succeeds
+ * and rolled back when it fails. Zero-cost operations skip the ledger.
+ */
+export async function chargeResources<T>(
+  playerId: string,
+  amounts: ResourceAmounts,
+  reason: string,
+  operation: () => Promise<T>
+): Promise<T> {
+  const cost = Object.fromEntries(Object.entries(amounts).filter(([, amount]) => amount > 0));
+
+  if (Object.keys(cost).length === 0) {
+    return operation();
+  }
+
+  const resourceLedger = getResourceLedger();
+  const reservation = await resourceLedger.reserve(playerId, cost, reason);
+
+  let result: T;
+  try {
+    result = await operation();
+  } catch (error) {
+    await releaseReservation(resourceLedger, reservation);
+    throw error;
+  }
+
+  try {
+    await resourceLedger.commit(reservation.reservationId);
+  } catch (error) {
+    // The operation already happened; the reservation is left for reconciliation
+    logger.error('Failed to commit resource reservation', {
+      ...reservation,
+      error: (error as Error).message
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Pay resources back to a player, e.g. the refund of a cancelled upgrade
+ *
+ * `reference` identifies the refund so retries never pay it twice.
+ * Zero amounts skip the ledger.
+ */
+export async function refundResources(
+  playerId: string,
+  amounts: ResourceAmounts,
+  reason: string,
+  reference: string
+): Promise<void> {
+  const refund = Object.fromEntries(Object.entries(amounts).filter(([, amount]) => amount > 0));
+
+  if (Object.keys(refund).length > 0) {
+    await getResourceLedger().credit(playerId, refund, reason, reference);
+  }
+}
+
+async function releaseReservation(resourceLedger: ResourceLedger, reservation: ResourceReservation): Promise<void> {
+  try {
+    await resourceLedger.rollback(reservation.reservationId);
+  } catch (error) {
+    logger.error('Failed to roll back resource reservation', {
+      ...reservation,
+      error: (error as Error).message
+    });
+  }
+}
+
+function calculateShortfall(balance: ResourceAmounts, amounts: ResourceAmounts): ResourceAmounts {
+  return Object.fromEntries(
+    Object.entries(amounts)
+      .map(([resource, amount]): [string, number] => [resource, amount - (balance[resource] ?? 0)])
+      .filter(([, missing]) => missing > 0)
+  );
+}
+
+function insufficientResources(playerId: string, shortfall: ResourceAmounts, reason: string): GameEngineError {
+  return new GameEngineError(
+    'Player does not have enough resources',
+    'INSUFFICIENT_RESOURCES',
+    { playerId, reason, shortfall }
+  );
+}
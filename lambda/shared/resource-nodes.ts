@@ -0,0 +1,66 @@
+import { Coordinates, ResourceNode, ResourceNodeType } from '../types/game-base-types';
+import { MAP_SECTION_SIZE, calculateDistance, getMapSectionsWithinRadius } from './map-geometry';
+
+const RESOURCE_NODE_TYPES: ResourceNodeType[] = ['food', 'materials', 'gold'];
+
+// Each map section holds between 0 and this many nodes
+const MAX_NODES_PER_SECTION = 2;
+
+/**
+ * Resource nodes
+ *
+ * Nodes are placed deterministically from the map section id, so a section
+ * always holds the same nodes and nothing has to be stored or seeded.
+ */
+export function getSectionResourceNodes(sectionId: string): ResourceNode[] {
+  const [sectionX, sectionY] = sectionId.split(',').map(Number);
+  const nodeCount = hashString(`${sectionId}:count`) % (MAX_NODES_PER_SECTION + 1);
+  const nodes: ResourceNode[] = [];
+
+  for (let index = 0; index < nodeCount; index++) {
+    const nodeHash = hashString(`${sectionId}:${index}`);
+    nodes.push({
+      nodeId: `node-${sectionId}-${index}`,
+      resourceType: RESOURCE_NODE_TYPES[nodeHash % RESOURCE_NODE_TYPES.length],
+      coordinates: {
+        x: sectionX * MAP_SECTION_SIZE + (nodeHash >>> 8) % MAP_SECTION_SIZE,
+        y: sectionY * MAP_SECTION_SIZE + (nodeHash >>> 16) % MAP_SECTION_SIZE
+      }
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Closest resource node within `radius` units of a point, if any
+ */
+export function findNearestResourceNode(
+  point: Coordinates,
+  radius: number
+): { node: ResourceNode; distance: number } | undefined {
+  let nearest: { node: ResourceNode; distance: number } | undefined;
+
+  for (const sectionId of getMapSectionsWithinRadius(point, radius)) {
+    for (const node of getSectionResourceNodes(sectionId)) {
+      const distance = calculateDistance(point, node.coordinates);
+      if (distance <= radius && (!nearest || distance < nearest.distance)) {
+        nearest = { node, distance };
+      }
+    }
+  }
+
+  return nearest;
+}
+
+// 32-bit FNV-1a; stable across runtimes, unlike Math.random
+function hashString(value: string): number {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
@@ -0,0 +1,104 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, BatchGetCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { PlayerBase, SectionDensity } from '../types/game-base-types';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const SECTION_DENSITY_TABLE = process.env.SECTION_DENSITY_TABLE ?? '';
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+const MAX_UNPROCESSED_RETRIES = 3;
+
+export type DensityImage = Pick<PlayerBase, 'mapSectionId' | 'status'>;
+
+/**
+ * Section density
+ *
+ * The SectionDensity table holds the number of bases per map section. It is
+ * maintained from the PlayerBases stream, so readers get current counts
+ * without scanning the bases themselves, and seeded and corrected by the
+ * section density reconciliation. Sections never holding a base have no item.
+ */
+export async function getSectionDensities(sectionIds: string[]): Promise<Map<string, number>> {
+  const densities = new Map<string, number>();
+  const uniqueSectionIds = [...new Set(sectionIds)];
+
+  try {
+    for (let start = 0; start < uniqueSectionIds.length; start += BATCH_GET_LIMIT) {
+      const items = await batchGetDensities(uniqueSectionIds.slice(start, start + BATCH_GET_LIMIT));
+      items.forEach(item => densities.set(item.mapSectionId, Math.max(0, item.baseCount)));
+    }
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to read section density',
+      'SECTION_DENSITY_ERROR',
+      { sectionCount: uniqueSectionIds.length, error: (error as Error).message }
+    );
+  }
+
+  return densities;
+}
+
+async function batchGetDensities(sectionIds: string[]): Promise<SectionDensity[]> {
+  const items: SectionDensity[] = [];
+  let keys: Record<string, unknown>[] = sectionIds.map(mapSectionId => ({ mapSectionId }));
+
+  for (let attempt = 0; keys.length > 0; attempt++) {
+    if (attempt > MAX_UNPROCESSED_RETRIES) {
+      throw new Error(`${keys.length} section keys left unprocessed`);
+    }
+
+    const response = await docClient.send(new BatchGetCommand({
+      RequestItems: {
+        [SECTION_DENSITY_TABLE]: {
+          Keys: keys,
+          ProjectionExpression: 'mapSectionId, baseCount'
+        }
+      }
+    }));
+
+    items.push(...(response.Responses?.[SECTION_DENSITY_TABLE] ?? []) as SectionDensity[]);
+    keys = response.UnprocessedKeys?.[SECTION_DENSITY_TABLE]?.Keys ?? [];
+  }
+
+  return items;
+}
+
+/**
+ * Whether a base record counts towards the density of its mapSectionId
+ */
+export function countsTowardsDensity(image: DensityImage | undefined): image is DensityImage & { mapSectionId: string } {
+  return Boolean(image?.mapSectionId) && image?.status !== 'destroyed';
+}
+
+/**
+ * Per-section count changes caused by one PlayerBases change
+ *
+ * A base counts towards its mapSectionId unless it is destroyed. Moves
+ * between sections yield -1/+1; changes within a section yield nothing.
+ */
+export function getSectionDensityDeltas(
+  oldImage: DensityImage | undefined,
+  newImage: DensityImage | undefined
+): Map<string, number> {
+  const deltas = new Map<string, number>();
+  const addDelta = (image: DensityImage | undefined, delta: number): void => {
+    if (countsTowardsDensity(image)) {
+      deltas.set(image.mapSectionId, (deltas.get(image.mapSectionId) ?? 0) + delta);
+    }
+  };
+
+  addDelta(oldImage, -1);
+  addDelta(newImage, 1);
+
+  for (const [sectionId, delta] of deltas) {
+    if (delta === 0) {
+      deltas.delete(sectionId);
+    }
+  }
+
+  return deltas;
+}
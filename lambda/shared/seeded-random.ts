@@ -0,0 +1,27 @@
+import { randomBytes } from 'crypto';
+
+// Uniform number in [0, 1), drop-in for Math.random
+export type RandomSource = () => number;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ *
+ * The same seed yields the same sequence on every runtime, so a recorded
+ * seed is enough to replay a spawn decision.
+ */
+export function createSeededRandom(seed: number): RandomSource {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh unsigned 32-bit seed for a new decision
+export function generateSeed(): number {
+  return randomBytes(4).readUInt32BE(0);
+}
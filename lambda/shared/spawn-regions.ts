@@ -0,0 +1,229 @@
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { MapBounds, SpawnDirection, SpawnRegion } from '../types/game-base-types';
+import { getGameRules } from './game-rules';
+import { TransactItem } from './coordinate-claims';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const SPAWN_LOCATIONS_TABLE = process.env.SPAWN_LOCATIONS_TABLE ?? '';
+
+// Partition of the SpawnLocations table holding one item per region (sort key = regionId)
+export const SPAWN_REGIONS_PARTITION = 'regions';
+
+export type SpawnRegionChanges = Partial<Pick<SpawnRegion, 'isOpen' | 'capacity' | 'bounds'>>;
+
+/**
+ * Spawn regions
+ *
+ * New players are spawned into regions stored as data. Ring 0 is a square
+ * around the map center; each further ring is a square band split into
+ * north, south, east and west regions, spawning.spawnRadius units wide.
+ * When no open region has capacity left, the next ring is opened.
+ */
+export async function listSpawnRegions(): Promise<SpawnRegion[]> {
+  try {
+    const regions: SpawnRegion[] = [];
+    let exclusiveStartKey: Record<string, unknown> | undefined;
+
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: SPAWN_LOCATIONS_TABLE,
+        KeyConditionExpression: 'spawnRegionId = :partition',
+        ExpressionAttributeValues: { ':partition': SPAWN_REGIONS_PARTITION },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      regions.push(...(response.Items ?? []).map(toSpawnRegion));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return regions.sort((a, b) => a.ring - b.ring || a.regionId.localeCompare(b.regionId));
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to list spawn regions',
+      'SPAWN_REGION_ERROR',
+      { error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Region new players should spawn into, opening the next ring when no open region has room
+ *
+ * `requiredCapacity` keeps a cohort of players together in one region.
+ * `reservedCounts` holds back the capacity promised to open spawn reservations.
+ */
+export async function getSpawnRegion(
+  preferredDirection: SpawnDirection | 'random',
+  requiredCapacity = 1,
+  reservedCounts: Record<string, number> = {}
+): Promise<SpawnRegion> {
+  const regions = await listSpawnRegions();
+  const region = selectSpawnRegion(regions, preferredDirection, requiredCapacity, reservedCounts);
+
+  if (region) {
+    return region;
+  }
+
+  const nextRing = regions.length > 0 ? Math.max(...regions.map(existing => existing.ring)) + 1 : 0;
+  await openSpawnRing(nextRing);
+
+  const expandedRegion = selectSpawnRegion(await listSpawnRegions(), preferredDirection, requiredCapacity, reservedCounts);
+  if (!expandedRegion) {
+    throw new GameEngineError(
+      'No spawn region has capacity left',
+      'SPAWN_LOCATION_UNAVAILABLE',
+      { ring: nextRing, requiredCapacity }
+    );
+  }
+  return expandedRegion;
+}
+
+/**
+ * Innermost open region with capacity left, in the preferred direction when one has room
+ *
+ * Capacity left excludes the region's open reservations as well as its spawns.
+ */
+export function selectSpawnRegion(
+  regions: SpawnRegion[],
+  preferredDirection: SpawnDirection | 'random',
+  requiredCapacity = 1,
+  reservedCounts: Record<string, number> = {}
+): SpawnRegion | undefined {
+  const capacityLeft = (region: SpawnRegion): number =>
+    region.capacity - region.spawnCount - (reservedCounts[region.regionId] ?? 0);
+  const available = regions
+    .filter(region => region.isOpen && capacityLeft(region) >= requiredCapacity)
+    .sort((a, b) => a.ring - b.ring || capacityLeft(b) - capacityLeft(a));
+  const preferred = available.filter(region => region.direction === preferredDirection);
+
+  return preferred[0] ?? available[0];
+}
+
+/**
+ * Regions making up ring `ring`, sized from the game rules
+ */
+export function buildRingRegions(ring: number, now: number = Date.now()): SpawnRegion[] {
+  const { spawnRadius, newPlayerGroupSize } = getGameRules().spawning;
+  const region = (direction: SpawnDirection, bounds: MapBounds): SpawnRegion => ({
+    regionId: `ring-${ring}-${direction}`,
+    ring,
+    direction,
+    bounds,
+    capacity: newPlayerGroupSize,
+    spawnCount: 0,
+    isOpen: true,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  if (ring === 0) {
+    return [region('center', { minX: -spawnRadius, minY: -spawnRadius, maxX: spawnRadius, maxY: spawnRadius })];
+  }
+
+  const inner = ring * spawnRadius;
+  const outer = (ring + 1) * spawnRadius;
+
+  return [
+    region('north', { minX: -outer, minY: inner, maxX: outer, maxY: outer }),
+    region('south', { minX: -outer, minY: -outer, maxX: outer, maxY: -inner }),
+    region('east', { minX: inner, minY: -inner, maxX: outer, maxY: inner }),
+    region('west', { minX: -outer, minY: -inner, maxX: -inner, maxY: inner })
+  ];
+}
+
+/**
+ * Create the regions of a ring; regions another request created first are kept
+ */
+export async function openSpawnRing(ring: number, now: number = Date.now()): Promise<void> {
+  await Promise.all(buildRingRegions(ring, now).map(async region => {
+    try {
+      await docClient.send(new PutCommand({
+        TableName: SPAWN_LOCATIONS_TABLE,
+        Item: { spawnRegionId: SPAWN_REGIONS_PARTITION, spawnLocationId: region.regionId, ...region },
+        ConditionExpression: 'attribute_not_exists(spawnLocationId)'
+      }));
+    } catch (error) {
+      if (error instanceof ConditionalCheckFailedException) {
+        return;
+      }
+      throw new GameEngineError(
+        'Failed to open spawn region',
+        'SPAWN_REGION_ERROR',
+        { regionId: region.regionId, error: (error as Error).message }
+      );
+    }
+  }));
+}
+
+/**
+ * Open, close or resize a region
+ */
+export async function updateSpawnRegion(
+  regionId: string,
+  changes: SpawnRegionChanges,
+  now: number = Date.now()
+): Promise<SpawnRegion> {
+  const assignments = Object.keys(changes).map(field => `#${field} = :${field}`);
+  const names = Object.fromEntries(Object.keys(changes).map(field => [`#${field}`, field]));
+  const values = Object.fromEntries(Object.entries(changes).map(([field, value]) => [`:${field}`, value]));
+
+  try {
+    const response = await docClient.send(new UpdateCommand({
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Key: { spawnRegionId: SPAWN_REGIONS_PARTITION, spawnLocationId: regionId },
+      UpdateExpression: `SET ${[...assignments, 'updatedAt = :now'].join(', ')}`,
+      ConditionExpression: 'attribute_exists(spawnLocationId)',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: { ...values, ':now': now },
+      ReturnValues: 'ALL_NEW'
+    }));
+
+    return toSpawnRegion(response.Attributes ?? {});
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      throw new GameEngineError('Spawn region not found', 'SPAWN_REGION_NOT_FOUND', { regionId });
+    }
+    throw new GameEngineError(
+      'Failed to update spawn region',
+      'SPAWN_REGION_ERROR',
+      { regionId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Transaction item counting one more new player in a region
+ */
+export function recordRegionSpawn(regionId: string, now: number): TransactItem {
+  return {
+    Update: {
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Key: { spawnRegionId: SPAWN_REGIONS_PARTITION, spawnLocationId: regionId },
+      UpdateExpression: 'ADD spawnCount :one SET updatedAt = :now',
+      ExpressionAttributeValues: { ':one': 1, ':now': now }
+    }
+  };
+}
+
+// Share of the region's capacity already used (1 = full)
+export function getFillLevel(region: SpawnRegion): number {
+  return region.capacity > 0 ? Math.min(1, region.spawnCount / region.capacity) : 1;
+}
+
+function toSpawnRegion(item: Record<string, unknown>): SpawnRegion {
+  return {
+    regionId: item.regionId as string,
+    ring: item.ring as number,
+    direction: item.direction as SpawnDirection,
+    bounds: item.bounds as MapBounds,
+    capacity: item.capacity as number,
+    spawnCount: (item.spawnCount as number | undefined) ?? 0,
+    isOpen: item.isOpen as boolean,
+    createdAt: item.createdAt as number,
+    updatedAt: item.updatedAt as number
+  };
+}
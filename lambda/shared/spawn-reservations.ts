@@ -0,0 +1,307 @@
+import { DynamoDBClient, ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+  TransactWriteCommand
+} from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import { Coordinates, MapBase, SpawnDecision, SpawnLocation } from '../types/game-base-types';
+import { TransactItem } from './coordinate-claims';
+import { recordRegionSpawn } from './spawn-regions';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const SPAWN_LOCATIONS_TABLE = process.env.SPAWN_LOCATIONS_TABLE ?? '';
+
+// Partition holding every reservation made by the spawn calculator
+export const SPAWN_RESERVATION_REGION = 'calculated';
+
+// How long a calculated spawn location stays reserved for its player
+export const SPAWN_RESERVATION_SECONDS = 300;
+
+export interface SpawnReservationRequest {
+  spawnLocationId: string;
+  playerId: string;
+  coordinates: Coordinates;
+}
+
+export interface SpawnReservationOptions {
+  regionId?: string;
+  decision?: SpawnDecision;
+  now?: number;
+}
+
+/**
+ * Spawn reservations
+ *
+ * The spawn calculator reserves its chosen location for the requesting
+ * player. Creating a base consumes the reservation in the same transaction
+ * as the base, so it is used at most once, only by its player and only
+ * before it expires. Unused reservations are released by the player or
+ * removed by the table's TTL.
+ */
+export async function reserveSpawnLocation(
+  spawnLocationId: string,
+  playerId: string,
+  coordinates: Coordinates,
+  options: SpawnReservationOptions = {}
+): Promise<SpawnLocation> {
+  const reservation = buildSpawnReservation({ spawnLocationId, playerId, coordinates }, options);
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Item: reservation,
+      ConditionExpression: 'attribute_not_exists(spawnLocationId)'
+    }));
+
+    return reservation;
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to reserve spawn location',
+      'SPAWN_RESERVATION_ERROR',
+      { spawnLocationId, playerId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Reserve locations for a cohort of players in one transaction
+ *
+ * Either every player gets their location or none does.
+ */
+export async function reserveSpawnLocations(
+  locations: SpawnReservationRequest[],
+  options: SpawnReservationOptions = {}
+): Promise<SpawnLocation[]> {
+  const reservations = locations.map(location => buildSpawnReservation(location, options));
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: reservations.map(reservation => ({
+        Put: {
+          TableName: SPAWN_LOCATIONS_TABLE,
+          Item: reservation,
+          ConditionExpression: 'attribute_not_exists(spawnLocationId)'
+        }
+      }))
+    }));
+
+    return reservations;
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to reserve spawn locations',
+      'SPAWN_RESERVATION_ERROR',
+      { playerIds: locations.map(location => location.playerId), error: (error as Error).message }
+    );
+  }
+}
+
+function buildSpawnReservation(
+  { spawnLocationId, playerId, coordinates }: SpawnReservationRequest,
+  { regionId, decision, now = Date.now() }: SpawnReservationOptions
+): SpawnLocation {
+  const expiresAt = now + SPAWN_RESERVATION_SECONDS * 1000;
+
+  return {
+    spawnRegionId: SPAWN_RESERVATION_REGION,
+    spawnLocationId,
+    coordinates,
+    ...(regionId && { regionId }),
+    isAvailable: 'false',
+    reservedBy: playerId,
+    reservedAt: now,
+    expiresAt,
+    ...(decision && { decision }),
+    lastUsedAt: now,
+    ttl: Math.floor(expiresAt / 1000)
+  };
+}
+
+/**
+ * Reservation the player may consume now
+ *
+ * Rejects unknown, foreign, already consumed and expired reservations.
+ */
+export async function getSpawnReservation(
+  spawnLocationId: string,
+  playerId: string,
+  now: number = Date.now()
+): Promise<SpawnLocation> {
+  const reservation = await findSpawnReservation(spawnLocationId);
+
+  if (!reservation) {
+    throw new GameEngineError(
+      'Spawn reservation not found',
+      'SPAWN_RESERVATION_NOT_FOUND',
+      { spawnLocationId }
+    );
+  }
+  if (reservation.reservedBy !== playerId) {
+    throw new GameEngineError(
+      'Spawn location is reserved for another player',
+      'SPAWN_RESERVATION_FORBIDDEN',
+      { spawnLocationId }
+    );
+  }
+  if (reservation.consumedAt) {
+    throw spawnReservationConsumedError(spawnLocationId);
+  }
+  if (reservation.expiresAt <= now) {
+    throw new GameEngineError(
+      'Spawn reservation has expired',
+      'SPAWN_RESERVATION_EXPIRED',
+      { spawnLocationId, expiredAt: reservation.expiresAt }
+    );
+  }
+
+  return reservation;
+}
+
+/**
+ * Transaction items consuming a reservation for a new base
+ *
+ * The first item's condition repeats the checks of getSpawnReservation so a
+ * reservation that expired or was used in the meantime fails the whole
+ * transaction. The spawn is also counted towards the reservation's region.
+ * Consumed reservations lose their TTL and remain as the spawn decision record.
+ */
+export function consumeSpawnReservation(
+  reservation: SpawnLocation,
+  baseId: string,
+  now: number
+): TransactItem[] {
+  const consume: TransactItem = {
+    Update: {
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Key: { spawnRegionId: SPAWN_RESERVATION_REGION, spawnLocationId: reservation.spawnLocationId },
+      UpdateExpression: 'SET consumedAt = :now, consumedByBaseId = :baseId, lastUsedAt = :now REMOVE #ttl',
+      ConditionExpression: 'reservedBy = :playerId AND expiresAt > :now AND attribute_not_exists(consumedAt)',
+      ExpressionAttributeNames: { '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':playerId': reservation.reservedBy,
+        ':baseId': baseId,
+        ':now': now
+      }
+    }
+  };
+
+  return reservation.regionId ? [consume, recordRegionSpawn(reservation.regionId, now)] : [consume];
+}
+
+/**
+ * Give up an unused reservation before it expires
+ */
+export async function releaseSpawnReservation(spawnLocationId: string, playerId: string): Promise<void> {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Key: { spawnRegionId: SPAWN_RESERVATION_REGION, spawnLocationId },
+      ConditionExpression: 'reservedBy = :playerId AND attribute_not_exists(consumedAt)',
+      ExpressionAttributeValues: { ':playerId': playerId }
+    }));
+  } catch (error) {
+    if (error instanceof ConditionalCheckFailedException) {
+      throw spawnReservationConsumedError(spawnLocationId);
+    }
+    throw new GameEngineError(
+      'Failed to release spawn reservation',
+      'SPAWN_RESERVATION_ERROR',
+      { spawnLocationId, playerId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Reservations not yet consumed or expired
+ *
+ * They hold no tile claim and are not counted in their region's spawnCount
+ * until create-base consumes them, so spawn placement accounts for them
+ * itself. Every reservation sits in the AvailabilityIndex under
+ * isAvailable = 'false', sorted by when it was made or consumed, so only
+ * the last SPAWN_RESERVATION_SECONDS are read.
+ */
+export async function listOpenSpawnReservations(now: number = Date.now()): Promise<SpawnLocation[]> {
+  try {
+    const reservations: SpawnLocation[] = [];
+    let exclusiveStartKey: Record<string, unknown> | undefined;
+
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: SPAWN_LOCATIONS_TABLE,
+        IndexName: 'AvailabilityIndex',
+        KeyConditionExpression: 'isAvailable = :reserved AND lastUsedAt > :since',
+        FilterExpression: 'expiresAt > :now AND attribute_not_exists(consumedAt)',
+        ExpressionAttributeValues: {
+          ':reserved': 'false',
+          ':since': now - SPAWN_RESERVATION_SECONDS * 1000,
+          ':now': now
+        },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+
+      reservations.push(...(response.Items ?? []) as SpawnLocation[]);
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return reservations;
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to list open spawn reservations',
+      'SPAWN_RESERVATION_ERROR',
+      { error: (error as Error).message }
+    );
+  }
+}
+
+// Open reservations per region, for holding back region capacity
+export function countReservationsByRegion(reservations: SpawnLocation[]): Record<string, number> {
+  return reservations.reduce<Record<string, number>>((counts, reservation) => {
+    if (reservation.regionId) {
+      counts[reservation.regionId] = (counts[reservation.regionId] ?? 0) + 1;
+    }
+    return counts;
+  }, {});
+}
+
+// Open reservations as the bases they become once consumed, for spacing checks
+export function reservationsAsBases(
+  reservations: SpawnLocation[],
+  baseType: string
+): Pick<MapBase, 'baseId' | 'baseType' | 'coordinates'>[] {
+  return reservations.map(reservation => ({
+    baseId: reservation.spawnLocationId,
+    baseType,
+    coordinates: reservation.coordinates
+  }));
+}
+
+export async function findSpawnReservation(spawnLocationId: string): Promise<SpawnLocation | undefined> {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: SPAWN_LOCATIONS_TABLE,
+      Key: { spawnRegionId: SPAWN_RESERVATION_REGION, spawnLocationId },
+      ConsistentRead: true
+    }));
+
+    return response.Item as SpawnLocation | undefined;
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to retrieve spawn reservation',
+      'SPAWN_RESERVATION_ERROR',
+      { spawnLocationId, error: (error as Error).message }
+    );
+  }
+}
+
+export function spawnReservationConsumedError(spawnLocationId: string): GameEngineError {
+  return new GameEngineError(
+    'Spawn reservation has already been used',
+    'SPAWN_RESERVATION_CONSUMED',
+    { spawnLocationId }
+  );
+}
@@ -0,0 +1,257 @@
+/**
+ * Upgrade Completion Engine
+ *
+ * Single place where an upgrade is applied to a base, used by both the
+ * scheduled upgrade processor and the instant (skip-time) upgrade path:
+ * - Resolves the target level template of the base type
+ * - Marks the upgrade record completed
+ * - Sets the base level and stats from the template
+ *
+ * Both writes happen in one transaction guarded by the upgrade status and
+ * the base level, so an upgrade is applied exactly once.
+ */
+
+import { DynamoDBClient, TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, QueryCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { GameEngineError } from '../../lib/shared-mocks';
+import {
+  BaseStats,
+  BaseTemplate,
+  BaseUpgrade,
+  PlayerBase
+} from '../types/game-base-types';
+
+const dynamoClient = new DynamoDBClient({});
+const docClient = DynamoDBDocumentClient.from(dynamoClient);
+
+const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
+const BASE_TEMPLATES_TABLE = process.env.BASE_TEMPLATES_TABLE ?? '';
+const BASE_UPGRADES_TABLE = process.env.BASE_UPGRADES_TABLE ?? '';
+
+export interface CompletedUpgrade {
+  upgrade: BaseUpgrade;
+  level: number;
+  stats: BaseStats;
+}
+
+/**
+ * Find in-progress upgrades whose completion time has passed
+ */
+export async function findDueUpgrades(now: number, maxUpgrades: number): Promise<BaseUpgrade[]> {
+  try {
+    const upgrades: BaseUpgrade[] = [];
+    let exclusiveStartKey: Record<string, unknown> | undefined;
+
+    do {
+      const command = new QueryCommand({
+        TableName: BASE_UPGRADES_TABLE,
+        IndexName: 'StatusIndex',
+        KeyConditionExpression: '#status = :inProgress AND completionTime <= :now',
+        ExpressionAttributeNames: {
+          '#status': 'status'
+        },
+        ExpressionAttributeValues: {
+          ':inProgress': 'in_progress',
+          ':now': now
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+        Limit: maxUpgrades - upgrades.length
+      });
+
+      const response = await docClient.send(command);
+      upgrades.push(...((response.Items ?? []) as BaseUpgrade[]));
+      exclusiveStartKey = response.LastEvaluatedKey;
+    } while (exclusiveStartKey && upgrades.length < maxUpgrades);
+
+    return upgrades;
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to find due upgrades',
+      'DUE_UPGRADE_QUERY_ERROR',
+      { error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Upgrades of a base that are still running
+ */
+export async function findInProgressUpgrades(baseId: string): Promise<BaseUpgrade[]> {
+  try {
+    const command = new QueryCommand({
+      TableName: BASE_UPGRADES_TABLE,
+      IndexName: 'BaseIndex',
+      KeyConditionExpression: 'baseId = :baseId',
+      FilterExpression: '#status = :inProgress',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':baseId': baseId,
+        ':inProgress': 'in_progress'
+      }
+    });
+
+    const response = await docClient.send(command);
+    return (response.Items ?? []) as BaseUpgrade[];
+  } catch (error) {
+    throw new GameEngineError(
+      'Failed to find in-progress upgrades',
+      'UPGRADE_QUERY_ERROR',
+      { baseId, error: (error as Error).message }
+    );
+  }
+}
+
+/**
+ * Apply an upgrade to its base
+ *
+ * Returns null when the upgrade was already completed (or cancelled) elsewhere.
+ */
+export async function completeUpgrade(
+  upgrade: BaseUpgrade,
+  completedAt: number
+): Promise<CompletedUpgrade | null> {
+  const base = await getUpgradedBase(upgrade);
+  const template = await getTargetTemplate(base.baseType, upgrade.toLevel);
+
+  const stats: BaseStats = {
+    defense: template.stats.defense,
+    storage: template.stats.storage,
+    production: template.stats.production
+  };
+
+  try {
+    const command = new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: BASE_UPGRADES_TABLE,
+            Key: {
+              playerId: upgrade.playerId,
+              upgradeId: upgrade.upgradeId
+            },
+            UpdateExpression: 'SET #status = :completed, completedAt = :completedAt',
+            ConditionExpression: '#status = :inProgress',
+            ExpressionAttributeNames: {
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ':completed': 'completed',
+              ':inProgress': 'in_progress',
+              ':completedAt': completedAt
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: PLAYER_BASES_TABLE,
+            Key: {
+              playerId: base.playerId,
+              baseId: base.baseId
+            },
+            UpdateExpression: 'SET #level = :toLevel, stats = :stats, lastActiveAt = :completedAt',
+            ConditionExpression: '#level = :fromLevel AND #status <> :destroyed',
+            ExpressionAttributeNames: {
+              '#level': 'level',
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ':toLevel': upgrade.toLevel,
+              ':fromLevel': upgrade.fromLevel,
+              ':stats': stats,
+              ':destroyed': 'destroyed',
+              ':completedAt': completedAt
+            }
+          }
+        }
+      ]
+    });
+
+    await docClient.send(command);
+
+    return {
+      upgrade: { ...upgrade, status: 'completed', completedAt },
+      level: upgrade.toLevel,
+      stats
+    };
+  } catch (error) {
+    if (error instanceof TransactionCanceledException) {
+      // First item guards the upgrade record, second the base level
+      const [upgradeReason, baseReason] = error.CancellationReasons ?? [];
+      if (upgradeReason?.Code === 'ConditionalCheckFailed') {
+        return null;
+      }
+      if (baseReason?.Code === 'ConditionalCheckFailed') {
+        throw new GameEngineError(
+          'Base no longer matches the upgrade starting level',
+          'UPGRADE_BASE_MISMATCH',
+          { upgradeId: upgrade.upgradeId, baseId: upgrade.baseId, fromLevel: upgrade.fromLevel }
+        );
+      }
+    }
+    throw new GameEngineError(
+      'Failed to complete upgrade',
+      'UPGRADE_COMPLETION_ERROR',
+      { upgradeId: upgrade.upgradeId, error: (error as Error).message }
+    );
+  }
+}
+
+async function getUpgradedBase(upgrade: BaseUpgrade): Promise<PlayerBase> {
+  try {
+    const command = new GetCommand({
+      TableName: PLAYER_BASES_TABLE,
+      Key: { playerId: upgrade.playerId, baseId: upgrade.baseId }
+    });
+
+    const response = await docClient.send(command);
+
+    if (!response.Item) {
+      throw new GameEngineError(
+        'Base not found',
+        'BASE_NOT_FOUND',
+        { playerId: upgrade.playerId, baseId: upgrade.baseId }
+      );
+    }
+
+    return response.Item as PlayerBase;
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to retrieve base',
+      'BASE_RETRIEVAL_ERROR',
+      { playerId: upgrade.playerId, baseId: upgrade.baseId, error: (error as Error).message }
+    );
+  }
+}
+
+async function getTargetTemplate(baseType: string, level: number): Promise<BaseTemplate> {
+  try {
+    const templateId = `${baseType}-level-${level}`;
+
+    const command = new GetCommand({
+      TableName: BASE_TEMPLATES_TABLE,
+      Key: { templateId }
+    });
+
+    const response = await docClient.send(command);
+
+    if (!response.Item) {
+      throw new GameEngineError(
+        `No upgrade template found for ${baseType} level ${level}`,
+        'UPGRADE_TEMPLATE_NOT_FOUND',
+        { baseType, level }
+      );
+    }
+
+    return response.Item as BaseTemplate;
+  } catch (error) {
+    if (error instanceof GameEngineError) throw error;
+    throw new GameEngineError(
+      'Failed to retrieve upgrade template',
+      'TEMPLATE_RETRIEVAL_ERROR',
+      { baseType, level, error: (error as Error).message }
+    );
+  }
+}
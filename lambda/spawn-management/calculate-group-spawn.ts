@@ -0,0 +1,166 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling,
+  validateRequest
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { Coordinates, SpawnDecision, SpawnLocation } from '../types/game-base-types';
+import { assertPlayerAccess } from '../shared/player-identity';
+import { getGameRules } from '../shared/game-rules';
+import { getSpawnRegion } from '../shared/spawn-regions';
+import { createSeededRandom, generateSeed } from '../shared/seeded-random';
+import {
+  countReservationsByRegion,
+  listOpenSpawnReservations,
+  reserveSpawnLocations,
+  SPAWN_RESERVATION_SECONDS
+} from '../shared/spawn-reservations';
+import { generateSpawnCandidates } from './spawn-candidates';
+import { scoreSpawnCandidates } from './spawn-scoring';
+import { layoutSpawnCluster } from './spawn-cluster';
+
+const logger = new StructuredLogger('CalculateGroupSpawnHandler');
+
+// New players start with a command center, so the cluster keeps its exclusion radius clear
+const SPAWN_BASE_TYPE = 'command_center';
+
+// Best scored candidates tried as the cluster center before giving up
+const MAX_CLUSTER_CENTERS = 5;
+
+const CalculateGroupSpawnRequestSchema = z.object({
+  playerIds: z.array(z.string().min(1).max(50)).min(1)
+    .refine(playerIds => new Set(playerIds).size === playerIds.length, { message: 'Player IDs must be unique' }),
+  preferredRegion: z.enum(['center', 'north', 'south', 'east', 'west', 'random']).optional().default('random')
+});
+
+type CalculateGroupSpawnRequest = z.infer<typeof CalculateGroupSpawnRequestSchema>;
+
+interface CohortPlacement {
+  regionId: string;
+  decision: SpawnDecision;
+  positions: Coordinates[];
+}
+
+/**
+ * Calculate Group Spawn Handler
+ *
+ * Places a cohort of new players (e.g. a guild signing up together) side by side:
+ * - Cohorts are limited to spawning.newPlayerGroupSize players
+ * - All members spawn in one open region with room for the whole cohort,
+ *   counting the capacity held by other players' open reservations
+ * - The cluster is centered on the best scored candidate, favoring low density
+ * - Members keep the command center exclusion radius from each other, existing
+ *   bases and locations still reserved for other new players
+ * - Every member's location is reserved in a single transaction, or none is
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing group spawn calculation', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const request = await validateRequest<CalculateGroupSpawnRequest>(CalculateGroupSpawnRequestSchema, event.body);
+
+    request.playerIds.forEach(playerId => assertPlayerAccess(event, playerId));
+    validateCohortSize(request.playerIds);
+
+    const placement = await placeCohort(request);
+
+    // Reserve every member's location until create-base consumes it
+    const reservations = await reserveCohort(request.playerIds, placement);
+
+    logger.info('Group spawn calculated', {
+      playerCount: request.playerIds.length,
+      regionId: placement.regionId,
+      seed: placement.decision.seed,
+      center: placement.decision.clusterCenter
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          regionId: placement.regionId,
+          seed: placement.decision.seed,
+          center: placement.decision.clusterCenter,
+          spawnLocations: reservations.map(reservation => ({
+            playerId: reservation.reservedBy,
+            spawnLocationId: reservation.spawnLocationId,
+            coordinates: reservation.coordinates
+          })),
+          validFor: SPAWN_RESERVATION_SECONDS,
+          expiresAt: reservations[0].expiresAt,
+          message: 'Group spawn locations calculated'
+        }
+      })
+    };
+  }, logger);
+};
+
+function validateCohortSize(playerIds: string[]): void {
+  const maxGroupSize = getGameRules().spawning.newPlayerGroupSize;
+
+  if (playerIds.length > maxGroupSize) {
+    throw new GameEngineError(
+      `Cohort exceeds the maximum group size (${maxGroupSize})`,
+      'VALIDATION_ERROR',
+      { playerCount: playerIds.length, maxGroupSize }
+    );
+  }
+}
+
+function reserveCohort(playerIds: string[], { regionId, decision, positions }: CohortPlacement): Promise<SpawnLocation[]> {
+  const now = Date.now();
+
+  return reserveSpawnLocations(playerIds.map((playerId, index) => ({
+    spawnLocationId: `spawn-${now}-${decision.seed.toString(36)}-${index}`,
+    playerId,
+    coordinates: positions[index]
+  })), { regionId, decision, now });
+}
+
+/**
+ * Region and cluster positions for the whole cohort
+ *
+ * Candidates are drawn and scored like a single spawn, then tried in score
+ * order as the cluster center until one has room for every member.
+ */
+async function placeCohort(request: CalculateGroupSpawnRequest): Promise<CohortPlacement> {
+  const count = request.playerIds.length;
+  const reservations = await listOpenSpawnReservations();
+  const region = await getSpawnRegion(request.preferredRegion, count, countReservationsByRegion(reservations));
+  const seed = generateSeed();
+  const { candidates } = generateSpawnCandidates(region.bounds, [], createSeededRandom(seed));
+  const scoredCandidates = await scoreSpawnCandidates(candidates, []);
+
+  for (const candidate of scoredCandidates.slice(0, MAX_CLUSTER_CENTERS)) {
+    const positions = await layoutSpawnCluster(candidate.coordinates, count, {
+      regionBounds: region.bounds,
+      baseType: SPAWN_BASE_TYPE,
+      reservations
+    });
+
+    if (positions.length === count) {
+      return {
+        regionId: region.regionId,
+        decision: { seed, bounds: region.bounds, friendLocations: [], clusterCenter: candidate.coordinates },
+        positions
+      };
+    }
+  }
+
+  throw new GameEngineError(
+    'No spawn area has room for the whole cohort',
+    'SPAWN_LOCATION_UNAVAILABLE',
+    { regionId: region.regionId, playerCount: count, centersTried: Math.min(scoredCandidates.length, MAX_CLUSTER_CENTERS) }
+  );
+}
@@ -1,6 +1,6 @@
 import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, QueryCommand, UpdateCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
 import { 
   StructuredLogger, 
   GameEngineError,
@@ -8,13 +8,34 @@ import {
   validateRequest 
 } from '../../lib/shared-mocks';
 import { z } from 'zod';
+import { assertPlayerAccess, assertPrivilegedAccess } from '../shared/player-identity';
+import { findSpacingConflict, findSpacingConflictAmong, SpacingConflict } from '../shared/base-spacing';
+import { getGameRules } from '../shared/game-rules';
+import { MapBase, SpawnDecision, SpawnScoreBreakdown } from '../types/game-base-types';
+import {
+  scoreSpawnCandidates,
+  describeSpawnReason,
+  ScoredSpawnCandidate
+} from './spawn-scoring';
+import { generateSpawnCandidates, SpawnCandidateDraw } from './spawn-candidates';
+import {
+  countReservationsByRegion,
+  listOpenSpawnReservations,
+  reservationsAsBases,
+  reserveSpawnLocation,
+  SPAWN_RESERVATION_SECONDS
+} from '../shared/spawn-reservations';
+import { getSpawnRegion } from '../shared/spawn-regions';
+import { createSeededRandom, generateSeed } from '../shared/seeded-random';
 
 const dynamoClient = new DynamoDBClient({});
 const docClient = DynamoDBDocumentClient.from(dynamoClient);
 const logger = new StructuredLogger('CalculateSpawnLocationHandler');
 
 const PLAYER_BASES_TABLE = process.env.PLAYER_BASES_TABLE ?? '';
-const SPAWN_LOCATIONS_TABLE = process.env.SPAWN_LOCATIONS_TABLE ?? '';
+
+// New players start with a command center, so candidates keep its exclusion radius clear
+const SPAWN_BASE_TYPE = 'command_center';
 
 const CalculateSpawnLocationRequestSchema = z.object({
   playerId: z.string().min(1).max(50),
@@ -28,12 +49,28 @@ type CalculateSpawnLocationRequest = z.infer<typeof CalculateSpawnLocationReques
 interface SpawnLocation {
   coordinates: { x: number; y: number };
   spawnLocationId: string;
+  regionId: string;
+  decision: SpawnDecision;
   populationDensity: number;
   safetyRating: number;
   resourceAccessibility: number;
+  score: number;
+  scoreBreakdown: SpawnScoreBreakdown;
   reason: string;
 }
 
+// Everything the calculator considered before picking a location
+interface SpawnEvaluation {
+  regionId: string;
+  decision: SpawnDecision;
+  draw: SpawnCandidateDraw;
+  scoredCandidates: ScoredSpawnCandidate[];
+  reservedBases: Pick<MapBase, 'baseId' | 'baseType' | 'coordinates'>[]; // Open reservations of other players
+}
+
+// Scored candidate with the outcome of the spacing check the real selection runs
+type ExplainedSpawnCandidate = ScoredSpawnCandidate & { spacingConflict: SpacingConflict | null };
+
 /**
  * Calculate Spawn Location Handler
  * 
@@ -45,12 +82,16 @@ interface SpawnLocation {
  * - Dependency Inversion: Depends on shared calculation abstractions
  * 
  * Spawn Algorithm Features:
- * - Population density analysis to avoid overcrowded areas
+ * - Population density (maintained per map section) to avoid overcrowded areas
  * - Friend grouping for social gameplay
- * - Regional preferences for strategic positioning
- * - Safety rating based on nearby high-level players
- * - Resource accessibility scoring
- * - Dynamic spawn region expansion based on player growth
+ * - Regional preferences among the open spawn regions with capacity left
+ * - Safety rating based on the number and level of nearby high-level bases
+ * - Resource accessibility from the distance to the nearest resource node
+ * - Configurable signal weights with a per-candidate score breakdown
+ * - Candidates respect the exclusion radius around existing bases
+ * - Candidates are drawn from a recorded seed so the decision can be replayed
+ * - Opens the next ring of spawn regions once every open region is full
+ * - ?explain=true (admins only) returns every scored and rejected candidate without reserving
  */
 export const handler = async (
   event: APIGatewayProxyEvent
@@ -61,16 +102,25 @@ export const handler = async (
     });
 
     const request = await validateRequest<CalculateSpawnLocationRequest>(CalculateSpawnLocationRequestSchema, event.body);
+
+    assertPlayerAccess(event, request.playerId);
+
+    if (event.queryStringParameters?.explain === 'true') {
+      return explainSpawnCalculation(event, request);
+    }
     
     // Calculate optimal spawn location
-    const spawnLocation = await calculateOptimalSpawnLocation(request);
+    const { decision, ...spawnLocation } = await calculateOptimalSpawnLocation(request);
     
-    // Reserve the spawn location temporarily
-    await reserveSpawnLocation(spawnLocation.spawnLocationId, request.playerId);
+    // Reserve the spawn location for this player until create-base consumes it
+    const reservation = await reserveSpawnLocation(spawnLocation.spawnLocationId, request.playerId,
+      spawnLocation.coordinates, { regionId: spawnLocation.regionId, decision });
 
     logger.info('Spawn location calculated', {
       playerId: request.playerId,
       coordinates: spawnLocation.coordinates,
+      regionId: spawnLocation.regionId,
+      seed: decision.seed,
       reason: spawnLocation.reason,
       populationDensity: spawnLocation.populationDensity
     });
@@ -84,8 +134,9 @@ export const handler = async (
       body: JSON.stringify({
         success: true,
         data: {
-          spawnLocation: spawnLocation,
-          validFor: 300, // 5 minutes to use this spawn location
+          spawnLocation: { ...spawnLocation, seed: decision.seed },
+          validFor: SPAWN_RESERVATION_SECONDS,
+          expiresAt: reservation.expiresAt,
           message: 'Optimal spawn location calculated'
         }
       })
@@ -93,34 +144,113 @@ export const handler = async (
   }, logger);
 };
 
+/**
+ * Tuning view of a spawn calculation for game designers
+ *
+ * Runs the same evaluation as a real calculation but reserves nothing. Every
+ * candidate carries its spacing result, so a high scorer passed over for
+ * crowding an existing base or reservation shows why.
+ */
+async function explainSpawnCalculation(
+  event: APIGatewayProxyEvent,
+  request: CalculateSpawnLocationRequest
+): Promise<APIGatewayProxyResult> {
+  const identity = assertPrivilegedAccess(event);
+  const evaluation = await evaluateSpawnCandidates(request);
+  const candidates = await explainCandidateSpacing(evaluation);
+  const selected = candidates.find(candidate => !candidate.spacingConflict);
+  const scoring = getGameRules().spawning.scoring;
+
+  logger.info('Spawn calculation explained', {
+    playerId: identity.playerId,
+    requestedPlayerId: request.playerId,
+    seed: evaluation.decision.seed,
+    candidateCount: evaluation.scoredCandidates.length,
+    rejectedCount: evaluation.draw.rejected.length,
+    spacingConflictCount: candidates.filter(candidate => candidate.spacingConflict).length
+  });
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify({
+      success: true,
+      data: {
+        regionId: evaluation.regionId,
+        seed: evaluation.decision.seed,
+        weights: scoring.weights,
+        friendCenter: evaluation.draw.friendCenter ?? null,
+        candidates,
+        rejected: evaluation.draw.rejected,
+        selected: selected
+          ? { coordinates: selected.coordinates, score: selected.score, reason: describeSpawnReason(selected, scoring) }
+          : null,
+        message: 'Spawn calculation explained; no location was reserved'
+      }
+    })
+  };
+}
+
+async function explainCandidateSpacing(evaluation: SpawnEvaluation): Promise<ExplainedSpawnCandidate[]> {
+  const candidates: ExplainedSpawnCandidate[] = [];
+
+  for (const candidate of evaluation.scoredCandidates) {
+    const spacingConflict = await findCandidateSpacingConflict(candidate, evaluation.reservedBases);
+    candidates.push({ ...candidate, spacingConflict: spacingConflict ?? null });
+  }
+
+  return candidates;
+}
+
 async function calculateOptimalSpawnLocation(
   request: CalculateSpawnLocationRequest
 ): Promise<SpawnLocation> {
+  const { regionId, decision, scoredCandidates, reservedBases } = await evaluateSpawnCandidates(request);
+
+  // Select the best candidate that keeps its distance from existing bases and open reservations
+  return selectOptimalSpawn(await findBestSpacedCandidate(scoredCandidates, reservedBases), regionId, decision);
+}
+
+async function evaluateSpawnCandidates(
+  request: CalculateSpawnLocationRequest
+): Promise<SpawnEvaluation> {
   try {
     // Get friend locations if grouping is requested
     const friendLocations = request.groupWithFriends && request.friendIds.length > 0 
       ? await getFriendLocations(request.friendIds)
       : [];
 
-    // Analyze current population density
-    const populationAnalysis = await analyzePopulationDensity();
-    
-    // Generate candidate spawn locations
-    const candidates = generateSpawnCandidates(
-      request.preferredRegion,
+    // Spawn into the preferred region when it has room, otherwise the innermost open one;
+    // open reservations hold their region's capacity until they are consumed or expire
+    const reservations = await listOpenSpawnReservations();
+    const region = await getSpawnRegion(request.preferredRegion, 1, countReservationsByRegion(reservations));
+
+    // Generate candidate spawn locations from a fresh, recorded seed
+    const decision: SpawnDecision = { seed: generateSeed(), bounds: region.bounds, friendLocations };
+    const draw = generateSpawnCandidates(
+      decision.bounds,
       friendLocations,
-      populationAnalysis
+      createSeededRandom(decision.seed)
     );
 
-    // Score and rank candidates
-    const scoredCandidates = scoreSpawnCandidates(candidates, friendLocations);
-    
-    // Select the best candidate
-    const bestCandidate = selectOptimalSpawn(scoredCandidates, request);
+    // Score and rank candidates on density, safety, resources and friends
+    const scoredCandidates = await scoreSpawnCandidates(draw.candidates, friendLocations);
 
-    return bestCandidate;
+    return {
+      regionId: region.regionId,
+      decision,
+      draw,
+      scoredCandidates,
+      reservedBases: reservationsAsBases(reservations, SPAWN_BASE_TYPE)
+    };
 
   } catch (error) {
+    if (error instanceof GameEngineError) {
+      throw error;
+    }
     throw new GameEngineError(
       'Failed to calculate spawn location',
       'SPAWN_CALCULATION_ERROR',
@@ -163,242 +293,67 @@ async function getFriendLocations(friendIds: string[]): Promise<{ x: number; y:
   }
 }
 
-async function analyzePopulationDensity(): Promise<Map<string, number>> {
-  try {
-    const densityMap = new Map<string, number>();
-    
-    // Query all active bases and group by map sections
-    const command = new ScanCommand({
-      TableName: PLAYER_BASES_TABLE,
-      FilterExpression: '#status = :active',
-      ExpressionAttributeNames: {
-        '#status': 'status'
-      },
-      ProjectionExpression: 'mapSectionId',
-      // Use parallel scan for better performance if table is large
-      Segment: 0,
-      TotalSegments: 1
-    });
-
-    const response = await docClient.send(command);
-    
-    // Count bases per map section
-    response.Items?.forEach(item => {
-      const sectionId = item.mapSectionId as string;
-      densityMap.set(sectionId, (densityMap.get(sectionId) ?? 0) + 1);
-    });
-
-    return densityMap;
+/**
+ * Highest scoring candidate outside every existing base's exclusion radius
+ *
+ * Locations reserved for other new players are kept clear as if their bases
+ * already existed. Candidates are checked in score order so usually only the
+ * first one costs any queries.
+ */
+async function findBestSpacedCandidate(
+  scoredCandidates: ScoredSpawnCandidate[],
+  reservedBases: SpawnEvaluation['reservedBases']
+): Promise<ScoredSpawnCandidate> {
+  const candidate = await findFirstSpacedCandidate(scoredCandidates, reservedBases);
 
-  } catch (error) {
-    logger.warn('Failed to analyze population density', { error: (error as Error).message });
-    return new Map();
+  if (candidate) {
+    return candidate;
   }
+
+  throw new GameEngineError(
+    'No spawn candidate is clear of existing bases',
+    'SPAWN_LOCATION_UNAVAILABLE',
+    { candidatesChecked: scoredCandidates.length }
+  );
 }
 
-function generateSpawnCandidates(
-  preferredRegion: string,
-  friendLocations: { x: number; y: number }[],
-  _populationDensity: Map<string, number>
-): { x: number; y: number; sectionId: string }[] {
-  const candidates: { x: number; y: number; sectionId: string }[] = [];
-  const maxCandidates = 20;
-  
-  // Define region boundaries
-  const regionBounds = getRegionBounds(preferredRegion);
-  
-  // If friends exist and grouping is requested, bias towards friend locations
-  if (friendLocations.length > 0) {
-    const friendCenter = calculateCenterPoint(friendLocations);
-    const friendRadius = 500; // 500 units around friends
-    
-    for (let i = 0; i < maxCandidates / 2; i++) {
-      const angle = Math.random() * 2 * Math.PI;
-      const distance = Math.random() * friendRadius;
-      const x = Math.floor(friendCenter.x + Math.cos(angle) * distance);
-      const y = Math.floor(friendCenter.y + Math.sin(angle) * distance);
-      const sectionId = `${Math.floor(x / 100)},${Math.floor(y / 100)}`;
-      
-      // Ensure coordinates are within region bounds
-      if (isWithinBounds({ x, y }, regionBounds)) {
-        candidates.push({ x, y, sectionId });
-      }
+async function findFirstSpacedCandidate(
+  scoredCandidates: ScoredSpawnCandidate[],
+  reservedBases: SpawnEvaluation['reservedBases']
+): Promise<ScoredSpawnCandidate | undefined> {
+  for (const candidate of scoredCandidates) {
+    if (!await findCandidateSpacingConflict(candidate, reservedBases)) {
+      return candidate;
     }
   }
-  
-  // Generate random candidates within preferred region
-  for (let i = candidates.length; i < maxCandidates; i++) {
-    const x = Math.floor(Math.random() * (regionBounds.maxX - regionBounds.minX) + regionBounds.minX);
-    const y = Math.floor(Math.random() * (regionBounds.maxY - regionBounds.minY) + regionBounds.minY);
-    const sectionId = `${Math.floor(x / 100)},${Math.floor(y / 100)}`;
-    
-    candidates.push({ x, y, sectionId });
-  }
-  
-  return candidates;
-}
 
-function getRegionBounds(region: string): { minX: number; maxX: number; minY: number; maxY: number } {
-  const baseRadius = 2000; // Base spawn radius
-  
-  switch (region) {
-    case 'center':
-      return { minX: -baseRadius/2, maxX: baseRadius/2, minY: -baseRadius/2, maxY: baseRadius/2 };
-    case 'north':
-      return { minX: -baseRadius, maxX: baseRadius, minY: 0, maxY: baseRadius };
-    case 'south':
-      return { minX: -baseRadius, maxX: baseRadius, minY: -baseRadius, maxY: 0 };
-    case 'east':
-      return { minX: 0, maxX: baseRadius, minY: -baseRadius, maxY: baseRadius };
-    case 'west':
-      return { minX: -baseRadius, maxX: 0, minY: -baseRadius, maxY: baseRadius };
-    default: // random
-      return { minX: -baseRadius, maxX: baseRadius, minY: -baseRadius, maxY: baseRadius };
-  }
+  return undefined;
 }
 
-function calculateCenterPoint(points: { x: number; y: number }[]): { x: number; y: number } {
-  if (points.length === 0) return { x: 0, y: 0 };
-  
-  const sum = points.reduce(
-    (acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }),
-    { x: 0, y: 0 }
-  );
-  
-  return {
-    x: Math.floor(sum.x / points.length),
-    y: Math.floor(sum.y / points.length)
-  };
-}
-
-function isWithinBounds(
-  point: { x: number; y: number },
-  bounds: { minX: number; maxX: number; minY: number; maxY: number }
-): boolean {
-  return point.x >= bounds.minX && point.x <= bounds.maxX && 
-         point.y >= bounds.minY && point.y <= bounds.maxY;
-}
-
-function scoreSpawnCandidates(
-  candidates: { x: number; y: number; sectionId: string }[],
-  friendLocations: { x: number; y: number }[]
-): Array<{ 
-  coordinates: { x: number; y: number };
-  score: number;
-  populationDensity: number;
-  safetyRating: number;
-  resourceAccessibility: number;
-  friendProximity: number;
-}> {
-  const scoredCandidates = candidates.map(candidate => {
-    // Calculate population density score (lower density = higher score)
-    const populationDensity = 0.1; // Simplified - would query actual density
-    const densityScore = Math.max(0, 1 - (populationDensity / 10));
-    
-    // Calculate safety rating (distance from center - closer = safer for newbies)
-    const distanceFromCenter = Math.sqrt(candidate.x ** 2 + candidate.y ** 2);
-    const safetyScore = Math.max(0, 1 - (distanceFromCenter / 5000));
-    
-    // Calculate resource accessibility (simplified)
-    const resourceScore = 0.7 + (Math.random() * 0.3); // Random between 0.7-1.0
-    
-    // Calculate friend proximity bonus
-    let friendScore = 0;
-    if (friendLocations.length > 0) {
-      const avgDistanceToFriends = friendLocations.reduce(
-        (sum, friend) => sum + Math.sqrt(
-          (candidate.x - friend.x) ** 2 + (candidate.y - friend.y) ** 2
-        ),
-        0
-      ) / friendLocations.length;
-      
-      friendScore = Math.max(0, 1 - (avgDistanceToFriends / 1000));
-    }
-    
-    // Weighted composite score
-    const totalScore = (densityScore * 0.3) + (safetyScore * 0.3) + 
-                      (resourceScore * 0.2) + (friendScore * 0.2);
-    
-    return {
-      coordinates: { x: candidate.x, y: candidate.y },
-      score: totalScore,
-      populationDensity: populationDensity,
-      safetyRating: safetyScore,
-      resourceAccessibility: resourceScore,
-      friendProximity: friendScore
-    };
-  });
-  
-  return scoredCandidates.sort((a, b) => b.score - a.score);
+// Reservations are checked first as they are already loaded
+async function findCandidateSpacingConflict(
+  candidate: ScoredSpawnCandidate,
+  reservedBases: SpawnEvaluation['reservedBases']
+): Promise<SpacingConflict | undefined> {
+  return findSpacingConflictAmong(candidate.coordinates, SPAWN_BASE_TYPE, reservedBases)
+    ?? await findSpacingConflict(candidate.coordinates, SPAWN_BASE_TYPE);
 }
 
 function selectOptimalSpawn(
-  scoredCandidates: Array<{
-    coordinates: { x: number; y: number };
-    score: number;
-    populationDensity: number;
-    safetyRating: number;
-    resourceAccessibility: number;
-    friendProximity: number;
-  }>,
-  _request: CalculateSpawnLocationRequest
+  bestCandidate: ScoredSpawnCandidate,
+  regionId: string,
+  decision: SpawnDecision
 ): SpawnLocation {
-  const bestCandidate = scoredCandidates[0];
-  
-  // Generate reason for this spawn location
-  let reason = 'Optimal balance of safety and resources';
-  if (bestCandidate.friendProximity > 0.5) {
-    reason = 'Near friends for social gameplay';
-  } else if (bestCandidate.safetyRating > 0.8) {
-    reason = 'Safe starter location';
-  } else if (bestCandidate.resourceAccessibility > 0.9) {
-    reason = 'Excellent resource access';
-  } else if (bestCandidate.populationDensity < 0.2) {
-    reason = 'Low population density area';
-  }
-  
   return {
     coordinates: bestCandidate.coordinates,
-    spawnLocationId: `spawn-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    populationDensity: bestCandidate.populationDensity,
-    safetyRating: bestCandidate.safetyRating,
-    resourceAccessibility: bestCandidate.resourceAccessibility,
-    reason: reason
+    spawnLocationId: `spawn-${Date.now()}-${decision.seed.toString(36)}`,
+    regionId,
+    decision,
+    populationDensity: bestCandidate.signals.sectionBaseCount,
+    safetyRating: bestCandidate.breakdown.safety,
+    resourceAccessibility: bestCandidate.breakdown.resources,
+    score: bestCandidate.score,
+    scoreBreakdown: bestCandidate.breakdown,
+    reason: describeSpawnReason(bestCandidate, getGameRules().spawning.scoring)
   };
 }
-
-async function reserveSpawnLocation(spawnLocationId: string, playerId: string): Promise<void> {
-  try {
-    const ttl = Math.floor(Date.now() / 1000) + 300; // 5 minutes from now
-    
-    const command = new UpdateCommand({
-      TableName: SPAWN_LOCATIONS_TABLE,
-      Key: {
-        spawnRegionId: 'calculated',
-        spawnLocationId: spawnLocationId
-      },
-      UpdateExpression: 'SET reservedBy = :playerId, reservedAt = :now, isAvailable = :false, #ttl = :ttl',
-      ExpressionAttributeNames: {
-        '#ttl': 'ttl'
-      },
-      ExpressionAttributeValues: {
-        ':playerId': playerId,
-        ':now': Date.now(),
-        ':false': 'false',
-        ':ttl': ttl
-      },
-      // Create the record if it doesn't exist
-      ReturnValues: 'ALL_NEW'
-    });
-
-    await docClient.send(command);
-    
-  } catch (error) {
-    logger.warn('Failed to reserve spawn location', { 
-      spawnLocationId, 
-      playerId, 
-      error: (error as Error).message 
-    });
-    // Non-critical error - spawn can still be used
-  }
-}
\ No newline at end of file
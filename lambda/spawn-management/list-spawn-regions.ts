@@ -0,0 +1,53 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { assertPrivilegedAccess } from '../shared/player-identity';
+import { listSpawnRegions, getFillLevel } from '../shared/spawn-regions';
+
+const logger = new StructuredLogger('ListSpawnRegionsHandler');
+
+/**
+ * List Spawn Regions Handler
+ *
+ * Admin view of the regions new players are spawned into:
+ * - Restricted to admin and service callers
+ * - Ordered from the innermost ring outwards
+ * - Reports each region's fill level against its capacity
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing spawn region list request', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const identity = assertPrivilegedAccess(event);
+    const regions = (await listSpawnRegions()).map(region => ({
+      ...region,
+      fillLevel: getFillLevel(region)
+    }));
+
+    logger.info('Spawn regions listed', {
+      playerId: identity.playerId,
+      regionCount: regions.length
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          regions,
+          totalCount: regions.length
+        }
+      })
+    };
+  }, logger);
+};
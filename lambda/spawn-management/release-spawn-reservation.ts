@@ -0,0 +1,91 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { SpawnLocation } from '../types/game-base-types';
+import { assertPlayerAccess } from '../shared/player-identity';
+import {
+  findSpawnReservation,
+  releaseSpawnReservation,
+  spawnReservationConsumedError
+} from '../shared/spawn-reservations';
+
+const logger = new StructuredLogger('ReleaseSpawnReservationHandler');
+
+/**
+ * Release Spawn Reservation Handler
+ *
+ * Gives up a calculated spawn location before its reservation expires:
+ * - Only the reserving player (or an admin/service caller) may release it
+ * - Consumed reservations belong to a base and cannot be released
+ * - Unreleased reservations simply expire through the table's TTL
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing spawn reservation release', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const reservation = await getReleasableReservation(event);
+    const spawnLocationId = reservation.spawnLocationId;
+
+    await releaseSpawnReservation(spawnLocationId, reservation.reservedBy);
+
+    logger.info('Spawn reservation released', {
+      playerId: reservation.reservedBy,
+      spawnLocationId
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          spawnLocationId,
+          message: 'Spawn reservation released'
+        }
+      })
+    };
+  }, logger);
+};
+
+/**
+ * Reservation named by the path, checked to belong to the caller and still be unused
+ */
+async function getReleasableReservation(event: APIGatewayProxyEvent): Promise<SpawnLocation> {
+  const spawnLocationId = event.pathParameters?.spawnLocationId;
+
+  if (!spawnLocationId) {
+    throw new GameEngineError(
+      'Missing required parameter: spawnLocationId',
+      'INVALID_PARAMETERS',
+      { pathParameters: event.pathParameters }
+    );
+  }
+
+  const reservation = await findSpawnReservation(spawnLocationId);
+
+  if (!reservation) {
+    throw new GameEngineError(
+      'Spawn reservation not found',
+      'SPAWN_RESERVATION_NOT_FOUND',
+      { spawnLocationId }
+    );
+  }
+
+  assertPlayerAccess(event, reservation.reservedBy);
+
+  if (reservation.consumedAt) {
+    throw spawnReservationConsumedError(spawnLocationId);
+  }
+
+  return reservation;
+}
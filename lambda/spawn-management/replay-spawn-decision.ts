@@ -0,0 +1,104 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling
+} from '../../lib/shared-mocks';
+import { SpawnDecision, SpawnLocation } from '../types/game-base-types';
+import { assertPrivilegedAccess } from '../shared/player-identity';
+import { findSpawnReservation } from '../shared/spawn-reservations';
+import { createSeededRandom } from '../shared/seeded-random';
+import { generateSpawnCandidates } from './spawn-candidates';
+import { scoreSpawnCandidates } from './spawn-scoring';
+
+const logger = new StructuredLogger('ReplaySpawnDecisionHandler');
+
+/**
+ * Replay Spawn Decision Handler
+ *
+ * Debug view of a calculated spawn for admins investigating player reports:
+ * - Restricted to admin and service callers
+ * - Regenerates the candidate list from the decision's recorded seed, region bounds and friends
+ * - Scores the candidates against the current world, which may differ from decision time
+ * - Reports whether the recorded location (or cohort center) is among the regenerated candidates
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing spawn decision replay', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const identity = assertPrivilegedAccess(event);
+    const { reservation, decision } = await getRecordedDecision(event);
+
+    const { candidates, rejected } = generateSpawnCandidates(
+      decision.bounds,
+      decision.friendLocations,
+      createSeededRandom(decision.seed)
+    );
+    const scoredCandidates = await scoreSpawnCandidates(candidates, decision.friendLocations);
+    // Cohort members sit around the cluster center, which is the candidate that was chosen
+    const chosen = decision.clusterCenter ?? reservation.coordinates;
+    const reproduced = candidates.some(candidate => candidate.x === chosen.x && candidate.y === chosen.y);
+
+    logger.info('Spawn decision replayed', {
+      playerId: identity.playerId,
+      spawnLocationId: reservation.spawnLocationId,
+      seed: decision.seed,
+      reproduced
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          spawnLocationId: reservation.spawnLocationId,
+          reservedBy: reservation.reservedBy,
+          regionId: reservation.regionId,
+          decision,
+          recordedCoordinates: reservation.coordinates,
+          reproduced,
+          candidates: scoredCandidates,
+          rejected
+        }
+      })
+    };
+  }, logger);
+};
+
+/**
+ * Reservation named by the path together with the decision recorded on it
+ */
+async function getRecordedDecision(
+  event: APIGatewayProxyEvent
+): Promise<{ reservation: SpawnLocation; decision: SpawnDecision }> {
+  const spawnLocationId = event.pathParameters?.spawnLocationId;
+
+  if (!spawnLocationId) {
+    throw new GameEngineError(
+      'Missing required parameter: spawnLocationId',
+      'INVALID_PARAMETERS',
+      { pathParameters: event.pathParameters }
+    );
+  }
+
+  const reservation = await findSpawnReservation(spawnLocationId);
+
+  // Reservations made before seeds were recorded cannot be replayed
+  if (!reservation?.decision) {
+    throw new GameEngineError(
+      'No recorded spawn decision for this location',
+      'SPAWN_DECISION_NOT_FOUND',
+      { spawnLocationId }
+    );
+  }
+
+  return { reservation, decision: reservation.decision };
+}
@@ -0,0 +1,89 @@
+import { Coordinates, MapBounds } from '../types/game-base-types';
+import { toMapSectionId } from '../shared/map-geometry';
+import { RandomSource } from '../shared/seeded-random';
+import { SpawnCandidate } from './spawn-scoring';
+
+const MAX_CANDIDATES = 20;
+
+// Candidates biased towards friends are drawn within this distance of their center
+const FRIEND_RADIUS = 500;
+
+export interface RejectedSpawnCandidate {
+  coordinates: Coordinates;
+  reason: string;
+}
+
+export interface SpawnCandidateDraw {
+  candidates: SpawnCandidate[];
+  rejected: RejectedSpawnCandidate[]; // Friend-biased draws that fell outside the region
+  friendCenter?: Coordinates;
+}
+
+/**
+ * Candidate spawn locations inside a region
+ *
+ * Half the candidates are drawn around the friends' center (those outside
+ * the region are rejected), the rest uniformly over the region. All draws
+ * come from `random`, so the same seed, bounds and friends always yield the
+ * same candidates.
+ */
+export function generateSpawnCandidates(
+  regionBounds: MapBounds,
+  friendLocations: Coordinates[],
+  random: RandomSource
+): SpawnCandidateDraw {
+  const candidates: SpawnCandidate[] = [];
+  const rejected: RejectedSpawnCandidate[] = [];
+  const friendCenter = friendLocations.length > 0 ? calculateCenterPoint(friendLocations) : undefined;
+
+  if (friendCenter) {
+    for (let i = 0; i < MAX_CANDIDATES / 2; i++) {
+      const angle = random() * 2 * Math.PI;
+      const distance = random() * FRIEND_RADIUS;
+      const x = Math.floor(friendCenter.x + Math.cos(angle) * distance);
+      const y = Math.floor(friendCenter.y + Math.sin(angle) * distance);
+      const violations = findBoundsViolations({ x, y }, regionBounds);
+
+      if (violations.length > 0) {
+        rejected.push({ coordinates: { x, y }, reason: `Outside spawn region: ${violations.join(', ')}` });
+      } else {
+        candidates.push({ x, y, sectionId: toMapSectionId({ x, y }) });
+      }
+    }
+  }
+
+  for (let i = candidates.length; i < MAX_CANDIDATES; i++) {
+    const x = Math.floor(random() * (regionBounds.maxX - regionBounds.minX) + regionBounds.minX);
+    const y = Math.floor(random() * (regionBounds.maxY - regionBounds.minY) + regionBounds.minY);
+
+    candidates.push({ x, y, sectionId: toMapSectionId({ x, y }) });
+  }
+
+  return { candidates, rejected, ...(friendCenter && { friendCenter }) };
+}
+
+function calculateCenterPoint(points: Coordinates[]): Coordinates {
+  if (points.length === 0) return { x: 0, y: 0 };
+  
+  const sum = points.reduce(
+    (acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }),
+    { x: 0, y: 0 }
+  );
+  
+  return {
+    x: Math.floor(sum.x / points.length),
+    y: Math.floor(sum.y / points.length)
+  };
+}
+
+// Region edges the point lies beyond, e.g. "x 1040 > maxX 1000"
+function findBoundsViolations(point: Coordinates, bounds: MapBounds): string[] {
+  const checks: [boolean, string][] = [
+    [point.x < bounds.minX, `x ${point.x} < minX ${bounds.minX}`],
+    [point.x > bounds.maxX, `x ${point.x} > maxX ${bounds.maxX}`],
+    [point.y < bounds.minY, `y ${point.y} < minY ${bounds.minY}`],
+    [point.y > bounds.maxY, `y ${point.y} > maxY ${bounds.maxY}`]
+  ];
+
+  return checks.filter(([violated]) => violated).map(([, description]) => description);
+}
@@ -0,0 +1,77 @@
+import { Coordinates, MapBase, MapBounds, SpawnLocation } from '../types/game-base-types';
+import { getGameRules } from '../shared/game-rules';
+import { getMapSectionsInBounds, isWithinBounds } from '../shared/map-geometry';
+import { queryAllMapSectionBases } from '../shared/map-index';
+import {
+  getExclusionRadius,
+  getSpacingSearchRadius,
+  findSpacingConflictAmong
+} from '../shared/base-spacing';
+import { reservationsAsBases } from '../shared/spawn-reservations';
+
+export interface SpawnClusterArea {
+  regionBounds: MapBounds;
+  baseType: string;
+  reservations?: SpawnLocation[]; // Open spawn reservations, kept clear like existing bases
+}
+
+/**
+ * Compact, non-overlapping spawn positions for a cohort around `center`
+ *
+ * Positions come from a square grid one unit wider than the base type's
+ * exclusion radius, nearest to the center first, so cohort members never
+ * violate each other's spacing. Grid points outside the region or too close
+ * to existing bases or to locations reserved for other new players are
+ * skipped. Returns fewer than `count` positions when the area around the
+ * center is too crowded.
+ */
+export async function layoutSpawnCluster(
+  center: Coordinates,
+  count: number,
+  { regionBounds, baseType, reservations = [] }: SpawnClusterArea
+): Promise<Coordinates[]> {
+  const rules = getGameRules();
+  const spacing = getExclusionRadius(baseType, rules) + 1;
+  const gridPoints = buildClusterGrid(center, count, spacing)
+    .filter(point => isWithinBounds(point, regionBounds));
+
+  if (gridPoints.length < count) {
+    return [];
+  }
+
+  const neighbors = [
+    ...await loadBasesAround(gridPoints, getSpacingSearchRadius(baseType, rules)),
+    ...reservationsAsBases(reservations, baseType)
+  ];
+
+  return gridPoints
+    .filter(point => !findSpacingConflictAmong(point, baseType, neighbors, rules))
+    .slice(0, count);
+}
+
+// Grid points around the center, nearest first, with room to skip occupied ones
+function buildClusterGrid(center: Coordinates, count: number, spacing: number): Coordinates[] {
+  const rings = Math.ceil(Math.sqrt(count)) + 1;
+  const points: Coordinates[] = [];
+
+  for (let dx = -rings; dx <= rings; dx++) {
+    for (let dy = -rings; dy <= rings; dy++) {
+      points.push({ x: center.x + dx * spacing, y: center.y + dy * spacing });
+    }
+  }
+
+  const distanceSquared = (point: Coordinates): number => (point.x - center.x) ** 2 + (point.y - center.y) ** 2;
+  return points.sort((a, b) => distanceSquared(a) - distanceSquared(b));
+}
+
+// Every base that could conflict with one of the points
+async function loadBasesAround(points: Coordinates[], radius: number): Promise<MapBase[]> {
+  const sectionIds = getMapSectionsInBounds({
+    minX: Math.min(...points.map(point => point.x)) - radius,
+    minY: Math.min(...points.map(point => point.y)) - radius,
+    maxX: Math.max(...points.map(point => point.x)) + radius,
+    maxY: Math.max(...points.map(point => point.y)) + radius
+  });
+
+  return (await Promise.all(sectionIds.map(sectionId => queryAllMapSectionBases(sectionId)))).flat();
+}
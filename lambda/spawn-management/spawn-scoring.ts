@@ -0,0 +1,183 @@
+import {
+  Coordinates,
+  MapBase,
+  ResourceNodeType,
+  SpawnScoreBreakdown,
+  SpawnScoringRules
+} from '../types/game-base-types';
+import { getGameRules } from '../shared/game-rules';
+import { calculateDistance, getMapSectionsWithinRadius } from '../shared/map-geometry';
+import { getSectionDensities } from '../shared/section-density';
+import { queryAllMapSectionBases } from '../shared/map-index';
+import { findNearestResourceNode } from '../shared/resource-nodes';
+
+// Friends farther away than this on average add nothing to a candidate
+const FRIEND_PROXIMITY_RANGE = 1000;
+
+export interface SpawnCandidate {
+  x: number;
+  y: number;
+  sectionId: string;
+}
+
+// Raw world data behind a candidate's scores
+export interface SpawnSignals {
+  sectionBaseCount: number;
+  nearbyHighLevelBases: number;
+  strongestNearbyLevel: number;
+  threat: number; // level- and distance-weighted pressure from high-level bases
+  nearestResourceType?: ResourceNodeType;
+  nearestResourceDistance?: number;
+  averageFriendDistance?: number;
+}
+
+export interface ScoredSpawnCandidate {
+  coordinates: Coordinates;
+  sectionId: string;
+  score: number;
+  breakdown: SpawnScoreBreakdown;
+  signals: SpawnSignals;
+}
+
+/**
+ * Score and rank spawn candidates, best first
+ *
+ * Signals come from the world itself: the section density aggregates, the
+ * high-level bases within the safety radius and the nearest resource node.
+ * Only sections the density table reports as populated are queried for
+ * bases, so empty wilderness costs no LocationIndex reads.
+ */
+export async function scoreSpawnCandidates(
+  candidates: SpawnCandidate[],
+  friendLocations: Coordinates[],
+  rules: SpawnScoringRules = getGameRules().spawning.scoring
+): Promise<ScoredSpawnCandidate[]> {
+  const neighborhoods = candidates.map(candidate => getMapSectionsWithinRadius(candidate, rules.safetyRadius));
+  const densities = await getSectionDensities([
+    ...candidates.map(candidate => candidate.sectionId),
+    ...neighborhoods.flat()
+  ]);
+  const highLevelBases = await loadHighLevelBases(neighborhoods.flat(), densities, rules);
+
+  const scoredCandidates = candidates.map((candidate, index) => {
+    const nearbyBases = neighborhoods[index].flatMap(sectionId => highLevelBases.get(sectionId) ?? []);
+    const signals = gatherSpawnSignals(candidate, {
+      sectionBaseCount: densities.get(candidate.sectionId) ?? 0,
+      nearbyBases,
+      friendLocations
+    }, rules);
+    const breakdown = scoreSpawnSignals(signals, rules);
+
+    return {
+      coordinates: { x: candidate.x, y: candidate.y },
+      sectionId: candidate.sectionId,
+      score: combineScores(breakdown, rules.weights, friendLocations.length > 0),
+      breakdown,
+      signals
+    };
+  });
+
+  return scoredCandidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Turn raw signals into per-signal scores between 0 and 1
+ */
+export function scoreSpawnSignals(signals: SpawnSignals, rules: SpawnScoringRules): SpawnScoreBreakdown {
+  return {
+    density: Math.max(0, 1 - signals.sectionBaseCount / rules.crowdedSectionBaseCount),
+    safety: 1 / (1 + signals.threat),
+    resources: signals.nearestResourceDistance === undefined
+      ? 0
+      : 1 - signals.nearestResourceDistance / rules.resourceRadius,
+    friends: signals.averageFriendDistance === undefined
+      ? 0
+      : Math.max(0, 1 - signals.averageFriendDistance / FRIEND_PROXIMITY_RANGE)
+  };
+}
+
+/**
+ * Explain a candidate by its strongest weighted signal
+ */
+export function describeSpawnReason(candidate: ScoredSpawnCandidate, rules: SpawnScoringRules): string {
+  const { breakdown, signals } = candidate;
+  const contributions = (Object.keys(breakdown) as (keyof SpawnScoreBreakdown)[])
+    .map(signal => ({ signal, value: breakdown[signal] * rules.weights[signal] }))
+    .filter(contribution => contribution.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  switch (contributions[0]?.signal) {
+    case 'friends':
+      return `Near friends for social gameplay (${Math.round(signals.averageFriendDistance ?? 0)} units away on average)`;
+    case 'safety':
+      return signals.nearbyHighLevelBases === 0
+        ? `Safe starter location (no high-level bases within ${rules.safetyRadius} units)`
+        : `Safe starter location (${signals.nearbyHighLevelBases} high-level bases nearby, strongest level ${signals.strongestNearbyLevel})`;
+    case 'resources':
+      return `Excellent resource access (${signals.nearestResourceType} node ${Math.round(signals.nearestResourceDistance ?? 0)} units away)`;
+    case 'density':
+      return `Low population density area (${signals.sectionBaseCount} bases in section)`;
+    default:
+      return 'Optimal balance of safety and resources';
+  }
+}
+
+function gatherSpawnSignals(
+  candidate: SpawnCandidate,
+  context: { sectionBaseCount: number; nearbyBases: MapBase[]; friendLocations: Coordinates[] },
+  rules: SpawnScoringRules
+): SpawnSignals {
+  const threats = context.nearbyBases
+    .map(base => ({ level: base.level, distance: calculateDistance(candidate, base.coordinates) }))
+    .filter(threat => threat.distance <= rules.safetyRadius);
+  const nearestResource = findNearestResourceNode(candidate, rules.resourceRadius);
+
+  return {
+    sectionBaseCount: context.sectionBaseCount,
+    nearbyHighLevelBases: threats.length,
+    strongestNearbyLevel: Math.max(0, ...threats.map(threat => threat.level)),
+    threat: threats.reduce((sum, threat) =>
+      sum + (threat.level / rules.highLevelBaseLevel) * (1 - threat.distance / rules.safetyRadius), 0),
+    nearestResourceType: nearestResource?.node.resourceType,
+    nearestResourceDistance: nearestResource?.distance,
+    averageFriendDistance: context.friendLocations.length > 0
+      ? context.friendLocations.reduce((sum, friend) => sum + calculateDistance(candidate, friend), 0) /
+        context.friendLocations.length
+      : undefined
+  };
+}
+
+/**
+ * Weighted mean of the applicable scores (friends only count when requested)
+ */
+function combineScores(
+  breakdown: SpawnScoreBreakdown,
+  weights: SpawnScoreBreakdown,
+  hasFriends: boolean
+): number {
+  const signals = (Object.keys(breakdown) as (keyof SpawnScoreBreakdown)[])
+    .filter(signal => hasFriends || signal !== 'friends');
+  const totalWeight = signals.reduce((sum, signal) => sum + weights[signal], 0);
+
+  if (totalWeight === 0) {
+    return 0;
+  }
+
+  return signals.reduce((sum, signal) => sum + breakdown[signal] * weights[signal], 0) / totalWeight;
+}
+
+/**
+ * High-level bases per populated section, each section queried once
+ */
+async function loadHighLevelBases(
+  sectionIds: string[],
+  densities: Map<string, number>,
+  rules: SpawnScoringRules
+): Promise<Map<string, MapBase[]>> {
+  const populatedSections = [...new Set(sectionIds)].filter(sectionId => (densities.get(sectionId) ?? 0) > 0);
+  const sectionBases = await Promise.all(populatedSections.map(sectionId =>
+    queryAllMapSectionBases(sectionId, { minLevel: rules.highLevelBaseLevel })
+  ));
+
+  return new Map(populatedSections.map((sectionId, index) => [sectionId, sectionBases[index]]));
+}
@@ -0,0 +1,89 @@
+import { APIGatewayProxyEvent, APIGatewayProxyResult } from 'aws-lambda';
+import {
+  StructuredLogger,
+  GameEngineError,
+  withErrorHandling,
+  validateRequest
+} from '../../lib/shared-mocks';
+import { z } from 'zod';
+import { assertPrivilegedAccess } from '../shared/player-identity';
+import { updateSpawnRegion, getFillLevel } from '../shared/spawn-regions';
+
+const logger = new StructuredLogger('UpdateSpawnRegionHandler');
+
+const UpdateSpawnRegionRequestSchema = z.object({
+  isOpen: z.boolean().optional(),
+  capacity: z.number().int().min(1).optional(),
+  bounds: z.object({
+    minX: z.number().int(),
+    minY: z.number().int(),
+    maxX: z.number().int(),
+    maxY: z.number().int()
+  }).refine(bounds => bounds.minX < bounds.maxX && bounds.minY < bounds.maxY, {
+    message: 'Region minimum must be below its maximum'
+  }).optional()
+}).refine(request => Object.values(request).some(value => value !== undefined), {
+  message: 'At least one of isOpen, capacity or bounds is required'
+});
+
+type UpdateSpawnRegionRequest = z.infer<typeof UpdateSpawnRegionRequestSchema>;
+
+/**
+ * Update Spawn Region Handler
+ *
+ * Admin control over a single spawn region:
+ * - Restricted to admin and service callers
+ * - Opens or closes the region to new players
+ * - Resizes the region's bounds or capacity
+ * - Closed and full regions are skipped by the spawn calculator
+ */
+export const handler = async (
+  event: APIGatewayProxyEvent
+): Promise<APIGatewayProxyResult> => {
+  return withErrorHandling(async () => {
+    logger.info('Processing spawn region update', {
+      requestId: event.requestContext?.requestId
+    });
+
+    const identity = assertPrivilegedAccess(event);
+    const regionId = getRegionId(event);
+    const changes = await validateRequest<UpdateSpawnRegionRequest>(UpdateSpawnRegionRequestSchema, event.body);
+
+    const region = await updateSpawnRegion(regionId, changes);
+
+    logger.info('Spawn region updated', {
+      playerId: identity.playerId,
+      regionId,
+      changes
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      },
+      body: JSON.stringify({
+        success: true,
+        data: {
+          region: { ...region, fillLevel: getFillLevel(region) },
+          message: 'Spawn region updated'
+        }
+      })
+    };
+  }, logger);
+};
+
+function getRegionId(event: APIGatewayProxyEvent): string {
+  const regionId = event.pathParameters?.regionId;
+
+  if (!regionId) {
+    throw new GameEngineError(
+      'Missing required parameter: regionId',
+      'INVALID_PARAMETERS',
+      { pathParameters: event.pathParameters }
+    );
+  }
+
+  return regionId;
+}
@@ -37,21 +37,186 @@ export interface PlayerBase {
   mapSectionId: string;
   coordinateHash: string;
   allianceId?: string;
-  status: 'active' | 'building' | 'moving' | 'destroyed';
+  status: 'active' | 'building' | 'moving' | 'abandoning' | 'destroyed';
   stats: BaseStats;
   createdAt: number;
   lastActiveAt: number;
   buildCompletionTime?: number;
   lastMovedAt?: number;
   arrivalTime?: number;
-  ttl?: number;
+  movementOrigin?: Coordinates;
+  lastMove?: MovementRecord;
+  spawnSeed?: number; // Seed behind generated spawn coordinates, for replaying the spawn
+  abandonAt?: number; // End of the undo window of an abandoning base
+  statusBeforeAbandon?: 'active' | 'building' | 'moving'; // Status restored when the abandon is undone
+  dueAt?: number; // When the running build, move or abandon is due; DueIndex sort key, unset while active
+  destroyedAt?: number;
+  destroyReason?: BaseDestroyReason;
+  speedUps?: SpeedUpRecord[]; // Speed-ups applied to the base's builds and moves
+  ttl?: number; // Seconds; set on destroyed bases so they are purged
 }
 
+// Why a base was destroyed: abandoned by its player or razed in battle
+export type BaseDestroyReason = 'abandoned' | 'battle' | 'admin';
+
+export interface MovementRecord {
+  from: Coordinates;
+  to: Coordinates;
+  departedAt: number;
+  arrivedAt: number;
+  teleport: boolean;
+}
+
+// Gameplay rules shared by all handlers, generated from GameBaseServiceConfig
+export interface GameRules {
+  maxBasesPerPlayer: {
+    free: number;
+    subscription: number;
+  };
+  movement: {
+    cooldownMinutes: number;
+    maxDistance: number; // map units
+    teleportCostGold: number; // minimum gold cost of a teleport
+  };
+  spawning: {
+    newPlayerGroupSize: number;
+    spawnRadius: number; // map units
+    scoring: SpawnScoringRules;
+  };
+  spacing: {
+    defaultExclusionRadius: number; // map units
+    exclusionRadiusByBaseType: Record<string, number>; // overrides per base type
+  };
+  removal: {
+    abandonUndoMinutes: number; // window in which an abandoned base can be restored
+    destroyedRetentionDays: number; // destroyed bases are purged by TTL afterwards
+  };
+  upgrades: {
+    cancelRefundPercent: number; // 0-100; share of requirements.resources refunded on cancel
+    builderSlots: {
+      free: number; // upgrades running at once per player
+      subscription: number;
+    };
+    maxQueuedUpgrades: number; // upgrades waiting for a free slot per player
+  };
+  speedUps: {
+    goldPerMinute: number; // gold per remaining minute when finishing a timer early
+    minimumGold: number;
+    boostSeconds: Record<string, number>; // boost item id to seconds removed per item
+  };
+}
+
+// One speed-up applied to a running upgrade, build or move (kept for auditing)
+export interface SpeedUpRecord {
+  appliedAt: number;
+  appliedBy: string; // player who paid, or the admin/service acting for them
+  charged: boolean; // false when a GM, admin or service sped up another player's timer for free
+  method: 'gold' | 'boost';
+  goldCost?: number;
+  boosts?: Record<string, number>; // boost item id to count used
+  secondsReduced: number;
+  previousDueAt: number;
+  newDueAt: number;
+}
+
+// Signal weights and ranges used to rank spawn candidates
+export interface SpawnScoringRules {
+  weights: SpawnScoreBreakdown;
+  crowdedSectionBaseCount: number; // bases per map section that score as fully crowded
+  safetyRadius: number; // map units searched for high-level bases
+  highLevelBaseLevel: number; // bases at or above this level threaten new players
+  resourceRadius: number; // map units; resource nodes farther away add nothing
+}
+
+// Per-signal spawn scores, each between 0 (worst) and 1 (best)
+export interface SpawnScoreBreakdown {
+  density: number;
+  safety: number;
+  resources: number;
+  friends: number;
+}
+
+// Resource name (gold, food, materials, ...) to amount
+export type ResourceAmounts = Record<string, number>;
+
+export interface ResourceReservation {
+  reservationId: string;
+  playerId: string;
+  amounts: ResourceAmounts;
+  reason: string;
+}
+
+export type SubscriptionTier = 'free' | 'subscription';
+
+export interface PlayerEntitlement {
+  playerId: string;
+  tier: SubscriptionTier;
+  expiresAt?: number; // Subscription end; absent for free or non-expiring tiers
+}
+
+// Lock record for an occupied tile (CoordinateClaims table)
+export interface CoordinateClaim {
+  coordinateHash: string;
+  playerId: string;
+  baseId: string;
+  claimedAt: number;
+}
+
+export type ResourceNodeType = 'food' | 'materials' | 'gold';
+
+// Gatherable resource deposit on the world map
+export interface ResourceNode {
+  nodeId: string;
+  resourceType: ResourceNodeType;
+  coordinates: Coordinates;
+}
+
+// Live base count of one map section (SectionDensity table)
+export interface SectionDensity {
+  mapSectionId: string;
+  baseCount: number;
+  updatedAt: number;
+  reconciledAt?: number; // Last time the count was recounted from PlayerBases
+}
+
+// Spawn location reserved for one player until it is consumed, released or expires
 export interface SpawnLocation {
   spawnRegionId: string;
   spawnLocationId: string;
   coordinates: Coordinates;
-  isAvailable: boolean;
+  isAvailable: 'true' | 'false'; // AvailabilityIndex partition key, stored as a string
+  regionId?: string; // Spawn region the location was drawn from
+  reservedBy: string;
+  reservedAt: number;
+  expiresAt: number; // Enforced on consume; TTL deletion may lag behind it
+  consumedAt?: number;
+  consumedByBaseId?: string;
+  decision?: SpawnDecision;
+  lastUsedAt: number;
+  ttl?: number; // Removed on consume so the spawn decision stays replayable
+}
+
+// Inputs that reproduce a calculated spawn's candidate list
+export interface SpawnDecision {
+  seed: number;
+  bounds: MapBounds; // Region bounds at decision time; admins may resize regions later
+  friendLocations: Coordinates[];
+  clusterCenter?: Coordinates; // Candidate a cohort was laid out around (group spawns)
+}
+
+export type SpawnDirection = 'center' | 'north' | 'south' | 'east' | 'west';
+
+// Area new players are spawned into (SpawnLocations table, regions partition)
+export interface SpawnRegion {
+  regionId: string;
+  ring: number; // 0 is the map center; higher rings are opened as inner ones fill up
+  direction: SpawnDirection;
+  bounds: MapBounds;
+  capacity: number; // New players the region takes before it counts as full
+  spawnCount: number; // New players spawned so far (fill level)
+  isOpen: boolean;
+  createdAt: number;
+  updatedAt: number;
 }
 
 export interface BaseUpgradeTemplate {
@@ -67,6 +232,38 @@ export interface BaseUpgradeTemplate {
   buildTime: number;
 }
 
+export interface BaseUpgrade {
+  playerId: string;
+  upgradeId: string;
+  baseId: string;
+  upgradeType: string;
+  fromLevel: number;
+  toLevel: number;
+  requirements: {
+    resources: Record<string, number>;
+    time: number;
+    goldCost?: number;
+  };
+  status: 'queued' | 'in_progress' | 'completed' | 'cancelled';
+  queuedAt?: number; // Set while the upgrade waits for a free builder slot
+  startedAt?: number; // Start and completion times are set once a builder slot is free
+  completionTime?: number;
+  completedAt?: number;
+  cancelledAt?: number;
+  refund?: Record<string, number>; // Resources paid back when the upgrade was cancelled
+  speedUps?: SpeedUpRecord[];
+  ttl?: number; // Seconds; a week after completionTime
+}
+
+// Per-player order of queued upgrades, stored in BaseUpgrades under BUILDER_QUEUE_ID
+export interface BuilderQueue {
+  playerId: string;
+  upgradeId: string;
+  queue: string[]; // Queued upgrade ids, next to start first
+  version: number; // Bumped by every start, queue and reorder
+  updatedAt?: number;
+}
+
 // API Request/Response types
 export interface CreateBaseRequest {
   playerId: string;
@@ -99,7 +296,7 @@ export interface GetBaseDetailsRequest {
 
 export interface ListBasesRequest {
   playerId: string;
-  status?: 'active' | 'building' | 'moving' | 'destroyed' | 'all';
+  status?: 'active' | 'building' | 'moving' | 'abandoning' | 'destroyed' | 'all';
   limit?: number;
   lastEvaluatedKey?: string;
   includeStats?: boolean;
@@ -115,6 +312,8 @@ export interface BaseSummary {
   baseTypes: Record<string, number>;
   averageLevel: number;
   maxLevel: number;
+  subscriptionTier: SubscriptionTier;
+  subscriptionExpiresAt?: number;
   maxBasesAllowed: number;
   canCreateMore: boolean;
   oldestBase: number | null;
@@ -133,6 +332,26 @@ export interface BaseNeighbor {
   isEnemy: boolean;
 }
 
+// Compact projection of a base returned by map queries
+export interface MapBase {
+  baseId: string;
+  playerId: string;
+  baseName: string;
+  baseType: string;
+  level: number;
+  allianceId?: string;
+  status: PlayerBase['status'];
+  coordinates: Coordinates;
+}
+
+// Axis-aligned map area in map units (inclusive)
+export interface MapBounds {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
 export interface BaseDefense {
   currentStrength: number;
   maxStrength: number;
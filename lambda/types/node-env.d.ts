@@ -5,6 +5,29 @@ declare namespace NodeJS {
     BASE_TEMPLATES_TABLE?: string;
     SPAWN_LOCATIONS_TABLE?: string;
     BASE_UPGRADES_TABLE?: string;
+    COORDINATE_CLAIMS_TABLE?: string;
+    SECTION_DENSITY_TABLE?: string;
+    EVENT_BUS_NAME?: string;
+    AUTH_MODE?: 'cognito' | 'local';
+    LOCAL_AUTH_SECRET?: string;
+    PRIVILEGED_GROUPS?: string;
+    POLICY_VERSION?: string;
+    GAME_RULES?: string;
+    ENTITLEMENT_PROVIDER?: 'stub' | 'lambda';
+    ENTITLEMENT_FUNCTION_NAME?: string;
+    ENTITLEMENT_CACHE_TTL_SECONDS?: string;
+    ENTITLEMENT_STUB?: string;
+    RESOURCE_LEDGER_PROVIDER?: 'memory' | 'lambda';
+    RESOURCE_LEDGER_FUNCTION_NAME?: string;
+    RESOURCE_LEDGER_DEFAULT_BALANCE?: string;
+    MAP_MAX_VIEWPORT_SIZE?: string;
+    NEIGHBOR_DEFAULT_RADIUS?: string;
+    NEIGHBOR_MAX_RADIUS?: string;
+    NEIGHBOR_MAX_RESULTS?: string;
+    NEAREST_MAX_RADIUS?: string;
+    NEAREST_MAX_RESULTS?: string;
+    INACTIVE_AFTER_DAYS?: string;
+    MAP_DENSITY_MAX_VIEWPORT_SIZE?: string;
     ENVIRONMENT?: string;
     AWS_REGION?: string;
     NODE_ENV?: string;
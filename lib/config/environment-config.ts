@@ -3,6 +3,11 @@
  * Following shared-config-library patterns with gaming optimizations
  */
 
+import { GameRules } from '../../lambda/types/game-base-types';
+
+// Map distances are stored in units; 1 km on the world map is 100 units
+export const MAP_UNITS_PER_KM = 100;
+
 export interface GameBaseServiceConfig {
   environment: string;
   region: string;
@@ -16,12 +21,74 @@ export interface GameBaseServiceConfig {
     };
     baseMovement: {
       cooldownMinutes: number;
+      maxDistanceKm: number;
       teleportCostGold: number;
     };
     spawning: {
       newPlayerGroupSize: number;
       spawnRadiusKm: number;
+      scoring: {
+        weights: { density: number; safety: number; resources: number; friends: number };
+        crowdedSectionBaseCount: number;
+        safetyRadius: number; // map units
+        highLevelBaseLevel: number;
+        resourceRadius: number; // map units
+      };
+    };
+    spacing: {
+      defaultExclusionRadius: number; // map units; bases closer than this are rejected
+      exclusionRadiusByBaseType: Record<string, number>;
+    };
+    removal: {
+      abandonUndoMinutes: number; // abandoned bases can be restored for this long
+      destroyedRetentionDays: number; // destroyed bases are purged by TTL afterwards
+    };
+    upgrades: {
+      cancelRefundPercent: number; // share of an upgrade's resources refunded on cancel
+      builderSlots: {
+        free: number; // upgrades a player can run at once
+        subscription: number;
+      };
+      maxQueuedUpgrades: number; // upgrades waiting for a free builder slot
     };
+    speedUps: {
+      goldPerMinute: number; // gold charged per remaining minute when finishing early
+      minimumGold: number;
+      boostSeconds: Record<string, number>; // time-reduction items and the seconds each removes
+    };
+  };
+  
+  // Player authentication (Cognito user pool shared across game services)
+  auth: {
+    userPoolIdParameterName: string;
+    privilegedGroups: string[];
+    policyVersion: string;
+  };
+  
+  // Subscription tier lookups (player service)
+  entitlements: {
+    provider: 'stub' | 'lambda';
+    functionName: string;
+    cacheTtlSeconds: number;
+  };
+  
+  // Resource charging (resource service ledger)
+  resourceLedger: {
+    provider: 'memory' | 'lambda';
+    functionName: string;
+    memoryDefaultBalance: Record<string, number>; // Starting balance for the in-memory ledger
+  };
+  
+  // World map queries over the LocationIndex
+  mapQueries: {
+    maxViewportSize: number; // map units per side; larger viewports are capped
+    defaultNeighborRadius: number; // map units searched by base details ?includeNeighbors
+    maxNeighborRadius: number;
+    maxNeighbors: number;
+    nearestMaxRadius: number; // map units searched by /map/nearest
+    nearestMaxResults: number;
+    inactiveAfterDays: number; // bases idle this long count as inactive
+    densityMaxViewportSize: number; // map units per side served by /map/density
   };
   
   // Performance and cost optimization
@@ -69,14 +136,79 @@ export function getGameBaseServiceConfig(environment: string): GameBaseServiceCo
       },
       baseMovement: {
         cooldownMinutes: environment === 'test' ? 1 : 60, // Fast testing
+        maxDistanceKm: 10,
         teleportCostGold: 100
       },
       spawning: {
         newPlayerGroupSize: 50,
-        spawnRadiusKm: 10
+        spawnRadiusKm: 10,
+        scoring: {
+          weights: { density: 0.3, safety: 0.3, resources: 0.2, friends: 0.2 },
+          crowdedSectionBaseCount: 10,
+          safetyRadius: 200, // About 25 map sections around each candidate
+          highLevelBaseLevel: 10,
+          resourceRadius: 200
+        }
+      },
+      spacing: {
+        defaultExclusionRadius: 3,
+        exclusionRadiusByBaseType: {
+          fortress: 6, // Fortresses need room for their defensive perimeter
+          outpost: 2
+        }
+      },
+      removal: {
+        abandonUndoMinutes: environment === 'test' ? 5 : 60, // Fast testing
+        destroyedRetentionDays: 30
+      },
+      upgrades: {
+        cancelRefundPercent: 50,
+        builderSlots: {
+          free: 1,
+          subscription: 2
+        },
+        maxQueuedUpgrades: 5
+      },
+      speedUps: {
+        goldPerMinute: 1,
+        minimumGold: 10,
+        boostSeconds: {
+          'speedup-5m': 5 * 60,
+          'speedup-1h': 60 * 60,
+          'speedup-8h': 8 * 60 * 60
+        }
       }
     },
     
+    auth: {
+      userPoolIdParameterName: `/loupeen/${environment}/auth/user-pool-id`,
+      privilegedGroups: ['admin', 'service'], // May act on behalf of any player
+      policyVersion: 'v1' // lambda/policies/<version>/*.cedar
+    },
+    
+    entitlements: {
+      provider: environment === 'test' ? 'stub' : 'lambda', // No player service in test
+      functionName: `player-service-entitlements-${environment}`,
+      cacheTtlSeconds: 300
+    },
+    
+    resourceLedger: {
+      provider: environment === 'test' ? 'memory' : 'lambda', // No resource service in test
+      functionName: `resource-service-ledger-${environment}`,
+      memoryDefaultBalance: { gold: 100000, food: 100000, materials: 100000 }
+    },
+    
+    mapQueries: {
+      maxViewportSize: 500, // At most 6x6 LocationIndex sections per request
+      defaultNeighborRadius: 100,
+      maxNeighborRadius: 300,
+      maxNeighbors: 25,
+      nearestMaxRadius: 2000,
+      nearestMaxResults: 50,
+      inactiveAfterDays: 7,
+      densityMaxViewportSize: 2000 // 400 sections, four density batch reads
+    },
+    
     lambda: {
       memorySize: environment === 'production' ? 1024 : 512,
       timeout: 30,
@@ -108,6 +240,43 @@ export function getGameBaseServiceConfig(environment: string): GameBaseServiceCo
   return baseConfig;
 }
 
+/**
+ * Game rules handed to the Lambdas (serialized into the GAME_RULES variable)
+ */
+export function getGameRulesFromConfig(config: GameBaseServiceConfig): GameRules {
+  const { maxBasesPerPlayer, baseMovement, spawning, spacing, removal, upgrades, speedUps } = config.bases;
+
+  return {
+    maxBasesPerPlayer: { ...maxBasesPerPlayer },
+    movement: {
+      cooldownMinutes: baseMovement.cooldownMinutes,
+      maxDistance: baseMovement.maxDistanceKm * MAP_UNITS_PER_KM,
+      teleportCostGold: baseMovement.teleportCostGold
+    },
+    spawning: {
+      newPlayerGroupSize: spawning.newPlayerGroupSize,
+      spawnRadius: spawning.spawnRadiusKm * MAP_UNITS_PER_KM,
+      scoring: {
+        ...spawning.scoring,
+        weights: { ...spawning.scoring.weights }
+      }
+    },
+    spacing: {
+      defaultExclusionRadius: spacing.defaultExclusionRadius,
+      exclusionRadiusByBaseType: { ...spacing.exclusionRadiusByBaseType }
+    },
+    removal: { ...removal },
+    upgrades: {
+      ...upgrades,
+      builderSlots: { ...upgrades.builderSlots }
+    },
+    speedUps: {
+      ...speedUps,
+      boostSeconds: { ...speedUps.boostSeconds }
+    }
+  };
+}
+
 function getRegionForEnvironment(environment: string): string {
   switch (environment) {
     case 'test':
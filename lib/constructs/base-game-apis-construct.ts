@@ -1,7 +1,9 @@
 import * as cdk from 'aws-cdk-lib';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
+import * as cognito from 'aws-cdk-lib/aws-cognito';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as logs from 'aws-cdk-lib/aws-logs';
+import * as ssm from 'aws-cdk-lib/aws-ssm';
 import { Construct } from 'constructs';
 import { NodejsFunction } from 'aws-cdk-lib/aws-lambda-nodejs';
 import { GameBaseServiceConfig } from '../config/environment-config';
@@ -12,10 +14,22 @@ export interface BaseGameApisConstructProps {
   lambdas: {
     createBase: NodejsFunction;
     upgradeBase: NodejsFunction;
+    cancelUpgrade: NodejsFunction;
+    speedUp: NodejsFunction;
+    upgradeQueue: NodejsFunction;
     moveBase: NodejsFunction;
+    abandonBase: NodejsFunction;
     listBases: NodejsFunction;
     getBaseDetails: NodejsFunction;
     calculateSpawnLocation: NodejsFunction;
+    calculateGroupSpawn: NodejsFunction;
+    releaseSpawnReservation: NodejsFunction;
+    listSpawnRegions: NodejsFunction;
+    updateSpawnRegion: NodejsFunction;
+    replaySpawnDecision: NodejsFunction;
+    getMapBases: NodejsFunction;
+    findNearestBases: NodejsFunction;
+    getSectionDensity: NodejsFunction;
   };
 }
 
@@ -32,12 +46,27 @@ export interface BaseGameApisConstructProps {
  * API Endpoints:
  * - POST /bases - Create new base
  * - PUT /bases/{baseId}/upgrade - Upgrade base
+ * - DELETE /bases/{baseId}/upgrade/{upgradeId} - Cancel an upgrade with a partial refund
+ * - POST /bases/{baseId}/speed-up - Speed up a running upgrade, build or move
  * - PUT /bases/{baseId}/move - Move base
+ * - DELETE /bases/{baseId} - Abandon base (destroyed once the undo window closes)
+ * - POST /bases/{baseId}/restore - Undo an abandon
  * - GET /players/{playerId}/bases - List player bases
  * - GET /players/{playerId}/bases/{baseId} - Get base details
- * - POST /spawn/calculate - Calculate spawn location
+ * - GET /players/{playerId}/upgrade-queue - Builder slots, running and queued upgrades
+ * - PUT /players/{playerId}/upgrade-queue - Reorder queued upgrades
+ * - POST /spawn/calculate - Calculate spawn location (?explain=true lists all candidates for admins)
+ * - POST /spawn/calculate-group - Reserve clustered spawn locations for a cohort
+ * - DELETE /spawn/reservations/{spawnLocationId} - Release a spawn reservation
+ * - GET /spawn/regions - List spawn regions (admin)
+ * - PATCH /spawn/regions/{regionId} - Open, close or resize a spawn region (admin)
+ * - GET /spawn/decisions/{spawnLocationId} - Replay a recorded spawn decision (admin)
+ * - GET /map/bases - Bases inside a map viewport
+ * - GET /map/nearest - Bases closest to a point
+ * - GET /map/density - Base counts per map section
  * 
  * Features:
+ * - Cognito JWT authorization on every endpoint
  * - Request/response validation
  * - CORS support for web clients
  * - Rate limiting and throttling
@@ -46,6 +75,7 @@ export interface BaseGameApisConstructProps {
  */
 export class BaseGameApisConstruct extends Construct {
   public readonly api: apigateway.RestApi;
+  private readonly authorizer: apigateway.CognitoUserPoolsAuthorizer;
   
   constructor(scope: Construct, id: string, props: BaseGameApisConstructProps) {
     super(scope, id);
@@ -55,6 +85,9 @@ export class BaseGameApisConstruct extends Construct {
     // Create API Gateway with comprehensive configuration
     this.api = this.createApiGateway(environment);
 
+    // Verify player tokens before requests reach the handlers
+    this.authorizer = this.createPlayerAuthorizer(environment, config);
+
     // Create API models for request/response validation
     const models = this.createApiModels();
 
@@ -65,6 +98,7 @@ export class BaseGameApisConstruct extends Construct {
     this.createBaseManagementEndpoints(lambdas, models, validators);
     this.createBaseQueryEndpoints(lambdas, models, validators);
     this.createSpawnManagementEndpoints(lambdas, models, validators);
+    this.createMapQueryEndpoints(lambdas, models, validators);
 
     // Configure CORS for all endpoints
     this.configureCors();
@@ -139,6 +173,33 @@ export class BaseGameApisConstruct extends Construct {
     });
   }
 
+  private createPlayerAuthorizer(
+    environment: string,
+    config: GameBaseServiceConfig
+  ): apigateway.CognitoUserPoolsAuthorizer {
+    const userPoolId = ssm.StringParameter.valueForStringParameter(
+      this,
+      config.auth.userPoolIdParameterName
+    );
+
+    return new apigateway.CognitoUserPoolsAuthorizer(this, 'PlayerAuthorizer', {
+      authorizerName: `game-base-player-authorizer-${environment}`,
+      cognitoUserPools: [cognito.UserPool.fromUserPoolId(this, 'PlayerUserPool', userPoolId)],
+      identitySource: apigateway.IdentitySource.header('Authorization'),
+      resultsCacheTtl: cdk.Duration.minutes(5)
+    });
+  }
+
+  /**
+   * Authorization settings shared by every player-facing method
+   */
+  private createAuthorizationOptions(): Pick<apigateway.MethodOptions, 'authorizer' | 'authorizationType'> {
+    return {
+      authorizer: this.authorizer,
+      authorizationType: apigateway.AuthorizationType.COGNITO
+    };
+  }
+
   private createApiModels(): Record<string, apigateway.Model> {
     const models: Record<string, apigateway.Model> = {};
 
@@ -215,6 +276,50 @@ export class BaseGameApisConstruct extends Construct {
       }
     });
 
+    // Speed-Up Request Model
+    models.speedUpRequest = this.api.addModel('SpeedUpRequest', {
+      contentType: 'application/json',
+      modelName: 'SpeedUpRequest',
+      schema: {
+        schema: apigateway.JsonSchemaVersion.DRAFT4,
+        type: apigateway.JsonSchemaType.OBJECT,
+        properties: {
+          playerId: { type: apigateway.JsonSchemaType.STRING, minLength: 1, maxLength: 50 },
+          baseId: { type: apigateway.JsonSchemaType.STRING, minLength: 1, maxLength: 50 },
+          target: {
+            type: apigateway.JsonSchemaType.STRING,
+            enum: ['upgrade', 'build', 'move']
+          },
+          upgradeId: { type: apigateway.JsonSchemaType.STRING, minLength: 1, maxLength: 100 },
+          finishWithGold: { type: apigateway.JsonSchemaType.BOOLEAN },
+          boosts: {
+            type: apigateway.JsonSchemaType.OBJECT,
+            additionalProperties: { type: apigateway.JsonSchemaType.INTEGER, minimum: 1 }
+          }
+        },
+        required: ['playerId', 'baseId', 'target']
+      }
+    });
+
+    // Reorder Upgrade Queue Request Model
+    models.reorderUpgradeQueueRequest = this.api.addModel('ReorderUpgradeQueueRequest', {
+      contentType: 'application/json',
+      modelName: 'ReorderUpgradeQueueRequest',
+      schema: {
+        schema: apigateway.JsonSchemaVersion.DRAFT4,
+        type: apigateway.JsonSchemaType.OBJECT,
+        properties: {
+          upgradeIds: {
+            type: apigateway.JsonSchemaType.ARRAY,
+            items: { type: apigateway.JsonSchemaType.STRING, minLength: 1, maxLength: 100 },
+            maxItems: 100
+          },
+          version: { type: apigateway.JsonSchemaType.INTEGER, minimum: 0 }
+        },
+        required: ['upgradeIds']
+      }
+    });
+
     // Standard Success Response Model
     models.successResponse = this.api.addModel('SuccessResponse', {
       contentType: 'application/json',
@@ -292,6 +397,7 @@ export class BaseGameApisConstruct extends Construct {
 
     // POST /bases - Create new base
     basesResource.addMethod('POST', new apigateway.LambdaIntegration(lambdas.createBase), {
+      ...this.createAuthorizationOptions(),
       requestValidator: validators.bodyValidator,
       requestModels: {
         'application/json': models.createBaseRequest
@@ -303,12 +409,7 @@ export class BaseGameApisConstruct extends Construct {
             'application/json': models.successResponse
           }
         },
-        {
-          statusCode: '400',
-          responseModels: {
-            'application/json': models.errorResponse
-          }
-        }
+        ...this.createErrorMethodResponses(models)
       ]
     });
 
@@ -318,25 +419,79 @@ export class BaseGameApisConstruct extends Construct {
     // PUT /bases/{baseId}/upgrade - Upgrade base
     const upgradeResource = baseResource.addResource('upgrade');
     upgradeResource.addMethod('PUT', new apigateway.LambdaIntegration(lambdas.upgradeBase), {
+      ...this.createAuthorizationOptions(),
       requestValidator: validators.fullValidator,
       requestParameters: {
         'method.request.path.baseId': true
       },
       requestModels: {
         'application/json': models.upgradeBaseRequest
-      }
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // DELETE /bases/{baseId}/upgrade/{upgradeId} - Cancel a running upgrade (?playerId= for admin and service callers)
+    const upgradeItemResource = upgradeResource.addResource('{upgradeId}');
+    upgradeItemResource.addMethod('DELETE', new apigateway.LambdaIntegration(lambdas.cancelUpgrade), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.baseId': true,
+        'method.request.path.upgradeId': true,
+        'method.request.querystring.playerId': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // POST /bases/{baseId}/speed-up - Finish with gold or spend boosts on a running timer
+    const speedUpResource = baseResource.addResource('speed-up');
+    speedUpResource.addMethod('POST', new apigateway.LambdaIntegration(lambdas.speedUp), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.fullValidator,
+      requestParameters: {
+        'method.request.path.baseId': true
+      },
+      requestModels: {
+        'application/json': models.speedUpRequest
+      },
+      methodResponses: this.createMethodResponses(models)
     });
 
     // PUT /bases/{baseId}/move - Move base
     const moveResource = baseResource.addResource('move');
     moveResource.addMethod('PUT', new apigateway.LambdaIntegration(lambdas.moveBase), {
+      ...this.createAuthorizationOptions(),
       requestValidator: validators.fullValidator,
       requestParameters: {
         'method.request.path.baseId': true
       },
       requestModels: {
         'application/json': models.moveBaseRequest
-      }
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // DELETE /bases/{baseId} - Abandon base (?playerId= for admin and service callers)
+    baseResource.addMethod('DELETE', new apigateway.LambdaIntegration(lambdas.abandonBase), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.baseId': true,
+        'method.request.querystring.playerId': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // POST /bases/{baseId}/restore - Undo an abandon while its window is open
+    const restoreResource = baseResource.addResource('restore');
+    restoreResource.addMethod('POST', new apigateway.LambdaIntegration(lambdas.abandonBase), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.baseId': true,
+        'method.request.querystring.playerId': false
+      },
+      methodResponses: this.createMethodResponses(models)
     });
   }
 
@@ -354,6 +509,7 @@ export class BaseGameApisConstruct extends Construct {
     
     // GET /players/{playerId}/bases - List player bases
     playerBasesResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.listBases), {
+      ...this.createAuthorizationOptions(),
       requestValidator: validators.paramsValidator,
       requestParameters: {
         'method.request.path.playerId': true,
@@ -361,7 +517,8 @@ export class BaseGameApisConstruct extends Construct {
         'method.request.querystring.limit': false,
         'method.request.querystring.lastEvaluatedKey': false,
         'method.request.querystring.includeStats': false
-      }
+      },
+      methodResponses: this.createMethodResponses(models)
     });
 
     // /players/{playerId}/bases/{baseId} resource
@@ -369,11 +526,41 @@ export class BaseGameApisConstruct extends Construct {
     
     // GET /players/{playerId}/bases/{baseId} - Get base details
     playerBaseResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.getBaseDetails), {
+      ...this.createAuthorizationOptions(),
       requestValidator: validators.paramsValidator,
       requestParameters: {
         'method.request.path.playerId': true,
-        'method.request.path.baseId': true
-      }
+        'method.request.path.baseId': true,
+        'method.request.querystring.includeNeighbors': false,
+        'method.request.querystring.radius': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // /players/{playerId}/upgrade-queue resource
+    const upgradeQueueResource = playerResource.addResource('upgrade-queue');
+
+    // GET /players/{playerId}/upgrade-queue - Builder slots, running and queued upgrades
+    upgradeQueueResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.upgradeQueue), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.playerId': true
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // PUT /players/{playerId}/upgrade-queue - Set the order queued upgrades start in
+    upgradeQueueResource.addMethod('PUT', new apigateway.LambdaIntegration(lambdas.upgradeQueue), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.fullValidator,
+      requestParameters: {
+        'method.request.path.playerId': true
+      },
+      requestModels: {
+        'application/json': models.reorderUpgradeQueueRequest
+      },
+      methodResponses: this.createMethodResponses(models)
     });
   }
 
@@ -388,8 +575,147 @@ export class BaseGameApisConstruct extends Construct {
     // POST /spawn/calculate - Calculate spawn location
     const calculateResource = spawnResource.addResource('calculate');
     calculateResource.addMethod('POST', new apigateway.LambdaIntegration(lambdas.calculateSpawnLocation), {
-      requestValidator: validators.bodyValidator
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.bodyValidator,
+      requestParameters: {
+        'method.request.querystring.explain': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // POST /spawn/calculate-group - Spawn a cohort of new players together
+    const calculateGroupResource = spawnResource.addResource('calculate-group');
+    calculateGroupResource.addMethod('POST', new apigateway.LambdaIntegration(lambdas.calculateGroupSpawn), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.bodyValidator,
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // DELETE /spawn/reservations/{spawnLocationId} - Release an unused reservation
+    const reservationResource = spawnResource.addResource('reservations').addResource('{spawnLocationId}');
+    reservationResource.addMethod('DELETE', new apigateway.LambdaIntegration(lambdas.releaseSpawnReservation), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.spawnLocationId': true
+      },
+      methodResponses: this.createMethodResponses(models)
     });
+
+    // GET /spawn/regions - Spawn regions with fill levels (admin callers only)
+    const regionsResource = spawnResource.addResource('regions');
+    regionsResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.listSpawnRegions), {
+      ...this.createAuthorizationOptions(),
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // PATCH /spawn/regions/{regionId} - Open, close or resize a region (admin callers only)
+    const regionResource = regionsResource.addResource('{regionId}');
+    regionResource.addMethod('PATCH', new apigateway.LambdaIntegration(lambdas.updateSpawnRegion), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.bodyValidator,
+      requestParameters: {
+        'method.request.path.regionId': true
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // GET /spawn/decisions/{spawnLocationId} - Replay a seeded spawn decision (admin callers only)
+    const decisionResource = spawnResource.addResource('decisions').addResource('{spawnLocationId}');
+    decisionResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.replaySpawnDecision), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.path.spawnLocationId': true
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+  }
+
+  private createMapQueryEndpoints(
+    lambdas: BaseGameApisConstructProps['lambdas'],
+    models: Record<string, apigateway.Model>,
+    validators: Record<string, apigateway.RequestValidator>
+  ): void {
+    // /map resource
+    const mapResource = this.api.root.addResource('map');
+
+    // GET /map/bases - Bases inside a viewport
+    const mapBasesResource = mapResource.addResource('bases');
+    mapBasesResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.getMapBases), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.querystring.minX': true,
+        'method.request.querystring.minY': true,
+        'method.request.querystring.maxX': true,
+        'method.request.querystring.maxY': true,
+        'method.request.querystring.allianceId': false,
+        'method.request.querystring.baseType': false,
+        'method.request.querystring.limit': false,
+        'method.request.querystring.lastEvaluatedKey': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // GET /map/nearest - Bases closest to a point
+    const nearestResource = mapResource.addResource('nearest');
+    nearestResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.findNearestBases), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.querystring.x': true,
+        'method.request.querystring.y': true,
+        'method.request.querystring.count': false,
+        'method.request.querystring.maxRadius': false,
+        'method.request.querystring.excludeOwnAlliance': false,
+        'method.request.querystring.minLevel': false,
+        'method.request.querystring.maxLevel': false,
+        'method.request.querystring.inactiveOnly': false
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+
+    // GET /map/density - Base counts per section for heatmaps
+    const densityResource = mapResource.addResource('density');
+    densityResource.addMethod('GET', new apigateway.LambdaIntegration(lambdas.getSectionDensity), {
+      ...this.createAuthorizationOptions(),
+      requestValidator: validators.paramsValidator,
+      requestParameters: {
+        'method.request.querystring.minX': true,
+        'method.request.querystring.minY': true,
+        'method.request.querystring.maxX': true,
+        'method.request.querystring.maxY': true
+      },
+      methodResponses: this.createMethodResponses(models)
+    });
+  }
+
+  /**
+   * Standard 200 response plus the error responses handlers can return
+   */
+  private createMethodResponses(models: Record<string, apigateway.Model>): apigateway.MethodResponse[] {
+    return [
+      {
+        statusCode: '200',
+        responseModels: {
+          'application/json': models.successResponse
+        }
+      },
+      ...this.createErrorMethodResponses(models)
+    ];
+  }
+
+  /**
+   * Error responses produced by the shared error translation layer
+   */
+  private createErrorMethodResponses(models: Record<string, apigateway.Model>): apigateway.MethodResponse[] {
+    return ['400', '401', '403', '404', '409', '429', '500'].map(statusCode => ({
+      statusCode,
+      responseModels: {
+        'application/json': models.errorResponse
+      }
+    }));
   }
 
   private configureCors(): void {
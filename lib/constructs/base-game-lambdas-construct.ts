@@ -3,9 +3,12 @@ import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as logs from 'aws-cdk-lib/aws-logs';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as targets from 'aws-cdk-lib/aws-events-targets';
 import { Construct } from 'constructs';
 import { NodejsFunction } from 'aws-cdk-lib/aws-lambda-nodejs';
-import { GameBaseServiceConfig } from '../config/environment-config';
+import { DynamoEventSource } from 'aws-cdk-lib/aws-lambda-event-sources';
+import { GameBaseServiceConfig, getGameRulesFromConfig } from '../config/environment-config';
 
 export interface BaseGameLambdasConstructProps {
   environment: string;
@@ -15,6 +18,8 @@ export interface BaseGameLambdasConstructProps {
     baseTemplates: dynamodb.Table;
     spawnLocations: dynamodb.Table;
     baseUpgrades: dynamodb.Table;
+    coordinateClaims: dynamodb.Table;
+    sectionDensity: dynamodb.Table;
   };
 }
 
@@ -31,18 +36,58 @@ export interface BaseGameLambdasConstructProps {
  * Lambda Functions:
  * - createBase: Create new player base
  * - upgradeBase: Upgrade existing base
+ * - cancelUpgrade: Cancel an in-progress upgrade with a partial refund
+ * - speedUp: Speed up a running upgrade, build or move with gold or boosts
+ * - upgradeQueue: View and reorder a player's builder queue
  * - moveBase: Relocate base to new location
+ * - abandonBase: Abandon a base with an undo window, or restore it
+ * - destroyBase: Internal destruction of a base, invoked by the battle service
  * - listBases: List player's bases
  * - getBaseDetails: Get detailed base information
  * - calculateSpawnLocation: Find optimal spawn location for new players
+ * - calculateGroupSpawn: Reserve a compact cluster of spawn locations for a cohort
+ * - releaseSpawnReservation: Give up an unused spawn reservation
+ * - listSpawnRegions: Admin view of spawn regions and their fill levels
+ * - updateSpawnRegion: Admin open, close and resize of a spawn region
+ * - replaySpawnDecision: Admin replay of a recorded spawn decision
+ * - getMapBases: Bases inside a map viewport for the game client
+ * - findNearestBases: k-nearest bases to a point for scouting and matchmaking
+ * - getSectionDensity: Base counts per map section for heatmaps and admin tooling
+ * - processBuildCompletions: Scheduled activation of finished base builds
+ * - processMovementArrivals: Scheduled completion of timed base movements
+ * - processUpgradeCompletions: Scheduled application of finished base upgrades
+ * - processAbandonments: Scheduled destruction of bases whose undo window closed
+ * - updateSectionDensity: PlayerBases stream consumer maintaining section density
+ * - reconcileSectionDensity: Daily recount of section density from a PlayerBases scan
+ * - backfillCoordinateClaims: One-off claim of the tiles held by bases created before claims
  */
 export class BaseGameLambdasConstruct extends Construct {
   public readonly createBaseFunction: NodejsFunction;
   public readonly upgradeBaseFunction: NodejsFunction;
+  public readonly cancelUpgradeFunction: NodejsFunction;
+  public readonly speedUpFunction: NodejsFunction;
+  public readonly upgradeQueueFunction: NodejsFunction;
   public readonly moveBaseFunction: NodejsFunction;
+  public readonly abandonBaseFunction: NodejsFunction;
+  public readonly destroyBaseFunction: NodejsFunction;
   public readonly listBasesFunction: NodejsFunction;
   public readonly getBaseDetailsFunction: NodejsFunction;
   public readonly calculateSpawnLocationFunction: NodejsFunction;
+  public readonly calculateGroupSpawnFunction: NodejsFunction;
+  public readonly releaseSpawnReservationFunction: NodejsFunction;
+  public readonly listSpawnRegionsFunction: NodejsFunction;
+  public readonly updateSpawnRegionFunction: NodejsFunction;
+  public readonly replaySpawnDecisionFunction: NodejsFunction;
+  public readonly getMapBasesFunction: NodejsFunction;
+  public readonly findNearestBasesFunction: NodejsFunction;
+  public readonly getSectionDensityFunction: NodejsFunction;
+  public readonly processBuildCompletionsFunction: NodejsFunction;
+  public readonly processMovementArrivalsFunction: NodejsFunction;
+  public readonly processUpgradeCompletionsFunction: NodejsFunction;
+  public readonly processAbandonmentsFunction: NodejsFunction;
+  public readonly updateSectionDensityFunction: NodejsFunction;
+  public readonly reconcileSectionDensityFunction: NodejsFunction;
+  public readonly backfillCoordinateClaimsFunction: NodejsFunction;
 
   constructor(scope: Construct, id: string, props: BaseGameLambdasConstructProps) {
     super(scope, id);
@@ -61,13 +106,43 @@ export class BaseGameLambdasConstruct extends Construct {
         BASE_TEMPLATES_TABLE: tables.baseTemplates.tableName,
         SPAWN_LOCATIONS_TABLE: tables.spawnLocations.tableName,
         BASE_UPGRADES_TABLE: tables.baseUpgrades.tableName,
+        COORDINATE_CLAIMS_TABLE: tables.coordinateClaims.tableName,
+        SECTION_DENSITY_TABLE: tables.sectionDensity.tableName,
+        EVENT_BUS_NAME: 'default',
+        AUTH_MODE: 'cognito',
+        PRIVILEGED_GROUPS: config.auth.privilegedGroups.join(','),
+        POLICY_VERSION: config.auth.policyVersion,
+        GAME_RULES: JSON.stringify(getGameRulesFromConfig(config)),
+        ENTITLEMENT_PROVIDER: config.entitlements.provider,
+        ENTITLEMENT_FUNCTION_NAME: config.entitlements.functionName,
+        ENTITLEMENT_CACHE_TTL_SECONDS: String(config.entitlements.cacheTtlSeconds),
+        RESOURCE_LEDGER_PROVIDER: config.resourceLedger.provider,
+        RESOURCE_LEDGER_FUNCTION_NAME: config.resourceLedger.functionName,
+        RESOURCE_LEDGER_DEFAULT_BALANCE: JSON.stringify(config.resourceLedger.memoryDefaultBalance),
+        MAP_MAX_VIEWPORT_SIZE: String(config.mapQueries.maxViewportSize),
+        NEIGHBOR_DEFAULT_RADIUS: String(config.mapQueries.defaultNeighborRadius),
+        NEIGHBOR_MAX_RADIUS: String(config.mapQueries.maxNeighborRadius),
+        NEIGHBOR_MAX_RESULTS: String(config.mapQueries.maxNeighbors),
+        NEAREST_MAX_RADIUS: String(config.mapQueries.nearestMaxRadius),
+        NEAREST_MAX_RESULTS: String(config.mapQueries.nearestMaxResults),
+        INACTIVE_AFTER_DAYS: String(config.mapQueries.inactiveAfterDays),
+        MAP_DENSITY_MAX_VIEWPORT_SIZE: String(config.mapQueries.densityMaxViewportSize),
         AWS_NODEJS_CONNECTION_REUSE_ENABLED: '1' // Performance optimization
       },
       bundling: {
         minify: true,
         target: 'es2020',
         keepNames: true,
-        externalModules: ['aws-sdk'] // Use Lambda runtime version
+        externalModules: ['aws-sdk'], // Use Lambda runtime version
+        nodeModules: ['@cedar-policy/cedar-wasm'], // Ships a .wasm binary esbuild cannot inline
+        commandHooks: {
+          beforeBundling: (): string[] => [],
+          beforeInstall: (): string[] => [],
+          // Authorization policies are read from disk at runtime
+          afterBundling: (inputDir: string, outputDir: string): string[] => [
+            `cp -r ${inputDir}/lambda/policies ${outputDir}/policies`
+          ]
+        }
       },
       tracing: config.monitoring.enableXRayTracing ? lambda.Tracing.ACTIVE : lambda.Tracing.DISABLED,
       logRetention: logs.RetentionDays.ONE_WEEK
@@ -91,6 +166,33 @@ export class BaseGameLambdasConstruct extends Construct {
       functionName: `game-base-upgrade-${environment}`
     });
 
+    // Cancel Upgrade Function - Stop a running upgrade and refund part of its cost
+    this.cancelUpgradeFunction = new NodejsFunction(this, 'CancelUpgradeFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-management/cancel-upgrade.ts',
+      handler: 'handler',
+      description: 'Cancels an in-progress base upgrade and refunds part of its resources',
+      functionName: `game-base-upgrade-cancel-${environment}`
+    });
+
+    // Speed Up Function - Shorten running upgrades, builds and moves
+    this.speedUpFunction = new NodejsFunction(this, 'SpeedUpFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-management/speed-up.ts',
+      handler: 'handler',
+      description: 'Finishes running upgrades, builds and moves for gold or shortens them with boosts',
+      functionName: `game-base-speed-up-${environment}`
+    });
+
+    // Upgrade Queue Function - Builder slots and queued upgrade order
+    this.upgradeQueueFunction = new NodejsFunction(this, 'UpgradeQueueFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-management/upgrade-queue.ts',
+      handler: 'handler',
+      description: 'Lists a player\'s running and queued upgrades and reorders the builder queue',
+      functionName: `game-base-upgrade-queue-${environment}`
+    });
+
     // Move Base Function - Handle base relocation
     this.moveBaseFunction = new NodejsFunction(this, 'MoveBaseFunction', {
       ...commonLambdaProps,
@@ -100,6 +202,24 @@ export class BaseGameLambdasConstruct extends Construct {
       functionName: `game-base-move-${environment}`
     });
 
+    // Abandon Base Function - Player abandon and undo
+    this.abandonBaseFunction = new NodejsFunction(this, 'AbandonBaseFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-management/abandon-base.ts',
+      handler: 'handler',
+      description: 'Abandons a player base after an undo window, or restores it while the window is open',
+      functionName: `game-base-abandon-${environment}`
+    });
+
+    // Destroy Base Function - Invoked directly by the battle service
+    this.destroyBaseFunction = new NodejsFunction(this, 'DestroyBaseFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/destroy-base.ts',
+      handler: 'handler',
+      description: 'Destroys a base, releasing its tile and cancelling its in-progress upgrades',
+      functionName: `game-base-destroy-${environment}`
+    });
+
     // List Bases Function - Retrieve player's bases
     this.listBasesFunction = new NodejsFunction(this, 'ListBasesFunction', {
       ...commonLambdaProps,
@@ -127,16 +247,279 @@ export class BaseGameLambdasConstruct extends Construct {
       functionName: `game-base-spawn-${environment}`
     });
 
+    // Calculate Group Spawn Function - Cohorts of new players spawned together
+    this.calculateGroupSpawnFunction = new NodejsFunction(this, 'CalculateGroupSpawnFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/spawn-management/calculate-group-spawn.ts',
+      handler: 'handler',
+      description: 'Reserves a compact cluster of spawn locations for a cohort of new players',
+      functionName: `game-base-spawn-group-${environment}`
+    });
+
+    // Release Spawn Reservation Function - Free an unused spawn location early
+    this.releaseSpawnReservationFunction = new NodejsFunction(this, 'ReleaseSpawnReservationFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/spawn-management/release-spawn-reservation.ts',
+      handler: 'handler',
+      description: 'Releases a player\'s unused spawn location reservation before it expires',
+      functionName: `game-base-spawn-release-${environment}`
+    });
+
+    // List Spawn Regions Function - Admin view of spawn region fill levels
+    this.listSpawnRegionsFunction = new NodejsFunction(this, 'ListSpawnRegionsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/spawn-management/list-spawn-regions.ts',
+      handler: 'handler',
+      description: 'Lists spawn regions with their capacity and fill level for admins',
+      functionName: `game-base-spawn-regions-${environment}`
+    });
+
+    // Update Spawn Region Function - Admin open, close and resize
+    this.updateSpawnRegionFunction = new NodejsFunction(this, 'UpdateSpawnRegionFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/spawn-management/update-spawn-region.ts',
+      handler: 'handler',
+      description: 'Opens, closes or resizes a spawn region for admins',
+      functionName: `game-base-spawn-region-update-${environment}`
+    });
+
+    // Replay Spawn Decision Function - Debug re-run of a seeded spawn calculation
+    this.replaySpawnDecisionFunction = new NodejsFunction(this, 'ReplaySpawnDecisionFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/spawn-management/replay-spawn-decision.ts',
+      handler: 'handler',
+      description: 'Replays a recorded spawn decision from its seed and lists its candidates',
+      functionName: `game-base-spawn-replay-${environment}`
+    });
+
+    // Get Map Bases Function - Viewport queries over the LocationIndex
+    this.getMapBasesFunction = new NodejsFunction(this, 'GetMapBasesFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/map-queries/get-map-bases.ts',
+      handler: 'handler',
+      description: 'Returns the bases inside a map viewport with alliance and base type filters',
+      functionName: `game-base-map-bases-${environment}`
+    });
+
+    // Find Nearest Bases Function - Ring-by-ring k-nearest search
+    this.findNearestBasesFunction = new NodejsFunction(this, 'FindNearestBasesFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/map-queries/find-nearest-bases.ts',
+      handler: 'handler',
+      description: 'Returns the bases closest to a map point with alliance, level and activity filters',
+      functionName: `game-base-map-nearest-${environment}`
+    });
+
+    // Get Section Density Function - Heatmap reads over the density aggregates
+    this.getSectionDensityFunction = new NodejsFunction(this, 'GetSectionDensityFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/map-queries/get-section-density.ts',
+      handler: 'handler',
+      description: 'Returns base counts per map section inside a viewport for heatmaps',
+      functionName: `game-base-map-density-${environment}`
+    });
+
+    // Process Build Completions Function - Scheduled building -> active transition
+    this.processBuildCompletionsFunction = new NodejsFunction(this, 'ProcessBuildCompletionsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/process-build-completions.ts',
+      handler: 'handler',
+      description: 'Activates bases whose build completion time has passed and publishes completion events',
+      functionName: `game-base-process-builds-${environment}`
+    });
+
+    // Process Movement Arrivals Function - Scheduled moving -> active transition
+    this.processMovementArrivalsFunction = new NodejsFunction(this, 'ProcessMovementArrivalsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/process-movement-arrivals.ts',
+      handler: 'handler',
+      description: 'Completes base movements whose arrival time has passed and records the finished move',
+      functionName: `game-base-process-arrivals-${environment}`
+    });
+
+    // Process Upgrade Completions Function - Scheduled upgrade completion engine
+    this.processUpgradeCompletionsFunction = new NodejsFunction(this, 'ProcessUpgradeCompletionsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/process-upgrade-completions.ts',
+      handler: 'handler',
+      description: 'Completes due base upgrades and applies target template level and stats',
+      functionName: `game-base-process-upgrades-${environment}`
+    });
+
+    // Process Abandonments Function - Scheduled abandoning -> destroyed transition
+    this.processAbandonmentsFunction = new NodejsFunction(this, 'ProcessAbandonmentsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/process-abandonments.ts',
+      handler: 'handler',
+      description: 'Destroys abandoned bases whose undo window has closed and publishes destruction events',
+      functionName: `game-base-process-abandonments-${environment}`
+    });
+
+    // Update Section Density Function - PlayerBases stream consumer
+    this.updateSectionDensityFunction = new NodejsFunction(this, 'UpdateSectionDensityFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/update-section-density.ts',
+      handler: 'handler',
+      description: 'Maintains per-section base counts from PlayerBases creates, moves and destroys',
+      functionName: `game-base-section-density-${environment}`
+    });
+
+    // Reconcile Section Density Function - Seeds and corrects the stream-fed counts
+    this.reconcileSectionDensityFunction = new NodejsFunction(this, 'ReconcileSectionDensityFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/reconcile-section-density.ts',
+      handler: 'handler',
+      description: 'Recounts bases per map section from PlayerBases and corrects SectionDensity',
+      functionName: `game-base-reconcile-density-${environment}`,
+      timeout: cdk.Duration.minutes(15) // Scans every base
+    });
+
+    // Backfill Coordinate Claims Function - Invoked once to claim the tiles of pre-claim bases
+    this.backfillCoordinateClaimsFunction = new NodejsFunction(this, 'BackfillCoordinateClaimsFunction', {
+      ...commonLambdaProps,
+      entry: 'lambda/base-lifecycle/backfill-coordinate-claims.ts',
+      handler: 'handler',
+      description: 'Writes the coordinate claims of bases created before the claims table existed',
+      functionName: `game-base-backfill-claims-${environment}`,
+      timeout: cdk.Duration.minutes(15) // Scans every base
+    });
+
     // Grant DynamoDB permissions following principle of least privilege
     this.grantTablePermissions(tables);
+
+    // Schedule and grant permissions for the lifecycle processors
+    this.configureLifecycleProcessors(tables);
+
+    // Feed the section density aggregates from the PlayerBases stream
+    this.configureSectionDensityStream(tables);
+
+    // Allow base limit lookups against the player service
+    this.grantEntitlementLookups(config);
+
+    // Allow charging resources through the resource service
+    this.grantResourceLedgerAccess(config);
   }
 
-  private grantTablePermissions(tables: {
+  private grantResourceLedgerAccess(config: GameBaseServiceConfig): void {
+    if (config.resourceLedger.provider !== 'lambda') {
+      return;
+    }
+
+    const ledgerFunction = lambda.Function.fromFunctionName(
+      this,
+      'ResourceLedgerFunction',
+      config.resourceLedger.functionName
+    );
+
+    [
+      this.createBaseFunction,
+      this.upgradeBaseFunction,
+      this.cancelUpgradeFunction,
+      this.speedUpFunction,
+      this.moveBaseFunction
+    ].forEach(func => {
+      ledgerFunction.grantInvoke(func);
+    });
+  }
+
+  private grantEntitlementLookups(config: GameBaseServiceConfig): void {
+    if (config.entitlements.provider !== 'lambda') {
+      return;
+    }
+
+    const entitlementFunction = lambda.Function.fromFunctionName(
+      this,
+      'PlayerEntitlementsFunction',
+      config.entitlements.functionName
+    );
+
+    // Builder slots also depend on the subscription tier
+    [
+      this.createBaseFunction,
+      this.listBasesFunction,
+      this.upgradeBaseFunction,
+      this.cancelUpgradeFunction,
+      this.speedUpFunction,
+      this.upgradeQueueFunction,
+      this.processUpgradeCompletionsFunction,
+      this.processAbandonmentsFunction,
+      this.destroyBaseFunction
+    ].forEach(func => {
+      entitlementFunction.grantInvoke(func);
+    });
+  }
+
+  private configureLifecycleProcessors(tables: {
     playerBases: dynamodb.Table;
     baseTemplates: dynamodb.Table;
-    spawnLocations: dynamodb.Table;
     baseUpgrades: dynamodb.Table;
+    coordinateClaims: dynamodb.Table;
   }): void {
+    const processors = [
+      this.processBuildCompletionsFunction,
+      this.processMovementArrivalsFunction,
+      this.processUpgradeCompletionsFunction,
+      this.processAbandonmentsFunction
+    ];
+
+    // Upgrade completion reads target templates and completes upgrade records
+    tables.baseTemplates.grantReadData(this.processUpgradeCompletionsFunction);
+    tables.baseUpgrades.grantReadWriteData(this.processUpgradeCompletionsFunction);
+
+    const eventBus = events.EventBus.fromEventBusName(this, 'DefaultEventBus', 'default');
+
+    // Destroying a base releases its tile and cancels its upgrades
+    [this.processAbandonmentsFunction, this.destroyBaseFunction].forEach(func => {
+      tables.coordinateClaims.grantReadWriteData(func);
+      tables.baseUpgrades.grantReadWriteData(func);
+    });
+
+    // The battle service's destroy operation runs on demand rather than on a schedule
+    tables.playerBases.grantReadWriteData(this.destroyBaseFunction);
+    eventBus.grantPutEventsTo(this.destroyBaseFunction);
+
+    processors.forEach(func => {
+      // Lifecycle processors only transition base records
+      tables.playerBases.grantReadWriteData(func);
+
+      // Completion events are published to the default bus
+      eventBus.grantPutEventsTo(func);
+
+      // Run every minute so timers complete close to their due time
+      new events.Rule(this, `${func.node.id}Schedule`, {
+        schedule: events.Schedule.rate(cdk.Duration.minutes(1)),
+        targets: [new targets.LambdaFunction(func)]
+      });
+    });
+  }
+
+  private configureSectionDensityStream(tables: {
+    playerBases: dynamodb.Table;
+    sectionDensity: dynamodb.Table;
+  }): void {
+    tables.sectionDensity.grantReadWriteData(this.updateSectionDensityFunction);
+
+    // Bases created before the consumer existed are counted by the reconciliation,
+    // which also corrects drift once a day
+    tables.playerBases.grantReadData(this.reconcileSectionDensityFunction);
+    tables.sectionDensity.grantReadWriteData(this.reconcileSectionDensityFunction);
+
+    new events.Rule(this, 'ReconcileSectionDensitySchedule', {
+      schedule: events.Schedule.rate(cdk.Duration.days(1)),
+      targets: [new targets.LambdaFunction(this.reconcileSectionDensityFunction)]
+    });
+
+    // Records are applied in order; a failure retries the batch from the failed record
+    this.updateSectionDensityFunction.addEventSource(new DynamoEventSource(tables.playerBases, {
+      startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+      batchSize: 100,
+      bisectBatchOnError: true,
+      reportBatchItemFailures: true,
+      retryAttempts: 10
+    }));
+  }
+
+  private grantTablePermissions(tables: BaseGameLambdasConstructProps['tables']): void {
     const lambdaFunctions = [
       this.createBaseFunction,
       this.upgradeBaseFunction,
@@ -161,8 +544,76 @@ export class BaseGameLambdasConstruct extends Construct {
       tables.baseUpgrades.grantReadWriteData(func);
     });
 
+    // Coordinate Claims table - tile locks taken and released by create and move
+    [this.createBaseFunction, this.moveBaseFunction].forEach(func => {
+      tables.coordinateClaims.grantReadWriteData(func);
+    });
+
+    // The backfill checks each base still holds its tile while claiming it
+    tables.playerBases.grantReadData(this.backfillCoordinateClaimsFunction);
+    tables.coordinateClaims.grantReadWriteData(this.backfillCoordinateClaimsFunction);
+
+    // Map queries only read base locations
+    const mapQueryFunctions = [this.getMapBasesFunction, this.findNearestBasesFunction];
+    mapQueryFunctions.forEach(func => {
+      tables.playerBases.grantReadData(func);
+    });
+
+    // Cancelling only changes the upgrade record; the refund goes through the resource service
+    tables.baseUpgrades.grantReadWriteData(this.cancelUpgradeFunction);
+
+    // The builder queue is kept with the player's upgrade records
+    tables.baseUpgrades.grantReadWriteData(this.upgradeQueueFunction);
+
+    // Speed-ups shorten base and upgrade timers; finished upgrades read their target template
+    tables.playerBases.grantReadWriteData(this.speedUpFunction);
+    tables.baseUpgrades.grantReadWriteData(this.speedUpFunction);
+    tables.baseTemplates.grantReadData(this.speedUpFunction);
+
+    // Abandoning and restoring only change the base record
+    tables.playerBases.grantReadWriteData(this.abandonBaseFunction);
+
+    // Releasing a spawn reservation only touches the reservation itself
+    tables.spawnLocations.grantReadWriteData(this.releaseSpawnReservationFunction);
+
+    // Spawn region administration works on the regions partition of Spawn Locations
+    tables.spawnLocations.grantReadData(this.listSpawnRegionsFunction);
+    tables.spawnLocations.grantReadWriteData(this.updateSpawnRegionFunction);
+
+    // Group spawns read bases like the calculator and reserve locations
+    tables.playerBases.grantReadData(this.calculateGroupSpawnFunction);
+    tables.spawnLocations.grantReadWriteData(this.calculateGroupSpawnFunction);
+
+    // Replaying a spawn decision reads the decision and re-scores it like the calculator
+    tables.spawnLocations.grantReadData(this.replaySpawnDecisionFunction);
+    tables.playerBases.grantReadData(this.replaySpawnDecisionFunction);
+
+    // Section Density table - read by spawn scoring and heatmaps
+    [
+      this.calculateSpawnLocationFunction,
+      this.calculateGroupSpawnFunction,
+      this.replaySpawnDecisionFunction,
+      this.getSectionDensityFunction
+    ].forEach(func => {
+      tables.sectionDensity.grantReadData(func);
+    });
+
     // Grant additional permissions for Cedar authorization integration
-    lambdaFunctions.forEach(func => {
+    [
+      ...lambdaFunctions,
+      ...mapQueryFunctions,
+      this.getSectionDensityFunction,
+      this.cancelUpgradeFunction,
+      this.speedUpFunction,
+      this.upgradeQueueFunction,
+      this.abandonBaseFunction,
+      this.destroyBaseFunction,
+      this.releaseSpawnReservationFunction,
+      this.calculateGroupSpawnFunction,
+      this.listSpawnRegionsFunction,
+      this.updateSpawnRegionFunction,
+      this.replaySpawnDecisionFunction
+    ].forEach(func => {
       func.addToRolePolicy(new iam.PolicyStatement({
         effect: iam.Effect.ALLOW,
         actions: [
@@ -23,12 +23,16 @@ export interface BaseGameTablesConstructProps {
  * - BaseTemplates: Base building templates and upgrade paths
  * - SpawnLocations: New player spawn location management
  * - BaseUpgrades: Base upgrade progression and requirements
+ * - CoordinateClaims: One claim per occupied map tile
+ * - SectionDensity: Live base count per map section (fed by the PlayerBases stream)
  */
 export class BaseGameTablesConstruct extends Construct {
   public readonly playerBasesTable: dynamodb.Table;
   public readonly baseTemplatesTable: dynamodb.Table;
   public readonly spawnLocationsTable: dynamodb.Table;
   public readonly baseUpgradesTable: dynamodb.Table;
+  public readonly coordinateClaimsTable: dynamodb.Table;
+  public readonly sectionDensityTable: dynamodb.Table;
 
   constructor(scope: Construct, id: string, props: BaseGameTablesConstructProps) {
     super(scope, id);
@@ -47,6 +51,12 @@ export class BaseGameTablesConstruct extends Construct {
     // Base Upgrades Table - Base upgrade progression tracking
     this.baseUpgradesTable = this.createBaseUpgradesTable(environment, config);
 
+    // Coordinate Claims Table - Tile occupancy locks written with base changes
+    this.coordinateClaimsTable = this.createCoordinateClaimsTable(environment, config);
+
+    // Section Density Table - Base counts per map section for spawn and heatmaps
+    this.sectionDensityTable = this.createSectionDensityTable(environment, config);
+
     // Seed base templates table with initial data
     this.createBaseTemplatesSeeder(environment);
   }
@@ -70,7 +80,13 @@ export class BaseGameTablesConstruct extends Construct {
       deletionProtection: config.dynamodb.deletionProtection,
       removalPolicy: environment === 'production' 
         ? cdk.RemovalPolicy.RETAIN 
-        : cdk.RemovalPolicy.DESTROY
+        : cdk.RemovalPolicy.DESTROY,
+
+      // Section density counts are maintained from this stream
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
+
+      // TTL purges destroyed bases after their retention period
+      timeToLiveAttribute: 'ttl'
     });
 
     // Add Global Secondary Indexes
@@ -113,6 +129,20 @@ export class BaseGameTablesConstruct extends Construct {
       projectionType: dynamodb.ProjectionType.KEYS_ONLY
     });
 
+    // Scheduled processors query building, moving and abandoning bases by due time
+    table.addGlobalSecondaryIndex({
+      indexName: 'DueIndex',
+      partitionKey: {
+        name: 'status',
+        type: dynamodb.AttributeType.STRING
+      },
+      sortKey: {
+        name: 'dueAt',
+        type: dynamodb.AttributeType.NUMBER
+      },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY
+    });
+
     return table;
   }
 
@@ -248,6 +278,44 @@ export class BaseGameTablesConstruct extends Construct {
     return table;
   }
 
+  private createCoordinateClaimsTable(environment: string, config: GameBaseServiceConfig): dynamodb.Table {
+    return new dynamodb.Table(this, 'CoordinateClaimsTable', {
+      tableName: `game-base-coordinate-claims-${environment}`,
+      partitionKey: {
+        name: 'coordinateHash',
+        type: dynamodb.AttributeType.STRING
+      },
+      billingMode: config.dynamodb.billingMode === 'PAY_PER_REQUEST' 
+        ? dynamodb.BillingMode.PAY_PER_REQUEST 
+        : dynamodb.BillingMode.PROVISIONED,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      pointInTimeRecovery: config.dynamodb.pointInTimeRecovery,
+      deletionProtection: config.dynamodb.deletionProtection,
+      removalPolicy: environment === 'production' 
+        ? cdk.RemovalPolicy.RETAIN 
+        : cdk.RemovalPolicy.DESTROY
+    });
+  }
+
+  private createSectionDensityTable(environment: string, config: GameBaseServiceConfig): dynamodb.Table {
+    return new dynamodb.Table(this, 'SectionDensityTable', {
+      tableName: `game-base-section-density-${environment}`,
+      partitionKey: {
+        name: 'mapSectionId',
+        type: dynamodb.AttributeType.STRING
+      },
+      billingMode: config.dynamodb.billingMode === 'PAY_PER_REQUEST' 
+        ? dynamodb.BillingMode.PAY_PER_REQUEST 
+        : dynamodb.BillingMode.PROVISIONED,
+      encryption: dynamodb.TableEncryption.AWS_MANAGED,
+      pointInTimeRecovery: config.dynamodb.pointInTimeRecovery,
+      deletionProtection: config.dynamodb.deletionProtection,
+      removalPolicy: environment === 'production' 
+        ? cdk.RemovalPolicy.RETAIN 
+        : cdk.RemovalPolicy.DESTROY
+    });
+  }
+
   /**
    * Create seeder for base templates table using shared construct
    */
@@ -62,7 +62,9 @@ export class GameBaseServiceStack extends cdk.Stack {
         playerBases: this.tablesConstruct.playerBasesTable,
         baseTemplates: this.tablesConstruct.baseTemplatesTable,
         spawnLocations: this.tablesConstruct.spawnLocationsTable,
-        baseUpgrades: this.tablesConstruct.baseUpgradesTable
+        baseUpgrades: this.tablesConstruct.baseUpgradesTable,
+        coordinateClaims: this.tablesConstruct.coordinateClaimsTable,
+        sectionDensity: this.tablesConstruct.sectionDensityTable
       }
     });
 
@@ -73,10 +75,22 @@ export class GameBaseServiceStack extends cdk.Stack {
       lambdas: {
         createBase: this.lambdasConstruct.createBaseFunction,
         upgradeBase: this.lambdasConstruct.upgradeBaseFunction,
+        cancelUpgrade: this.lambdasConstruct.cancelUpgradeFunction,
+        speedUp: this.lambdasConstruct.speedUpFunction,
+        upgradeQueue: this.lambdasConstruct.upgradeQueueFunction,
         moveBase: this.lambdasConstruct.moveBaseFunction,
+        abandonBase: this.lambdasConstruct.abandonBaseFunction,
         listBases: this.lambdasConstruct.listBasesFunction,
         getBaseDetails: this.lambdasConstruct.getBaseDetailsFunction,
-        calculateSpawnLocation: this.lambdasConstruct.calculateSpawnLocationFunction
+        calculateSpawnLocation: this.lambdasConstruct.calculateSpawnLocationFunction,
+        calculateGroupSpawn: this.lambdasConstruct.calculateGroupSpawnFunction,
+        releaseSpawnReservation: this.lambdasConstruct.releaseSpawnReservationFunction,
+        listSpawnRegions: this.lambdasConstruct.listSpawnRegionsFunction,
+        updateSpawnRegion: this.lambdasConstruct.updateSpawnRegionFunction,
+        replaySpawnDecision: this.lambdasConstruct.replaySpawnDecisionFunction,
+        getMapBases: this.lambdasConstruct.getMapBasesFunction,
+        findNearestBases: this.lambdasConstruct.findNearestBasesFunction,
+        getSectionDensity: this.lambdasConstruct.getSectionDensityFunction
       }
     });
 
@@ -87,10 +101,30 @@ export class GameBaseServiceStack extends cdk.Stack {
       lambdas: [
         this.lambdasConstruct.createBaseFunction,
         this.lambdasConstruct.upgradeBaseFunction,
+        this.lambdasConstruct.cancelUpgradeFunction,
+        this.lambdasConstruct.speedUpFunction,
+        this.lambdasConstruct.upgradeQueueFunction,
         this.lambdasConstruct.moveBaseFunction,
+        this.lambdasConstruct.abandonBaseFunction,
+        this.lambdasConstruct.destroyBaseFunction,
         this.lambdasConstruct.listBasesFunction,
         this.lambdasConstruct.getBaseDetailsFunction,
-        this.lambdasConstruct.calculateSpawnLocationFunction
+        this.lambdasConstruct.calculateSpawnLocationFunction,
+        this.lambdasConstruct.calculateGroupSpawnFunction,
+        this.lambdasConstruct.releaseSpawnReservationFunction,
+        this.lambdasConstruct.listSpawnRegionsFunction,
+        this.lambdasConstruct.updateSpawnRegionFunction,
+        this.lambdasConstruct.replaySpawnDecisionFunction,
+        this.lambdasConstruct.getMapBasesFunction,
+        this.lambdasConstruct.findNearestBasesFunction,
+        this.lambdasConstruct.getSectionDensityFunction,
+        this.lambdasConstruct.processBuildCompletionsFunction,
+        this.lambdasConstruct.processMovementArrivalsFunction,
+        this.lambdasConstruct.processUpgradeCompletionsFunction,
+        this.lambdasConstruct.processAbandonmentsFunction,
+        this.lambdasConstruct.updateSectionDensityFunction,
+        this.lambdasConstruct.reconcileSectionDensityFunction,
+        this.lambdasConstruct.backfillCoordinateClaimsFunction
       ],
       api: this.apisConstruct.api
     });
@@ -123,5 +157,23 @@ export class GameBaseServiceStack extends cdk.Stack {
       description: 'Spawn Locations DynamoDB table name',
       exportName: `GameBaseService-${this.config.environment}-SpawnLocationsTable`
     });
+
+    new cdk.CfnOutput(this, 'DestroyBaseFunctionName', {
+      value: this.lambdasConstruct.destroyBaseFunction.functionName,
+      description: 'Function the battle service invokes to destroy a base',
+      exportName: `GameBaseService-${this.config.environment}-DestroyBaseFunction`
+    });
+
+    new cdk.CfnOutput(this, 'ReconcileSectionDensityFunctionName', {
+      value: this.lambdasConstruct.reconcileSectionDensityFunction.functionName,
+      description: 'Function to invoke once after deployment to seed section density',
+      exportName: `GameBaseService-${this.config.environment}-ReconcileSectionDensityFunction`
+    });
+
+    new cdk.CfnOutput(this, 'BackfillCoordinateClaimsFunctionName', {
+      value: this.lambdasConstruct.backfillCoordinateClaimsFunction.functionName,
+      description: 'Function to invoke once after deployment to claim the tiles of existing bases',
+      exportName: `GameBaseService-${this.config.environment}-BackfillCoordinateClaimsFunction`
+    });
   }
 }
\ No newline at end of file
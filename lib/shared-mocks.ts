@@ -3,6 +3,7 @@
  * This allows testing and development when shared packages are not available
  */
 
+import { APIGatewayProxyResult } from 'aws-lambda';
 import * as logs from 'aws-cdk-lib/aws-logs';
 import * as cdk from 'aws-cdk-lib';
 import { Construct } from 'constructs';
@@ -47,26 +48,119 @@ export class GameEngineError extends Error {
   }
 }
 
-// Mock withErrorHandling
-export const withErrorHandling = async <T>(
-  handler: () => Promise<T>,
+// HTTP status codes for GameEngineError codes. Every client or domain code a
+// handler throws belongs here; unmapped codes (the *_ERROR failures of
+// storage and downstream calls) are server errors
+export const ERROR_STATUS_CODES: Record<string, number> = {
+  VALIDATION_ERROR: 400,
+  INVALID_PARAMETERS: 400,
+  SAME_COORDINATES: 400,
+  DISTANCE_TOO_FAR: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  AUTHORIZATION_ERROR: 403,
+  SPAWN_RESERVATION_FORBIDDEN: 403,
+  BASE_NOT_FOUND: 404,
+  TEMPLATE_NOT_FOUND: 404,
+  SPAWN_RESERVATION_NOT_FOUND: 404,
+  SPAWN_REGION_NOT_FOUND: 404,
+  SPAWN_DECISION_NOT_FOUND: 404,
+  UPGRADE_NOT_FOUND: 404,
+  BASE_LIMIT_EXCEEDED: 409,
+  INVALID_BASE_STATUS: 409,
+  ABANDON_WINDOW_CLOSED: 409,
+  COORDINATES_OCCUPIED: 409,
+  BASE_SPACING_VIOLATION: 409,
+  SPAWN_LOCATION_UNAVAILABLE: 409,
+  SPAWN_RESERVATION_EXPIRED: 409,
+  SPAWN_RESERVATION_CONSUMED: 409,
+  UPGRADE_IN_PROGRESS: 409,
+  UPGRADE_ALREADY_COMPLETED: 409,
+  UPGRADE_BASE_MISMATCH: 409,
+  UPGRADE_NOT_CANCELLABLE: 409,
+  UPGRADE_QUEUE_FULL: 409,
+  UPGRADE_QUEUE_CHANGED: 409,
+  SPEED_UP_NOT_APPLICABLE: 409,
+  SPEED_UP_BOOSTS_EXCEED_REMAINING: 409,
+  UPGRADE_TEMPLATE_NOT_FOUND: 409,
+  INSUFFICIENT_RESOURCES: 409,
+  MOVEMENT_COOLDOWN: 429
+};
+
+// Detail keys that carry internal exception information
+const INTERNAL_DETAIL_KEYS = ['error', 'originalError'];
+
+export const getErrorStatusCode = (code: string): number => ERROR_STATUS_CODES[code] ?? 500;
+
+// Normalize anything thrown by a handler into a GameEngineError
+export const toGameEngineError = (error: unknown): GameEngineError => {
+  if (error instanceof GameEngineError) {
+    return error;
+  }
+
+  // Schemas parsed outside validateRequest throw ZodError directly
+  if (error instanceof Error && error.name === 'ZodError') {
+    return new GameEngineError('Invalid request format', 'VALIDATION_ERROR', { error: error.message });
+  }
+
+  return new GameEngineError(
+    (error as Error)?.message || 'Internal server error',
+    'INTERNAL_ERROR',
+    { error: String(error) }
+  );
+};
+
+// Build the ErrorResponse envelope declared in BaseGameApisConstruct
+export const createErrorResponse = (
+  error: GameEngineError,
+  environment: string = process.env.ENVIRONMENT ?? 'test'
+): APIGatewayProxyResult => {
+  const statusCode = getErrorStatusCode(error.code);
+  const hideInternals = environment === 'production';
+  const isServerError = statusCode >= 500;
+
+  let details = error.details;
+  if (hideInternals && details) {
+    const publicDetails = Object.entries(details).filter(([key]) => !INTERNAL_DETAIL_KEYS.includes(key));
+    details = !isServerError && publicDetails.length > 0 ? Object.fromEntries(publicDetails) : undefined;
+  }
+
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    },
+    body: JSON.stringify({
+      success: false,
+      error: {
+        code: error.code,
+        message: hideInternals && isServerError ? 'Internal server error' : error.message,
+        ...(details && { details })
+      }
+    })
+  };
+};
+
+// Mock withErrorHandling - translates errors into ErrorResponse results
+export const withErrorHandling = async (
+  handler: () => Promise<APIGatewayProxyResult>,
   logger?: StructuredLogger
-): Promise<T> => {
+): Promise<APIGatewayProxyResult> => {
   try {
     return await handler();
   } catch (error) {
-    logger?.error('Error in handler', { error: (error as Error).message });
-    
-    if (error instanceof GameEngineError) {
-      throw error;
+    const gameError = toGameEngineError(error);
+    const response = createErrorResponse(gameError);
+    const logDetails = { code: gameError.code, error: gameError.message, details: gameError.details };
+
+    if (response.statusCode >= 500) {
+      logger?.error('Error in handler', logDetails);
+    } else {
+      logger?.warn('Request rejected', logDetails);
     }
-    
-    // Convert unknown errors to GameEngineError
-    throw new GameEngineError(
-      (error as Error).message || 'Internal server error',
-      'INTERNAL_ERROR',
-      { originalError: error }
-    );
+
+    return response;
   }
 };
 
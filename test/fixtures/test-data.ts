@@ -75,13 +75,15 @@ export const mockPlayerBase = {
 };
 
 export const mockSpawnLocation = {
-  spawnRegionId: 'central',
+  spawnRegionId: 'calculated',
   spawnLocationId: 'spawn-123',
   coordinates: { x: 150, y: 250 },
-  isAvailable: 'true',
-  populationDensity: 0.3,
-  safetyRating: 0.8,
-  resourceAccessibility: 0.7
+  isAvailable: 'false',
+  reservedBy: TEST_PLAYER_ID,
+  reservedAt: Date.now() - 60000, // 1 minute ago
+  expiresAt: Date.now() + 240000, // 4 minutes from now
+  lastUsedAt: Date.now() - 60000,
+  ttl: Math.floor((Date.now() + 240000) / 1000)
 };
 
 export const mockBaseUpgrade = {
@@ -148,7 +150,12 @@ export const createMockAPIGatewayEvent = (
       userArn: null,
       clientCert: null
     },
-    authorizer: {}
+    authorizer: {
+      claims: {
+        sub: TEST_PLAYER_ID,
+        'custom:playerId': TEST_PLAYER_ID
+      }
+    }
   },
   resource: '/test'
 });
@@ -0,0 +1,65 @@
+import { authorizeBaseAction, evaluateBaseAction, BaseResource } from '../../../lambda/shared/base-authorization';
+import { PlayerIdentity } from '../../../lambda/shared/player-identity';
+import { TEST_PLAYER_ID, TEST_BASE_ID, TEST_ALLIANCE_ID } from '../../fixtures/test-data';
+
+const player = (overrides: Partial<PlayerIdentity> = {}): PlayerIdentity => ({
+  playerId: 'other-player',
+  groups: [],
+  isPrivileged: false,
+  ...overrides
+});
+
+const base: BaseResource = {
+  playerId: TEST_PLAYER_ID,
+  baseId: TEST_BASE_ID,
+  allianceId: TEST_ALLIANCE_ID,
+  status: 'active'
+};
+
+describe('Base Authorization Policies', () => {
+  it.each(['create', 'upgrade', 'move', 'abandon', 'view-details'] as const)('should let owners %s their bases', (action) => {
+    const decision = evaluateBaseAction({ identity: player({ playerId: TEST_PLAYER_ID }), action, base });
+
+    expect(decision).toEqual({ allowed: true, policyIds: ['owner-manages-own-bases'] });
+  });
+
+  it('should deny upgrading another player\'s base', () => {
+    expect(evaluateBaseAction({ identity: player(), action: 'upgrade', base }).allowed).toBe(false);
+  });
+
+  it('should let alliance members view each other\'s base details', () => {
+    const member = player({ allianceId: TEST_ALLIANCE_ID });
+
+    expect(evaluateBaseAction({ identity: member, action: 'view-details', base }).allowed).toBe(true);
+    expect(evaluateBaseAction({ identity: member, action: 'move', base }).allowed).toBe(false);
+  });
+
+  it('should let game masters move any base', () => {
+    const gm = player({ groups: ['gm'] });
+
+    expect(evaluateBaseAction({ identity: gm, action: 'move', base }).allowed).toBe(true);
+    expect(evaluateBaseAction({ identity: gm, action: 'admin-override', base }).allowed).toBe(false);
+  });
+
+  it('should reserve admin overrides for admins', () => {
+    const admin = player({ groups: ['admin'] });
+
+    expect(evaluateBaseAction({ identity: admin, action: 'admin-override', base }).allowed).toBe(true);
+  });
+
+  it('should forbid changing destroyed bases, even for their owner', () => {
+    const decision = evaluateBaseAction({
+      identity: player({ playerId: TEST_PLAYER_ID }),
+      action: 'move',
+      base: { ...base, status: 'destroyed' }
+    });
+
+    expect(decision.allowed).toBe(false);
+  });
+
+  it('should throw FORBIDDEN for denied actions', () => {
+    expect(() => authorizeBaseAction({ identity: player(), action: 'move', base })).toThrow(
+      expect.objectContaining({ code: 'FORBIDDEN' })
+    );
+  });
+});
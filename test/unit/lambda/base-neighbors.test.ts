@@ -0,0 +1,87 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { findNeighbors, toNeighbor } from '../../../lambda/shared/base-neighbors';
+import { PlayerIdentity } from '../../../lambda/shared/player-identity';
+import { createMockDynamoDBResponse, TEST_PLAYER_ID, TEST_BASE_ID, TEST_ALLIANCE_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const identity: PlayerIdentity = { playerId: TEST_PLAYER_ID, groups: [], isPrivileged: false };
+
+const origin = {
+  playerId: TEST_PLAYER_ID,
+  baseId: TEST_BASE_ID,
+  coordinates: { x: 50, y: 50 },
+  allianceId: TEST_ALLIANCE_ID
+};
+
+const mapBase = (baseId: string, x: number, allianceId?: string) => ({
+  baseId,
+  playerId: `owner-${baseId}`,
+  baseName: `Base ${baseId}`,
+  baseType: 'outpost',
+  level: 2,
+  status: 'active' as const,
+  coordinates: { x, y: 50 },
+  allianceId
+});
+
+describe('Base Neighbors', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should return bases within the radius sorted by distance', async () => {
+    mockSend.mockResolvedValue(createMockDynamoDBResponse([
+      mapBase('far', 75),
+      { ...mapBase(TEST_BASE_ID, 50), playerId: TEST_PLAYER_ID },
+      mapBase('near', 55),
+      mapBase('outside', 95)
+    ]));
+
+    const neighbors = await findNeighbors(origin, 30, 10, identity);
+
+    expect(neighbors.map(neighbor => neighbor.baseId)).toEqual(['near', 'far']);
+    expect(neighbors[0].distance).toBe(5);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it('should search every LocationIndex section the radius overlaps', async () => {
+    mockSend.mockResolvedValue(createMockDynamoDBResponse([]));
+
+    await findNeighbors({ ...origin, coordinates: { x: 95, y: 50 } }, 10, 10, identity);
+
+    const sectionIds = mockSend.mock.calls.map(([command]: any) => command.input.ExpressionAttributeValues[':sectionId']);
+    expect(sectionIds.sort()).toEqual(['0,0', '1,0']);
+  });
+
+  it('should limit the number of neighbors', async () => {
+    mockSend.mockResolvedValue(createMockDynamoDBResponse([mapBase('a', 51), mapBase('b', 52), mapBase('c', 53)]));
+
+    await expect(findNeighbors(origin, 30, 2, identity)).resolves.toHaveLength(2);
+  });
+
+  it('should flag alliance members as allies and other alliances as enemies', () => {
+    expect(toNeighbor(origin, mapBase('ally', 60, TEST_ALLIANCE_ID))).toMatchObject({ isAlly: true, isEnemy: false });
+    expect(toNeighbor(origin, mapBase('enemy', 60, 'rival-alliance'))).toMatchObject({ isAlly: false, isEnemy: true });
+    expect(toNeighbor(origin, mapBase('neutral', 60))).toMatchObject({ isAlly: false, isEnemy: false });
+    expect(toNeighbor(origin, { ...mapBase('own', 60), playerId: TEST_PLAYER_ID })).toMatchObject({ isAlly: true });
+  });
+});
@@ -0,0 +1,216 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    QueryCommand: class QueryCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/game-events', () => ({
+  publishGameEvent: jest.fn()
+}));
+
+jest.mock('../../../lambda/shared/builder-queue', () => ({
+  ...jest.requireActual('../../../lambda/shared/builder-queue'),
+  startQueuedUpgrades: jest.fn().mockResolvedValue([])
+}));
+
+import { TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { destroyBase, restoreBase } from '../../../lambda/shared/base-removal';
+import { publishGameEvent } from '../../../lambda/shared/game-events';
+import { setResourceLedger, InMemoryResourceLedger } from '../../../lambda/shared/resource-ledger';
+import { handler as abandonHandler } from '../../../lambda/base-management/abandon-base';
+import { handler as destroyHandler } from '../../../lambda/base-lifecycle/destroy-base';
+import { PlayerBase } from '../../../lambda/types/game-base-types';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  createMockDynamoDBResponse,
+  mockPlayerBase,
+  mockBaseUpgrade,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const base = { ...mockPlayerBase, coordinateHash: '100,200' } as unknown as PlayerBase;
+
+const abandoningBase: PlayerBase = {
+  ...base,
+  status: 'abandoning',
+  abandonAt: 10000,
+  statusBeforeAbandon: 'building'
+};
+
+const transactionCanceled = (codes: string[]) => new TransactionCanceledException({
+  message: 'Transaction cancelled',
+  $metadata: {},
+  CancellationReasons: codes.map(Code => ({ Code }))
+});
+
+describe('Base Removal', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    (publishGameEvent as jest.Mock).mockClear();
+  });
+
+  it('should start the undo window when a player abandons their base', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(base))
+      .mockResolvedValueOnce({});
+
+    const event = { ...createMockAPIGatewayEvent(null, { baseId: TEST_BASE_ID }), httpMethod: 'DELETE' };
+    const response = await abandonHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const update = mockSend.mock.calls[1][0].input;
+    expect(update.ConditionExpression).toBe('#status = :status');
+    expect(update.UpdateExpression).toContain('dueAt = :abandonAt');
+    expect(update.ExpressionAttributeValues).toMatchObject({ ':abandoning': 'abandoning', ':status': 'active' });
+    expect(update.ExpressionAttributeValues[':abandonAt'] - update.ExpressionAttributeValues[':now'])
+      .toBe(60 * 60 * 1000);
+  });
+
+  it('should not let players abandon another player\'s base', async () => {
+    mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse({ ...base, playerId: 'another-player' }));
+
+    const event = createMockAPIGatewayEvent(null, { baseId: TEST_BASE_ID }, { playerId: 'another-player' });
+    const response = await abandonHandler({ ...event, httpMethod: 'DELETE' });
+
+    expect(response.statusCode).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  it('should restore an abandoned base to its previous status while the window is open', async () => {
+    mockSend.mockResolvedValueOnce({});
+
+    const restored = await restoreBase({ ...abandoningBase, buildCompletionTime: 20000 }, 5000);
+
+    expect(restored).toMatchObject({ status: 'building', abandonAt: undefined, statusBeforeAbandon: undefined, dueAt: 20000 });
+    expect(mockSend.mock.calls[0][0].input).toMatchObject({
+      UpdateExpression: 'SET #status = :restored, lastActiveAt = :now, dueAt = :dueAt REMOVE abandonAt, statusBeforeAbandon',
+      ConditionExpression: '#status = :abandoning AND abandonAt > :now',
+      ExpressionAttributeValues: { ':restored': 'building', ':dueAt': 20000 }
+    });
+  });
+
+  it('should take a base restored to active out of the DueIndex', async () => {
+    mockSend.mockResolvedValueOnce({});
+
+    const restored = await restoreBase({ ...abandoningBase, statusBeforeAbandon: 'active' }, 5000);
+
+    expect(restored).toMatchObject({ status: 'active', dueAt: undefined });
+    expect(mockSend.mock.calls[0][0].input.UpdateExpression)
+      .toBe('SET #status = :restored, lastActiveAt = :now REMOVE abandonAt, statusBeforeAbandon, dueAt');
+  });
+
+  it('should refuse to restore once the undo window has closed', async () => {
+    await expect(restoreBase(abandoningBase, 10000)).rejects.toMatchObject({ code: 'ABANDON_WINDOW_CLOSED' });
+    await expect(restoreBase(base, 5000)).rejects.toMatchObject({ code: 'INVALID_BASE_STATUS' });
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  it('should destroy the base, release its tile and cancel its upgrades in one transaction', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBResponse([mockBaseUpgrade]))
+      .mockResolvedValueOnce({});
+
+    const result = await destroyBase(abandoningBase, 'abandoned', 1000000);
+
+    const [baseUpdate, tileRelease, upgradeCancel] = mockSend.mock.calls[1][0].input.TransactItems;
+    expect(baseUpdate.Update.ConditionExpression).toBe('#status = :status AND coordinateHash = :coordinateHash');
+    expect(baseUpdate.Update.ExpressionAttributeValues).toMatchObject({
+      ':destroyed': 'destroyed',
+      ':reason': 'abandoned',
+      ':status': 'abandoning',
+      ':ttl': 1000 + 30 * 24 * 60 * 60
+    });
+    expect(tileRelease.Delete.Key).toEqual({ coordinateHash: '100,200' });
+    expect(upgradeCancel.Update).toMatchObject({
+      Key: { playerId: TEST_PLAYER_ID, upgradeId: 'upgrade-789' },
+      ConditionExpression: '#status = :inProgress'
+    });
+    expect(result?.base).toMatchObject({ status: 'destroyed', destroyReason: 'abandoned', abandonAt: undefined });
+    expect(publishGameEvent).toHaveBeenCalledWith('BaseDestroyed', expect.objectContaining({
+      baseId: TEST_BASE_ID,
+      reason: 'abandoned',
+      cancelledUpgradeIds: ['upgrade-789']
+    }));
+  });
+
+  it('should refund queued upgrades in full and forfeit running ones when the base is destroyed', async () => {
+    const queuedUpgrade = {
+      ...mockBaseUpgrade,
+      upgradeId: 'upgrade-queued',
+      status: 'queued',
+      requirements: { resources: { gold: 300, stone: 40 }, time: 3600 }
+    };
+    const ledger = new InMemoryResourceLedger();
+    setResourceLedger(ledger);
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBResponse([mockBaseUpgrade, queuedUpgrade]))
+      .mockResolvedValueOnce({});
+
+    try {
+      await destroyBase(base, 'battle', 1000000);
+    } finally {
+      setResourceLedger(undefined);
+    }
+
+    const [, , runningCancel, queuedCancel] = mockSend.mock.calls[1][0].input.TransactItems;
+    expect(runningCancel.Update.UpdateExpression).toBe('SET #status = :cancelled, cancelledAt = :now');
+    expect(queuedCancel.Update.ExpressionAttributeValues[':refund']).toEqual({ gold: 300, stone: 40 });
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 300, stone: 40 });
+  });
+
+  it('should skip a base restored or destroyed since it was read', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBResponse([]))
+      .mockRejectedValueOnce(transactionCanceled(['ConditionalCheckFailed', 'None']));
+
+    await expect(destroyBase(abandoningBase, 'abandoned', 1000000)).resolves.toBeNull();
+    expect(publishGameEvent).not.toHaveBeenCalled();
+  });
+
+  it('should retry when an upgrade completes while the base is destroyed', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBResponse([mockBaseUpgrade]))
+      .mockRejectedValueOnce(transactionCanceled(['None', 'None', 'ConditionalCheckFailed']))
+      .mockResolvedValueOnce(createMockDynamoDBResponse([]))
+      .mockResolvedValueOnce({});
+
+    const result = await destroyBase(base, 'battle', 1000000);
+
+    expect(result?.cancelledUpgradeIds).toEqual([]);
+    expect(mockSend.mock.calls[3][0].input.TransactItems).toHaveLength(2);
+  });
+
+  it('should report an already destroyed base to the battle service without destroying it again', async () => {
+    mockSend.mockResolvedValue(createMockDynamoDBGetResponse({ ...base, status: 'destroyed' }));
+
+    const result = await destroyHandler({ playerId: TEST_PLAYER_ID, baseId: TEST_BASE_ID });
+
+    expect(result).toMatchObject({ destroyed: false, cancelledUpgradeIds: [] });
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject malformed destroy requests', async () => {
+    await expect(destroyHandler({ playerId: '', baseId: TEST_BASE_ID }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+});
@@ -0,0 +1,78 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { assertBaseSpacing, findSpacingConflict, getExclusionRadius } from '../../../lambda/shared/base-spacing';
+import { getMapSectionsWithinRadius, toMapSectionId } from '../../../lambda/shared/map-geometry';
+import { createMockDynamoDBResponse, TEST_BASE_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+describe('Base Spacing', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    mockSend.mockResolvedValue(createMockDynamoDBResponse([]));
+  });
+
+  it('should index coordinates into 100 unit map sections', () => {
+    expect(toMapSectionId({ x: 250, y: -1 })).toBe('2,-1');
+  });
+
+  it('should only include sections that overlap the radius', () => {
+    expect(getMapSectionsWithinRadius({ x: 50, y: 50 }, 10)).toEqual(['0,0']);
+    expect(getMapSectionsWithinRadius({ x: 99, y: 99 }, 5).sort()).toEqual(['0,0', '0,1', '1,0', '1,1']);
+    // The diagonal section starts at (100,100), about 5.7 units away
+    expect(getMapSectionsWithinRadius({ x: 96, y: 96 }, 5)).not.toContain('1,1');
+  });
+
+  it('should use per base type radii with a default', () => {
+    expect(getExclusionRadius('fortress')).toBe(6);
+    expect(getExclusionRadius('research_lab')).toBe(3);
+  });
+
+  it('should query every overlapping LocationIndex section', async () => {
+    await findSpacingConflict({ x: 99, y: 50 }, 'outpost');
+
+    const sectionIds = mockSend.mock.calls.map(([command]: any) => command.input.ExpressionAttributeValues[':sectionId']);
+    expect(sectionIds.sort()).toEqual(['0,0', '1,0']);
+    expect(mockSend.mock.calls[0][0].input.IndexName).toBe('LocationIndex');
+  });
+
+  it('should keep the larger of the two radii between bases', async () => {
+    mockSend.mockImplementation(({ input }: any) => Promise.resolve(createMockDynamoDBResponse(
+      input.ExpressionAttributeValues[':sectionId'] === '1,0'
+        ? [{ baseId: 'fortress-1', baseType: 'fortress', coordinates: { x: 104, y: 50 } }]
+        : []
+    )));
+
+    const conflict = await findSpacingConflict({ x: 99, y: 50 }, 'outpost');
+
+    expect(conflict).toEqual(expect.objectContaining({ baseId: 'fortress-1', distance: 5, requiredSpacing: 6 }));
+    await expect(assertBaseSpacing({ x: 99, y: 50 }, 'outpost')).rejects.toMatchObject({
+      code: 'BASE_SPACING_VIOLATION'
+    });
+  });
+
+  it('should ignore the base being moved', async () => {
+    mockSend.mockResolvedValue(createMockDynamoDBResponse([
+      { baseId: TEST_BASE_ID, baseType: 'outpost', coordinates: { x: 50, y: 51 } }
+    ]));
+
+    await expect(findSpacingConflict({ x: 50, y: 50 }, 'outpost', TEST_BASE_ID)).resolves.toBeUndefined();
+  });
+});
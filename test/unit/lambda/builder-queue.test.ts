@@ -0,0 +1,193 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import {
+  BUILDER_QUEUE_ID,
+  NewUpgrade,
+  placeUpgrade,
+  reorderBuilderQueue,
+  startQueuedUpgrades
+} from '../../../lambda/shared/builder-queue';
+import { setEntitlementProvider } from '../../../lambda/shared/player-entitlements';
+import { handler as upgradeQueueHandler } from '../../../lambda/base-management/upgrade-queue';
+import { BaseUpgrade } from '../../../lambda/types/game-base-types';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBResponse,
+  TEST_PLAYER_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const NOW = 1_700_000_000_000;
+
+const newUpgrade = (baseId: string): NewUpgrade => ({
+  playerId: TEST_PLAYER_ID,
+  upgradeId: `${baseId}-upgrade`,
+  baseId,
+  upgradeType: 'level',
+  fromLevel: 1,
+  toLevel: 2,
+  requirements: { resources: { gold: 100 }, time: 600 }
+});
+
+const running = (baseId: string): BaseUpgrade => ({
+  ...newUpgrade(baseId),
+  status: 'in_progress',
+  startedAt: NOW - 1000,
+  completionTime: NOW + 599000
+});
+
+// Epoch seconds a week after an upgrade started at NOW completes
+const EXPECTED_TTL = Math.floor((NOW + 600000) / 1000) + 7 * 24 * 60 * 60;
+
+const queued = (baseId: string, queuedAt: number): BaseUpgrade => ({ ...newUpgrade(baseId), status: 'queued', queuedAt });
+
+const queueRecord = (queue: string[], version: number) => ({
+  playerId: TEST_PLAYER_ID,
+  upgradeId: BUILDER_QUEUE_ID,
+  queue,
+  version
+});
+
+const givenPlayerUpgrades = (...items: unknown[]) => {
+  mockSend.mockResolvedValueOnce(createMockDynamoDBResponse(items));
+};
+
+const transactItems = (call: number) => mockSend.mock.calls[call][0].input.TransactItems;
+
+describe('Builder Queue', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  afterEach(() => {
+    setEntitlementProvider(undefined);
+  });
+
+  it('should start an upgrade while the player has a free builder slot', async () => {
+    givenPlayerUpgrades();
+    mockSend.mockResolvedValueOnce({});
+
+    const upgrade = await placeUpgrade(newUpgrade('base-a'), { now: NOW });
+
+    expect(upgrade).toMatchObject({ status: 'in_progress', startedAt: NOW, completionTime: NOW + 600000, ttl: EXPECTED_TTL });
+    const [put, queueUpdate] = transactItems(1);
+    expect(put.Put.ConditionExpression).toBe('attribute_not_exists(upgradeId)');
+    expect(queueUpdate.Update.ConditionExpression).toBe('attribute_not_exists(#version) OR #version = :version');
+    expect(queueUpdate.Update.ExpressionAttributeValues).toMatchObject({ ':queue': [], ':version': 0, ':nextVersion': 1 });
+  });
+
+  it('should queue an upgrade behind the others when every slot is busy', async () => {
+    givenPlayerUpgrades(running('base-a'), queued('base-b', NOW - 500), queueRecord(['base-b-upgrade'], 4));
+    mockSend.mockResolvedValueOnce({});
+
+    const upgrade = await placeUpgrade(newUpgrade('base-c'), { now: NOW });
+
+    expect(upgrade).toMatchObject({ status: 'queued', queuedAt: NOW });
+    expect(upgrade.completionTime).toBeUndefined();
+    expect(transactItems(1)[1].Update.ExpressionAttributeValues).toMatchObject({
+      ':queue': ['base-b-upgrade', 'base-c-upgrade'],
+      ':version': 4
+    });
+  });
+
+  it('should give subscribers more builder slots', async () => {
+    setEntitlementProvider({ getEntitlement: async (playerId) => ({ playerId, tier: 'subscription' }) });
+    givenPlayerUpgrades(running('base-a'));
+    mockSend.mockResolvedValueOnce({});
+
+    await expect(placeUpgrade(newUpgrade('base-b'), { now: NOW })).resolves.toMatchObject({ status: 'in_progress' });
+  });
+
+  it('should allow one running or queued upgrade per base and a bounded queue', async () => {
+    givenPlayerUpgrades(running('base-a'), queued('base-b', NOW));
+    await expect(placeUpgrade(newUpgrade('base-b'), { now: NOW })).rejects.toMatchObject({ code: 'UPGRADE_IN_PROGRESS' });
+
+    givenPlayerUpgrades(running('base-a'), ...['b', 'c', 'd', 'e', 'f'].map(id => queued(`base-${id}`, NOW)));
+    await expect(placeUpgrade(newUpgrade('base-g'), { now: NOW })).rejects.toMatchObject({ code: 'UPGRADE_QUEUE_FULL' });
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('should re-read the queue when a concurrent request changed it', async () => {
+    givenPlayerUpgrades();
+    mockSend.mockRejectedValueOnce(new TransactionCanceledException({ message: 'cancelled', $metadata: {} }));
+    givenPlayerUpgrades(running('base-a'), queueRecord([], 1));
+    mockSend.mockResolvedValueOnce({});
+
+    const upgrade = await placeUpgrade(newUpgrade('base-b'), { now: NOW });
+
+    expect(upgrade.status).toBe('queued');
+    expect(transactItems(3)[1].Update.ExpressionAttributeValues[':version']).toBe(1);
+  });
+
+  it('should start queued upgrades in queue order once a slot frees up', async () => {
+    givenPlayerUpgrades(queued('base-a', NOW - 2000), queued('base-b', NOW - 1000), queueRecord(['base-b-upgrade', 'base-a-upgrade'], 2));
+    mockSend.mockResolvedValueOnce({});
+    givenPlayerUpgrades(running('base-b'), queued('base-a', NOW - 2000), queueRecord(['base-a-upgrade'], 3));
+
+    const started = await startQueuedUpgrades(TEST_PLAYER_ID, NOW);
+
+    expect(started.map(upgrade => upgrade.upgradeId)).toEqual(['base-b-upgrade']);
+    const [start, queueUpdate] = transactItems(1);
+    expect(start.Update).toMatchObject({
+      Key: { playerId: TEST_PLAYER_ID, upgradeId: 'base-b-upgrade' },
+      ConditionExpression: '#status = :queued'
+    });
+    expect(start.Update.ExpressionAttributeValues).toMatchObject({ ':completionTime': NOW + 600000, ':ttl': EXPECTED_TTL });
+    expect(queueUpdate.Update.ExpressionAttributeValues[':queue']).toEqual(['base-a-upgrade']);
+  });
+
+  it('should only reorder the upgrades that are actually queued', async () => {
+    givenPlayerUpgrades(queued('base-a', NOW), queued('base-b', NOW), queueRecord(['base-a-upgrade', 'base-b-upgrade'], 5));
+    await expect(reorderBuilderQueue(TEST_PLAYER_ID, ['base-b-upgrade'])).rejects.toMatchObject({ code: 'UPGRADE_QUEUE_CHANGED' });
+
+    givenPlayerUpgrades(queued('base-a', NOW), queued('base-b', NOW), queueRecord(['base-a-upgrade', 'base-b-upgrade'], 5));
+    mockSend.mockResolvedValueOnce({});
+    const state = await reorderBuilderQueue(TEST_PLAYER_ID, ['base-b-upgrade', 'base-a-upgrade'], 5);
+
+    expect(state.queued.map(upgrade => upgrade.upgradeId)).toEqual(['base-b-upgrade', 'base-a-upgrade']);
+    expect(transactItems(2)).toHaveLength(1);
+  });
+
+  it('should show the queue with slots and positions, but only to its player', async () => {
+    givenPlayerUpgrades(running('base-a'), queued('base-b', NOW));
+
+    const response = await upgradeQueueHandler({
+      ...createMockAPIGatewayEvent(null, { playerId: TEST_PLAYER_ID }),
+      httpMethod: 'GET'
+    });
+
+    expect(JSON.parse(response.body).data).toMatchObject({
+      tier: 'free',
+      slots: 1,
+      freeSlots: 0,
+      queued: [{ upgradeId: 'base-b-upgrade', position: 1 }]
+    });
+
+    const forbidden = await upgradeQueueHandler({
+      ...createMockAPIGatewayEvent(null, { playerId: 'another-player' }),
+      httpMethod: 'GET'
+    });
+    expect(forbidden.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,202 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    QueryCommand: class QueryCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/builder-queue', () => ({
+  ...jest.requireActual('../../../lambda/shared/builder-queue'),
+  startQueuedUpgrades: jest.fn()
+}));
+
+import { ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { handler } from '../../../lambda/base-management/cancel-upgrade';
+import { handler as upgradeQueueHandler } from '../../../lambda/base-management/upgrade-queue';
+import { setResourceLedger, InMemoryResourceLedger } from '../../../lambda/shared/resource-ledger';
+import { BUILDER_QUEUE_ID, startQueuedUpgrades } from '../../../lambda/shared/builder-queue';
+import { BaseUpgrade } from '../../../lambda/types/game-base-types';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  createMockDynamoDBResponse,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const runningUpgrade: BaseUpgrade = {
+  playerId: TEST_PLAYER_ID,
+  upgradeId: `${TEST_BASE_ID}-upgrade-1`,
+  baseId: TEST_BASE_ID,
+  upgradeType: 'level',
+  fromLevel: 1,
+  toLevel: 2,
+  requirements: { resources: { gold: 301, food: 100 }, time: 600 },
+  status: 'in_progress',
+  startedAt: Date.now() - 60000,
+  completionTime: Date.now() + 540000
+};
+
+const cancelEvent = (pathParameters: Record<string, string> = {}) => ({
+  ...createMockAPIGatewayEvent(null, { baseId: TEST_BASE_ID, upgradeId: runningUpgrade.upgradeId, ...pathParameters }),
+  httpMethod: 'DELETE'
+});
+
+const queuedUpgrade = (upgradeId: string): BaseUpgrade => ({
+  ...runningUpgrade,
+  upgradeId,
+  status: 'queued',
+  queuedAt: Date.now(),
+  startedAt: undefined,
+  completionTime: undefined
+});
+
+const queueRecord = (queue: string[], version: number) => ({ playerId: TEST_PLAYER_ID, upgradeId: BUILDER_QUEUE_ID, queue, version });
+
+const givenUpgrade = (overrides: Partial<BaseUpgrade> = {}) => {
+  mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse({ ...runningUpgrade, ...overrides }));
+};
+
+describe('Cancel Upgrade', () => {
+  let ledger: InMemoryResourceLedger;
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    (startQueuedUpgrades as jest.Mock).mockReset().mockResolvedValue([]);
+    ledger = new InMemoryResourceLedger();
+    ledger.setBalance(TEST_PLAYER_ID, { gold: 0, food: 0 });
+    setResourceLedger(ledger);
+  });
+
+  afterEach(() => {
+    setResourceLedger(undefined);
+  });
+
+  it('should cancel a running upgrade and refund the configured share of its resources', async () => {
+    givenUpgrade();
+    mockSend.mockResolvedValueOnce({});
+
+    const response = await handler(cancelEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({
+      upgrade: { status: 'cancelled', refund: { gold: 150, food: 50 } },
+      refunded: true
+    });
+    expect(mockSend.mock.calls[1][0].input.ConditionExpression).toBe('#status = :inProgress AND completionTime > :now');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 150, food: 50 });
+  });
+
+  it('should refund a queued upgrade in full and start the next one in the freed slot', async () => {
+    const cancelled = queuedUpgrade(runningUpgrade.upgradeId);
+    givenUpgrade(cancelled);
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([cancelled, queueRecord([cancelled.upgradeId], 3)]));
+    mockSend.mockResolvedValueOnce({});
+    (startQueuedUpgrades as jest.Mock).mockResolvedValueOnce([{ upgradeId: 'next-upgrade' }]);
+
+    const response = await handler(cancelEvent());
+
+    expect(JSON.parse(response.body).data).toMatchObject({
+      upgrade: { status: 'cancelled', refund: { gold: 301, food: 100 } },
+      startedUpgradeIds: ['next-upgrade']
+    });
+    const [cancellation] = mockSend.mock.calls[2][0].input.TransactItems;
+    expect(cancellation.Update.ConditionExpression).toBe('#status = :queued');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 301, food: 100 });
+  });
+
+  it('should take a cancelled upgrade out of the builder queue it was waiting in', async () => {
+    const cancelled = queuedUpgrade(runningUpgrade.upgradeId);
+    const waiting = queuedUpgrade('another-base-upgrade-1');
+    givenUpgrade(cancelled);
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([
+      cancelled,
+      waiting,
+      queueRecord([cancelled.upgradeId, waiting.upgradeId], 3)
+    ]));
+    mockSend.mockResolvedValueOnce({});
+
+    expect((await handler(cancelEvent())).statusCode).toBe(200);
+
+    const [cancellation, queueUpdate] = mockSend.mock.calls[2][0].input.TransactItems;
+    expect(cancellation.Update.Key.upgradeId).toBe(cancelled.upgradeId);
+    expect(queueUpdate.Update.ExpressionAttributeValues).toMatchObject({
+      ':queue': [waiting.upgradeId],
+      ':version': 3,
+      ':nextVersion': 4
+    });
+
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([waiting, queueRecord([waiting.upgradeId], 4)]));
+    const queue = await upgradeQueueHandler({
+      ...createMockAPIGatewayEvent(null, { playerId: TEST_PLAYER_ID }),
+      httpMethod: 'GET'
+    });
+
+    expect(JSON.parse(queue.body).data).toMatchObject({
+      version: 4,
+      queued: [{ upgradeId: waiting.upgradeId, position: 1 }]
+    });
+  });
+
+  it('should not cancel a queued upgrade that started since it was read', async () => {
+    givenUpgrade(queuedUpgrade(runningUpgrade.upgradeId));
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([
+      { ...runningUpgrade, startedAt: Date.now() },
+      queueRecord([], 4)
+    ]));
+
+    const response = await handler(cancelEvent());
+
+    expect(JSON.parse(response.body).error.code).toBe('UPGRADE_NOT_CANCELLABLE');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 0, food: 0 });
+  });
+
+  it('should not cancel completed, cancelled or completing upgrades', async () => {
+    givenUpgrade({ status: 'completed' });
+    expect((await handler(cancelEvent())).statusCode).toBe(409);
+
+    givenUpgrade({ status: 'cancelled' });
+    expect(JSON.parse((await handler(cancelEvent())).body).error.code).toBe('UPGRADE_NOT_CANCELLABLE');
+
+    givenUpgrade({ completionTime: Date.now() - 1 });
+    expect(JSON.parse((await handler(cancelEvent())).body).error.code).toBe('UPGRADE_NOT_CANCELLABLE');
+
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 0, food: 0 });
+  });
+
+  it('should not refund an upgrade the processor completed first', async () => {
+    givenUpgrade();
+    mockSend.mockRejectedValueOnce(new ConditionalCheckFailedException({ message: 'failed', $metadata: {} }));
+
+    const response = await handler(cancelEvent());
+
+    expect(JSON.parse(response.body).error.code).toBe('UPGRADE_NOT_CANCELLABLE');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 0, food: 0 });
+  });
+
+  it('should only cancel upgrades of the base in the path', async () => {
+    givenUpgrade({ baseId: 'another-base' });
+
+    const response = await handler(cancelEvent());
+
+    expect(response.statusCode).toBe(404);
+  });
+});
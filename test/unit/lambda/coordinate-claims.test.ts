@@ -0,0 +1,118 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    ScanCommand: class ScanCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import {
+  claimCoordinates,
+  releaseCoordinates,
+  coordinatesOccupiedError,
+  isConditionFailure,
+  toCoordinateHash
+} from '../../../lambda/shared/coordinate-claims';
+import { handler as backfillClaims } from '../../../lambda/base-lifecycle/backfill-coordinate-claims';
+import { TEST_PLAYER_ID, TEST_BASE_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const transactionCanceled = (codes: string[]) => new TransactionCanceledException({
+  message: 'Transaction cancelled',
+  $metadata: {},
+  CancellationReasons: codes.map(Code => ({ Code }))
+});
+
+describe('Coordinate Claims', () => {
+  it('should only claim tiles that have no claim record', () => {
+    const item = claimCoordinates({
+      coordinateHash: toCoordinateHash({ x: 120, y: -40 }),
+      playerId: TEST_PLAYER_ID,
+      baseId: TEST_BASE_ID,
+      claimedAt: 1000
+    });
+
+    expect(item.Put?.Item).toEqual(expect.objectContaining({ coordinateHash: '120,-40', baseId: TEST_BASE_ID }));
+    expect(item.Put?.ConditionExpression).toBe('attribute_not_exists(coordinateHash)');
+  });
+
+  it('should only release tiles held by the same base', () => {
+    const item = releaseCoordinates('120,-40', TEST_BASE_ID);
+
+    expect(item.Delete?.Key).toEqual({ coordinateHash: '120,-40' });
+    expect(item.Delete?.ExpressionAttributeValues).toEqual({ ':baseId': TEST_BASE_ID });
+  });
+
+  it('should attribute a cancelled transaction to the failing item', () => {
+    const error = transactionCanceled(['None', 'ConditionalCheckFailed']);
+
+    expect(isConditionFailure(error, 1)).toBe(true);
+    expect(isConditionFailure(error, 0)).toBe(false);
+    expect(isConditionFailure(new Error('throttled'), 1)).toBe(false);
+  });
+
+  it('should report occupied tiles as COORDINATES_OCCUPIED', () => {
+    const error = coordinatesOccupiedError({ x: 5, y: 7 });
+
+    expect(error.code).toBe('COORDINATES_OCCUPIED');
+    expect(error.details).toEqual({ coordinates: { x: 5, y: 7 }, coordinateHash: '5,7' });
+  });
+
+  describe('backfill', () => {
+    const legacyBase = (baseId: string, coordinateHash: string, status = 'active') =>
+      ({ playerId: TEST_PLAYER_ID, baseId, coordinateHash, status, createdAt: 1000 });
+
+    beforeEach(() => {
+      mockSend.mockReset();
+    });
+
+    it('should claim the tile of every base that is not destroyed, guarded by the base still holding it', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Items: [legacyBase('base-a', '1,1'), legacyBase('base-gone', '2,2', 'destroyed')] })
+        .mockResolvedValueOnce({});
+
+      const summary = await backfillClaims();
+
+      expect(summary).toEqual({ bases: 1, claimed: 1, skipped: 0, conflicts: 0, failed: 0 });
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      const [baseCheck, claim] = mockSend.mock.calls[1][0].input.TransactItems;
+      expect(baseCheck.ConditionCheck).toMatchObject({
+        Key: { playerId: TEST_PLAYER_ID, baseId: 'base-a' },
+        ConditionExpression: 'coordinateHash = :coordinateHash AND #status <> :destroyed',
+        ExpressionAttributeValues: { ':coordinateHash': '1,1' }
+      });
+      expect(claim.Put).toMatchObject({
+        Item: { coordinateHash: '1,1', playerId: TEST_PLAYER_ID, baseId: 'base-a', claimedAt: 1000 },
+        ConditionExpression: 'attribute_not_exists(coordinateHash) OR baseId = :baseId'
+      });
+    });
+
+    it('should skip bases moved since the scan and report tiles claimed by another base', async () => {
+      mockSend
+        .mockResolvedValueOnce({ Items: [legacyBase('base-a', '1,1')], LastEvaluatedKey: { baseId: 'base-a' } })
+        .mockRejectedValueOnce(transactionCanceled(['ConditionalCheckFailed', 'None']))
+        .mockResolvedValueOnce({ Items: [legacyBase('base-b', '3,3'), legacyBase('base-c', '4,4')] })
+        .mockRejectedValueOnce(transactionCanceled(['None', 'ConditionalCheckFailed']))
+        .mockRejectedValueOnce(new Error('Throttled'));
+
+      const summary = await backfillClaims();
+
+      expect(summary).toEqual({ bases: 3, claimed: 0, skipped: 1, conflicts: 1, failed: 1 });
+      expect(mockSend.mock.calls[2][0].input.ExclusiveStartKey).toEqual({ baseId: 'base-a' });
+    });
+  });
+});
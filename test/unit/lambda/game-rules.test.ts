@@ -0,0 +1,68 @@
+import {
+  parseGameRules,
+  calculateTeleportCost,
+  getMovementCooldownMs,
+  getAbandonUndoMs,
+  getDestroyedBaseTtl,
+  DEFAULT_GAME_RULES
+} from '../../../lambda/shared/game-rules';
+import { getGameBaseServiceConfig, getGameRulesFromConfig } from '../../../lib/config/environment-config';
+
+describe('Game Rules', () => {
+  it('should derive runtime rules from the environment config', () => {
+    const rules = getGameRulesFromConfig(getGameBaseServiceConfig('test'));
+
+    expect(rules).toEqual({
+      maxBasesPerPlayer: { free: 5, subscription: 10 },
+      movement: { cooldownMinutes: 1, maxDistance: 1000, teleportCostGold: 100 },
+      spawning: {
+        newPlayerGroupSize: 50,
+        spawnRadius: 1000,
+        scoring: {
+          weights: { density: 0.3, safety: 0.3, resources: 0.2, friends: 0.2 },
+          crowdedSectionBaseCount: 10,
+          safetyRadius: 200,
+          highLevelBaseLevel: 10,
+          resourceRadius: 200
+        }
+      },
+      spacing: { defaultExclusionRadius: 3, exclusionRadiusByBaseType: { fortress: 6, outpost: 2 } },
+      removal: { abandonUndoMinutes: 5, destroyedRetentionDays: 30 },
+      upgrades: { cancelRefundPercent: 50, builderSlots: { free: 1, subscription: 2 }, maxQueuedUpgrades: 5 },
+      speedUps: {
+        goldPerMinute: 1,
+        minimumGold: 10,
+        boostSeconds: { 'speedup-5m': 300, 'speedup-1h': 3600, 'speedup-8h': 28800 }
+      }
+    });
+  });
+
+  it('should round-trip the rules through the GAME_RULES variable', () => {
+    const rules = getGameRulesFromConfig(getGameBaseServiceConfig('test'));
+
+    const parsed = parseGameRules(JSON.stringify(rules));
+
+    expect(parsed).toEqual(rules);
+    expect(getMovementCooldownMs(parsed)).toBe(60 * 1000);
+    expect(getAbandonUndoMs(parsed)).toBe(5 * 60 * 1000);
+  });
+
+  it('should fall back to the default rules when GAME_RULES is not set', () => {
+    expect(parseGameRules(undefined)).toBe(DEFAULT_GAME_RULES);
+  });
+
+  it('should reject malformed rules', () => {
+    expect(() => parseGameRules('{"movement":{}}')).toThrow(
+      expect.objectContaining({ code: 'INVALID_GAME_RULES' })
+    );
+  });
+
+  it('should charge at least the configured teleport cost', () => {
+    expect(calculateTeleportCost(200)).toBe(100);
+    expect(calculateTeleportCost(2500)).toBe(250);
+  });
+
+  it('should keep destroyed bases for the configured retention period', () => {
+    expect(getDestroyedBaseTtl(1000000)).toBe(1000 + 30 * 24 * 60 * 60);
+  });
+});
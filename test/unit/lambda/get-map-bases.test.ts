@@ -0,0 +1,106 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { handler } from '../../../lambda/map-queries/get-map-bases';
+import { createMockAPIGatewayEvent, createMockDynamoDBResponse, TEST_ALLIANCE_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const mapBase = (baseId: string, x: number, y: number) => ({
+  baseId,
+  playerId: `owner-${baseId}`,
+  baseType: 'outpost',
+  level: 1,
+  status: 'active',
+  coordinates: { x, y }
+});
+
+const sectionOf = (command: any): string => command.input.ExpressionAttributeValues[':sectionId'];
+
+const getMapBases = async (queryStringParameters: Record<string, string>) => {
+  const response = await handler(createMockAPIGatewayEvent(null, {}, queryStringParameters));
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+describe('Get Map Bases Handler', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    mockSend.mockImplementation((command: any) => Promise.resolve(createMockDynamoDBResponse(
+      sectionOf(command) === '0,0' ? [mapBase('a', 10, 10), mapBase('b', 20, 20)] : [mapBase('c', 150, 10)]
+    )));
+  });
+
+  it('should query every section the viewport overlaps', async () => {
+    const { statusCode, body } = await getMapBases({ minX: '0', minY: '0', maxX: '199', maxY: '50' });
+
+    expect(statusCode).toBe(200);
+    expect(mockSend.mock.calls.map(([command]: any) => sectionOf(command))).toEqual(['0,0', '1,0']);
+    expect(body.data.bases.map((base: any) => base.baseId)).toEqual(['a', 'b', 'c']);
+    expect(body.data.pagination.hasMore).toBe(false);
+  });
+
+  it('should pass alliance and base type filters to the index query', async () => {
+    await getMapBases({ minX: '0', minY: '0', maxX: '50', maxY: '50', allianceId: TEST_ALLIANCE_ID, baseType: 'fortress' });
+
+    const input = mockSend.mock.calls[0][0].input;
+    expect(input.IndexName).toBe('LocationIndex');
+    expect(input.FilterExpression).toContain('allianceId = :allianceId');
+    expect(input.ExpressionAttributeValues).toEqual(expect.objectContaining({
+      ':allianceId': TEST_ALLIANCE_ID,
+      ':baseType': 'fortress',
+      ':maxX': 50
+    }));
+  });
+
+  it('should resume pagination inside a section and then move to the next one', async () => {
+    const first = await getMapBases({ minX: '0', minY: '0', maxX: '199', maxY: '50', limit: '1' });
+
+    expect(first.body.data.bases.map((base: any) => base.baseId)).toEqual(['a']);
+    expect(first.body.data.pagination.hasMore).toBe(true);
+
+    mockSend.mockClear();
+    await getMapBases({
+      minX: '0', minY: '0', maxX: '199', maxY: '50', limit: '1',
+      lastEvaluatedKey: first.body.data.pagination.lastEvaluatedKey
+    });
+
+    expect(mockSend.mock.calls[0][0].input.ExclusiveStartKey).toEqual({
+      mapSectionId: '0,0',
+      coordinateHash: '10,10',
+      playerId: 'owner-a',
+      baseId: 'a'
+    });
+  });
+
+  it('should cap oversized viewports around their center', async () => {
+    const { body } = await getMapBases({ minX: '-5000', minY: '0', maxX: '5000', maxY: '50' });
+
+    expect(body.data.capped).toBe(true);
+    expect(body.data.viewport).toEqual({ minX: -250, minY: 0, maxX: 250, maxY: 50 });
+    expect(mockSend).toHaveBeenCalledTimes(6);
+  });
+
+  it('should reject inverted viewports', async () => {
+    const { statusCode, body } = await getMapBases({ minX: '100', minY: '0', maxX: '0', maxY: '50' });
+
+    expect(statusCode).toBe(400);
+    expect(body.error.code).toBe('VALIDATION_ERROR');
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/builder-queue', () => ({
+  placeUpgrade: jest.fn(),
+  startQueuedUpgrades: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../../lambda/shared/upgrade-completion-engine', () => ({
+  completeUpgrade: jest.fn()
+}));
+
+import { handler } from '../../../lambda/base-management/upgrade-base';
+import { placeUpgrade, NewUpgrade } from '../../../lambda/shared/builder-queue';
+import { completeUpgrade } from '../../../lambda/shared/upgrade-completion-engine';
+import { setResourceLedger, InMemoryResourceLedger } from '../../../lambda/shared/resource-ledger';
+import { calculateSpeedUpCost } from '../../../lambda/shared/game-rules';
+import { BaseUpgrade } from '../../../lambda/types/game-base-types';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  mockPlayerBase,
+  mockUpgradeTemplate,
+  validUpgradeBaseRequest,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const STARTING_GOLD = 10000;
+const TEMPLATE_GOLD = mockUpgradeTemplate.requirements.resources.gold;
+
+const instantUpgradeEvent = () =>
+  createMockAPIGatewayEvent({ ...validUpgradeBaseRequest, skipTime: true }, { baseId: TEST_BASE_ID });
+
+describe('Instant Upgrade', () => {
+  let ledger: InMemoryResourceLedger;
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockUpgradeTemplate));
+    (placeUpgrade as jest.Mock).mockReset().mockImplementation(async (upgrade: NewUpgrade) => ({
+      ...upgrade,
+      status: 'in_progress',
+      startedAt: Date.now(),
+      completionTime: Date.now() + upgrade.requirements.time * 1000
+    }));
+    (completeUpgrade as jest.Mock).mockReset();
+    ledger = new InMemoryResourceLedger();
+    ledger.setBalance(TEST_PLAYER_ID, { gold: STARTING_GOLD, food: 1000, materials: 400 });
+    setResourceLedger(ledger);
+  });
+
+  afterEach(() => {
+    setResourceLedger(undefined);
+  });
+
+  it('should charge the skip-time gold when the upgrade completes instantly', async () => {
+    (completeUpgrade as jest.Mock).mockImplementationOnce(async (upgrade: BaseUpgrade, completedAt: number) => ({
+      upgrade: { ...upgrade, status: 'completed', completedAt }
+    }));
+
+    const response = await handler(instantUpgradeEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({
+      upgrade: { status: 'completed' },
+      instantFinishFailed: false
+    });
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold)
+      .toBe(STARTING_GOLD - TEMPLATE_GOLD - calculateSpeedUpCost(mockUpgradeTemplate.buildTime));
+  });
+
+  it('should return the running upgrade and release only the gold when instant completion fails', async () => {
+    (completeUpgrade as jest.Mock).mockRejectedValueOnce(new Error('Throttled'));
+
+    const response = await handler(instantUpgradeEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({
+      upgrade: { status: 'in_progress', baseId: TEST_BASE_ID },
+      instantFinishFailed: true
+    });
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: STARTING_GOLD - TEMPLATE_GOLD, food: 0, materials: 0 });
+  });
+
+  it('should fail without charging anything when the upgrade cannot be started', async () => {
+    (placeUpgrade as jest.Mock).mockReset().mockRejectedValueOnce(new Error('Throttled'));
+
+    const response = await handler(instantUpgradeEvent());
+
+    expect(response.statusCode).toBe(500);
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: STARTING_GOLD, food: 1000, materials: 400 });
+  });
+});
@@ -0,0 +1,87 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/base-spacing', () => ({
+  assertBaseSpacing: jest.fn()
+}));
+
+import { handler } from '../../../lambda/base-management/move-base';
+import { setResourceLedger, InMemoryResourceLedger } from '../../../lambda/shared/resource-ledger';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  mockPlayerBase,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const teleportEvent = () => createMockAPIGatewayEvent({
+  playerId: TEST_PLAYER_ID,
+  baseId: TEST_BASE_ID,
+  newCoordinates: { x: 5100, y: 200 },
+  useTeleport: true
+});
+
+const asGameMaster = (event: ReturnType<typeof createMockAPIGatewayEvent>) => {
+  event.requestContext.authorizer = { claims: { sub: 'gm-1', 'cognito:groups': 'gm' } };
+  return event;
+};
+
+describe('Move Base', () => {
+  let ledger: InMemoryResourceLedger;
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse({ ...mockPlayerBase, coordinateHash: '100,200' }))
+      .mockResolvedValueOnce({});
+    ledger = new InMemoryResourceLedger();
+    ledger.setBalance(TEST_PLAYER_ID, { gold: 1000 });
+    ledger.setBalance('gm-1', { gold: 1000 });
+    setResourceLedger(ledger);
+  });
+
+  afterEach(() => {
+    setResourceLedger(undefined);
+  });
+
+  it('should charge the owner the teleport gold', async () => {
+    const response = await handler(teleportEvent());
+
+    expect(response.statusCode).toBe(200);
+    const { goldCharged } = JSON.parse(response.body).data;
+    expect(goldCharged).toBeGreaterThan(0);
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(1000 - goldCharged);
+  });
+
+  it('should not spend the owner\'s gold when a GM teleports their base', async () => {
+    const response = await handler(asGameMaster(teleportEvent()));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({
+      goldCharged: 0,
+      movement: { coordinates: { x: 5100, y: 200 }, lastMove: { teleport: true } }
+    });
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(1000);
+    expect(ledger.getBalance('gm-1').gold).toBe(1000);
+  });
+});
@@ -0,0 +1,104 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { findNearestBases } from '../../../lambda/shared/nearest-bases';
+import { getMapSectionRing, getRingCoverageRadius } from '../../../lambda/shared/map-geometry';
+import { createMockDynamoDBResponse } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const mapBase = (baseId: string, x: number, y: number, allianceId?: string) => ({
+  baseId,
+  playerId: `owner-${baseId}`,
+  baseName: `Base ${baseId}`,
+  baseType: 'outpost',
+  level: 3,
+  status: 'active',
+  coordinates: { x, y },
+  allianceId
+});
+
+// Bases keyed by the LocationIndex section they stand in
+const givenSections = (sections: Record<string, unknown[]>) => {
+  mockSend.mockImplementation((command: any) => Promise.resolve(
+    createMockDynamoDBResponse(sections[command.input.ExpressionAttributeValues[':sectionId']] ?? [])
+  ));
+};
+
+const queriedSections = (): string[] =>
+  mockSend.mock.calls.map(([command]: any) => command.input.ExpressionAttributeValues[':sectionId']);
+
+describe('Nearest Bases', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should list the square ring of sections around the center section', () => {
+    expect(getMapSectionRing({ x: 50, y: 50 }, 0)).toEqual(['0,0']);
+    expect(getMapSectionRing({ x: 50, y: 50 }, 1)).toHaveLength(8);
+    expect(getMapSectionRing({ x: 50, y: 50 }, 2)).toHaveLength(16);
+    expect(getRingCoverageRadius({ x: 50, y: 20 }, 1)).toBe(120);
+  });
+
+  it('should stop expanding once enough bases lie inside the covered radius', async () => {
+    givenSections({ '0,0': [mapBase('a', 60, 50), mapBase('b', 40, 55)], '1,0': [mapBase('c', 101, 50)] });
+
+    const bases = await findNearestBases({ center: { x: 50, y: 50 }, count: 2, maxRadius: 1000 });
+
+    expect(bases.map(base => base.baseId)).toEqual(['a', 'b']);
+    expect(queriedSections()).toEqual(['0,0']);
+  });
+
+  it('should keep expanding when a closer base may lie in the next ring', async () => {
+    // 'far' is inside section 0,0 but farther than the 2 units to the section edge
+    givenSections({ '0,0': [mapBase('far', 60, 98)], '0,1': [mapBase('close', 50, 100)] });
+
+    const bases = await findNearestBases({ center: { x: 50, y: 98 }, count: 1, maxRadius: 1000 });
+
+    expect(bases.map(base => base.baseId)).toEqual(['close']);
+  });
+
+  it('should give up at the maximum radius', async () => {
+    givenSections({});
+
+    const bases = await findNearestBases({ center: { x: 50, y: 50 }, count: 5, maxRadius: 150 });
+
+    expect(bases).toEqual([]);
+    // Rings 0 and 1 cover 150 units from the center of a section
+    expect(queriedSections()).toHaveLength(9);
+  });
+
+  it('should pass filters to every section query and apply visibility', async () => {
+    givenSections({ '0,0': [mapBase('hidden', 51, 50), mapBase('shown', 55, 50)] });
+
+    const bases = await findNearestBases({
+      center: { x: 50, y: 50 },
+      count: 1,
+      maxRadius: 40,
+      filters: { excludeAllianceId: 'own-alliance', minLevel: 2 },
+      isVisible: base => base.baseId !== 'hidden'
+    });
+
+    expect(bases.map(base => base.baseId)).toEqual(['shown']);
+    expect(mockSend.mock.calls[0][0].input.ExpressionAttributeValues).toEqual(expect.objectContaining({
+      ':excludeAllianceId': 'own-alliance',
+      ':minLevel': 2
+    }));
+  });
+});
@@ -0,0 +1,83 @@
+import { LambdaClient } from '@aws-sdk/client-lambda';
+import {
+  getBaseAllowance,
+  setEntitlementProvider,
+  StubEntitlementProvider,
+  LambdaEntitlementProvider,
+  PlayerEntitlementProvider
+} from '../../../lambda/shared/player-entitlements';
+import { TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+const NOW = 1_700_000_000_000;
+
+const entitlementResponse = (payload: Record<string, unknown>) => ({
+  Payload: Buffer.from(JSON.stringify(payload))
+});
+
+describe('Player Entitlements', () => {
+  afterEach(() => {
+    setEntitlementProvider(undefined);
+  });
+
+  it('should resolve tiers from the configured stub', async () => {
+    const stub = new StubEntitlementProvider(JSON.stringify({ players: { [TEST_PLAYER_ID]: 'subscription' } }));
+
+    await expect(stub.getEntitlement(TEST_PLAYER_ID)).resolves.toEqual({ playerId: TEST_PLAYER_ID, tier: 'subscription' });
+    await expect(stub.getEntitlement('someone-else')).resolves.toEqual({ playerId: 'someone-else', tier: 'free' });
+  });
+
+  it('should grant the subscription base limit to active subscribers', async () => {
+    setEntitlementProvider({
+      getEntitlement: async (playerId) => ({ playerId, tier: 'subscription', expiresAt: NOW + 1000 })
+    });
+
+    await expect(getBaseAllowance(TEST_PLAYER_ID, NOW)).resolves.toEqual({
+      tier: 'subscription',
+      maxBases: 10,
+      subscriptionExpiresAt: NOW + 1000
+    });
+  });
+
+  it('should treat expired subscriptions as free', async () => {
+    setEntitlementProvider({
+      getEntitlement: async (playerId) => ({ playerId, tier: 'subscription', expiresAt: NOW - 1 })
+    });
+
+    await expect(getBaseAllowance(TEST_PLAYER_ID, NOW)).resolves.toEqual({ tier: 'free', maxBases: 5 });
+  });
+
+  it('should fall back to the free tier when the lookup fails', async () => {
+    const failingProvider: PlayerEntitlementProvider = {
+      getEntitlement: async () => {
+        throw new Error('player service unavailable');
+      }
+    };
+    setEntitlementProvider(failingProvider);
+
+    await expect(getBaseAllowance(TEST_PLAYER_ID, NOW)).resolves.toEqual({ tier: 'free', maxBases: 5 });
+  });
+
+  it('should cache entitlements returned by the entitlement Lambda', async () => {
+    const client = new LambdaClient({});
+    const send = jest.spyOn(client, 'send').mockResolvedValue(
+      entitlementResponse({ playerId: TEST_PLAYER_ID, tier: 'subscription' }) as never
+    );
+    const adapter = new LambdaEntitlementProvider('player-service-entitlements-test', 60_000, client);
+
+    await adapter.getEntitlement(TEST_PLAYER_ID);
+    const entitlement = await adapter.getEntitlement(TEST_PLAYER_ID);
+
+    expect(entitlement.tier).toBe('subscription');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject malformed entitlement responses', async () => {
+    const client = new LambdaClient({});
+    jest.spyOn(client, 'send').mockResolvedValue(entitlementResponse({ tier: 'platinum' }) as never);
+    const adapter = new LambdaEntitlementProvider('player-service-entitlements-test', 60_000, client);
+
+    await expect(adapter.getEntitlement(TEST_PLAYER_ID)).rejects.toMatchObject({
+      code: 'ENTITLEMENT_LOOKUP_ERROR'
+    });
+  });
+});
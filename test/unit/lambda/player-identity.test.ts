@@ -0,0 +1,79 @@
+import { assertPlayerAccess, resolvePlayerIdentity } from '../../../lambda/shared/player-identity';
+import { issueLocalToken, verifyLocalToken } from '../../../lambda/shared/local-auth';
+import { createMockAPIGatewayEvent, TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+const LOCAL_SECRET = 'local-test-secret';
+
+const withClaims = (claims: Record<string, string> | undefined) => {
+  const event = createMockAPIGatewayEvent();
+  event.requestContext.authorizer = claims ? { claims } : {};
+  return event;
+};
+
+describe('Player Identity', () => {
+  it('should resolve the player from Cognito claims', () => {
+    const identity = resolvePlayerIdentity(withClaims({
+      sub: 'cognito-sub',
+      'custom:playerId': TEST_PLAYER_ID,
+      'cognito:groups': 'players'
+    }));
+
+    expect(identity).toEqual({ playerId: TEST_PLAYER_ID, groups: ['players'], isPrivileged: false });
+  });
+
+  it('should fall back to the subject when no playerId claim is present', () => {
+    expect(resolvePlayerIdentity(withClaims({ sub: 'cognito-sub' })).playerId).toBe('cognito-sub');
+  });
+
+  it('should reject requests without verified claims', () => {
+    expect(() => resolvePlayerIdentity(withClaims(undefined))).toThrow(
+      expect.objectContaining({ code: 'UNAUTHORIZED' })
+    );
+  });
+
+  it('should allow players to act for themselves', () => {
+    expect(assertPlayerAccess(createMockAPIGatewayEvent(), TEST_PLAYER_ID).playerId).toBe(TEST_PLAYER_ID);
+  });
+
+  it('should forbid acting for another player', () => {
+    expect(() => assertPlayerAccess(createMockAPIGatewayEvent(), 'other-player')).toThrow(
+      expect.objectContaining({ code: 'FORBIDDEN' })
+    );
+  });
+
+  it.each(['admin', '[service]'])('should let %s callers act for any player', (groups) => {
+    const identity = assertPlayerAccess(
+      withClaims({ sub: 'ops-user', 'cognito:groups': groups }),
+      'other-player'
+    );
+
+    expect(identity.isPrivileged).toBe(true);
+  });
+
+  describe('local tokens', () => {
+    it('should round-trip claims through the local issuer', () => {
+      const token = issueLocalToken({ playerId: TEST_PLAYER_ID, groups: ['admin'] }, LOCAL_SECRET);
+
+      expect(verifyLocalToken(token, LOCAL_SECRET)).toMatchObject({
+        'custom:playerId': TEST_PLAYER_ID,
+        'cognito:groups': 'admin'
+      });
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const token = issueLocalToken({ playerId: TEST_PLAYER_ID }, 'another-secret');
+
+      expect(() => verifyLocalToken(token, LOCAL_SECRET)).toThrow(
+        expect.objectContaining({ code: 'UNAUTHORIZED' })
+      );
+    });
+
+    it('should reject expired tokens', () => {
+      const token = issueLocalToken({ playerId: TEST_PLAYER_ID, ttlSeconds: 60 }, LOCAL_SECRET, 0);
+
+      expect(() => verifyLocalToken(token, LOCAL_SECRET, 61_000)).toThrow(
+        expect.objectContaining({ code: 'UNAUTHORIZED' })
+      );
+    });
+  });
+});
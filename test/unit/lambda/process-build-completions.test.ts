@@ -0,0 +1,127 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/game-events', () => ({
+  publishGameEvent: jest.fn()
+}));
+
+import { ScheduledEvent } from 'aws-lambda';
+import { ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { handler } from '../../../lambda/base-lifecycle/process-build-completions';
+import { publishGameEvent } from '../../../lambda/shared/game-events';
+import { PlayerBase } from '../../../lambda/types/game-base-types';
+import { createMockDynamoDBResponse, mockPlayerBase, TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const scheduledEvent = { id: 'run-1', time: '2026-01-01T00:00:00Z' } as ScheduledEvent;
+
+const buildingBase = (baseId: string, buildCompletionTime: number): PlayerBase => ({
+  ...mockPlayerBase,
+  baseId,
+  status: 'building',
+  buildCompletionTime
+} as unknown as PlayerBase);
+
+// The DueIndex query returns keys only; the full records come from BatchGet
+const givenBuildingBases = (...bases: PlayerBase[]) => {
+  mockSend
+    .mockResolvedValueOnce(createMockDynamoDBResponse(bases.map(({ playerId, baseId }) => ({ playerId, baseId }))))
+    .mockImplementationOnce(async (command: { input: any }) => ({
+      Responses: { [Object.keys(command.input.RequestItems)[0]]: bases }
+    }));
+};
+
+const conditionFailed = () => new ConditionalCheckFailedException({ message: 'failed', $metadata: {} });
+
+const updateCalls = (): { input: any }[] => mockSend.mock.calls
+  .map(([command]: [object]) => command)
+  .filter((command: object) => command.constructor.name === 'UpdateCommand');
+
+describe('Process Build Completions', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    (publishGameEvent as jest.Mock).mockReset();
+  });
+
+  it('should only complete bases whose build time has passed', async () => {
+    const now = Date.now();
+    givenBuildingBases(
+      buildingBase('base-due', now - 1000),
+      buildingBase('base-later', now + 60000),
+      { ...buildingBase('base-active', now - 1000), status: 'active' }
+    );
+    mockSend.mockResolvedValueOnce({});
+
+    const summary = await handler(scheduledEvent);
+
+    expect(summary).toEqual({ dueBases: 1, completed: 1, skipped: 0, failed: 0 });
+    expect(mockSend.mock.calls[0][0].input).toMatchObject({
+      IndexName: 'DueIndex',
+      KeyConditionExpression: '#status = :status AND dueAt <= :now',
+      ExpressionAttributeValues: { ':status': 'building', ':now': expect.any(Number) }
+    });
+    expect(updateCalls().map(command => command.input.Key.baseId)).toEqual(['base-due']);
+  });
+
+  it('should move the base from building to active', async () => {
+    givenBuildingBases(buildingBase('base-due', Date.now() - 1000));
+    mockSend.mockResolvedValueOnce({});
+
+    await handler(scheduledEvent);
+
+    const [update] = updateCalls();
+    expect(update.input).toMatchObject({
+      Key: { playerId: TEST_PLAYER_ID, baseId: 'base-due' },
+      UpdateExpression: 'SET #status = :active, lastActiveAt = :now REMOVE dueAt',
+      ConditionExpression: '#status = :building AND buildCompletionTime <= :now',
+      ExpressionAttributeValues: { ':active': 'active', ':building': 'building' }
+    });
+    expect(publishGameEvent).toHaveBeenCalledTimes(1);
+    expect(publishGameEvent).toHaveBeenCalledWith('BaseBuildCompleted', expect.objectContaining({
+      playerId: TEST_PLAYER_ID,
+      baseId: 'base-due'
+    }));
+  });
+
+  it('should skip a base another run already completed without publishing again', async () => {
+    givenBuildingBases(buildingBase('base-due', Date.now() - 1000));
+    mockSend.mockRejectedValueOnce(conditionFailed());
+
+    const summary = await handler(scheduledEvent);
+
+    expect(summary).toEqual({ dueBases: 1, completed: 0, skipped: 1, failed: 0 });
+    expect(publishGameEvent).not.toHaveBeenCalled();
+  });
+
+  it('should keep a completed base counted when its event cannot be published', async () => {
+    givenBuildingBases(buildingBase('base-a', Date.now() - 2000), buildingBase('base-b', Date.now() - 1000));
+    mockSend.mockResolvedValueOnce({}).mockResolvedValueOnce({});
+    (publishGameEvent as jest.Mock)
+      .mockRejectedValueOnce(new Error('EventBridge unavailable'))
+      .mockResolvedValueOnce(undefined);
+
+    const summary = await handler(scheduledEvent);
+
+    expect(summary).toEqual({ dueBases: 2, completed: 2, skipped: 0, failed: 0 });
+    expect(publishGameEvent).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,117 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/game-events', () => ({
+  publishGameEvent: jest.fn()
+}));
+
+import { ScheduledEvent } from 'aws-lambda';
+import { ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { completeBaseMovement, handler } from '../../../lambda/base-lifecycle/process-movement-arrivals';
+import { publishGameEvent } from '../../../lambda/shared/game-events';
+import { PlayerBase } from '../../../lambda/types/game-base-types';
+import { createMockDynamoDBResponse, mockPlayerBase, TEST_PLAYER_ID, TEST_BASE_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const scheduledEvent = { id: 'run-1', time: '2026-01-01T00:00:00Z' } as ScheduledEvent;
+
+const movingBase = (baseId: string, arrivalTime: number): PlayerBase => ({
+  ...mockPlayerBase,
+  baseId,
+  status: 'moving',
+  coordinates: { x: 150, y: 250 },
+  movementOrigin: { x: 100, y: 200 },
+  lastMovedAt: arrivalTime - 60000,
+  arrivalTime
+} as unknown as PlayerBase);
+
+// The DueIndex query returns keys only; the full records come from BatchGet
+const givenMovingBases = (...bases: PlayerBase[]) => {
+  mockSend
+    .mockResolvedValueOnce(createMockDynamoDBResponse(bases.map(({ playerId, baseId }) => ({ playerId, baseId }))))
+    .mockImplementationOnce(async (command: { input: any }) => ({
+      Responses: { [Object.keys(command.input.RequestItems)[0]]: bases }
+    }));
+};
+
+const conditionFailed = () => new ConditionalCheckFailedException({ message: 'failed', $metadata: {} });
+
+describe('Process Movement Arrivals', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+    (publishGameEvent as jest.Mock).mockReset();
+  });
+
+  it('should return the base to active and record the completed move', async () => {
+    const base = movingBase(TEST_BASE_ID, 100000);
+    mockSend.mockResolvedValueOnce({});
+
+    const movement = await completeBaseMovement(base, 120000);
+
+    const expected = { from: { x: 100, y: 200 }, to: { x: 150, y: 250 }, departedAt: 40000, arrivedAt: 100000, teleport: false };
+    expect(movement).toEqual(expected);
+    expect(mockSend.mock.calls[0][0].input).toMatchObject({
+      Key: { playerId: TEST_PLAYER_ID, baseId: TEST_BASE_ID },
+      UpdateExpression: 'SET #status = :active, lastActiveAt = :now, lastMove = :lastMove REMOVE arrivalTime, movementOrigin, dueAt',
+      ConditionExpression: '#status = :moving AND arrivalTime = :arrivalTime AND arrivalTime <= :now',
+      ExpressionAttributeValues: { ':active': 'active', ':arrivalTime': 100000, ':lastMove': expected, ':now': 120000 }
+    });
+  });
+
+  it('should return null when the arrival was already applied or the base moved again', async () => {
+    mockSend.mockRejectedValueOnce(conditionFailed());
+
+    await expect(completeBaseMovement(movingBase(TEST_BASE_ID, 100000), 120000)).resolves.toBeNull();
+  });
+
+  it('should fail with MOVEMENT_COMPLETION_ERROR on other write errors', async () => {
+    mockSend.mockRejectedValueOnce(new Error('Throttled'));
+
+    await expect(completeBaseMovement(movingBase(TEST_BASE_ID, 100000), 120000)).rejects.toMatchObject({
+      code: 'MOVEMENT_COMPLETION_ERROR'
+    });
+  });
+
+  it('should publish each arrival exactly once across duplicate runs', async () => {
+    const now = Date.now();
+    const arrived = movingBase('base-arrived', now - 1000);
+    givenMovingBases(arrived, movingBase('base-en-route', now + 60000));
+    mockSend.mockResolvedValueOnce({});
+
+    const first = await handler(scheduledEvent);
+
+    givenMovingBases(arrived);
+    mockSend.mockRejectedValueOnce(conditionFailed());
+
+    const second = await handler(scheduledEvent);
+
+    expect(first).toEqual({ dueBases: 1, arrived: 1, skipped: 0, failed: 0 });
+    expect(second).toEqual({ dueBases: 1, arrived: 0, skipped: 1, failed: 0 });
+    expect(publishGameEvent).toHaveBeenCalledTimes(1);
+    expect(publishGameEvent).toHaveBeenCalledWith('BaseMovementCompleted', expect.objectContaining({
+      playerId: TEST_PLAYER_ID,
+      baseId: 'base-arrived',
+      to: { x: 150, y: 250 },
+      arrivedAt: now - 1000
+    }));
+  });
+});
@@ -0,0 +1,75 @@
+import { LambdaClient } from '@aws-sdk/client-lambda';
+import {
+  chargeResources,
+  refundResources,
+  setResourceLedger,
+  InMemoryResourceLedger,
+  LambdaResourceLedger
+} from '../../../lambda/shared/resource-ledger';
+import { TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+describe('Resource Ledger', () => {
+  let ledger: InMemoryResourceLedger;
+
+  beforeEach(() => {
+    ledger = new InMemoryResourceLedger();
+    ledger.setBalance(TEST_PLAYER_ID, { gold: 500, food: 100 });
+    setResourceLedger(ledger);
+  });
+
+  afterEach(() => {
+    setResourceLedger(undefined);
+  });
+
+  it('should spend the reserved amounts when the operation succeeds', async () => {
+    const result = await chargeResources(TEST_PLAYER_ID, { gold: 200, food: 50 }, 'base-upgrade', async () => 'upgraded');
+
+    expect(result).toBe('upgraded');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 300, food: 50 });
+  });
+
+  it('should roll the reservation back when the operation fails', async () => {
+    await expect(chargeResources(TEST_PLAYER_ID, { gold: 200 }, 'teleport', async () => {
+      throw new Error('conditional check failed');
+    })).rejects.toThrow('conditional check failed');
+
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 500, food: 100 });
+  });
+
+  it('should fail with INSUFFICIENT_RESOURCES before running the operation', async () => {
+    const operation = jest.fn();
+
+    await expect(chargeResources(TEST_PLAYER_ID, { gold: 1000, materials: 10 }, 'base-create', operation))
+      .rejects.toMatchObject({
+        code: 'INSUFFICIENT_RESOURCES',
+        details: { shortfall: { gold: 500, materials: 10 } }
+      });
+    expect(operation).not.toHaveBeenCalled();
+  });
+
+  it('should skip the ledger for free operations', async () => {
+    const reserve = jest.spyOn(ledger, 'reserve');
+
+    await chargeResources(TEST_PLAYER_ID, { gold: 0 }, 'teleport', async () => undefined);
+
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('should surface insufficient resources reported by the resource service', async () => {
+    const client = new LambdaClient({});
+    jest.spyOn(client, 'send').mockResolvedValue({
+      Payload: Buffer.from(JSON.stringify({ error: 'INSUFFICIENT_RESOURCES', shortfall: { gold: 25 } }))
+    } as never);
+    setResourceLedger(new LambdaResourceLedger('resource-service-ledger-test', client));
+
+    await expect(chargeResources(TEST_PLAYER_ID, { gold: 125 }, 'teleport', async () => undefined))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_RESOURCES', details: { shortfall: { gold: 25 } } });
+  });
+
+  it('should credit a refund only once per reference', async () => {
+    await refundResources(TEST_PLAYER_ID, { gold: 50, food: 0 }, 'upgrade-cancel', 'upgrade-cancel:1');
+    await refundResources(TEST_PLAYER_ID, { gold: 50, food: 0 }, 'upgrade-cancel', 'upgrade-cancel:1');
+
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 550, food: 100 });
+  });
+});
@@ -0,0 +1,144 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    ScanCommand: class ScanCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { marshall } from '@aws-sdk/util-dynamodb';
+import { DynamoDBStreamEvent, ScheduledEvent } from 'aws-lambda';
+import { ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { getSectionDensities, getSectionDensityDeltas } from '../../../lambda/shared/section-density';
+import { handler } from '../../../lambda/base-lifecycle/update-section-density';
+import { handler as reconcileHandler } from '../../../lambda/base-lifecycle/reconcile-section-density';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const baseImage = (mapSectionId: string, status = 'active') => ({
+  playerId: 'player-1',
+  baseId: 'base-1',
+  mapSectionId,
+  status
+});
+
+const streamRecord = (
+  sequenceNumber: string,
+  oldImage?: Record<string, unknown>,
+  newImage?: Record<string, unknown>
+) => ({
+  eventID: `event-${sequenceNumber}`,
+  dynamodb: {
+    SequenceNumber: sequenceNumber,
+    OldImage: oldImage ? marshall(oldImage) : undefined,
+    NewImage: newImage ? marshall(newImage) : undefined
+  }
+});
+
+const streamEvent = (...records: unknown[]) => ({ Records: records }) as DynamoDBStreamEvent;
+
+describe('Section Density', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should count creates, moves and destroys against the right sections', () => {
+    expect(getSectionDensityDeltas(undefined, baseImage('1,1'))).toEqual(new Map([['1,1', 1]]));
+    expect(getSectionDensityDeltas(baseImage('1,1'), baseImage('2,1', 'moving')))
+      .toEqual(new Map([['1,1', -1], ['2,1', 1]]));
+    expect(getSectionDensityDeltas(baseImage('1,1'), baseImage('1,1', 'destroyed'))).toEqual(new Map([['1,1', -1]]));
+    expect(getSectionDensityDeltas(baseImage('1,1'), baseImage('1,1'))).toEqual(new Map());
+  });
+
+  it('should read densities in batches of 100 and retry unprocessed keys', async () => {
+    const sectionIds = Array.from({ length: 150 }, (_, index) => `${index},0`);
+    mockSend
+      .mockResolvedValueOnce({
+        Responses: { '': [{ mapSectionId: '0,0', baseCount: 4 }] },
+        UnprocessedKeys: { '': { Keys: [{ mapSectionId: '1,0' }] } }
+      })
+      .mockResolvedValueOnce({ Responses: { '': [{ mapSectionId: '1,0', baseCount: 2 }] } })
+      .mockResolvedValueOnce({ Responses: { '': [{ mapSectionId: '120,0', baseCount: 1 }] } });
+
+    const densities = await getSectionDensities(sectionIds);
+
+    expect(densities).toEqual(new Map([['0,0', 4], ['1,0', 2], ['120,0', 1]]));
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(mockSend.mock.calls[0][0].input.RequestItems[''].Keys).toHaveLength(100);
+    expect(mockSend.mock.calls[2][0].input.RequestItems[''].Keys).toHaveLength(50);
+  });
+
+  it('should apply a move as one idempotent transaction over both sections', async () => {
+    mockSend.mockResolvedValue({});
+
+    const result = await handler(streamEvent(streamRecord('1', baseImage('1,1'), baseImage('2,1', 'moving'))));
+
+    expect(result.batchItemFailures).toEqual([]);
+    const { input } = mockSend.mock.calls[0][0];
+    expect(input.ClientRequestToken).toBe('event-1');
+    expect(input.TransactItems.map((item: any) => [item.Update.Key.mapSectionId, item.Update.ExpressionAttributeValues[':delta']]))
+      .toEqual([['1,1', -1], ['2,1', 1]]);
+  });
+
+  it('should skip records that change no section and report the first failure', async () => {
+    mockSend
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('Throttled'));
+
+    const result = await handler(streamEvent(
+      streamRecord('1', baseImage('1,1'), { ...baseImage('1,1'), level: 2 }),
+      streamRecord('2', undefined, baseImage('3,3')),
+      streamRecord('3', baseImage('3,3'), undefined),
+      streamRecord('4', undefined, baseImage('4,4'))
+    ));
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(result.batchItemFailures).toEqual([{ itemIdentifier: '3' }]);
+  });
+
+  it('should seed counts for bases that existed before the stream consumer', async () => {
+    mockSend
+      .mockResolvedValueOnce({ Items: [{ mapSectionId: '1,1', baseCount: 1 }, { mapSectionId: '5,5', baseCount: 2 }] })
+      .mockResolvedValueOnce({
+        Items: [baseImage('1,1'), baseImage('1,1', 'building'), baseImage('2,2', 'destroyed')],
+        LastEvaluatedKey: { playerId: 'player-1', baseId: 'base-3' }
+      })
+      .mockResolvedValueOnce({ Items: [baseImage('3,3', 'moving'), { playerId: 'player-2', baseId: 'base-1', status: 'active' }] })
+      .mockResolvedValue({});
+
+    const summary = await reconcileHandler({ id: 'run-1', time: '2026-01-01T00:00:00Z' } as ScheduledEvent);
+
+    expect(summary).toEqual({ bases: 3, sections: 3, corrected: 3, unchanged: 0, skipped: 0, failed: 0 });
+    expect(mockSend.mock.calls[2][0].input.ExclusiveStartKey).toEqual({ playerId: 'player-1', baseId: 'base-3' });
+    const writes = mockSend.mock.calls.slice(3).map(([command]: [{ input: any }]) => command.input);
+    expect(writes.map(input => [input.Key.mapSectionId, input.ExpressionAttributeValues[':baseCount']]))
+      .toEqual([['1,1', 2], ['3,3', 1], ['5,5', 0]]);
+    expect(writes[0].ConditionExpression).toBe('attribute_not_exists(updatedAt) OR updatedAt < :startedAt');
+  });
+
+  it('should leave matching sections and sections the stream changed during the scan alone', async () => {
+    mockSend
+      .mockResolvedValueOnce({ Items: [{ mapSectionId: '1,1', baseCount: 1 }, { mapSectionId: '2,2', baseCount: 4 }] })
+      .mockResolvedValueOnce({ Items: [baseImage('1,1'), baseImage('2,2')] })
+      .mockRejectedValueOnce(new ConditionalCheckFailedException({ message: 'failed', $metadata: {} }));
+
+    const summary = await reconcileHandler({ id: 'run-2', time: '2026-01-02T00:00:00Z' } as ScheduledEvent);
+
+    expect(summary).toEqual({ bases: 2, sections: 2, corrected: 0, unchanged: 1, skipped: 1, failed: 0 });
+    expect(mockSend).toHaveBeenCalledTimes(3);
+  });
+});
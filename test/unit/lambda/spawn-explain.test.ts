@@ -0,0 +1,110 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    PutCommand: class PutCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+// Fixed seed so the drawn candidates are the same on every run
+jest.mock('../../../lambda/shared/seeded-random', () => ({
+  ...jest.requireActual('../../../lambda/shared/seeded-random'),
+  generateSeed: () => 7
+}));
+
+import { handler } from '../../../lambda/spawn-management/calculate-spawn-location';
+import { buildRingRegions } from '../../../lambda/shared/spawn-regions';
+import { createMockAPIGatewayEvent, createMockDynamoDBResponse, TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const request = { playerId: TEST_PLAYER_ID, preferredRegion: 'center', friendIds: ['friend-1'] };
+
+const explainEvent = (groups: string) => {
+  const event = createMockAPIGatewayEvent(request, {}, { explain: 'true' });
+  event.requestContext.authorizer = { claims: { sub: TEST_PLAYER_ID, 'cognito:groups': groups } };
+  return event;
+};
+
+// Ring 0 as the only region, one friend near its edge and otherwise only the given bases
+const givenWorld = (bases: { baseId: string; baseType: string; coordinates: { x: number; y: number } }[] = []) => {
+  mockSend.mockImplementation((command: { input: Record<string, any> }) => {
+    if (command.input.KeyConditionExpression === 'spawnRegionId = :partition') {
+      return Promise.resolve(createMockDynamoDBResponse(buildRingRegions(0)));
+    }
+    if (command.input.KeyConditionExpression === 'playerId = :playerId') {
+      return Promise.resolve(createMockDynamoDBResponse([{ coordinates: { x: 950, y: 0 } }]));
+    }
+    if (command.input.RequestItems) {
+      return Promise.resolve({ Responses: {} });
+    }
+    if (command.input.IndexName === 'LocationIndex') {
+      return Promise.resolve(createMockDynamoDBResponse(bases));
+    }
+    return Promise.resolve(createMockDynamoDBResponse([]));
+  });
+};
+
+describe('Spawn Calculation Explain Mode', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should list every scored and rejected candidate without reserving a location', async () => {
+    givenWorld();
+
+    const response = await handler(explainEvent('admin'));
+    const data = JSON.parse(response.body).data;
+
+    expect(response.statusCode).toBe(200);
+    expect(data.weights).toEqual({ density: 0.3, safety: 0.3, resources: 0.2, friends: 0.2 });
+    expect(data.friendCenter).toEqual({ x: 950, y: 0 });
+    expect(data.seed).toBe(7);
+    expect(data.rejected.length).toBeGreaterThan(0);
+    expect(data.candidates.length).toBe(20);
+    expect(Object.keys(data.candidates[0].breakdown)).toEqual(['density', 'safety', 'resources', 'friends']);
+    data.rejected.forEach((rejected: { coordinates: { x: number }; reason: string }) => {
+      expect(rejected.coordinates.x).toBeGreaterThan(1000);
+      expect(rejected.reason).toMatch(/^Outside spawn region: x \d+ > maxX 1000/);
+    });
+    expect(data.selected.coordinates).toEqual(data.candidates[0].coordinates);
+    expect(data.candidates.every((candidate: { spacingConflict: unknown }) => candidate.spacingConflict === null)).toBe(true);
+    expect(mockSend.mock.calls.some(([command]: any[]) => command.input.Item)).toBe(false);
+  });
+
+  it('should show the spacing conflict that passes over the top scored candidate', async () => {
+    givenWorld();
+    const [best] = JSON.parse((await handler(explainEvent('admin'))).body).data.candidates;
+    givenWorld([{ baseId: 'base-1', baseType: 'command_center', coordinates: best.coordinates }]);
+
+    const response = await handler(explainEvent('admin'));
+    const { candidates, selected } = JSON.parse(response.body).data;
+
+    expect(candidates[0].coordinates).toEqual(best.coordinates);
+    expect(candidates[0].spacingConflict).toMatchObject({ baseId: 'base-1', distance: 0 });
+    const firstClear = candidates.find((candidate: { spacingConflict: unknown }) => candidate.spacingConflict === null);
+    expect(selected.coordinates).toEqual(firstClear.coordinates);
+    expect(selected.coordinates).not.toEqual(best.coordinates);
+  });
+
+  it('should restrict explain mode to admins', async () => {
+    givenWorld();
+
+    const response = await handler(explainEvent('players'));
+
+    expect(response.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,164 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    PutCommand: class PutCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { layoutSpawnCluster } from '../../../lambda/spawn-management/spawn-cluster';
+import { handler } from '../../../lambda/spawn-management/calculate-group-spawn';
+import { buildRingRegions } from '../../../lambda/shared/spawn-regions';
+import { calculateDistance } from '../../../lambda/shared/map-geometry';
+import { createMockAPIGatewayEvent, createMockDynamoDBResponse, TEST_PLAYER_ID } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const bounds = { minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 };
+const area = { regionBounds: bounds, baseType: 'command_center' };
+const cohort = ['player-1', 'player-2', 'player-3', 'player-4', 'player-5'];
+
+const asService = (event: ReturnType<typeof createMockAPIGatewayEvent>) => {
+  event.requestContext.authorizer = { claims: { sub: 'signup-service', 'cognito:groups': 'service' } };
+  return event;
+};
+
+const openReservation = (regionId: string, coordinates = { x: 500, y: 500 }) => ({
+  spawnLocationId: `spawn-${regionId}-${coordinates.x}`,
+  regionId,
+  coordinates,
+  isAvailable: 'false',
+  expiresAt: Date.now() + 60000
+});
+
+// Regions, open reservations, section densities and LocationIndex sections; one base sits next to the origin
+const givenWorld = (regions = buildRingRegions(0), reservations: ReturnType<typeof openReservation>[] = []) => {
+  mockSend.mockImplementation((command: { input: Record<string, any> }) => {
+    if (command.input.KeyConditionExpression === 'spawnRegionId = :partition') {
+      return Promise.resolve(createMockDynamoDBResponse(regions));
+    }
+    if (command.input.IndexName === 'AvailabilityIndex') {
+      return Promise.resolve(createMockDynamoDBResponse(reservations));
+    }
+    if (command.input.RequestItems) {
+      return Promise.resolve({ Responses: {} });
+    }
+    if (command.input.TransactItems || command.input.Item) {
+      return Promise.resolve({});
+    }
+    const occupied = command.input.ExpressionAttributeValues?.[':sectionId'] === '0,0';
+    return Promise.resolve(createMockDynamoDBResponse(occupied
+      ? [{ baseId: 'base-1', baseType: 'command_center', coordinates: { x: 4, y: 0 } }]
+      : []));
+  });
+};
+
+describe('Group Spawning', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should lay out a compact cluster clear of each other and of existing bases', async () => {
+    givenWorld();
+
+    const positions = await layoutSpawnCluster({ x: 0, y: 0 }, 5, area);
+
+    expect(positions).toHaveLength(5);
+    expect(positions[0]).toEqual({ x: 0, y: 0 });
+    positions.forEach((position, index) => {
+      expect(calculateDistance(position, { x: 4, y: 0 })).toBeGreaterThan(3);
+      positions.slice(index + 1).forEach(other => {
+        expect(calculateDistance(position, other)).toBeGreaterThan(3);
+      });
+      expect(calculateDistance(position, { x: 0, y: 0 })).toBeLessThanOrEqual(8);
+    });
+  });
+
+  it('should not lay out a cluster that does not fit inside the region', async () => {
+    givenWorld();
+
+    await expect(layoutSpawnCluster({ x: 1000, y: 1000 }, 5, area)).resolves.toHaveLength(5);
+    await expect(layoutSpawnCluster({ x: 0, y: 0 }, 5, {
+      ...area,
+      regionBounds: { minX: 0, minY: 0, maxX: 4, maxY: 4 }
+    }))
+      .resolves.toEqual([]);
+  });
+
+  it('should keep the cluster clear of locations reserved for other players', async () => {
+    givenWorld();
+    const reserved = openReservation('ring-0-center', { x: 0, y: 0 });
+
+    const positions = await layoutSpawnCluster({ x: 0, y: 0 }, 5, { ...area, reservations: [reserved] });
+
+    expect(positions).toHaveLength(5);
+    positions.forEach(position => {
+      expect(calculateDistance(position, reserved.coordinates)).toBeGreaterThan(3);
+    });
+  });
+
+  it('should reserve every member of the cohort in one transaction', async () => {
+    givenWorld();
+
+    const response = await handler(asService(createMockAPIGatewayEvent({ playerIds: cohort })));
+    const data = JSON.parse(response.body).data;
+
+    expect(response.statusCode).toBe(200);
+    expect(data.regionId).toBe('ring-0-center');
+    expect(data.spawnLocations.map((location: { playerId: string }) => location.playerId)).toEqual(cohort);
+
+    const transactions = mockSend.mock.calls.filter(([command]: any[]) => command.input.TransactItems);
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0][0].input.TransactItems).toHaveLength(5);
+    expect(transactions[0][0].input.TransactItems[0].Put.Item).toMatchObject({
+      reservedBy: 'player-1',
+      regionId: 'ring-0-center',
+      decision: { clusterCenter: data.center }
+    });
+  });
+
+  it('should only place a cohort in a region with room for all of it', async () => {
+    const [center] = buildRingRegions(0);
+    givenWorld([{ ...center, spawnCount: 48 }, ...buildRingRegions(1)]);
+
+    const response = await handler(asService(createMockAPIGatewayEvent({ playerIds: cohort, preferredRegion: 'center' })));
+
+    expect(JSON.parse(response.body).data.regionId).not.toBe('ring-0-center');
+  });
+
+  it('should count open reservations against a region\'s capacity', async () => {
+    const [center] = buildRingRegions(0);
+    const reservations = Array.from({ length: 3 }, (_, index) => openReservation('ring-0-center', { x: index * 10, y: 500 }));
+    givenWorld([{ ...center, spawnCount: 45 }, ...buildRingRegions(1)], reservations);
+
+    const response = await handler(asService(createMockAPIGatewayEvent({ playerIds: cohort, preferredRegion: 'center' })));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.regionId).not.toBe('ring-0-center');
+  });
+
+  it('should reject oversized cohorts and players spawning others', async () => {
+    const oversized = await handler(asService(createMockAPIGatewayEvent({
+      playerIds: Array.from({ length: 51 }, (_, index) => `player-${index}`)
+    })));
+    const forbidden = await handler(createMockAPIGatewayEvent({ playerIds: [TEST_PLAYER_ID, 'player-2'] }));
+
+    expect(oversized.statusCode).toBe(400);
+    expect(forbidden.statusCode).toBe(403);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,147 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    QueryCommand: class QueryCommand extends MockCommand {},
+    PutCommand: class PutCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import {
+  buildRingRegions,
+  selectSpawnRegion,
+  getSpawnRegion,
+  SPAWN_REGIONS_PARTITION
+} from '../../../lambda/shared/spawn-regions';
+import { handler as listHandler } from '../../../lambda/spawn-management/list-spawn-regions';
+import { handler as updateHandler } from '../../../lambda/spawn-management/update-spawn-region';
+import { createMockAPIGatewayEvent, createMockDynamoDBResponse, TEST_PLAYER_ID } from '../../fixtures/test-data';
+import { SpawnRegion } from '../../../lambda/types/game-base-types';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const asAdmin = (event: ReturnType<typeof createMockAPIGatewayEvent>) => {
+  event.requestContext.authorizer = { claims: { sub: TEST_PLAYER_ID, 'cognito:groups': 'admin' } };
+  return event;
+};
+
+const region = (overrides: Partial<SpawnRegion>): SpawnRegion => ({
+  ...buildRingRegions(1, 1000)[0],
+  ...overrides
+});
+
+describe('Spawn Regions', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should build a center region for ring 0 and four bands for outer rings', () => {
+    expect(buildRingRegions(0).map(ring => ring.regionId)).toEqual(['ring-0-center']);
+
+    const [north, south, east, west] = buildRingRegions(2);
+    expect(north.bounds).toEqual({ minX: -3000, minY: 2000, maxX: 3000, maxY: 3000 });
+    expect(south.bounds).toEqual({ minX: -3000, minY: -3000, maxX: 3000, maxY: -2000 });
+    expect(east.bounds).toEqual({ minX: 2000, minY: -2000, maxX: 3000, maxY: 2000 });
+    expect(west.bounds).toEqual({ minX: -3000, minY: -2000, maxX: -2000, maxY: 2000 });
+    expect(north).toMatchObject({ ring: 2, capacity: 50, spawnCount: 0, isOpen: true });
+  });
+
+  it('should prefer the requested direction and fall back to the innermost open region', () => {
+    const regions = [
+      region({ regionId: 'ring-2-north', ring: 2, direction: 'north' }),
+      region({ regionId: 'ring-1-east', ring: 1, direction: 'east' }),
+      region({ regionId: 'ring-1-west', ring: 1, direction: 'west', isOpen: false }),
+      region({ regionId: 'ring-1-south', ring: 1, direction: 'south', spawnCount: 50 })
+    ];
+
+    expect(selectSpawnRegion(regions, 'north')?.regionId).toBe('ring-2-north');
+    expect(selectSpawnRegion(regions, 'west')?.regionId).toBe('ring-1-east');
+    expect(selectSpawnRegion(regions, 'south')?.regionId).toBe('ring-1-east');
+    expect(selectSpawnRegion([regions[2], regions[3]], 'random')).toBeUndefined();
+  });
+
+  it('should hold back the capacity of open reservations', () => {
+    const regions = [
+      region({ regionId: 'ring-1-north', ring: 1, direction: 'north', spawnCount: 45 }),
+      region({ regionId: 'ring-2-north', ring: 2, direction: 'north' })
+    ];
+
+    expect(selectSpawnRegion(regions, 'north', 5)?.regionId).toBe('ring-1-north');
+    expect(selectSpawnRegion(regions, 'north', 5, { 'ring-1-north': 1 })?.regionId).toBe('ring-2-north');
+  });
+
+  it('should open the next ring once every open region is full', async () => {
+    const full = region({ regionId: 'ring-0-center', ring: 0, direction: 'center', spawnCount: 50 });
+    const opened = buildRingRegions(1);
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBResponse([full]))
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce(createMockDynamoDBResponse([full, ...opened]));
+
+    const selected = await getSpawnRegion('east');
+
+    expect(selected.regionId).toBe('ring-1-east');
+    const puts = mockSend.mock.calls.slice(1, 5).map(([command]: any[]) => command.input);
+    expect(puts.map(put => put.Item.spawnLocationId)).toEqual([
+      'ring-1-north', 'ring-1-south', 'ring-1-east', 'ring-1-west'
+    ]);
+    expect(puts[0]).toMatchObject({
+      Item: { spawnRegionId: SPAWN_REGIONS_PARTITION },
+      ConditionExpression: 'attribute_not_exists(spawnLocationId)'
+    });
+  });
+
+  it('should list regions with their fill level for admins only', async () => {
+    const forbidden = await listHandler(createMockAPIGatewayEvent());
+    expect(forbidden.statusCode).toBe(403);
+
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([region({ spawnCount: 25 })]));
+    const response = await listHandler(asAdmin(createMockAPIGatewayEvent()));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.regions[0]).toMatchObject({ regionId: 'ring-1-north', fillLevel: 0.5 });
+  });
+
+  it('should close and resize a region', async () => {
+    mockSend.mockResolvedValueOnce({ Attributes: region({ isOpen: false, capacity: 80 }) });
+
+    const response = await updateHandler(asAdmin(createMockAPIGatewayEvent(
+      { isOpen: false, capacity: 80 },
+      { regionId: 'ring-1-north' }
+    )));
+
+    expect(response.statusCode).toBe(200);
+    expect(mockSend.mock.calls[0][0].input).toMatchObject({
+      Key: { spawnRegionId: SPAWN_REGIONS_PARTITION, spawnLocationId: 'ring-1-north' },
+      UpdateExpression: 'SET #isOpen = :isOpen, #capacity = :capacity, updatedAt = :now',
+      ExpressionAttributeValues: { ':isOpen': false, ':capacity': 80 }
+    });
+  });
+
+  it('should reject empty and inverted region updates', async () => {
+    const empty = await updateHandler(asAdmin(createMockAPIGatewayEvent({}, { regionId: 'ring-1-north' })));
+    const inverted = await updateHandler(asAdmin(createMockAPIGatewayEvent(
+      { bounds: { minX: 10, minY: 0, maxX: 0, maxY: 10 } },
+      { regionId: 'ring-1-north' }
+    )));
+
+    expect(empty.statusCode).toBe(400);
+    expect(inverted.statusCode).toBe(400);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { createSeededRandom } from '../../../lambda/shared/seeded-random';
+import { generateSpawnCandidates } from '../../../lambda/spawn-management/spawn-candidates';
+import { handler } from '../../../lambda/spawn-management/replay-spawn-decision';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  mockSpawnLocation,
+  TEST_PLAYER_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const bounds = { minX: -1000, minY: -1000, maxX: 1000, maxY: 1000 };
+const friendLocations = [{ x: 200, y: 300 }];
+
+const asAdmin = (event: ReturnType<typeof createMockAPIGatewayEvent>) => {
+  event.requestContext.authorizer = { claims: { sub: TEST_PLAYER_ID, 'cognito:groups': 'admin' } };
+  return event;
+};
+
+describe('Spawn Decision Replay', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should produce the same sequence for the same seed', () => {
+    const first = createSeededRandom(42);
+    const second = createSeededRandom(42);
+    const other = createSeededRandom(43);
+
+    const values = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    expect(Array.from({ length: 5 }, () => other())).not.toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('should regenerate identical candidates inside the region from a seed', () => {
+    const { candidates } = generateSpawnCandidates(bounds, friendLocations, createSeededRandom(7));
+
+    expect(generateSpawnCandidates(bounds, friendLocations, createSeededRandom(7)).candidates).toEqual(candidates);
+    expect(candidates).toHaveLength(20);
+    candidates.forEach(candidate => {
+      expect(Math.abs(candidate.x)).toBeLessThanOrEqual(1000);
+      expect(Math.abs(candidate.y)).toBeLessThanOrEqual(1000);
+    });
+  });
+
+  it('should replay a recorded decision and find its chosen location among the candidates', async () => {
+    const [chosen] = generateSpawnCandidates(bounds, friendLocations, createSeededRandom(7)).candidates;
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse({
+        ...mockSpawnLocation,
+        coordinates: { x: chosen.x, y: chosen.y },
+        decision: { seed: 7, bounds, friendLocations }
+      }))
+      .mockResolvedValue({ Responses: {} });
+
+    const response = await handler(asAdmin(createMockAPIGatewayEvent(null, { spawnLocationId: 'spawn-123' })));
+    const data = JSON.parse(response.body).data;
+
+    expect(response.statusCode).toBe(200);
+    expect(data.reproduced).toBe(true);
+    expect(data.candidates).toHaveLength(20);
+    expect(data.decision.seed).toBe(7);
+  });
+
+  it('should report reservations without a recorded decision and refuse players', async () => {
+    mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse(mockSpawnLocation));
+    const unrecorded = await handler(asAdmin(createMockAPIGatewayEvent(null, { spawnLocationId: 'spawn-123' })));
+
+    const forbidden = await handler(createMockAPIGatewayEvent(null, { spawnLocationId: 'spawn-123' }));
+
+    expect(unrecorded.statusCode).toBe(404);
+    expect(forbidden.statusCode).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+});
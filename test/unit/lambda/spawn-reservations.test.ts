@@ -0,0 +1,140 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    PutCommand: class PutCommand extends MockCommand {},
+    DeleteCommand: class DeleteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import {
+  reserveSpawnLocation,
+  getSpawnReservation,
+  consumeSpawnReservation,
+  SPAWN_RESERVATION_REGION
+} from '../../../lambda/shared/spawn-reservations';
+import { handler } from '../../../lambda/spawn-management/release-spawn-reservation';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  mockSpawnLocation,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const givenReservation = (overrides: Record<string, unknown> = {}) => {
+  mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse({ ...mockSpawnLocation, ...overrides }));
+};
+
+describe('Spawn Reservations', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should reserve the location for its player in the partition create-base reads', async () => {
+    mockSend.mockResolvedValueOnce({});
+
+    const reservation = await reserveSpawnLocation('spawn-1', TEST_PLAYER_ID, { x: 10, y: 20 }, {
+      regionId: 'ring-0-center',
+      now: 1000000
+    });
+
+    expect(mockSend.mock.calls[0][0].input.Item).toEqual(reservation);
+    expect(reservation).toMatchObject({
+      spawnRegionId: SPAWN_RESERVATION_REGION,
+      isAvailable: 'false',
+      reservedBy: TEST_PLAYER_ID,
+      coordinates: { x: 10, y: 20 },
+      regionId: 'ring-0-center',
+      expiresAt: 1300000,
+      ttl: 1300
+    });
+  });
+
+  it('should hand out a live reservation to the player who holds it', async () => {
+    givenReservation();
+
+    await expect(getSpawnReservation('spawn-123', TEST_PLAYER_ID)).resolves.toMatchObject({
+      coordinates: { x: 150, y: 250 }
+    });
+    expect(mockSend.mock.calls[0][0].input.Key).toEqual({
+      spawnRegionId: SPAWN_RESERVATION_REGION,
+      spawnLocationId: 'spawn-123'
+    });
+  });
+
+  it('should reject missing, foreign, consumed and expired reservations', async () => {
+    mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse(null));
+    await expect(getSpawnReservation('spawn-123', TEST_PLAYER_ID))
+      .rejects.toMatchObject({ code: 'SPAWN_RESERVATION_NOT_FOUND' });
+
+    givenReservation();
+    await expect(getSpawnReservation('spawn-123', 'another-player'))
+      .rejects.toMatchObject({ code: 'SPAWN_RESERVATION_FORBIDDEN' });
+
+    givenReservation({ consumedAt: Date.now() });
+    await expect(getSpawnReservation('spawn-123', TEST_PLAYER_ID))
+      .rejects.toMatchObject({ code: 'SPAWN_RESERVATION_CONSUMED' });
+
+    givenReservation({ expiresAt: Date.now() - 1 });
+    await expect(getSpawnReservation('spawn-123', TEST_PLAYER_ID))
+      .rejects.toMatchObject({ code: 'SPAWN_RESERVATION_EXPIRED' });
+  });
+
+  it('should consume a reservation only once, by its player, before it expires', () => {
+    const [item, ...rest] = consumeSpawnReservation(mockSpawnLocation, TEST_BASE_ID, 5000);
+
+    expect(rest).toEqual([]);
+    expect(item.Update?.UpdateExpression).toContain('REMOVE #ttl');
+    expect(item.Update?.ConditionExpression)
+      .toBe('reservedBy = :playerId AND expiresAt > :now AND attribute_not_exists(consumedAt)');
+    expect(item.Update?.ExpressionAttributeValues).toEqual({
+      ':playerId': TEST_PLAYER_ID,
+      ':baseId': TEST_BASE_ID,
+      ':now': 5000
+    });
+  });
+
+  it('should count a consumed reservation towards its spawn region', () => {
+    const items = consumeSpawnReservation({ ...mockSpawnLocation, regionId: 'ring-1-north' }, TEST_BASE_ID, 5000);
+
+    expect(items).toHaveLength(2);
+    expect(items[1].Update).toMatchObject({
+      Key: { spawnRegionId: 'regions', spawnLocationId: 'ring-1-north' },
+      UpdateExpression: 'ADD spawnCount :one SET updatedAt = :now'
+    });
+  });
+
+  it('should let the reserving player release an unused reservation', async () => {
+    givenReservation();
+    mockSend.mockResolvedValueOnce({});
+
+    const response = await handler(createMockAPIGatewayEvent(null, { spawnLocationId: 'spawn-123' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(mockSend.mock.calls[1][0].input.ExpressionAttributeValues).toEqual({ ':playerId': TEST_PLAYER_ID });
+  });
+
+  it('should not release another player\'s reservation', async () => {
+    givenReservation({ reservedBy: 'another-player' });
+
+    const response = await handler(createMockAPIGatewayEvent(null, { spawnLocationId: 'spawn-123' }));
+
+    expect(response.statusCode).toBe(403);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,131 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    BatchGetCommand: class BatchGetCommand extends MockCommand {},
+    QueryCommand: class QueryCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import {
+  scoreSpawnCandidates,
+  scoreSpawnSignals,
+  describeSpawnReason,
+  SpawnSignals
+} from '../../../lambda/spawn-management/spawn-scoring';
+import { getSectionResourceNodes } from '../../../lambda/shared/resource-nodes';
+import { DEFAULT_GAME_RULES } from '../../../lambda/shared/game-rules';
+import { SpawnScoringRules } from '../../../lambda/types/game-base-types';
+import { createMockDynamoDBResponse } from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+// Resource nodes are kept out of reach unless a test asks for them
+const rules: SpawnScoringRules = { ...DEFAULT_GAME_RULES.spawning.scoring, resourceRadius: 0.001 };
+
+const signals = (overrides: Partial<SpawnSignals> = {}): SpawnSignals => ({
+  sectionBaseCount: 0,
+  nearbyHighLevelBases: 0,
+  strongestNearbyLevel: 0,
+  threat: 0,
+  ...overrides
+});
+
+// Section densities for BatchGet and high-level bases for LocationIndex queries
+const givenWorld = (densities: Record<string, number>, bases: Record<string, unknown[]>) => {
+  mockSend.mockImplementation((command: any) => {
+    if (command.input.RequestItems) {
+      const items = Object.entries(densities).map(([mapSectionId, baseCount]) => ({ mapSectionId, baseCount }));
+      return Promise.resolve({ Responses: { '': items } });
+    }
+    return Promise.resolve(
+      createMockDynamoDBResponse(bases[command.input.ExpressionAttributeValues[':sectionId']] ?? [])
+    );
+  });
+};
+
+const highLevelBase = (baseId: string, x: number, y: number, level: number) => ({
+  baseId,
+  playerId: `owner-${baseId}`,
+  baseName: `Base ${baseId}`,
+  baseType: 'fortress',
+  level,
+  status: 'active',
+  coordinates: { x, y }
+});
+
+describe('Spawn Scoring', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should place the same resource nodes in a section every time', () => {
+    const nodes = getSectionResourceNodes('4,-2');
+
+    expect(getSectionResourceNodes('4,-2')).toEqual(nodes);
+    nodes.forEach(node => {
+      expect(Math.floor(node.coordinates.x / 100)).toBe(4);
+      expect(Math.floor(node.coordinates.y / 100)).toBe(-2);
+    });
+  });
+
+  it('should score each signal from its raw inputs', () => {
+    expect(scoreSpawnSignals(signals({ sectionBaseCount: 5, threat: 1 }), rules)).toEqual({
+      density: 0.5,
+      safety: 0.5,
+      resources: 0,
+      friends: 0
+    });
+    expect(scoreSpawnSignals(signals({ nearestResourceDistance: 50, averageFriendDistance: 250 }), {
+      ...rules,
+      resourceRadius: 200
+    })).toEqual({ density: 1, safety: 1, resources: 0.75, friends: 0.75 });
+  });
+
+  it('should rank candidates away from crowded sections and high-level bases', async () => {
+    givenWorld({ '0,0': 8, '10,0': 1 }, { '10,0': [highLevelBase('threat', 1045, 50, 40)] });
+
+    const ranked = await scoreSpawnCandidates([
+      { x: 50, y: 50, sectionId: '0,0' },
+      { x: 1050, y: 50, sectionId: '10,0' },
+      { x: 5050, y: 50, sectionId: '50,0' }
+    ], [], rules);
+
+    expect(ranked.map(candidate => candidate.sectionId)).toEqual(['50,0', '0,0', '10,0']);
+    expect(ranked[2].signals).toMatchObject({ nearbyHighLevelBases: 1, strongestNearbyLevel: 40 });
+    expect(ranked[2].breakdown.safety).toBeLessThan(1);
+    expect(ranked[1].breakdown.density).toBeCloseTo(0.2);
+
+    // Only populated sections are queried for bases; the empty wilderness costs nothing
+    const queriedSections = mockSend.mock.calls
+      .filter(([command]: any) => !command.input.RequestItems)
+      .map(([command]: any) => command.input.ExpressionAttributeValues[':sectionId']);
+    expect(queriedSections).toEqual(['0,0', '10,0']);
+  });
+
+  it('should explain a candidate by its strongest weighted signal', () => {
+    const breakdown = { density: 0.2, safety: 0.4, resources: 0, friends: 0.9 };
+    const candidate = {
+      coordinates: { x: 0, y: 0 },
+      sectionId: '0,0',
+      score: 0.5,
+      breakdown,
+      signals: signals({ sectionBaseCount: 8, averageFriendDistance: 100 })
+    };
+
+    expect(describeSpawnReason(candidate, rules)).toBe('Near friends for social gameplay (100 units away on average)');
+    expect(describeSpawnReason({ ...candidate, breakdown: { ...breakdown, friends: 0 } }, rules))
+      .toBe('Safe starter location (no high-level bases within 200 units)');
+  });
+});
@@ -0,0 +1,197 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    UpdateCommand: class UpdateCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+jest.mock('../../../lambda/shared/upgrade-completion-engine', () => ({
+  findInProgressUpgrades: jest.fn(),
+  completeUpgrade: jest.fn()
+}));
+
+jest.mock('../../../lambda/shared/builder-queue', () => ({
+  ...jest.requireActual('../../../lambda/shared/builder-queue'),
+  startQueuedUpgrades: jest.fn().mockResolvedValue([])
+}));
+
+import { ConditionalCheckFailedException } from '@aws-sdk/client-dynamodb';
+import { handler } from '../../../lambda/base-management/speed-up';
+import { setResourceLedger, InMemoryResourceLedger } from '../../../lambda/shared/resource-ledger';
+import { completeUpgrade, findInProgressUpgrades } from '../../../lambda/shared/upgrade-completion-engine';
+import { BaseUpgrade, PlayerBase } from '../../../lambda/types/game-base-types';
+import {
+  createMockAPIGatewayEvent,
+  createMockDynamoDBGetResponse,
+  mockPlayerBase,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const base = { ...mockPlayerBase, status: 'active' } as unknown as PlayerBase;
+
+const runningUpgrade: BaseUpgrade = {
+  playerId: TEST_PLAYER_ID,
+  upgradeId: `${TEST_BASE_ID}-upgrade-1`,
+  baseId: TEST_BASE_ID,
+  upgradeType: 'level',
+  fromLevel: 1,
+  toLevel: 2,
+  requirements: { resources: { gold: 300 }, time: 3600 },
+  status: 'in_progress',
+  startedAt: Date.now(),
+  completionTime: Date.now() + 3600000
+};
+
+const speedUpEvent = (body: Record<string, unknown>) =>
+  createMockAPIGatewayEvent({ playerId: TEST_PLAYER_ID, baseId: TEST_BASE_ID, ...body }, { baseId: TEST_BASE_ID });
+
+const givenBase = (overrides: Partial<PlayerBase> = {}) => {
+  mockSend.mockResolvedValueOnce(createMockDynamoDBGetResponse({ ...base, ...overrides }));
+};
+
+describe('Speed Up', () => {
+  let ledger: InMemoryResourceLedger;
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    (findInProgressUpgrades as jest.Mock).mockReset();
+    (completeUpgrade as jest.Mock).mockReset();
+    ledger = new InMemoryResourceLedger();
+    ledger.setBalance(TEST_PLAYER_ID, { gold: 100, 'speedup-1h': 2 });
+    setResourceLedger(ledger);
+  });
+
+  afterEach(() => {
+    setResourceLedger(undefined);
+  });
+
+  it('should finish a move for gold priced on the remaining time', async () => {
+    const arrivalTime = Date.now() + 30 * 60 * 1000;
+    givenBase({ status: 'moving', arrivalTime });
+    mockSend.mockResolvedValueOnce({});
+
+    const response = await handler(speedUpEvent({ target: 'move', finishWithGold: true }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data).toMatchObject({
+      speedUp: { method: 'gold', goldCost: 30, charged: true, previousDueAt: arrivalTime },
+      finished: true
+    });
+    const update = mockSend.mock.calls[1][0].input;
+    expect(update.ConditionExpression).toBe('#status = :status AND #due = :dueAt');
+    expect(update.ExpressionAttributeNames['#due']).toBe('arrivalTime');
+    expect(update.UpdateExpression).toContain('dueAt = :newDueAt');
+    expect(update.ExpressionAttributeValues).toMatchObject({ ':status': 'moving', ':dueAt': arrivalTime });
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(70);
+  });
+
+  it('should shorten a build by the boosts spent and record them', async () => {
+    const buildCompletionTime = Date.now() + 2 * 60 * 60 * 1000;
+    givenBase({ status: 'building', buildCompletionTime });
+    mockSend.mockResolvedValueOnce({});
+
+    const response = await handler(speedUpEvent({ target: 'build', boosts: { 'speedup-1h': 1 } }));
+
+    const data = JSON.parse(response.body).data;
+    expect(data).toMatchObject({
+      speedUp: { method: 'boost', boosts: { 'speedup-1h': 1 }, secondsReduced: 3600 },
+      finished: false
+    });
+    expect(data.speedUp.newDueAt).toBe(buildCompletionTime - 3600000);
+    expect(mockSend.mock.calls[1][0].input.ExpressionAttributeValues[':speedUp']).toEqual([data.speedUp]);
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 100, 'speedup-1h': 1 });
+  });
+
+  it('should complete a running upgrade finished with gold right away', async () => {
+    givenBase();
+    (findInProgressUpgrades as jest.Mock).mockResolvedValueOnce([runningUpgrade]);
+    (completeUpgrade as jest.Mock).mockImplementationOnce(async (upgrade: BaseUpgrade, completedAt: number) => ({
+      upgrade: { ...upgrade, status: 'completed', completedAt }
+    }));
+    mockSend.mockResolvedValueOnce({});
+
+    const response = await handler(speedUpEvent({ target: 'upgrade', finishWithGold: true }));
+
+    const data = JSON.parse(response.body).data;
+    expect(data.upgrade).toMatchObject({ status: 'completed', speedUps: [{ method: 'gold', goldCost: 60 }] });
+    expect(mockSend.mock.calls[1][0].input.Key).toEqual({ playerId: TEST_PLAYER_ID, upgradeId: runningUpgrade.upgradeId });
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(40);
+  });
+
+  it('should reject requests that are not a single valid speed-up', async () => {
+    givenBase({ status: 'building', buildCompletionTime: Date.now() + 60000 });
+    const unknownBoost = await handler(speedUpEvent({ target: 'build', boosts: { 'speedup-1y': 1 } }));
+    expect(JSON.parse(unknownBoost.body).error.code).toBe('VALIDATION_ERROR');
+
+    const both = await handler(speedUpEvent({ target: 'build', finishWithGold: true, boosts: { 'speedup-1h': 1 } }));
+    expect(both.statusCode).toBe(400);
+
+    givenBase();
+    const nothingRunning = await handler(speedUpEvent({ target: 'build', finishWithGold: true }));
+    expect(JSON.parse(nothingRunning.body).error.code).toBe('SPEED_UP_NOT_APPLICABLE');
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ gold: 100, 'speedup-1h': 2 });
+  });
+
+  it('should not spend the owner\'s gold when a GM speeds up their move', async () => {
+    givenBase({ status: 'moving', arrivalTime: Date.now() + 30 * 60 * 1000 });
+    mockSend.mockResolvedValueOnce({});
+    ledger.setBalance('gm-1', { gold: 100 });
+
+    const event = speedUpEvent({ target: 'move', finishWithGold: true });
+    event.requestContext.authorizer = { claims: { sub: 'gm-1', 'cognito:groups': 'gm' } };
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).data.speedUp).toMatchObject({ appliedBy: 'gm-1', charged: false, goldCost: 30 });
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(100);
+    expect(ledger.getBalance('gm-1').gold).toBe(100);
+  });
+
+  it('should reject boosts worth more than the remaining time without consuming them', async () => {
+    givenBase({ status: 'building', buildCompletionTime: Date.now() + 2 * 60 * 1000 });
+    ledger.setBalance(TEST_PLAYER_ID, { 'speedup-8h': 1, 'speedup-5m': 1 });
+
+    const response = await handler(speedUpEvent({ target: 'build', boosts: { 'speedup-8h': 1 } }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).error.code).toBe('SPEED_UP_BOOSTS_EXCEED_REMAINING');
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ 'speedup-8h': 1, 'speedup-5m': 1 });
+
+    // A boost no smaller one could replace may still overshoot
+    givenBase({ status: 'building', buildCompletionTime: Date.now() + 2 * 60 * 1000 });
+    mockSend.mockResolvedValueOnce({});
+
+    const finished = await handler(speedUpEvent({ target: 'build', boosts: { 'speedup-5m': 1 } }));
+
+    expect(JSON.parse(finished.body).data).toMatchObject({ speedUp: { secondsReduced: 120 }, finished: true });
+    expect(ledger.getBalance(TEST_PLAYER_ID)).toEqual({ 'speedup-8h': 1, 'speedup-5m': 0 });
+  });
+
+  it('should not charge when the timer changed since it was read', async () => {
+    givenBase({ status: 'moving', arrivalTime: Date.now() + 60000 });
+    mockSend.mockRejectedValueOnce(new ConditionalCheckFailedException({ message: 'failed', $metadata: {} }));
+
+    const response = await handler(speedUpEvent({ target: 'move', finishWithGold: true }));
+
+    expect(response.statusCode).toBe(409);
+    expect(ledger.getBalance(TEST_PLAYER_ID).gold).toBe(100);
+  });
+});
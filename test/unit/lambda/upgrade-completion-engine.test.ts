@@ -0,0 +1,137 @@
+// Mock the DynamoDB document client BEFORE imports
+jest.mock('@aws-sdk/lib-dynamodb', () => {
+  const mockSend = jest.fn();
+  class MockCommand {
+    input: any;
+    constructor(input: any) {
+      this.input = input;
+    }
+  }
+  return {
+    DynamoDBDocumentClient: {
+      from: () => ({ send: mockSend })
+    },
+    GetCommand: class GetCommand extends MockCommand {},
+    QueryCommand: class QueryCommand extends MockCommand {},
+    TransactWriteCommand: class TransactWriteCommand extends MockCommand {},
+    __mockSend: mockSend
+  };
+});
+
+import { TransactionCanceledException } from '@aws-sdk/client-dynamodb';
+import { completeUpgrade, findDueUpgrades } from '../../../lambda/shared/upgrade-completion-engine';
+import { BaseUpgrade } from '../../../lambda/types/game-base-types';
+import {
+  mockPlayerBase,
+  mockUpgradeTemplate,
+  createMockDynamoDBGetResponse,
+  createMockDynamoDBResponse,
+  TEST_PLAYER_ID,
+  TEST_BASE_ID
+} from '../../fixtures/test-data';
+
+// eslint-disable-next-line @typescript-eslint/no-require-imports, no-undef
+const mockSend = require('@aws-sdk/lib-dynamodb').__mockSend;
+
+const dueUpgrade: BaseUpgrade = {
+  playerId: TEST_PLAYER_ID,
+  upgradeId: `${TEST_BASE_ID}-upgrade-1`,
+  baseId: TEST_BASE_ID,
+  upgradeType: 'level',
+  fromLevel: 1,
+  toLevel: 2,
+  requirements: { resources: {}, time: 600 },
+  status: 'in_progress',
+  startedAt: 1000,
+  completionTime: 2000
+};
+
+const transactionCanceled = (codes: string[]) => new TransactionCanceledException({
+  message: 'Transaction cancelled',
+  $metadata: {},
+  CancellationReasons: codes.map(Code => ({ Code }))
+});
+
+describe('Upgrade Completion Engine', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  it('should apply the target template level and stats to the base', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockUpgradeTemplate))
+      .mockResolvedValueOnce({});
+
+    const result = await completeUpgrade(dueUpgrade, 5000);
+
+    expect(result).toEqual({
+      upgrade: { ...dueUpgrade, status: 'completed', completedAt: 5000 },
+      level: 2,
+      stats: { defense: 150, storage: 1500, production: 75 }
+    });
+
+    const transaction = mockSend.mock.calls[2][0].input;
+    const [upgradeUpdate, baseUpdate] = transaction.TransactItems;
+    expect(upgradeUpdate.Update.ConditionExpression).toBe('#status = :inProgress');
+    expect(baseUpdate.Update.ExpressionAttributeValues).toMatchObject({
+      ':toLevel': 2,
+      ':fromLevel': 1,
+      ':stats': { defense: 150, storage: 1500, production: 75 }
+    });
+  });
+
+  it('should look up the template for the target level of the base type', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockUpgradeTemplate))
+      .mockResolvedValueOnce({});
+
+    await completeUpgrade(dueUpgrade, 5000);
+
+    expect(mockSend.mock.calls[1][0].input.Key).toEqual({ templateId: 'command_center-level-2' });
+  });
+
+  it('should return null when the upgrade was already completed', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockUpgradeTemplate))
+      .mockRejectedValueOnce(transactionCanceled(['ConditionalCheckFailed', 'None']));
+
+    await expect(completeUpgrade(dueUpgrade, 5000)).resolves.toBeNull();
+  });
+
+  it('should reject when the base level no longer matches', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockUpgradeTemplate))
+      .mockRejectedValueOnce(transactionCanceled(['None', 'ConditionalCheckFailed']));
+
+    await expect(completeUpgrade(dueUpgrade, 5000)).rejects.toMatchObject({
+      code: 'UPGRADE_BASE_MISMATCH'
+    });
+  });
+
+  it('should fail with UPGRADE_TEMPLATE_NOT_FOUND when the target template is missing', async () => {
+    mockSend
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(mockPlayerBase))
+      .mockResolvedValueOnce(createMockDynamoDBGetResponse(null));
+
+    await expect(completeUpgrade(dueUpgrade, 5000)).rejects.toMatchObject({
+      code: 'UPGRADE_TEMPLATE_NOT_FOUND'
+    });
+  });
+
+  it('should query due upgrades through the StatusIndex', async () => {
+    mockSend.mockResolvedValueOnce(createMockDynamoDBResponse([dueUpgrade]));
+
+    const upgrades = await findDueUpgrades(5000, 50);
+
+    expect(upgrades).toEqual([dueUpgrade]);
+    expect(mockSend.mock.calls[0][0].input).toMatchObject({
+      IndexName: 'StatusIndex',
+      ExpressionAttributeValues: { ':inProgress': 'in_progress', ':now': 5000 },
+      Limit: 50
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  ERROR_STATUS_CODES,
+  GameEngineError,
+  withErrorHandling,
+  createErrorResponse,
+  getErrorStatusCode
+} from '../../../lib/shared-mocks';
+
+// Server-side failures of storage and downstream calls are named *_ERROR;
+// these are the other codes that are deliberately left as 500
+const SERVER_ERROR_CODES = ['INVALID_GAME_RULES'];
+
+const sourceFiles = (directory: string): string[] => fs.readdirSync(directory, { withFileTypes: true })
+  .flatMap(entry => {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) return sourceFiles(entryPath);
+    return entry.name.endsWith('.ts') ? [entryPath] : [];
+  });
+
+// Codes passed to `new GameEngineError(message, code, ...)` anywhere in the Lambdas
+const thrownErrorCodes = (): string[] => {
+  const codes = new Set<string>();
+  const pattern = /new GameEngineError\(\s*(?:'[^']*'|`[^`]*`|[^,]+),\s*'([A-Z_]+)'/g;
+
+  for (const file of sourceFiles(path.join(__dirname, '../../../lambda'))) {
+    for (const match of fs.readFileSync(file, 'utf8').matchAll(pattern)) {
+      codes.add(match[1]);
+    }
+  }
+
+  return [...codes].sort();
+};
+
+const failWith = (error: unknown) => withErrorHandling(async () => {
+  throw error;
+});
+
+describe('Error translation layer', () => {
+  it.each([
+    ['VALIDATION_ERROR', 400],
+    ['BASE_NOT_FOUND', 404],
+    ['BASE_LIMIT_EXCEEDED', 409],
+    ['TEMPLATE_NOT_FOUND', 404],
+    ['AUTHORIZATION_ERROR', 403],
+    ['UPGRADE_BASE_MISMATCH', 409],
+    ['SPEED_UP_BOOSTS_EXCEED_REMAINING', 409],
+    ['MOVEMENT_COOLDOWN', 429],
+    ['BASE_CREATION_ERROR', 500]
+  ])('should map %s to HTTP %i', (code, statusCode) => {
+    expect(getErrorStatusCode(code)).toBe(statusCode);
+  });
+
+  it('should map every client and domain code the Lambdas throw', () => {
+    const codes = thrownErrorCodes();
+    const unmapped = codes.filter(code =>
+      !(code in ERROR_STATUS_CODES) && !code.endsWith('_ERROR') && !SERVER_ERROR_CODES.includes(code)
+    );
+
+    expect(codes.length).toBeGreaterThan(0);
+    expect(unmapped).toEqual([]);
+  });
+
+  it('should return the ErrorResponse envelope for game errors', async () => {
+    const result = await failWith(new GameEngineError(
+      'Player has reached maximum base limit (5)',
+      'BASE_LIMIT_EXCEEDED',
+      { currentCount: 5, maxBases: 5 }
+    ));
+
+    expect(result.statusCode).toBe(409);
+    expect(JSON.parse(result.body)).toEqual({
+      success: false,
+      error: {
+        code: 'BASE_LIMIT_EXCEEDED',
+        message: 'Player has reached maximum base limit (5)',
+        details: { currentCount: 5, maxBases: 5 }
+      }
+    });
+  });
+
+  it('should pass successful responses through unchanged', async () => {
+    const success = { statusCode: 200, body: '{"success":true}' };
+
+    await expect(withErrorHandling(async () => success)).resolves.toBe(success);
+  });
+
+  it('should translate unknown errors into INTERNAL_ERROR', async () => {
+    const result = await failWith(new Error('socket hang up'));
+
+    expect(result.statusCode).toBe(500);
+    expect(JSON.parse(result.body).error.code).toBe('INTERNAL_ERROR');
+  });
+
+  it('should translate schema errors into VALIDATION_ERROR', async () => {
+    const zodError = new Error('Expected number');
+    zodError.name = 'ZodError';
+
+    const result = await failWith(zodError);
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('should hide internal details of server errors in production', () => {
+    const error = new GameEngineError('Failed to create player base', 'BASE_CREATION_ERROR', {
+      error: 'ProvisionedThroughputExceededException'
+    });
+
+    const body = JSON.parse(createErrorResponse(error, 'production').body);
+
+    expect(body.error).toEqual({ code: 'BASE_CREATION_ERROR', message: 'Internal server error' });
+  });
+
+  it('should keep client error details but drop internal messages in production', () => {
+    const error = new GameEngineError('Invalid request format', 'VALIDATION_ERROR', {
+      field: 'baseName',
+      error: 'String must contain at least 1 character(s)'
+    });
+
+    const body = JSON.parse(createErrorResponse(error, 'production').body);
+
+    expect(body.error.details).toEqual({ field: 'baseName' });
+  });
+
+  it('should expose full details outside production', () => {
+    const error = new GameEngineError('Failed to create player base', 'BASE_CREATION_ERROR', {
+      error: 'ProvisionedThroughputExceededException'
+    });
+
+    const body = JSON.parse(createErrorResponse(error, 'test').body);
+
+    expect(body.error.details).toEqual({ error: 'ProvisionedThroughputExceededException' });
+  });
+});